@@ -1,6 +1,7 @@
 import * as THREE from 'three';
 import { MapEditor } from './src/editor/MapEditor.js';
 import { EditorUI } from './src/editor/EditorUI.js';
+import { TrackFile } from './src/track/TrackFile.js';
 import { Renderer } from './src/core/Renderer.js';
 import { eventBus } from './src/utils/EventBus.js';
 import { RenderConfig } from './src/config/RenderConfig.js';
@@ -76,11 +77,17 @@ function initEditor() {
   });
 
   // Restore editor state if returning from test mode
-  const savedState = sessionStorage.getItem('editorState');
+  let savedState = null;
+  try {
+    const json = sessionStorage.getItem('editorState');
+    savedState = json ? TrackFile.parse(json) : null;
+  } catch (error) {
+    console.warn('Could not restore track from test mode:', error.message);
+  }
   if (savedState) {
-    const trackData = JSON.parse(savedState);
-    mapEditor.loadTrack(trackData);
-    console.log('Restored track from test mode:', trackData.name);
+    mapEditor.loadTrack(savedState);
+    mapEditor.libraryId = sessionStorage.getItem('editorLibraryId') || null;
+    console.log('Restored track from test mode:', savedState.name);
   }
 
   // Create editor UI
@@ -89,8 +96,7 @@ function initEditor() {
 
   // Update UI to match loaded track
   if (savedState) {
-    const trackData = JSON.parse(savedState);
-    editorUI.updateTrackName(trackData.name);
+    editorUI.updateTrackName(savedState.name);
   }
 
   // Hide game HUD and touch controls (keep top bar for render toggle)
@@ -119,7 +125,7 @@ function setupEditorEvents() {
   // Test track
   eventBus.on('editor-test-track', (data) => {
     // Save track data to session storage
-    sessionStorage.setItem('testTrack', JSON.stringify(data.trackData));
+    sessionStorage.setItem('testTrack', TrackFile.serialize(data.trackData));
 
     // Redirect to main game
     window.location.href = `index.html?mode=test&render=${RenderConfig.getMode()}`;
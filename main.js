@@ -3,13 +3,32 @@ import { Kart } from "./src/entities/Kart.js";
 import { CpuDriver } from "./src/entities/CpuDriver.js";
 import { Camera } from "./src/entities/Camera.js";
 import { InputManager } from "./src/core/InputManager.js";
+import { InputBindings, InputActions, formatKey } from "./src/core/InputBindings.js";
+import { ControlsSettings } from "./src/ui/ControlsSettings.js";
+import { GhostRecorder } from "./src/replay/GhostRecorder.js";
+import { GhostPlayer } from "./src/replay/GhostPlayer.js";
+import { GhostStore } from "./src/replay/GhostStore.js";
+import { RaceRecorder } from "./src/replay/RaceRecorder.js";
+import { ReplayPlayer } from "./src/replay/ReplayPlayer.js";
+import { ReplayFile } from "./src/replay/ReplayFile.js";
+import { ReplayControls } from "./src/ui/ReplayControls.js";
 import { Game } from "./src/core/Game.js";
 import { Renderer } from "./src/core/Renderer.js";
 import { Track } from "./src/track/Track.js";
 import { testTrack } from "./src/track/tracks/testTrack.js";
+import { TrackFile } from "./src/track/TrackFile.js";
+import { TrackLibrary } from "./src/track/TrackLibrary.js";
+import { TrackLibraryScreen } from "./src/ui/TrackLibraryScreen.js";
+import { TrackThumbnail } from "./src/track/TrackThumbnail.js";
+import { RaceSetupScreen } from "./src/ui/RaceSetupScreen.js";
+import { RaceConfig, KART_COLORS } from "./src/config/RaceConfig.js";
+import { CpuDifficulty } from "./src/ai/CpuDifficulty.js";
+import { createRandom, randomSeed, streamSeed } from "./src/utils/Random.js";
 import { eventBus } from "./src/utils/EventBus.js";
 import { RenderConfig } from "./src/config/RenderConfig.js";
 import { WaypointAI } from "./src/ai/WaypointAI.js";
+import { RacePhase } from "./src/core/RaceManager.js";
+import { getItem } from "./src/items/ItemRegistry.js";
 
 // Core systems
 let renderer;
@@ -20,24 +39,96 @@ RenderConfig.setMode(renderMode);
 let cpuDebugVisible = false;
 let winModalEl;
 let winTextEl;
+let resultsTableEl;
+let countdownHideTimer = null;
 let currentTrackName = 'Track';
 let directionFieldArrows = [];
 let aiTargetMarker = null;
 let aiSteeringArrow = null;
 let lastTrackData = null;
+let gameMode = 'race'; // race | timeTrial
+let lastGameOptions = {};
+let ghostRecorder = null;
+let ghostPlayer = null;
+let raceRecorder = null;
+let replayPlayer = null;
+let replayTrack = null;
+let replayClock = null;
+let replayLog = []; // Recent replay events for the HUD
 let returnBtnEl = null;
 let animationFrameId = null;
 let isAnimating = false;
-let keydownHandler = null;
+
+// Rebindable controls (profiles persist in localStorage)
+const inputBindings = new InputBindings();
+
+// Best-lap ghosts per track (time trial)
+const ghostStore = new GhostStore();
+
+// Saved tracks (IndexedDB) plus the built-in ones
+const trackLibrary = new TrackLibrary();
+const BUNDLED_TRACKS = [{ id: 'bundled:test', name: testTrack.name, trackData: testTrack }];
+let selectedTrack = bundledSelection(BUNDLED_TRACKS[0]); // { id, name, trackData, libraryId, thumbnail }
+
+// Last race setup (track, laps, opponents, kart...; persists in localStorage)
+let raceConfig = RaceConfig.load();
 
 // UI elements
 const hudEl = document.getElementById("hud");
+const countdownEl = document.getElementById("countdown");
 const modeBtn = document.getElementById("mode-btn");
 const mainMenu = document.getElementById("main-menu");
 const playBtn = document.getElementById("play-btn");
 const editorBtn = document.getElementById("editor-btn");
+const controlsBtn = document.getElementById("controls-btn");
+const timeTrialBtn = document.getElementById("time-trial-btn");
+const importGhostBtn = document.getElementById("import-ghost-btn");
+const exportGhostBtn = document.getElementById("export-ghost-btn");
+const ghostFileInput = document.getElementById("ghost-file-input");
+const loadReplayBtn = document.getElementById("load-replay-btn");
+const replayFileInput = document.getElementById("replay-file-input");
+const controlsSettings = new ControlsSettings(inputBindings, document.getElementById("controls-settings"), {
+  onClose: () => mainMenu.classList.remove('hidden')
+});
+const trackSelectScreen = new TrackLibraryScreen(trackLibrary, document.getElementById("track-library"), {
+  title: 'Choose a Track',
+  selectLabel: 'Select',
+  bundled: BUNDLED_TRACKS,
+  onSelect: selectTrack,
+  onChange: (action, entry) => {
+    if (entry.id !== selectedTrack.libraryId) return;
+    if (action === 'rename') {
+      selectedTrack = { ...selectedTrack, name: entry.name, trackData: { ...selectedTrack.trackData, name: entry.name } };
+    } else if (action === 'delete') {
+      selectedTrack = bundledSelection(BUNDLED_TRACKS[0]);
+    }
+  },
+  onClose: () => raceSetupScreen.show({ ...raceConfig, trackId: selectedTrack.id }, selectedTrack)
+});
+const raceSetupScreen = new RaceSetupScreen(document.getElementById("race-setup"), {
+  onStart: (config) => {
+    raceConfig = config;
+    RaceConfig.save(raceConfig);
+    startGame(selectedTrack.trackData, { ...raceConfig, libraryId: selectedTrack.libraryId });
+  },
+  onChooseTrack: (config) => {
+    raceConfig = config;
+    trackSelectScreen.show();
+  },
+  onClose: () => showMainMenu()
+});
 const winRestartBtn = document.getElementById("win-restart");
 const winMenuBtn = document.getElementById("win-menu");
+const winReplayBtn = document.getElementById("win-replay");
+const replayControls = new ReplayControls(document.getElementById("replay-controls"), {
+  onCameraChange: (index) => chaseCamera?.reset(replayPlayer.karts[index]),
+  onFreeCamera: (enabled) => setReplayFreeCamera(enabled),
+  onSave: () => ReplayFile.download(replayPlayer.replay),
+  onExit: () => {
+    cleanupGame();
+    showMainMenu();
+  }
+});
 
 // Check URL params for test mode
 const urlParams = new URLSearchParams(window.location.search);
@@ -56,9 +147,18 @@ function init() {
   }
 
   // Test mode - load track from session storage
-  const testTrackData = JSON.parse(sessionStorage.getItem('testTrack') || 'null');
+  const testTrackJson = sessionStorage.getItem('testTrack');
+  let testTrackData = null;
+  if (testTrackJson) {
+    try {
+      testTrackData = TrackFile.parse(testTrackJson);
+    } catch (error) {
+      alert(`Could not load the test track:\n${error.message}`);
+    }
+  }
   if (testTrackData) {
-    startGame(testTrackData);
+    // Editor test: last race setup, but always a race and in the editor's render mode
+    startGame(testTrackData, { ...RaceConfig.load(), mode: 'race', renderMode });
   } else {
     // No test track, show menu
     showMainMenu();
@@ -71,26 +171,122 @@ function init() {
 function showMainMenu() {
   mainMenu.classList.remove('hidden');
 
-  playBtn.onclick = () => {
-    mainMenu.classList.add('hidden');
-    startGame();
+  playBtn.onclick = () => openRaceSetup('race');
+  timeTrialBtn.onclick = () => openRaceSetup('timeTrial');
+
+  const menuTrackName = selectedTrack.name || 'Track';
+  exportGhostBtn.disabled = !ghostStore.load(menuTrackName);
+  exportGhostBtn.onclick = () => {
+    const ghost = ghostStore.load(menuTrackName);
+    if (ghost) ghostStore.download(ghost);
+  };
+
+  importGhostBtn.onclick = () => ghostFileInput.click();
+  ghostFileInput.onchange = async () => {
+    const file = ghostFileInput.files[0];
+    ghostFileInput.value = '';
+    if (!file) return;
+
+    try {
+      const ghost = GhostStore.parse(await file.text());
+      const current = ghostStore.load(ghost.track);
+      if (current && !confirm(`Replace your ${current.lapTime.toFixed(2)}s ghost on "${ghost.track}" with this ${ghost.lapTime.toFixed(2)}s one?`)) {
+        return;
+      }
+      ghostStore.save(ghost);
+      alert(`Imported ${ghost.lapTime.toFixed(2)}s ghost for "${ghost.track}"`);
+      showMainMenu();
+    } catch (error) {
+      alert(`Could not import ghost: ${error.message}`);
+    }
+  };
+
+  loadReplayBtn.onclick = () => replayFileInput.click();
+  replayFileInput.onchange = async () => {
+    const file = replayFileInput.files[0];
+    replayFileInput.value = '';
+    if (!file) return;
+
+    try {
+      startReplay(ReplayFile.parse(await file.text()));
+    } catch (error) {
+      alert(`Could not load replay: ${error.message}`);
+    }
   };
 
   editorBtn.onclick = () => {
     window.location.href = 'editor.html';
   };
+
+  controlsBtn.onclick = () => {
+    mainMenu.classList.add('hidden');
+    controlsSettings.show();
+  };
+}
+
+/**
+ * Show the race setup screen, on the track the last setup used
+ * @param {string} mode - 'race' or 'timeTrial'
+ */
+async function openRaceSetup(mode) {
+  mainMenu.classList.add('hidden');
+  raceConfig = { ...raceConfig, mode };
+
+  if (raceConfig.trackId && raceConfig.trackId !== selectedTrack.id) {
+    const bundled = BUNDLED_TRACKS.find(track => track.id === raceConfig.trackId);
+    try {
+      const entry = bundled ?? await trackLibrary.get(raceConfig.trackId);
+      if (entry) await selectTrack(bundled ? { ...bundled, bundled: true } : entry);
+    } catch (error) {
+      console.warn('Could not load the last raced track:', error.message);
+    }
+  }
+
+  raceSetupScreen.show({ ...raceConfig, trackId: selectedTrack.id }, selectedTrack);
+}
+
+/**
+ * Pick the track the race setup uses (track select screen)
+ * @param {Object} entry - Library summary, or a bundled track
+ */
+async function selectTrack(entry) {
+  if (entry.bundled) {
+    selectedTrack = bundledSelection(entry);
+    return;
+  }
+
+  const trackData = await trackLibrary.loadTrack(entry.id);
+  if (!trackData) throw new Error('it is no longer in the library');
+  selectedTrack = { id: entry.id, name: entry.name, trackData, libraryId: entry.id, thumbnail: entry.thumbnail };
+}
+
+function bundledSelection(track) {
+  return {
+    id: track.id,
+    name: track.name,
+    trackData: track.trackData,
+    libraryId: null,
+    thumbnail: TrackThumbnail.render(TrackFile.load(track.trackData))
+  };
 }
 
 /**
  * Start the game
+ * @param {Object|null} customTrackData - Track to race on (testTrack if null)
+ * @param {Object} options - RaceConfig (mode, laps, cpuCount, difficulty, kart, renderMode), plus:
+ * @param {string|null} [options.libraryId] - Track library entry to record the player's laps on
  */
-function startGame(customTrackData = null) {
+function startGame(customTrackData = null, options = {}) {
   cleanupGame();
+  const config = RaceConfig.normalize(options);
+  gameMode = config.mode;
+  lastGameOptions = options;
 
   // Hide main menu
   mainMenu.classList.add('hidden');
 
   // Sync render config
+  renderMode = config.renderMode;
   RenderConfig.setMode(renderMode);
 
   // Create renderer
@@ -101,29 +297,27 @@ function startGame(customTrackData = null) {
   });
   document.body.appendChild(renderer.getDomElement());
 
+  // One seed for the bots and the item rolls, so a seed replays the race
+  const seed = config.seed ?? randomSeed();
+
   // Create game instance
   game = new Game(renderer.scene, {
     wallSlideSpeedPenalty: 0.7,
-    wallStopSpeedPenalty: 0.5
+    wallStopSpeedPenalty: 0.5,
+    laps: config.laps,
+    // Time trials are pure driving
+    items: gameMode === 'timeTrial' ? false : { random: createRandom(streamSeed(seed, 'items')) }
   });
 
   // Create input manager
-  const inputManager = new InputManager();
+  const inputManager = new InputManager({ bindings: inputBindings });
   game.setInputManager(inputManager);
 
   // Create track (use custom track if provided, otherwise use testTrack)
-  const trackData = customTrackData || testTrack;
+  const trackData = customTrackData || TrackFile.load(testTrack);
   lastTrackData = trackData;
   currentTrackName = trackData.name || 'Track';
-  const track = new Track(renderer.scene, {
-    tileSize: trackData.tileSize ?? 5,
-    trackData: trackData.layout,
-    checkpointsData: trackData.checkpoints || [],
-    objectsData: trackData.objects || [],
-    skyboxId: trackData.skybox || 'default',
-    waypointsData: trackData.waypoints || [],
-    renderMode
-  });
+  const track = Track.fromData(renderer.scene, trackData, { renderMode });
   game.setTrack(track);
 
   // Get start position from track
@@ -133,90 +327,31 @@ function startGame(customTrackData = null) {
   const player = new Kart(renderer.scene, {
     id: 'player',
     isPlayer: true,
-    color: 0xff5555,
+    color: config.kartColor,
     mode: 'prototype',
     renderMode,
-    modelVariant: 'ferrari'
+    modelVariant: config.kartModel
   });
-  player.pos.copy(startTransform.position);
-  player.heading = startTransform.heading;
-  player.mesh.position.copy(player.pos);
-  player.mesh.rotation.y = player.heading;
+  player.reset(startTransform.position, startTransform.heading);
   game.setPlayer(player);
 
-  // Create CPU karts
-  const directionField = track.getDirectionField();
-  const cpuColors = [0x3a86ff, 0xff006e, 0x06ffa5, 0xffbe0b, 0x8338ec, 0xfb5607, 0x06d6a0];
-  for (let i = 0; i < cpuColors.length; i++) {
-    // Make bots visibly different: large stat spread and alternating models
-    const maxSpeed = 15 + Math.random() * 65; // 15-80
-    const acceleration = 8 + Math.random() * 55; // 8-63
-    const turnSpeed = 0.8 + Math.random() * 1.8; // 0.8-2.6
-    const color = cpuColors[i % cpuColors.length];
-    const variant = 'audi'; // keep all CPUs on the same model for consistent lift
-
-    const cpuKart = new Kart(renderer.scene, {
-      id: `cpu-${i + 1}`,
-      isPlayer: false,
-      color,
-      mode: 'prototype',
-      renderMode,
-      maxSpeed,
-      acceleration,
-      turnSpeed,
-      modelVariant: variant
-    });
-
-    // Offset spawn positions along the start line (stay on grid but spread laterally/longitudinally)
-    const spacing = (track.tileSize || 10);
-    const lateral = (Math.random() - 0.5) * spacing * 4; // spread left/right across the line
-    const back = (i + Math.random() * 0.8) * spacing * 2; // stagger back along the heading
-    const offset = new THREE.Vector3(lateral, 0, -back);
-    const rotatedOffset = new THREE.Vector3(
-      offset.x * Math.cos(startTransform.heading) - offset.z * Math.sin(startTransform.heading),
-      0,
-      offset.x * Math.sin(startTransform.heading) + offset.z * Math.cos(startTransform.heading)
-    );
-    cpuKart.pos.copy(startTransform.position).add(rotatedOffset);
-    cpuKart.heading = startTransform.heading;
-    cpuKart.mesh.position.copy(cpuKart.pos);
-    cpuKart.mesh.rotation.y = cpuKart.heading;
-
-    if (directionField) {
-      cpuKart.aiDriver = new WaypointAI(cpuKart, directionField, {
-        targetDistance: 6 + Math.random() * 16,      // 6-22
-        updateInterval: 4 + Math.floor(Math.random() * 10), // 4-13 frames
-        steeringStrength: 0.6 + Math.random() * 1.0, // 0.6-1.6
-        maxSpeed: 0.4 + Math.random() * 2.0,         // throttle scale 0.4-2.4
-        minSpeed: 0.1 + Math.random() * 0.8          // 0.1-0.9
-      });
-    } else {
-      cpuKart.aiDriver = new CpuDriver({
-        targetSpeedFactor: 0.3 + Math.random() * 1.2, // 0.3-1.5
-        cornerSlowdownAngle: 1.0
-      });
-    }
-
-    game.addKart(cpuKart);
+  // Create CPU karts (time trial is solo)
+  if (gameMode !== 'timeTrial') {
+    createCpuKarts(track, startTransform, config, seed);
   }
 
   // Create chase camera
-  chaseCamera = new Camera(renderer.camera, {
-    distance: 12,
-    height: 8,
-    lookAhead: 5,
-    smoothSpeed: 6.0,
-    rotationSpeed: 5.0
-  });
+  chaseCamera = createChaseCamera();
   chaseCamera.reset(player);
   game.setCamera(chaseCamera);
 
-  // Setup keyboard controls
-  setupControls();
-
   // Setup event listeners
   setupEventListeners();
 
+  if (gameMode === 'timeTrial') {
+    setupTimeTrial(player);
+  }
+
   modeBtn.style.display = 'inline-block';
   updateModeButton();
 
@@ -253,6 +388,10 @@ function startGame(customTrackData = null) {
   document.body.appendChild(returnBtn);
   returnBtnEl = returnBtn;
 
+  // Record the whole race for the replay (after our own listeners, before the grid)
+  raceRecorder = new RaceRecorder(game, { trackData });
+  raceRecorder.start();
+
   // Start game
   game.start();
 
@@ -323,72 +462,301 @@ function toggleAISteeringVisualization() {
 }
 
 /**
- * Setup keyboard controls
+ * Add CPU opponents on a staggered grid behind the start line
+ * @param {Track} track
+ * @param {Object} startTransform
+ * @param {Object} config - RaceConfig (cpuCount, difficulty, kartColor)
+ * @param {number} seed - Race seed (RaceConfig's, or a fresh one)
  */
-function setupControls() {
-  if (keydownHandler) return;
-
-  keydownHandler = (e) => {
-    if (!game) return;
-    const key = e.key.toLowerCase();
-
-    // Toggle debug vectors (V key)
-    if (key === 'v' && game.player) {
-      const currentlyVisible = game.player.debugVectors.heading.visible;
-      game.player.toggleDebugVectors(!currentlyVisible);
-      console.log('Debug vectors:', !currentlyVisible ? 'ON' : 'OFF');
+function createCpuKarts(track, startTransform, config, seed) {
+  const directionField = track.getDirectionField();
+  track.getRacingLine(); // Solve now instead of on the first AI tick after GO
+  const bots = CpuDifficulty.createBots(config.difficulty, config.cpuCount, seed);
+  console.log(`🤖 ${bots.length} CPU(s) at ${config.difficulty}, seed ${seed}`);
+
+  // Grid spread comes from the race seed too, so a seed replays the whole
+  // start; its own stream, so grid slots aren't tied to the bots' skills
+  const gridRandom = createRandom(streamSeed(seed, 'grid'));
+
+  // Everyone else's colours, in order, skipping the player's
+  const cpuColors = [...KART_COLORS.filter(color => color !== config.kartColor), 0x06d6a0];
+  bots.forEach((bot, i) => {
+    const color = cpuColors[i % cpuColors.length];
+    const variant = 'audi'; // keep all CPUs on the same model for consistent lift
+
+    const cpuKart = new Kart(renderer.scene, {
+      id: `cpu-${i + 1}`,
+      isPlayer: false,
+      color,
+      mode: 'prototype',
+      renderMode,
+      ...bot.kart,
+      modelVariant: variant
+    });
+
+    // Offset spawn positions along the start line (stay on grid but spread laterally/longitudinally)
+    const spacing = (track.tileSize || 10);
+    const lateral = (gridRandom() - 0.5) * spacing * 4; // spread left/right across the line
+    const back = (i + gridRandom() * 0.8) * spacing * 2; // stagger back along the heading
+    const offset = new THREE.Vector3(lateral, 0, -back);
+    const rotatedOffset = new THREE.Vector3(
+      offset.x * Math.cos(startTransform.heading) - offset.z * Math.sin(startTransform.heading),
+      0,
+      offset.x * Math.sin(startTransform.heading) + offset.z * Math.cos(startTransform.heading)
+    );
+    cpuKart.reset(startTransform.position.clone().add(rotatedOffset), startTransform.heading);
+
+    cpuKart.aiDriver = directionField
+      ? new WaypointAI(cpuKart, directionField, bot.waypoint)
+      : new CpuDriver(bot.cpu);
+
+    game.addKart(cpuKart);
+  });
+}
+
+/**
+ * Time trial: record every lap, keep the best per track and race its ghost
+ */
+function setupTimeTrial(player) {
+  ghostPlayer = new GhostPlayer(renderer.scene, ghostStore.load(currentTrackName), { renderMode });
+  ghostRecorder = new GhostRecorder(game, player, { trackName: currentTrackName });
+  ghostRecorder.start();
+
+  eventBus.on('ghost-lap-recorded', ({ lapTime, ghost }) => {
+    if (ghostStore.submit(ghost)) {
+      console.log(`New best ghost: ${lapTime.toFixed(2)}s`);
+      ghostPlayer.setGhost(ghost);
     }
+  });
 
-    // Toggle checkpoint visibility (H key for "hitboxes")
-    if (key === 'h' && game.track && game.track.checkpointSystem) {
-      const checkpointSystem = game.track.checkpointSystem;
-      const currentlyVisible = checkpointSystem.checkpoints.length > 0 && checkpointSystem.checkpoints[0].mesh.visible;
-      checkpointSystem.setCheckpointsVisible(!currentlyVisible);
-      console.log('Checkpoint visibility:', !currentlyVisible ? 'ON' : 'OFF');
+  game.onUpdate(() => {
+    if (!ghostPlayer) return;
+    const race = game.race;
+    if (race.phase === RacePhase.GRID || race.phase === RacePhase.COUNTDOWN) {
+      ghostPlayer.update(0);
+    } else if (race.isLive) {
+      // Karts render one tick behind the sim (interpolated), so match that
+      const renderTime = game.simTime - game.fixedTimeStep + game.accumulator;
+      ghostPlayer.update(game.track.checkpointSystem.getCurrentLapTime(player.id, renderTime));
+    } else {
+      ghostPlayer.update(null);
     }
+  });
+}
+
+/**
+ * Chase camera used for racing and replays
+ */
+function createChaseCamera() {
+  return new Camera(renderer.camera, {
+    distance: 12,
+    height: 8,
+    lookAhead: 5,
+    smoothSpeed: 6.0,
+    rotationSpeed: 5.0
+  });
+}
+
+/**
+ * Play a recorded race back (after the finish, or from a replay file)
+ * @param {Object} replay - From RaceRecorder.getReplay() or ReplayFile.parse()
+ */
+function startReplay(replay) {
+  cleanupGame();
+  mainMenu.classList.add('hidden');
+  RenderConfig.setMode(renderMode);
 
-    // Toggle direction field visualization (F key for "field")
-    if (key === 'f' && game.track) {
-      toggleDirectionFieldVisualization();
+  renderer = new Renderer({
+    antialias: false,
+    shadows: true,
+    backgroundColor: 0x87CEEB // Sky blue
+  });
+  document.body.appendChild(renderer.getDomElement());
+
+  currentTrackName = replay.track;
+  replayTrack = Track.fromData(renderer.scene, replay.trackData, { renderMode });
+  replayPlayer = new ReplayPlayer(renderer.scene, replay, {
+    renderMode,
+    onEvent: (name, data, time) => {
+      const text = formatReplayEvent(name, data);
+      if (text) replayLog = [...replayLog.slice(-19), { time, text }];
     }
+  });
+
+  // Start on the player's kart
+  const kartIndex = Math.max(0, replay.karts.findIndex(kart => kart.isPlayer));
+  chaseCamera = createChaseCamera();
+  chaseCamera.reset(replayPlayer.karts[kartIndex]);
 
-    // Toggle AI target visualization (T key for "target")
-    if (key === 't') {
+  modeBtn.style.display = 'inline-block';
+  updateModeButton();
+
+  replayControls.show(replayPlayer, kartIndex);
+  replayClock = new THREE.Clock();
+  startRenderLoop();
+}
+
+/**
+ * One render frame of replay playback
+ */
+function updateReplayFrame() {
+  const delta = Math.min(replayClock.getDelta(), 0.25);
+  replayPlayer.advance(delta);
+  replayControls.update();
+
+  if (replayControls.freeCamera) {
+    renderer.updateOrbitControls();
+  } else {
+    chaseCamera.update(delta, replayPlayer.karts[replayControls.kartIndex]);
+  }
+
+  updateReplayHUD();
+  renderer.render();
+}
+
+/**
+ * Free camera orbits around the watched kart; chase snaps back behind it
+ */
+function setReplayFreeCamera(enabled) {
+  const kart = replayPlayer.karts[replayControls.kartIndex];
+  renderer.setOrbitControls(enabled);
+  if (enabled) {
+    renderer.orbitControls.target.copy(kart.renderPos);
+  } else {
+    chaseCamera.reset(kart);
+  }
+}
+
+function updateReplayHUD() {
+  const index = replayControls.kartIndex;
+  const kart = replayPlayer.replay.karts[index];
+  const state = replayPlayer.getKartState(index);
+  const status = (state.isDrifting ? ' [DRIFT]' : '') +
+    (state.boostActive ? ' [BOOST]' : '') +
+    (state.isSpinningOut ? ' [SPIN]' : '');
+
+  // Events from the last few seconds (scrubbing back hides later ones)
+  const time = replayPlayer.time;
+  const recent = replayLog.filter(entry => entry.time <= time && entry.time > time - 5);
+
+  hudEl.textContent =
+    `=== REPLAY: ${currentTrackName.toUpperCase()} ===\n` +
+    `Watching: ${kart.isPlayer ? 'You' : kart.id}\n` +
+    `Speed: ${state.speed.toFixed(1)} m/s${status}\n` +
+    `Playback: ${replayPlayer.isPlaying ? `${replayPlayer.speed}×` : 'PAUSED'}\n` +
+    `\n` +
+    recent.map(entry => `${entry.time.toFixed(1)}s  ${entry.text}\n`).join('') +
+    `\n` +
+    `Space - Play/Pause\n` +
+    `←/→ - Skip 5s\n` +
+    `[/] - Slower/Faster\n` +
+    `Tab - Next kart\n` +
+    `F - Free camera\n` +
+    `Esc - Exit`;
+}
+
+/**
+ * HUD line for a recorded event, or null to leave it out
+ */
+function formatReplayEvent(name, data) {
+  switch (name) {
+    case 'race-countdown':
+      return data.count > 0 ? `${data.count}...` : 'GO!';
+    case 'lap-completed':
+      return `${data.kartId} lap ${data.lapNumber}: ${data.lapTime.toFixed(2)}s`;
+    case 'kart-finished':
+      return `${data.kartId} finished ${formatPosition(data.position)}`;
+    case 'kart-collision':
+      return `${data.kartA} bumped ${data.kartB}`;
+    case 'kart-spin-out':
+      return `${data.kartId} spun out`;
+    case 'wall-hit':
+      return `${data.kartId} hit a wall`;
+    case 'boost-activated':
+      return `${data.kartId} boost!`;
+    case 'item-used':
+      return `${data.kartId} used ${getItem(data.item)?.name ?? data.item}`;
+    case 'item-hit':
+      return data.blocked
+        ? `${data.kartId} blocked a ${getItem(data.item)?.name ?? data.item}`
+        : `${data.kartId} hit by ${getItem(data.item)?.name ?? data.item}`;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Run a press action from the keyboard or gamepad (see InputBindings)
+ */
+function handleInputAction(action) {
+  if (!game) return;
+
+  switch (action) {
+    case 'debugVectors':
+      if (game.player) {
+        const currentlyVisible = game.player.debugVectors.heading.visible;
+        game.player.toggleDebugVectors(!currentlyVisible);
+        console.log('Debug vectors:', !currentlyVisible ? 'ON' : 'OFF');
+      }
+      break;
+
+    case 'checkpoints':
+      if (game.track && game.track.checkpointSystem) {
+        const checkpointSystem = game.track.checkpointSystem;
+        const currentlyVisible = checkpointSystem.checkpoints.length > 0 && checkpointSystem.checkpoints[0].mesh.visible;
+        checkpointSystem.setCheckpointsVisible(!currentlyVisible);
+        console.log('Checkpoint visibility:', !currentlyVisible ? 'ON' : 'OFF');
+      }
+      break;
+
+    case 'directionField':
+      if (game.track) {
+        toggleDirectionFieldVisualization();
+      }
+      break;
+
+    case 'aiTarget':
       toggleAITargetVisualization();
-    }
+      break;
 
-    // Toggle AI steering visualization (G key for "steering")
-    if (key === 'g') {
+    case 'aiSteering':
       toggleAISteeringVisualization();
-    }
+      break;
 
-    // Toggle camera mode (C key)
-    if (key === 'c' && chaseCamera) {
-      if (chaseCamera.currentMode === 'chase') {
-        chaseCamera.setMode('orbit');
-        renderer.setOrbitControls(true);
-        console.log('Camera: ORBIT (free look)');
-      } else {
-        chaseCamera.setMode('chase');
-        renderer.setOrbitControls(false);
-        console.log('Camera: CHASE');
-      }
-    }
+    case 'camera':
+      toggleCameraMode();
+      break;
 
-    // Reset kart (R key)
-    if (key === 'r') {
+    case 'reset':
       game.resetPlayer();
       console.log('Player reset');
-    }
+      break;
 
-    // Toggle CPU debug visuals (B key)
-    if (key === 'b') {
+    case 'cpuDebug':
       cpuDebugVisible = !cpuDebugVisible;
       toggleCpuDebug(cpuDebugVisible);
-    }
-  };
+      break;
+
+    default:
+      break;
+  }
+}
+
+/**
+ * Switch between chase and orbit (free look) camera
+ */
+function toggleCameraMode() {
+  if (!chaseCamera) return;
 
-  window.addEventListener('keydown', keydownHandler);
+  if (chaseCamera.currentMode === 'chase') {
+    chaseCamera.setMode('orbit');
+    renderer.setOrbitControls(true);
+    console.log('Camera: ORBIT (free look)');
+  } else {
+    chaseCamera.setMode('chase');
+    renderer.setOrbitControls(false);
+    console.log('Camera: CHASE');
+  }
 }
 
 /**
@@ -398,6 +766,9 @@ function setupEventListeners() {
   // Avoid duplicate listeners across restarts
   eventBus.clear();
 
+  // Bound keys / gamepad buttons for reset, camera and debug toggles
+  eventBus.on('input-action', ({ action }) => handleInputAction(action));
+
   eventBus.on('boost-activated', (data) => {
     console.log('Boost activated!', data);
   });
@@ -420,20 +791,77 @@ function setupEventListeners() {
 
   eventBus.on('lap-completed', (data) => {
     console.log(`Lap ${data.lapNumber} completed! Time: ${data.lapTime.toFixed(2)}s`);
+    if (data.kartId === 'player' && lastGameOptions.libraryId) {
+      trackLibrary.addRecord(lastGameOptions.libraryId, { lapTime: data.lapTime, mode: gameMode })
+        .then(isBest => isBest && console.log(`New track record: ${data.lapTime.toFixed(2)}s`))
+        .catch(error => console.warn('Could not save lap record:', error.message));
+    }
+  });
+
+  eventBus.on('race-countdown', (data) => {
+    showCountdown(data.count > 0 ? String(data.count) : 'GO!', data.count === 0 ? 1000 : null);
   });
 
   eventBus.on('race-won', (data) => {
-    const winText = data.kartId === 'player' ? 'You win!' : `${data.kartId} wins!`;
-    showWinModal(winText);
+    console.log(`${data.kartId} wins!`);
+  });
+
+  eventBus.on('kart-finished', (data) => {
+    console.log(`${data.kartId} finished P${data.position} in ${data.totalTime.toFixed(2)}s`);
+    if (data.kartId === 'player') {
+      showCountdown(`${formatPosition(data.position)}!`, 2500);
+    }
+  });
+
+  eventBus.on('race-finished', (data) => {
+    const player = data.results.find(r => r.isPlayer);
+    let headline = 'Race over';
+    if (player?.finished) {
+      headline = player.position === 1 ? 'You win!' : `You finished ${formatPosition(player.position)}`;
+    } else if (player) {
+      headline = 'Did not finish';
+    }
+    showWinModal(headline, data.results);
   });
 }
 
+/**
+ * Show a big centered message (countdown, finish position)
+ * @param {string} text
+ * @param {number|null} hideAfterMs - Auto-hide delay, or null to keep showing
+ */
+function showCountdown(text, hideAfterMs = null) {
+  if (!countdownEl) return;
+  clearTimeout(countdownHideTimer);
+  countdownEl.textContent = text;
+  countdownEl.style.display = 'block';
+  if (hideAfterMs !== null) {
+    countdownHideTimer = setTimeout(() => {
+      countdownEl.style.display = 'none';
+    }, hideAfterMs);
+  }
+}
+
+/**
+ * 1 -> "1st", 2 -> "2nd", ...
+ */
+function formatPosition(position) {
+  const mod100 = position % 100;
+  if (mod100 >= 11 && mod100 <= 13) return `${position}th`;
+  const suffix = { 1: 'st', 2: 'nd', 3: 'rd' }[position % 10] ?? 'th';
+  return `${position}${suffix}`;
+}
+
 /**
  * Main animation loop
  */
 function animate() {
   if (!isAnimating) return;
   animationFrameId = requestAnimationFrame(animate);
+  if (replayPlayer) {
+    updateReplayFrame();
+    return;
+  }
   if (!game || !renderer) return;
 
   // Update game logic
@@ -495,6 +923,8 @@ function cleanupGame() {
   stopRenderLoop();
 
   if (winModalEl) winModalEl.style.display = 'none';
+  clearTimeout(countdownHideTimer);
+  if (countdownEl) countdownEl.style.display = 'none';
 
   // Remove debug visuals from the old scene (if any)
   if (renderer?.scene) {
@@ -518,6 +948,22 @@ function cleanupGame() {
     renderer.destroy?.();
   }
 
+  game?.inputManager?.destroy();
+
+  ghostRecorder?.stop();
+  ghostPlayer?.destroy();
+  ghostRecorder = null;
+  ghostPlayer = null;
+
+  raceRecorder?.stop();
+  raceRecorder = null;
+  replayControls.hide();
+  replayPlayer?.destroy();
+  replayPlayer = null;
+  replayTrack = null;
+  replayClock = null;
+  replayLog = [];
+
   renderer = null;
   game = null;
   chaseCamera = null;
@@ -564,6 +1010,36 @@ function updateHUD() {
     }
   }
 
+  // Race phase and clock
+  let raceInfo = '';
+  if (game.race?.phase) {
+    const race = game.race;
+    raceInfo = `Race: ${race.phase.toUpperCase()} | ${race.laps} laps`;
+    if (race.phase !== RacePhase.GRID && race.phase !== RacePhase.COUNTDOWN) {
+      raceInfo += ` | Time: ${race.getRaceTime().toFixed(2)}s`;
+    }
+    raceInfo += '\n';
+
+    const place = game.standings.getPosition(player.id);
+    if (place !== null && race.phase !== RacePhase.GRID && race.phase !== RacePhase.COUNTDOWN) {
+      raceInfo += `Position: ${formatPosition(place)} / ${game.karts.length}\n`;
+    }
+  }
+
+  // Time trial ghost to beat
+  if (gameMode === 'timeTrial') {
+    const ghost = ghostPlayer?.ghost;
+    raceInfo += `Time Trial | Ghost: ${ghost ? `${ghost.lapTime.toFixed(2)}s` : 'none yet'}\n`;
+  }
+
+  // Item slot
+  if (game.items) {
+    const item = getItem(game.items.getItem(player.id));
+    const shield = game.items.getShieldTime(player.id);
+    raceInfo += `Item: ${item ? `${item.icon} ${item.name}` : '—'}`;
+    raceInfo += shield > 0 ? ` | Shield ${shield.toFixed(1)}s\n` : '\n';
+  }
+
   // Checkpoint and lap info
   let checkpointInfo = '';
   if (game.track && game.track.checkpointSystem) {
@@ -579,11 +1055,10 @@ function updateHUD() {
 
       checkpointInfo += `Lap: ${lapNum} | Checkpoint: ${currentCp}/${totalCps} (${progressPct}%)\n`;
 
-      // Current lap time
+      // Current lap time (simulation clock, so it matches recorded lap times)
       if (lapTimes) {
-        const kartState = cpSystem.kartStates.get(player.id);
-        if (kartState && kartState.lapStartTime > 0) {
-          const currentLapTime = (performance.now() - kartState.lapStartTime) / 1000;
+        const currentLapTime = cpSystem.getCurrentLapTime(player.id, game.simTime);
+        if (currentLapTime !== null) {
           checkpointInfo += `Current Lap: ${currentLapTime.toFixed(2)}s\n`;
         }
 
@@ -603,32 +1078,34 @@ function updateHUD() {
   hudEl.textContent =
     `=== ${currentTrackName?.toUpperCase?.() || 'TRACK'} ===\n` +
     `Speed: ${speed} m/s${driftStatus}${boostStatus}\n` +
-    `Position: (${player.pos.x.toFixed(1)}, ${player.pos.z.toFixed(1)})\n` +
+    `Location: (${player.pos.x.toFixed(1)}, ${player.pos.z.toFixed(1)})\n` +
     `Heading: ${(player.heading * 180 / Math.PI).toFixed(0)}°\n` +
     `${surfaceInfo}\n` +
+    raceInfo +
     checkpointInfo +
     (player.isDrifting ? `Drift Angle: ${driftAngleDisplay}°\n` : ``) +
     (player.isDrifting ? `Drift: [${driftMeter}]${driftColor}\n` : ``) +
     `Camera: ${cameraMode}\n` +
     `\n` +
     `Controls:\n` +
-    `W/↑ - Throttle\n` +
-    `S/↓ - Brake\n` +
-    `A/← - Steer Left\n` +
-    `D/→ - Steer Right\n` +
-    `SPACE/SHIFT - Drift\n` +
-    `C - Toggle Camera Mode\n` +
-    `V - Toggle Debug Vectors\n` +
-    `F - Toggle Direction Field\n` +
-    `T - Toggle AI Target\n` +
-    `G - Toggle AI Steering\n` +
-    `H - Toggle Checkpoints\n` +
-    `R - Reset Kart\n` +
+    formatControlsHelp() +
     `\n` +
     `Green arrow = Heading\n` +
     `Red arrow = Movement`;
 }
 
+/**
+ * HUD controls list from the active binding profile
+ */
+function formatControlsHelp() {
+  return Object.entries(InputActions)
+    .map(([action, { label }]) => {
+      const keys = inputBindings.getKeys(action).map(formatKey).join('/');
+      return keys ? `${keys} - ${label}\n` : '';
+    })
+    .join('');
+}
+
 function updateModeButton() {
   modeBtn.textContent = `Mode: ${renderMode === 'prototype' ? 'Prototype' : 'Full'}`;
 }
@@ -658,6 +1135,10 @@ modeBtn?.addEventListener('click', () => {
       }
     }
   }
+  ghostPlayer?.kart.setRenderMode(renderMode);
+  replayTrack?.setRenderMode(renderMode);
+  replayPlayer?.karts.forEach(kart => kart.setRenderMode(renderMode));
+  lastGameOptions = { ...lastGameOptions, renderMode }; // Restart keeps it
   updateModeButton();
 });
 
@@ -669,23 +1150,51 @@ resetBtn?.addEventListener('pointerdown', (e) => {
   game?.resetPlayer();
 });
 
-function showWinModal(text) {
+function showWinModal(text, results = []) {
   if (!winModalEl) {
     winModalEl = document.getElementById('win-modal');
     winTextEl = document.getElementById('win-text');
+    resultsTableEl = document.getElementById('results-table');
   }
   if (winTextEl) {
     winTextEl.textContent = text;
   }
+  if (resultsTableEl) {
+    renderResultsTable(results);
+  }
   if (winModalEl) {
     winModalEl.style.display = 'flex';
   }
 }
 
+/**
+ * Fill the results table: position, kart, total time, best lap, gap
+ */
+function renderResultsTable(results) {
+  const formatTime = (t) => (t === null ? '--' : `${t.toFixed(2)}s`);
+  const header = '<tr><th>Pos</th><th>Kart</th><th>Time</th><th>Best Lap</th><th>Gap</th></tr>';
+  const rows = results.map((r) => {
+    const name = r.isPlayer ? 'You' : r.kartId;
+    const time = r.dnf ? 'DNF' : formatTime(r.totalTime);
+    const gap = r.gap === null ? '--' : (r.gap === 0 ? '-' : `+${r.gap.toFixed(2)}s`);
+    return `<tr class="${r.isPlayer ? 'player' : ''}">` +
+      `<td>${r.position}</td><td>${name}</td><td>${time}</td>` +
+      `<td>${formatTime(r.bestLap)}</td><td>${gap}</td></tr>`;
+  });
+  resultsTableEl.innerHTML = header + rows.join('');
+}
+
 winRestartBtn?.addEventListener('click', () => {
   if (winModalEl) winModalEl.style.display = 'none';
   cleanupGame();
-  startGame(lastTrackData);
+  startGame(lastTrackData, lastGameOptions);
+});
+
+winReplayBtn?.addEventListener('click', () => {
+  const replay = raceRecorder?.getReplay();
+  if (!replay) return;
+  if (winModalEl) winModalEl.style.display = 'none';
+  startReplay(replay);
 });
 
 winMenuBtn?.addEventListener('click', () => {
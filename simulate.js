@@ -0,0 +1,70 @@
+/**
+ * Headless race simulator CLI
+ *
+ * Runs a full CPU race in Node (no browser, no WebGL) and prints the
+ * results as JSON on stdout. Game logs go to stderr.
+ *
+ *   node --experimental-default-type=module simulate.js [track.json] [options]
+ *
+ * Options:
+ *   --laps <n>        Laps to race (default 3)
+ *   --cpus <n>        Number of CPU karts (default 4)
+ *   --driver <name>   auto | cpu | waypoint (default auto)
+ *   --difficulty <t>  CPU tier: 50cc | 100cc | 150cc (default: plain stats, no mistakes)
+ *   --seed <n>        Seed for the tier's skill spread, mistakes and item rolls (default 1)
+ *   --max-time <s>    Simulated seconds before giving up (default 600)
+ *   --replay <file>   Save a replay of the race (load it from the main menu)
+ *   --quiet           Drop game logs instead of sending them to stderr
+ */
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { RaceSimulator } from './src/core/RaceSimulator.js';
+import { ReplayFile } from './src/replay/ReplayFile.js';
+import { TrackFile } from './src/track/TrackFile.js';
+import { testTrack } from './src/track/tracks/testTrack.js';
+
+function parseArgs(argv) {
+  const args = { trackPath: null, laps: 3, cpus: 4, driver: 'auto', difficulty: null, seed: 1, maxTime: 600, replayPath: null, quiet: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--laps') args.laps = Number(argv[++i]);
+    else if (arg === '--cpus') args.cpus = Number(argv[++i]);
+    else if (arg === '--driver') args.driver = argv[++i];
+    else if (arg === '--difficulty') args.difficulty = argv[++i];
+    else if (arg === '--seed') args.seed = Number(argv[++i]);
+    else if (arg === '--max-time') args.maxTime = Number(argv[++i]);
+    else if (arg === '--replay') args.replayPath = argv[++i];
+    else if (arg === '--quiet') args.quiet = true;
+    else if (!arg.startsWith('--')) args.trackPath = arg;
+    else throw new Error(`Unknown option: ${arg}`);
+  }
+  return args;
+}
+
+const args = parseArgs(process.argv.slice(2));
+
+// Keep stdout clean for the JSON result
+console.log = args.quiet ? () => {} : (...parts) => console.error(...parts);
+
+const trackData = args.trackPath
+  ? TrackFile.parse(readFileSync(args.trackPath, 'utf8'))
+  : TrackFile.load(testTrack);
+
+const simulator = new RaceSimulator(trackData, {
+  laps: args.laps,
+  cpuCount: args.cpus,
+  driver: args.driver,
+  difficulty: args.difficulty,
+  seed: args.seed,
+  maxTime: args.maxTime,
+  record: args.replayPath !== null
+});
+
+const results = simulator.run();
+if (args.replayPath && simulator.replay) {
+  writeFileSync(args.replayPath, ReplayFile.serialize(simulator.replay));
+}
+simulator.destroy();
+
+process.stdout.write(JSON.stringify(results, null, 2) + '\n');
+process.exitCode = results.completed ? 0 : 1;
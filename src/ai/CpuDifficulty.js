@@ -0,0 +1,109 @@
+import { createRandom } from '../utils/Random.js';
+
+/**
+ * CpuDifficulty - Named CPU tiers and per-bot skill
+ *
+ * Each tier sets the CPU kart stats (the player's kart is maxSpeed 60,
+ * acceleration 30, turnSpeed 1.25), the parameters for both drivers
+ * (WaypointAI and CpuDriver), how hard they block the player
+ * (KartAvoidance), how often they drift-boost (DriftPlanner) and how often
+ * bots make mistakes.
+ *
+ * Within a tier every bot gets a skill between -1 and 1, evenly spaced
+ * across the field so there is always a leader and a tail-ender but no
+ * outliers. Skill scales kart stats by up to ±`spread` and mistakes by
+ * up to ±50%. The seed decides which bot gets which skill and drives each
+ * bot's mistakes, so the same seed gives the same bots making the same
+ * mistakes.
+ */
+
+export const DIFFICULTIES = {
+  '50cc': {
+    label: '50cc',
+    kart: { maxSpeed: 44, acceleration: 22, turnSpeed: 1.2 },
+    waypoint: { targetDistance: 12, updateInterval: 8, steeringStrength: 0.75, maxSpeed: 0.85 },
+    cpu: { targetSpeedFactor: 0.85, cornerSlowdownAngle: 1.0 },
+    avoidance: { defendRange: 0 },
+    drift: { usage: 0.2 },
+    mistakesPerMinute: 6,
+    spread: 0.08
+  },
+  '100cc': {
+    label: '100cc',
+    kart: { maxSpeed: 52, acceleration: 26, turnSpeed: 1.25 },
+    waypoint: { targetDistance: 10, updateInterval: 6, steeringStrength: 0.8, maxSpeed: 0.95 },
+    cpu: { targetSpeedFactor: 0.95, cornerSlowdownAngle: 1.1 },
+    avoidance: { defendRange: 10, defendOffset: 2 },
+    drift: { usage: 0.6 },
+    mistakesPerMinute: 3,
+    spread: 0.06
+  },
+  '150cc': {
+    label: '150cc',
+    kart: { maxSpeed: 60, acceleration: 30, turnSpeed: 1.3 },
+    waypoint: { targetDistance: 10, updateInterval: 4, steeringStrength: 0.85, maxSpeed: 1.0 },
+    cpu: { targetSpeedFactor: 1.0, cornerSlowdownAngle: 1.2 },
+    avoidance: { defendRange: 15, defendOffset: 3 },
+    drift: { usage: 1 },
+    mistakesPerMinute: 1,
+    spread: 0.04
+  }
+};
+
+export class CpuDifficulty {
+  /**
+   * Kart and driver settings for a field of CPU bots
+   * @param {string} difficulty - Key of DIFFICULTIES
+   * @param {number} count - Number of bots
+   * @param {number} seed - Race seed
+   * @returns {Array<Object>} Per bot: { skill, kart, waypoint, cpu }; `waypoint`
+   *   and `cpu` are options for WaypointAI and CpuDriver (including their
+   *   seeded `random`, `mistakeRate`, `avoidance` and `drift`)
+   * @throws {Error} If the difficulty is unknown
+   */
+  static createBots(difficulty, count, seed) {
+    const tier = DIFFICULTIES[difficulty];
+    if (!tier) {
+      throw new Error(`Unknown difficulty "${difficulty}" (expected ${Object.keys(DIFFICULTIES).join(', ')})`);
+    }
+
+    const random = createRandom(seed);
+    const skills = shuffle(spreadSkills(count), random);
+
+    return skills.map(skill => {
+      const statScale = 1 + tier.spread * skill;
+      const mistakeRate = tier.mistakesPerMinute * (1 - 0.5 * skill);
+      // Each bot gets its own stream so one bot's mistakes don't shift another's
+      const mistakes = { mistakeRate, random: createRandom(Math.floor(random() * 4294967296)) };
+      const driver = { ...mistakes, avoidance: tier.avoidance, drift: tier.drift };
+
+      return {
+        skill,
+        kart: {
+          maxSpeed: tier.kart.maxSpeed * statScale,
+          acceleration: tier.kart.acceleration * statScale,
+          turnSpeed: tier.kart.turnSpeed
+        },
+        waypoint: { ...tier.waypoint, ...driver },
+        cpu: { ...tier.cpu, ...driver }
+      };
+    });
+  }
+}
+
+/**
+ * `count` skills evenly spaced from -1 to 1 (a lone bot is average)
+ */
+function spreadSkills(count) {
+  if (count <= 1) return Array(Math.max(count, 0)).fill(0);
+  return Array.from({ length: count }, (_, i) => -1 + (2 * i) / (count - 1));
+}
+
+function shuffle(items, random) {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
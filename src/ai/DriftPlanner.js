@@ -0,0 +1,250 @@
+/**
+ * DriftPlanner - Drift-boosts through the racing line's corners
+ *
+ * Picks the corners of the track's racing line (RacingLine.corners) where
+ * a drift-boost pays:
+ * - Long enough to charge a boost (the kart controller's driftBoostCharge
+ *   / driftChargeRate seconds, allowing `exitGrace` past the exit)
+ * - Drifting turns slower (driftTurnPenalty), so the corner must not cost
+ *   more than `maxTimeLoss` seconds at drift speeds; in practice that means
+ *   fast sweepers rather than hairpins
+ * - Left slower than the boost speed (a boost caps speed at boostSpeed)
+ * - Wide enough for the slide (RacingLine.freeWidth): outward on the way
+ *   in at the entry speed, and inward for `exitRunTime` after the exit,
+ *   where the kart comes out pointing into the corner at the boost speed.
+ *   Each slide is `slideTime` seconds at the driftOutwardPush angle
+ *
+ * On the way into one of them the driver may go for it (`usage` is the
+ * chance per corner, rolled from `random`):
+ * - Entry: `entryTime` seconds before the corner starts (ahead of the
+ *   apex), steering into the corner so the drift locks that way
+ * - Hold: drift input stays on and steering never drops below the drift
+ *   threshold, however the driver would steer
+ * - Exit: released once past the corner with the boost charged, or
+ *   `exitGrace` seconds after it regardless; bumps, jumps and spin-outs
+ *   end it early
+ *
+ * While a drift is on, drivers take their target speeds from
+ * speedLimits(), a speed profile for the drift turn rate. boostedSpeed()
+ * lets them use a boost (from a drift or a pad) instead of lifting.
+ *
+ * Drivers pass their inputs through apply() with their distance along
+ * the racing line (WaypointAI, CpuDriver).
+ */
+
+export class DriftPlanner {
+  /**
+   * @param {Object} options
+   * @param {number} [options.usage=1] - Chance of drifting each corner (0 = never)
+   * @param {number} [options.minCurvature=0.005] - Bends gentler than this are no corner
+   * @param {number} [options.maxTimeLoss=0.3] - Most seconds drifting a corner may cost
+   * @param {number} [options.settleTime=1] - Seconds of road needed after the release before the next corner
+   * @param {number} [options.entryTime=0.8] - Seconds before the corner to start drifting
+   *   (early, so the slide outward is over by the time the corner comes)
+   * @param {number} [options.exitGrace=0.4] - Seconds past the exit a drift may run on to charge
+   * @param {number} [options.minSpeed=8] - Slowest speed worth drifting at
+   * @param {number} [options.holdSteer=0.4] - Least steering held while drifting
+   * @param {number} [options.slideTime=0.4] - Seconds of sideways slide to leave room for at the entry and exit
+   * @param {number} [options.exitRunTime=1.2] - Seconds past the exit, at the boost speed, the road must stay wide
+   * @param {number} [options.roadMargin=2] - Room kept from the road's edge on top of the slide (kart radius)
+   * @param {Function} [options.random=Math.random] - Source of randomness (0-1)
+   */
+  constructor(options = {}) {
+    this.usage = options.usage ?? 1;
+    this.minCurvature = options.minCurvature ?? 0.005;
+    this.maxTimeLoss = options.maxTimeLoss ?? 0.3;
+    this.settleTime = options.settleTime ?? 1;
+    this.entryTime = options.entryTime ?? 0.8;
+    this.exitGrace = options.exitGrace ?? 0.4;
+    this.minSpeed = options.minSpeed ?? 8;
+    this.holdSteer = options.holdSteer ?? 0.4;
+    this.slideTime = options.slideTime ?? 0.4;
+    this.exitRunTime = options.exitRunTime ?? 1.2;
+    this.roadMargin = options.roadMargin ?? 2;
+    this.random = options.random ?? Math.random;
+
+    this.line = null;
+    this.track = null;
+    this.limitsKey = null;
+    this.driftLimits = null; // Kart limits with the drift turn rate (for RacingLine.speedAt)
+    this.corners = []; // Driftable corners of `line`, with entry/exit distances
+    this.considered = null; // Last corner rolled for (so each pass rolls once)
+    this.active = null; // Corner being drifted
+    this.timer = 0;
+  }
+
+  /**
+   * Start, hold or release a drift
+   * @param {Object} inputs - { throttle, brake, steer, drift } (changed in place)
+   * @param {Kart} kart
+   * @param {RacingLine|null} line
+   * @param {number} distance - The kart's distance along the line
+   * @param {number} delta - Seconds since the last tick
+   * @param {Track|null} [track=null] - Checked for room to slide at each corner (null = not checked)
+   * @returns {Object} The same inputs
+   */
+  apply(inputs, kart, line, distance, delta, track = null) {
+    inputs.drift = false;
+    if (this.usage <= 0 || !line) {
+      this.active = null;
+      return inputs;
+    }
+    this._plan(line, kart.controller, track);
+
+    const controller = kart.controller;
+    const upset = kart.isAirborne || kart.isSpinningOut || kart.speed < this.minSpeed;
+
+    if (this.active) {
+      this.timer += delta;
+      const corner = this.active;
+      const past = this._along(corner.entry, distance) >= corner.exit - corner.entry;
+      const charged = controller.driftCharge >= controller.driftBoostCharge;
+      const lost = this.timer > delta * 2 && !kart.isDrifting; // Knocked out of it
+      const overdue = this._along(corner.entry, distance) >= corner.release - corner.entry;
+      if (upset || lost || (past && charged) || overdue) {
+        this.active = null; // Letting go of drift releases the boost
+        return inputs;
+      }
+      return this._hold(inputs, corner);
+    }
+
+    const corner = this.corners.find(c => this._along(c.entry, distance) < c.exit - c.entry);
+    if (!corner) this.considered = null;
+    if (upset || !corner || corner === this.considered) return inputs;
+
+    this.considered = corner;
+    if (this.random() >= this.usage) return inputs;
+    this.active = corner;
+    this.timer = 0;
+    return this._hold(inputs, corner);
+  }
+
+  /**
+   * Limits to take racing line speeds from (see RacingLine.speedProfile)
+   * @param {ArcadeController} controller
+   * @returns {Object} The drift-turning limits while drifting, else the controller
+   */
+  speedLimits(controller) {
+    return this.active && this.driftLimits ? this.driftLimits : controller;
+  }
+
+  /**
+   * Target speed with a boost used: where the line only holds the kart to
+   * the surface's top speed, a boosting kart may go on to the boost speed
+   * @param {number} lineSpeed - Racing line speed here
+   * @param {Kart} kart
+   * @param {Track} track
+   * @returns {number}
+   */
+  boostedSpeed(lineSpeed, kart, track) {
+    if (!kart.boostActive) return lineSpeed;
+    const top = kart.controller.maxSpeed * track.getSpeedMultiplier(kart.pos);
+    return lineSpeed >= top - 0.5 ? Math.max(lineSpeed, kart.controller.boostSpeed) : lineSpeed;
+  }
+
+  _hold(inputs, corner) {
+    inputs.drift = true;
+    // Lock the drift into the corner; after that, counter-steer is fine as
+    // long as it stays over the drift threshold. Into the corner it's full
+    // lock: drifting turns slower, so there's no turn rate to spare
+    const direction = this.timer === 0 ? corner.steer : Math.sign(inputs.steer) || corner.steer;
+    inputs.steer = direction === corner.steer
+      ? direction
+      : direction * Math.max(Math.abs(inputs.steer), this.holdSteer);
+    return inputs;
+  }
+
+  /**
+   * Work out which corners are worth a drift-boost (once per line and kart)
+   */
+  _plan(line, controller, track) {
+    const key = `${controller.maxSpeed}|${controller.acceleration}|${controller.turnSpeed}`;
+    if (this.line === line && this.track === track && this.limitsKey === key) return;
+    this.line = line;
+    this.track = track;
+    this.limitsKey = key;
+    this.considered = null;
+    this.active = null;
+
+    const { maxSpeed, acceleration, brakeForce, turnSpeed, minTurnSpeed, driftTurnPenalty } = controller;
+    // The line's profile already leaves a turnMargin share of the turn
+    // rate spare; drifting at full lock uses it up first
+    const turnScale = Math.min(1, driftTurnPenalty / line.turnMargin);
+    this.driftLimits = {
+      maxSpeed,
+      acceleration,
+      brakeForce,
+      turnSpeed: turnSpeed * turnScale,
+      minTurnSpeed: minTurnSpeed * turnScale
+    };
+
+    const chargeTime = controller.driftBoostCharge / controller.driftChargeRate;
+    const corners = line.corners(this.minCurvature);
+    this.corners = corners.map((corner, i) => {
+      const entry = corner.start - this.entryTime * line.speedAt(corner.start, controller);
+      const release = corner.end + this.exitGrace * line.speedAt(corner.end, controller);
+      const next = corners[i + 1] ?? { start: corners[0].start + line.length };
+      const time = this._travelTime(line, this.driftLimits, entry, release);
+      return {
+        entry,
+        exit: corner.end,
+        release,
+        // Steering input that turns the kart this way (heading decreases with positive steer)
+        steer: corner.turn > 0 ? -1 : 1,
+        time,
+        loss: time - this._travelTime(line, controller, entry, release),
+        exitSpeed: line.speedAt(release, controller),
+        // A drift leaves the kart wide and pointing inward; it needs a straight to settle
+        settle: this._travelTime(line, controller, release, next.start),
+        roomy: this._hasRoom(line, controller, track, corner, entry)
+      };
+    }).filter(corner =>
+      corner.time >= chargeTime && corner.loss <= this.maxTimeLoss &&
+      corner.exitSpeed < controller.boostSpeed && corner.settle >= this.settleTime && corner.roomy
+    );
+  }
+
+  /**
+   * Whether the road is wide enough for the drift's slide: outward from
+   * the entry to the corner at the entry speed, inward for the run after
+   * the exit at the boost speed
+   */
+  _hasRoom(line, controller, track, corner, entry) {
+    if (!track) return true;
+    const inside = Math.sign(corner.turn);
+    const slide = speed => this.roadMargin + speed * Math.sin(controller.driftOutwardPush) * this.slideTime;
+
+    const entryRoom = slide(line.speedAt(entry, controller));
+    for (let d = entry; d <= corner.start; d += 1) {
+      if (line.freeWidth(track, d, -inside) < entryRoom) return false;
+    }
+    const exitRoom = slide(controller.boostSpeed);
+    const runEnd = corner.end + controller.boostSpeed * this.exitRunTime;
+    for (let d = corner.end; d <= runEnd; d += 1) {
+      if (line.freeWidth(track, d, inside) < exitRoom) return false;
+    }
+    return true;
+  }
+
+  _travelTime(line, controller, from, to, step = 1) {
+    let time = 0;
+    for (let d = from; d < to; d += step) {
+      time += step / Math.max(line.speedAt(d, controller), 1);
+    }
+    return time;
+  }
+
+  /**
+   * Distance from `from` forward to `to` round the lap
+   */
+  _along(from, to) {
+    const length = this.line.length;
+    return (((to - from) % length) + length) % length;
+  }
+
+  reset() {
+    this.considered = null;
+    this.active = null;
+    this.timer = 0;
+  }
+}
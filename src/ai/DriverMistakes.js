@@ -0,0 +1,63 @@
+/**
+ * DriverMistakes - Occasional CPU errors
+ *
+ * Every tick the driver may start a mistake (on average `rate` per minute
+ * of driving). A mistake lasts `duration` seconds and is one of:
+ * - 'lift': throttle drops to 30%
+ * - 'wide': steering drops to 30% (runs wide in corners)
+ * - 'oversteer': steering doubles (clips the inside, may touch a wall)
+ *
+ * All rolls come from `random`, so a seeded source gives the same
+ * mistakes at the same ticks every race.
+ */
+
+const MISTAKE_TYPES = ['lift', 'wide', 'oversteer'];
+
+export class DriverMistakes {
+  /**
+   * @param {Object} options
+   * @param {number} [options.rate=0] - Mistakes per minute (0 = never)
+   * @param {number} [options.duration=0.6] - Seconds each mistake lasts
+   * @param {Function} [options.random=Math.random] - Source of randomness (0-1)
+   */
+  constructor(options = {}) {
+    this.rate = options.rate ?? 0;
+    this.duration = options.duration ?? 0.6;
+    this.random = options.random ?? Math.random;
+
+    this.type = null; // Current mistake
+    this.timer = 0;
+  }
+
+  /**
+   * Maybe start or end a mistake, and apply it to the driver's inputs
+   * @param {Object} inputs - { throttle, brake, steer, drift } (changed in place)
+   * @param {number} delta - Seconds since the last tick
+   * @returns {Object} The same inputs
+   */
+  apply(inputs, delta) {
+    if (this.rate <= 0 || !delta) return inputs;
+
+    if (this.type) {
+      this.timer -= delta;
+      if (this.timer <= 0) this.type = null;
+    } else if (this.random() < (this.rate / 60) * delta) {
+      this.type = MISTAKE_TYPES[Math.floor(this.random() * MISTAKE_TYPES.length)];
+      this.timer = this.duration;
+    }
+
+    if (this.type === 'lift') {
+      inputs.throttle *= 0.3;
+    } else if (this.type === 'wide') {
+      inputs.steer *= 0.3;
+    } else if (this.type === 'oversteer') {
+      inputs.steer = Math.max(-1, Math.min(1, inputs.steer * 2));
+    }
+    return inputs;
+  }
+
+  reset() {
+    this.type = null;
+    this.timer = 0;
+  }
+}
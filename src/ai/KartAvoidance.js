@@ -0,0 +1,250 @@
+import * as THREE from 'three';
+
+/**
+ * KartAvoidance - Local steering around other karts
+ *
+ * Sits between a driver's path target and its steering: given the point
+ * the driver wants to aim at, it returns where to aim this tick and
+ * whether to hold back.
+ *
+ * - Pass: the nearest kart inside a cone ahead (and not pulling away) gets
+ *   overtaken on the side with more free road (Track.getTileAtPosition,
+ *   stopping at walls, slower surfaces, hazards and solid objects),
+ *   preferring the side the path target is already on. The target slides
+ *   over to a point beside and past it, more the closer it is, as long as
+ *   the straight run there stays on that road. The side is kept until
+ *   that kart is passed (or the run there stops being clear) so the
+ *   driver doesn't weave.
+ * - Follow: neither side has room, so match the blocker's speed instead.
+ *   A blocker that has (nearly) stopped isn't followed; the driver holds
+ *   its line and gets round or unstuck on its own.
+ * - Defend: ahead of the player with them close behind, drift across to
+ *   their line so they have to go around.
+ *
+ * Both drivers use it (WaypointAI, CpuDriver). It needs the race context
+ * for the other karts, so outside a live race it does nothing.
+ */
+
+const HAZARDS = new Set(['slick', 'bump', 'damage']);
+
+export class KartAvoidance {
+  /**
+   * @param {Object} options
+   * @param {boolean} [options.enabled=true]
+   * @param {number} [options.range=18] - Meters ahead to react to karts
+   * @param {number} [options.coneAngle=0.6] - Half-angle of the cone ahead (radians)
+   * @param {number} [options.passGap=4] - Sideways distance to pass at (center to center)
+   * @param {number} [options.maxRoadWidth=12] - Farthest to look for free road either side
+   * @param {number} [options.minFollowSpeed=3] - Slowest blocker worth following (slower ones are driven on past)
+   * @param {number} [options.defendRange=15] - Meters behind the player may be before blocking (0 = never)
+   * @param {number} [options.defendOffset=3] - Most the target moves across to block
+   */
+  constructor(options = {}) {
+    this.enabled = options.enabled ?? true;
+    this.range = options.range ?? 18;
+    this.coneAngle = options.coneAngle ?? 0.6;
+    this.passGap = options.passGap ?? 4;
+    this.maxRoadWidth = options.maxRoadWidth ?? 12;
+    this.minFollowSpeed = options.minFollowSpeed ?? 3;
+    this.defendRange = options.defendRange ?? 15;
+    this.defendOffset = options.defendOffset ?? 3;
+    this.layerGap = options.layerGap ?? 2.0; // Karts on another deck are no obstacle
+
+    this.passing = null; // Id of the kart being passed
+    this.side = 0; // Side it is passed on (+1 / -1 along the kart's lateral axis)
+    this.mode = 'clear'; // 'clear' | 'pass' | 'follow' | 'defend' (for debugging)
+  }
+
+  /**
+   * Where to aim this tick
+   * @param {Kart} kart - The kart being driven
+   * @param {THREE.Vector3} target - Where its driver wants to go
+   * @param {Track|null} track
+   * @param {Object|null} race - The kart's RaceContext (needs `karts`)
+   * @returns {{target: THREE.Vector3, speedLimit: number|null}} `target` is a
+   *   new vector when it moved; `speedLimit` caps the driver's target speed
+   */
+  apply(kart, target, track, race) {
+    this.mode = 'clear';
+    if (!this.enabled || !target || !track || !race?.karts) {
+      this.passing = null;
+      return { target, speedLimit: null };
+    }
+
+    const forward = new THREE.Vector2(Math.sin(kart.heading), Math.cos(kart.heading));
+    const lateral = new THREE.Vector2(forward.y, -forward.x);
+
+    const blocker = this._findBlocker(kart, race.karts, forward, lateral);
+    if (!blocker) {
+      this.passing = null;
+      return this._defend(kart, target, track, race, forward, lateral);
+    }
+
+    const { other, ahead } = blocker;
+    // Boxed in gets another look every tick in case a gap opens, and so
+    // does a side whose run has stopped being clear
+    const kept = this.passing === other.id && this.side !== 0
+      ? this._passPoint(other, target, forward, lateral, this.side)
+      : null;
+    if (!kept || !this._runClear(kart, kept, track)) {
+      this.passing = other.id;
+      this.side = this._chooseSide(kart, other, target, track, forward, lateral);
+    }
+
+    if (this.side === 0) {
+      // Stopped or backing out of a wall: following would stop us too
+      const otherSpeed = other.speed * Math.cos(other.heading - kart.heading);
+      if (otherSpeed < this.minFollowSpeed) return { target, speedLimit: null };
+
+      // Boxed in: sit behind at its speed
+      this.mode = 'follow';
+      return { target, speedLimit: otherSpeed };
+    }
+
+    // Aim beside and a little past it, fully once it's close
+    this.mode = 'pass';
+    const passPoint = this._passPoint(other, target, forward, lateral, this.side);
+    const weight = THREE.MathUtils.smoothstep(this.range - ahead, 0, this.range * 0.5);
+    return { target: target.clone().lerp(passPoint, weight), speedLimit: null };
+  }
+
+  /**
+   * Nearest kart in the cone ahead that we are closing on
+   */
+  _findBlocker(kart, karts, forward, lateral) {
+    let best = null;
+    for (const other of karts) {
+      if (other === kart || Math.abs(other.pos.y - kart.pos.y) >= this.layerGap) continue;
+
+      const dx = other.pos.x - kart.pos.x;
+      const dz = other.pos.z - kart.pos.z;
+      const ahead = dx * forward.x + dz * forward.y;
+      if (ahead <= 0 || ahead > this.range) continue;
+
+      // Inside the cone, or close enough sideways to touch
+      const side = Math.abs(dx * lateral.x + dz * lateral.y);
+      const touching = side < kart.collisionRadius + other.collisionRadius;
+      if (!touching && Math.atan2(side, ahead) > this.coneAngle) continue;
+
+      // Already pulling away: nothing to pass
+      const closing = kart.speed - other.speed * Math.cos(other.heading - kart.heading);
+      if (closing <= 0) continue;
+
+      if (!best || ahead < best.ahead) best = { other, ahead };
+    }
+    return best;
+  }
+
+  /**
+   * +1 / -1 for the side with room to pass, 0 if neither has
+   */
+  _chooseSide(kart, other, target, track, forward, lateral) {
+    const needed = this.passGap + kart.collisionRadius * 0.5;
+    const surface = track.getTileAtPosition(other.pos)?.speedMultiplier ?? 1;
+    const rooms = [1, -1].map(side => ({
+      side,
+      room: this._freeWidth(track, other.pos, lateral.x * side, lateral.y * side, surface)
+    })).filter(({ side, room }) =>
+      room >= needed && this._runClear(kart, this._passPoint(other, target, forward, lateral, side), track)
+    );
+    if (rooms.length === 0) return 0;
+
+    // The side the path is heading for counts for a pass-width of road
+    const targetSide = Math.sign((target.x - other.pos.x) * lateral.x + (target.z - other.pos.z) * lateral.y);
+    const score = ({ side, room }) => room + (side === targetSide ? this.passGap : 0);
+    return rooms.reduce((a, b) => (score(b) > score(a) ? b : a)).side;
+  }
+
+  /**
+   * Point beside and a little past `other` on `side`
+   */
+  _passPoint(other, target, forward, lateral, side) {
+    return new THREE.Vector3(
+      other.pos.x + lateral.x * side * this.passGap + forward.x * this.passGap * 1.5,
+      target.y,
+      other.pos.z + lateral.y * side * this.passGap + forward.y * this.passGap * 1.5
+    );
+  }
+
+  /**
+   * Whether the straight run from the kart to `point` stays on road at
+   * least as fast as the kart's, clear of hazards and solid objects
+   */
+  _runClear(kart, point, track, step = 1) {
+    const surface = track.getTileAtPosition(kart.pos)?.speedMultiplier ?? 1;
+    const length = Math.hypot(point.x - kart.pos.x, point.z - kart.pos.z);
+    const sample = new THREE.Vector3();
+    for (let d = step; d < length + step; d += step) {
+      sample.lerpVectors(kart.pos, point, Math.min(d / length, 1));
+      sample.y = kart.pos.y;
+      if (!this._isOpen(track, sample, surface, kart.collisionRadius)) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Whether a kart of `radius` may drive at `point`: no wall, slower
+   * surface than `surface`, hazard or solid object
+   */
+  _isOpen(track, point, surface, radius = 0) {
+    const tile = track.getTileAtPosition(point);
+    if (!tile || tile.collision !== true || (tile.speedMultiplier ?? 1) < surface || HAZARDS.has(tile.effect?.type)) {
+      return false;
+    }
+    if (radius > 0 && track.isBlocked(point, radius)) return false;
+    return !track.getObjectsNear?.(point, radius).some(object =>
+      object.collisionBehavior === 'solid' && object.checkCollision(point, radius)
+    );
+  }
+
+  /**
+   * Ahead of the player with them close behind: move over onto their line
+   */
+  _defend(kart, target, track, race, forward, lateral) {
+    const player = race.player;
+    if (this.defendRange <= 0 || !player || player === kart || !(race.gap > 0)) {
+      return { target, speedLimit: null };
+    }
+
+    const dx = player.pos.x - kart.pos.x;
+    const dz = player.pos.z - kart.pos.z;
+    const behind = -(dx * forward.x + dz * forward.y);
+    // Alongside already is too late to block without ramming them
+    if (behind < kart.collisionRadius + player.collisionRadius || behind > this.defendRange) {
+      return { target, speedLimit: null };
+    }
+
+    const across = dx * lateral.x + dz * lateral.y;
+    const side = Math.sign(across);
+    const surface = track.getTileAtPosition(kart.pos)?.speedMultiplier ?? 1;
+    const room = this._freeWidth(track, kart.pos, lateral.x * side, lateral.y * side, surface) - kart.collisionRadius;
+    const shift = side * Math.max(0, Math.min(Math.abs(across), this.defendOffset, room));
+    if (shift === 0) return { target, speedLimit: null };
+
+    this.mode = 'defend';
+    const weight = THREE.MathUtils.smoothstep(this.defendRange - behind, 0, this.defendRange * 0.5);
+    const moved = target.clone();
+    moved.x += lateral.x * shift * weight;
+    moved.z += lateral.y * shift * weight;
+    return { target: moved, speedLimit: null };
+  }
+
+  /**
+   * Meters of road from `position` in direction (dirX, dirZ) before a wall,
+   * a slower surface than `surface`, a hazard or a solid object
+   */
+  _freeWidth(track, position, dirX, dirZ, surface, step = 0.5) {
+    const point = new THREE.Vector3();
+    for (let d = step; d <= this.maxRoadWidth; d += step) {
+      point.set(position.x + dirX * d, position.y, position.z + dirZ * d);
+      if (!this._isOpen(track, point, surface)) return d - step;
+    }
+    return this.maxRoadWidth;
+  }
+
+  reset() {
+    this.passing = null;
+    this.side = 0;
+    this.mode = 'clear';
+  }
+}
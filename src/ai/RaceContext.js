@@ -0,0 +1,101 @@
+import * as THREE from 'three';
+
+/**
+ * RaceContext - What CPU drivers know about the race, plus rubber-banding
+ *
+ * Game refreshes it once per tick and passes `forKart(kart)` to every AI
+ * driver as `getInputs({ ..., race })`:
+ *
+ *   { position, total, distance, gap, speedFactor, karts, player }
+ *
+ * `distance` is the kart's race distance (RaceStandings, from
+ * CheckpointSystem progress) and `gap` is how many meters it is ahead of
+ * the player (negative = behind). Without a player, gap is null.
+ * `karts` (everyone on track) and `player` are for reacting to other
+ * karts (see KartAvoidance).
+ *
+ * `speedFactor` is the rubber band: 1 within `deadZone` meters of the
+ * player, easing smoothly down to 1 - maxEaseOff for bots far ahead and
+ * up to 1 + maxCatchUp for bots far behind (full effect `range` meters past
+ * the dead zone). Drivers scale their target speed by it; the catch-up part
+ * may lift them above their kart's normal top speed.
+ */
+
+export class RaceContext {
+  /**
+   * @param {Object} options
+   * @param {boolean} [options.enabled=true] - false = speedFactor always 1
+   * @param {number} [options.deadZone=20] - Meters either side of the player with no effect
+   * @param {number} [options.range=120] - Meters past the dead zone to reach full effect
+   * @param {number} [options.maxEaseOff=0.12] - Largest slowdown for bots ahead (0.12 = 88% speed)
+   * @param {number} [options.maxCatchUp=0.1] - Largest speed-up for bots behind (0.1 = 110% speed)
+   */
+  constructor(options = {}) {
+    this.enabled = options.enabled ?? true;
+    this.deadZone = options.deadZone ?? 20;
+    this.range = options.range ?? 120;
+    this.maxEaseOff = options.maxEaseOff ?? 0.12;
+    this.maxCatchUp = options.maxCatchUp ?? 0.1;
+
+    this.playerDistance = null;
+    this.total = 0;
+    this.karts = [];
+    this.player = null;
+    this._entries = new Map(); // kartId -> standings entry
+  }
+
+  /**
+   * Take the latest standings (call once per tick, before AI inputs)
+   * @param {Game} game
+   */
+  update(game) {
+    const standings = game.standings.getStandings();
+    this._entries = new Map(standings.map(entry => [entry.kartId, entry]));
+    this.total = standings.length;
+    this.karts = game.karts;
+    this.player = game.player;
+
+    const player = game.player ? this._entries.get(game.player.id) : null;
+    this.playerDistance = player && !player.finished ? player.distance : null;
+  }
+
+  /**
+   * Race context for one kart's driver
+   * @param {Kart} kart
+   * @returns {{position: number|null, total: number, distance: number, gap: number|null,
+   *   speedFactor: number, karts: Array<Kart>, player: Kart|null}}
+   */
+  forKart(kart) {
+    const entry = this._entries.get(kart.id);
+    const distance = entry?.distance ?? 0;
+    const gap = this.playerDistance !== null && !kart.isPlayer && !entry?.finished
+      ? distance - this.playerDistance
+      : null;
+
+    return {
+      position: entry?.position ?? null,
+      total: this.total,
+      distance,
+      gap,
+      speedFactor: this.speedFactor(gap),
+      karts: this.karts,
+      player: this.player
+    };
+  }
+
+  /**
+   * Rubber band for a gap to the player
+   * @param {number|null} gap - Meters ahead of the player (negative = behind)
+   * @returns {number} Target speed multiplier
+   */
+  speedFactor(gap) {
+    if (!this.enabled || gap === null) return 1;
+
+    const excess = Math.abs(gap) - this.deadZone;
+    if (excess <= 0) return 1;
+
+    // Smoothstep so the effect fades in instead of kicking in at a threshold
+    const t = THREE.MathUtils.smoothstep(excess, 0, this.range);
+    return gap > 0 ? 1 - this.maxEaseOff * t : 1 + this.maxCatchUp * t;
+  }
+}
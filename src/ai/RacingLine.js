@@ -0,0 +1,628 @@
+import * as THREE from 'three';
+import { getTile } from '../track/TileRegistry.js';
+import { ArcadeController } from '../physics/ArcadeController.js';
+
+/**
+ * RacingLine - Precomputed fast line around a track, with a speed profile
+ *
+ * solve() works offline from the track alone:
+ * 1. Reference path: cheapest grid route through the checkpoints in order
+ *    (starting at the finish line), preferring fast surfaces and following
+ *    slopes and bridges, then smoothed and resampled every `spacing` units.
+ * 2. Corridor: from each sample, how far the kart can move sideways before
+ *    reaching a wall, a slower surface or a hazard tile, minus `margin`.
+ * 3. Minimum curvature: each point slides along its normal inside the
+ *    corridor to minimise the squared change in direction around the lap
+ *    (projected Gauss-Seidel on the second differences). Done in a few
+ *    rounds, rebuilding the corridor around the line so far.
+ *
+ * The speed profile comes from an ArcadeController's limits: in a corner
+ * of curvature k the kart needs a turn rate of v*k, and the controller
+ * turns at most lerp(minTurnSpeed, turnSpeed, v/maxSpeed) (times
+ * `turnMargin`, since CPUs rarely steer at full lock). That gives a corner
+ * speed; forward and backward passes then limit it by acceleration and
+ * braking. Profiles are cached per set of limits.
+ *
+ * Distances run along the line from the finish line; the line is a closed
+ * loop. 3D objects on the track are not taken into account.
+ */
+
+const DEFAULT_LIMITS = new ArcadeController();
+const HAZARDS = new Set(['slick', 'bump', 'damage']);
+
+export class RacingLine {
+  /**
+   * @param {Array<THREE.Vector3>} points - Closed loop (the last point connects to the first)
+   * @param {Object} options
+   * @param {number} [options.turnMargin=0.75] - Share of the kart's turn rate the speed profile relies on
+   * @param {number|null} [options.deceleration=null] - Braking for the profile (null = half the kart's brakeForce)
+   * @param {Array<number>} [options.speedMultipliers] - Surface top speed factor per point
+   */
+  constructor(points, options = {}) {
+    this.points = points;
+    this.turnMargin = options.turnMargin ?? 0.75;
+    this.deceleration = options.deceleration ?? null;
+    this.speedMultipliers = options.speedMultipliers ?? points.map(() => 1);
+
+    this.distances = []; // Distance from points[0] to points[i]
+    this.curvature = []; // 1 / turn radius at each point
+    this.length = 0;
+    this._profiles = new Map(); // limits key -> Float32Array
+    this._measure();
+  }
+
+  /**
+   * Solve the racing line for a track
+   * @param {Track} track
+   * @param {Object} options - Constructor options, plus:
+   * @param {number} [options.spacing] - Distance between points (default half a tile)
+   * @param {number} [options.margin=2.5] - Distance kept from the corridor edges (kart radius + room)
+   * @param {number} [options.maxHalfWidth] - Widest the corridor gets each side (default 4 tiles)
+   * @param {number} [options.iterations=2000] - Optimizer passes (in total)
+   * @param {number} [options.rounds=8] - Times the corridor is rebuilt around the line so far
+   * @returns {RacingLine|null} Null if the track has fewer than 2 reachable checkpoints
+   */
+  static solve(track, options = {}) {
+    const reference = referencePath(track);
+    if (!reference) return null;
+
+    const spacing = options.spacing ?? track.tileSize * 0.5;
+    const margin = options.margin ?? 2.5;
+    const maxHalfWidth = options.maxHalfWidth ?? track.tileSize * 4;
+    const iterations = options.iterations ?? 2000;
+
+    let points = resample(smooth(track, reference), spacing);
+    if (points.length < 5) return null;
+
+    // Optimise in rounds, re-spacing the points and rebuilding the corridor
+    // around the improved line each time (normals of the grid route are poor
+    // in sharp corners)
+    const rounds = options.rounds ?? 8;
+    for (let round = 0; round < rounds; round++) {
+      if (round > 0) points = resample(points, spacing);
+      points = optimize(track, points, { margin, maxHalfWidth, iterations: Math.ceil(iterations / rounds) });
+    }
+
+    const speedMultipliers = points.map(point => track.getSpeedMultiplier(point));
+
+    return new RacingLine(points, { ...options, speedMultipliers });
+  }
+
+  /**
+   * Target speed at every point for a kart
+   * @param {Object} [limits] - ArcadeController (or its maxSpeed, acceleration,
+   *   brakeForce, turnSpeed, minTurnSpeed); defaults to the arcade defaults
+   * @returns {Float32Array}
+   */
+  speedProfile(limits = DEFAULT_LIMITS) {
+    const { maxSpeed, acceleration, brakeForce, turnSpeed, minTurnSpeed } = limits;
+    const key = `${maxSpeed}|${acceleration}|${brakeForce}|${turnSpeed}|${minTurnSpeed}`;
+    const cached = this._profiles.get(key);
+    if (cached) return cached;
+
+    const n = this.points.length;
+    const speeds = new Float32Array(n);
+
+    // Corner limit: v * k <= turnMargin * (minTurnSpeed + (turnSpeed - minTurnSpeed) * v / maxSpeed)
+    const baseRate = minTurnSpeed * this.turnMargin;
+    const rateGain = ((turnSpeed - minTurnSpeed) * this.turnMargin) / maxSpeed;
+    for (let i = 0; i < n; i++) {
+      const k = this.curvature[i];
+      const corner = k > rateGain ? baseRate / (k - rateGain) : Infinity;
+      speeds[i] = Math.min(maxSpeed * this.speedMultipliers[i], corner);
+    }
+
+    // Acceleration forward, braking backward (twice round, the lap is a loop)
+    const deceleration = this.deceleration ?? brakeForce * 0.5;
+    for (let step = 1; step <= 2 * n; step++) {
+      const i = step % n;
+      const prev = (step - 1) % n;
+      const reachable = Math.sqrt(speeds[prev] ** 2 + 2 * acceleration * this._segmentLength(prev));
+      speeds[i] = Math.min(speeds[i], reachable);
+    }
+    for (let step = 2 * n - 1; step >= 0; step--) {
+      const i = step % n;
+      const next = (step + 1) % n;
+      const stoppable = Math.sqrt(speeds[next] ** 2 + 2 * deceleration * this._segmentLength(i));
+      speeds[i] = Math.min(speeds[i], stoppable);
+    }
+
+    this._profiles.set(key, speeds);
+    return speeds;
+  }
+
+  /**
+   * Lap time if a kart drove the speed profile exactly
+   * @param {Object} [limits] - See speedProfile()
+   * @returns {number} Seconds
+   */
+  estimateLapTime(limits = DEFAULT_LIMITS) {
+    const speeds = this.speedProfile(limits);
+    let time = 0;
+    for (let i = 0; i < speeds.length; i++) {
+      const average = (speeds[i] + speeds[(i + 1) % speeds.length]) / 2;
+      time += this._segmentLength(i) / Math.max(average, 0.1);
+    }
+    return time;
+  }
+
+  /**
+   * Nearest point on the line
+   * @param {THREE.Vector3} position
+   * @param {number} [hint=-1] - Index from the previous call (searches near it only)
+   * @param {number} [window=30] - Points either side of the hint to search
+   * @returns {{index: number, distance: number, point: THREE.Vector3, offset: number}}
+   *   `offset` is how far the position is from the line (ground plane)
+   */
+  project(position, hint = -1, window = 30) {
+    const n = this.points.length;
+    const searchAll = hint < 0 || 2 * window + 1 >= n;
+    const count = searchAll ? n : 2 * window + 1;
+    const start = searchAll ? 0 : hint - window;
+
+    let best = null;
+    for (let k = 0; k < count; k++) {
+      const i = (((start + k) % n) + n) % n;
+      const a = this.points[i];
+      const b = this.points[(i + 1) % n];
+      const segX = b.x - a.x;
+      const segZ = b.z - a.z;
+      const lengthSq = segX * segX + segZ * segZ;
+      const t = lengthSq > 1e-9
+        ? THREE.MathUtils.clamp(((position.x - a.x) * segX + (position.z - a.z) * segZ) / lengthSq, 0, 1)
+        : 0;
+      const dx = a.x + segX * t - position.x;
+      const dz = a.z + segZ * t - position.z;
+      const distSq = dx * dx + dz * dz;
+      if (!best || distSq < best.distSq) best = { index: i, t, distSq };
+    }
+
+    const a = this.points[best.index];
+    const b = this.points[(best.index + 1) % n];
+    return {
+      index: best.index,
+      distance: this.distances[best.index] + this._segmentLength(best.index) * best.t,
+      point: a.clone().lerp(b, best.t),
+      offset: Math.sqrt(best.distSq)
+    };
+  }
+
+  /**
+   * Point on the line (wraps around the lap)
+   * @param {number} distance - From the finish line
+   * @returns {THREE.Vector3}
+   */
+  pointAt(distance) {
+    const { index, t } = this._locate(distance);
+    return this.points[index].clone().lerp(this.points[(index + 1) % this.points.length], t);
+  }
+
+  /**
+   * How far a kart can move sideways off the line before a wall, a step it
+   * can't take, a slower surface or a hazard
+   * @param {Track} track
+   * @param {number} distance - From the finish line
+   * @param {number} side - +1 toward the inside of corners with positive
+   *   `turn` (see corners()), -1 the other way
+   * @param {number} [maxDistance] - Farthest to look (default 4 tiles)
+   * @returns {number}
+   */
+  freeWidth(track, distance, side, maxDistance = track.tileSize * 4) {
+    const point = this.pointAt(distance);
+    const ahead = this.pointAt(distance + 1);
+    const normal = new THREE.Vector2(ahead.z - point.z, -(ahead.x - point.x)).normalize();
+    const surface = getTile(cellAt(track, point.x, point.z))?.speedMultiplier ?? 1;
+    return freeDistance(track, point.x, point.z, point.y, normal.x * side, normal.y * side, surface, maxDistance);
+  }
+
+  /**
+   * Target speed on the line for a kart
+   * @param {number} distance - From the finish line
+   * @param {Object} [limits] - See speedProfile()
+   * @returns {number}
+   */
+  speedAt(distance, limits = DEFAULT_LIMITS) {
+    const speeds = this.speedProfile(limits);
+    const { index, t } = this._locate(distance);
+    return THREE.MathUtils.lerp(speeds[index], speeds[(index + 1) % speeds.length], t);
+  }
+
+  /**
+   * Corners: runs of points bending the same way at `minCurvature` or more
+   * @param {number} [minCurvature=0.02] - 1 / widest turn radius that counts
+   * @returns {Array<{start: number, end: number, apex: number, turn: number}>}
+   *   Distances from the finish line (`end` runs past the lap length for a
+   *   corner across the line); `turn` is the heading change in radians
+   *   (positive = heading increases, as atan2(x, z))
+   */
+  corners(minCurvature = 0.02) {
+    const n = this.points.length;
+    const bend = this.points.map((point, i) => {
+      const prev = this.points[(i - 1 + n) % n];
+      const next = this.points[(i + 1) % n];
+      const change = Math.atan2(next.x - point.x, next.z - point.z) - Math.atan2(point.x - prev.x, point.z - prev.z);
+      const turn = Math.atan2(Math.sin(change), Math.cos(change));
+      return this.curvature[i] >= minCurvature ? turn : 0;
+    });
+
+    // Start from a straight bit so no corner is split across the finish line
+    const first = Math.max(0, bend.findIndex(turn => turn === 0));
+    const corners = [];
+    let current = null;
+    for (let step = 0; step < n; step++) {
+      const i = (first + step) % n;
+      const distance = this.distances[i] + (i < first ? this.length : 0);
+      if (current && Math.sign(bend[i]) === Math.sign(current.turn)) {
+        current.end = distance + this._segmentLength(i);
+        current.turn += bend[i];
+        if (this.curvature[i] > current.peak) {
+          current.peak = this.curvature[i];
+          current.apex = distance;
+        }
+        continue;
+      }
+      if (current) corners.push(current);
+      current = bend[i] === 0 ? null : {
+        start: distance,
+        end: distance + this._segmentLength(i),
+        apex: distance,
+        turn: bend[i],
+        peak: this.curvature[i]
+      };
+    }
+    if (current) corners.push(current);
+
+    return corners.map(({ start, end, apex, turn }) => {
+      // Distances as close to the start of the lap as they can be
+      const shift = start >= this.length ? this.length : 0;
+      return { start: start - shift, end: end - shift, apex: apex - shift, turn };
+    });
+  }
+
+  /**
+   * Draw the line (red = slow, green = fast) for debugging and the editor
+   * @param {THREE.Scene} scene
+   * @param {Object} [limits] - See speedProfile()
+   * @returns {THREE.LineLoop} Added to the scene; remove and dispose it to hide
+   */
+  visualize(scene, limits = DEFAULT_LIMITS) {
+    const speeds = this.speedProfile(limits);
+    const top = Math.max(...speeds, 1);
+    const positions = [];
+    const colors = [];
+    const color = new THREE.Color();
+    this.points.forEach((point, i) => {
+      positions.push(point.x, point.y + 0.3, point.z);
+      color.setHSL((speeds[i] / top) * 0.33, 1, 0.5); // 0 = red, 0.33 = green
+      colors.push(color.r, color.g, color.b);
+    });
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+    const line = new THREE.LineLoop(geometry, new THREE.LineBasicMaterial({ vertexColors: true }));
+    line.renderOrder = 10;
+    scene.add(line);
+    return line;
+  }
+
+  _measure() {
+    const n = this.points.length;
+    this.distances = new Array(n);
+    let total = 0;
+    for (let i = 0; i < n; i++) {
+      this.distances[i] = total;
+      total += this.points[i].distanceTo(this.points[(i + 1) % n]);
+    }
+    this.length = total;
+
+    // Menger curvature through each point and its neighbours, lightly smoothed
+    const raw = this.points.map((point, i) =>
+      mengerCurvature(this.points[(i - 1 + n) % n], point, this.points[(i + 1) % n])
+    );
+    this.curvature = raw.map((k, i) => (raw[(i - 1 + n) % n] + 2 * k + raw[(i + 1) % n]) / 4);
+  }
+
+  _segmentLength(i) {
+    const next = i + 1 < this.points.length ? this.distances[i + 1] : this.length;
+    return next - this.distances[i];
+  }
+
+  /**
+   * Segment index and fraction for a distance along the lap
+   */
+  _locate(distance) {
+    const d = ((distance % this.length) + this.length) % this.length;
+    let low = 0;
+    let high = this.distances.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (this.distances[mid] <= d) low = mid;
+      else high = mid - 1;
+    }
+    const segment = this._segmentLength(low);
+    return { index: low, t: segment > 1e-9 ? (d - this.distances[low]) / segment : 0 };
+  }
+}
+
+/**
+ * One round of minimum curvature: move each point to where it best
+ * straightens its neighbours, along its normal and inside the corridor
+ */
+function optimize(track, base, { margin, maxHalfWidth, iterations }) {
+  const n = base.length;
+
+  // Sideways normals and how far the line may move along them (both ways)
+  const normals = base.map((point, i) => {
+    const prev = base[(i - 1 + n) % n];
+    const next = base[(i + 1) % n];
+    return new THREE.Vector2(next.z - prev.z, -(next.x - prev.x)).normalize();
+  });
+  const lower = new Float64Array(n);
+  const upper = new Float64Array(n);
+  for (let i = 0; i < n; i++) {
+    const { x, y: ground, z } = base[i];
+    const surface = getTile(cellAt(track, x, z))?.speedMultiplier ?? 1;
+    const left = freeDistance(track, x, z, ground, normals[i].x, normals[i].y, surface, maxHalfWidth);
+    const right = freeDistance(track, x, z, ground, -normals[i].x, -normals[i].y, surface, maxHalfWidth);
+    lower[i] = -(right - margin);
+    upper[i] = left - margin;
+    if (lower[i] > upper[i]) {
+      // Narrower than two margins: stay in the middle of what there is
+      lower[i] = upper[i] = (left - right) / 2;
+    }
+  }
+
+  const offsets = new Float64Array(n);
+  for (let i = 0; i < n; i++) offsets[i] = THREE.MathUtils.clamp(0, lower[i], upper[i]);
+  const px = i => base[i].x + normals[i].x * offsets[i];
+  const pz = i => base[i].z + normals[i].y * offsets[i];
+  for (let pass = 0; pass < iterations; pass++) {
+    for (let i = 0; i < n; i++) {
+      const a = (i - 2 + n) % n, b = (i - 1 + n) % n, c = (i + 1) % n, d = (i + 2) % n;
+      const targetX = (4 * (px(b) + px(c)) - (px(a) + px(d))) / 6;
+      const targetZ = (4 * (pz(b) + pz(c)) - (pz(a) + pz(d))) / 6;
+      const along = (targetX - base[i].x) * normals[i].x + (targetZ - base[i].z) * normals[i].y;
+      offsets[i] = THREE.MathUtils.clamp(along, lower[i], upper[i]);
+    }
+  }
+
+  // Moved points sit on the ground of the layer they came from
+  return base.map((point, i) => {
+    const x = px(i);
+    const z = pz(i);
+    const cell = track.worldToGrid({ x, z });
+    const ground = cell ? surfaceNear(track, cell.row, cell.col, x, z, point.y) : null;
+    return new THREE.Vector3(x, ground ?? point.y, z);
+  });
+}
+
+/**
+ * Cheapest route through the checkpoints, from the finish line (last
+ * checkpoint) round to it again, as ground-level points at cell centres
+ */
+function referencePath(track) {
+  const checkpoints = track.checkpointSystem?.checkpoints ?? [];
+  if (checkpoints.length < 2) return null;
+
+  const count = checkpoints.length;
+  const order = [count - 1, ...checkpoints.map((_, i) => i)];
+  const path = [];
+  for (let k = 0; k < count; k++) {
+    const from = checkpoints[order[k]].position;
+    const to = checkpoints[order[k + 1]].position;
+    const fromHeight = path.length > 0 ? path[path.length - 1].y : track.getGroundHeight(from);
+    const segment = cheapestRoute(track, from, fromHeight, to);
+    if (!segment) return null;
+    path.push(...(path.length > 0 ? segment.slice(1) : segment));
+  }
+  path.pop(); // Back at the start: the loop closes itself
+  return path.length >= 3 ? path : null;
+}
+
+/**
+ * Dijkstra over cells (4-neighbour), cost = 1 / surface speed, hazards x4.
+ * Nodes carry the ground height so slopes, bridges and cliffs are respected.
+ */
+function cheapestRoute(track, from, fromHeight, to) {
+  const start = track.worldToGrid(from);
+  const goal = track.worldToGrid(to);
+  if (!start || !goal) return null;
+
+  const startCenter = track.gridToWorld(start.row, start.col);
+  const startHeight = surfaceNear(track, start.row, start.col, startCenter.x, startCenter.z, fromHeight);
+  if (startHeight === null) return null;
+
+  const key = (row, col, height) => `${row},${col},${Math.round(height * 2)}`;
+  const startNode = { row: start.row, col: start.col, height: startHeight, cost: 0, key: key(start.row, start.col, startHeight) };
+  const best = new Map([[startNode.key, 0]]);
+  const cameFrom = new Map([[startNode.key, null]]);
+  const nodes = new Map([[startNode.key, startNode]]);
+  const queue = new MinHeap();
+  queue.push(startNode, 0);
+
+  while (queue.size > 0) {
+    const node = queue.pop();
+    if (node.cost > best.get(node.key)) continue;
+    if (node.row === goal.row && node.col === goal.col) {
+      const path = [];
+      for (let k = node.key; k; k = cameFrom.get(k)) {
+        const { row, col, height } = nodes.get(k);
+        const center = track.gridToWorld(row, col);
+        path.unshift(new THREE.Vector3(center.x, height, center.z));
+      }
+      return path;
+    }
+
+    const center = track.gridToWorld(node.row, node.col);
+    for (const [dr, dc] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+      const row = node.row + dr;
+      const col = node.col + dc;
+      const next = track.gridToWorld(row, col);
+      if (!next) continue;
+
+      // Step across the shared edge on whichever surface is in reach
+      const edgeX = (center.x + next.x) / 2;
+      const edgeZ = (center.z + next.z) / 2;
+      const leaving = surfaceNear(track, node.row, node.col, edgeX, edgeZ, node.height);
+      const entering = leaving === null ? null : surfaceNear(track, row, col, edgeX, edgeZ, leaving);
+      const height = entering === null ? null : surfaceNear(track, row, col, next.x, next.z, entering);
+      if (height === null) continue;
+
+      const tile = getTile(track.trackData[row][col]);
+      const stepCost = (1 / (tile.speedMultiplier ?? 1)) * (HAZARDS.has(tile.effect?.type) ? 4 : 1);
+      const cost = node.cost + stepCost;
+      const nextKey = key(row, col, height);
+      if (cost >= (best.get(nextKey) ?? Infinity)) continue;
+
+      const nextNode = { row, col, height, cost, key: nextKey };
+      best.set(nextKey, cost);
+      cameFrom.set(nextKey, node.key);
+      nodes.set(nextKey, nextNode);
+      queue.push(nextNode, cost);
+    }
+  }
+  return null;
+}
+
+/**
+ * Moving average over the closed path (points that would land in a wall keep their place)
+ */
+function smooth(track, path, radius = 2) {
+  const n = path.length;
+  return path.map((point, i) => {
+    let x = 0;
+    let z = 0;
+    for (let k = -radius; k <= radius; k++) {
+      const other = path[(i + k + n) % n];
+      x += other.x;
+      z += other.z;
+    }
+    x /= 2 * radius + 1;
+    z /= 2 * radius + 1;
+    const cell = track.worldToGrid({ x, z });
+    const height = cell ? surfaceNear(track, cell.row, cell.col, x, z, point.y) : null;
+    return height === null ? point : new THREE.Vector3(x, height, z);
+  });
+}
+
+/**
+ * Evenly spaced points along a closed polyline
+ */
+function resample(path, spacing) {
+  const n = path.length;
+  let length = 0;
+  for (let i = 0; i < n; i++) length += path[i].distanceTo(path[(i + 1) % n]);
+  const count = Math.max(3, Math.round(length / spacing));
+  const step = length / count;
+
+  const points = [];
+  let segment = 0;
+  let segmentStart = 0;
+  let segmentLength = path[0].distanceTo(path[1 % n]);
+  for (let k = 0; k < count; k++) {
+    const d = k * step;
+    while (d > segmentStart + segmentLength && segment < n - 1) {
+      segmentStart += segmentLength;
+      segment++;
+      segmentLength = path[segment].distanceTo(path[(segment + 1) % n]);
+    }
+    const t = segmentLength > 1e-9 ? (d - segmentStart) / segmentLength : 0;
+    points.push(path[segment].clone().lerp(path[(segment + 1) % n], THREE.MathUtils.clamp(t, 0, 1)));
+  }
+  return points;
+}
+
+/**
+ * How far from (x, z) a kart can go in a direction before a wall, a step
+ * it can't take, a slower surface than `surface` or a hazard
+ */
+function freeDistance(track, x, z, ground, dirX, dirZ, surface, maxDistance, step = 0.5) {
+  let height = ground;
+  for (let d = step; d <= maxDistance; d += step) {
+    const px = x + dirX * d;
+    const pz = z + dirZ * d;
+    const cell = track.worldToGrid({ x: px, z: pz });
+    if (!cell) return d - step;
+
+    const tile = getTile(track.trackData[cell.row][cell.col]);
+    if (!tile || (tile.speedMultiplier ?? 1) < surface || HAZARDS.has(tile.effect?.type)) return d - step;
+
+    const next = surfaceNear(track, cell.row, cell.col, px, pz, height);
+    if (next === null) return d - step;
+    height = next;
+  }
+  return maxDistance;
+}
+
+/**
+ * The cell's surface at (x, z) closest to `height`, if a kart there could reach it
+ */
+function surfaceNear(track, row, col, x, z, height) {
+  let best = null;
+  for (const surface of track.getSurfaceHeights(row, col, x, z)) {
+    const gap = Math.abs(surface - height);
+    if (gap <= track.maxStepHeight && (best === null || gap < Math.abs(best - height))) best = surface;
+  }
+  return best;
+}
+
+function cellAt(track, x, z) {
+  const cell = track.worldToGrid({ x, z });
+  return cell ? track.trackData[cell.row][cell.col] : null;
+}
+
+function mengerCurvature(a, b, c) {
+  const abx = b.x - a.x, abz = b.z - a.z;
+  const bcx = c.x - b.x, bcz = c.z - b.z;
+  const acx = c.x - a.x, acz = c.z - a.z;
+  const cross = Math.abs(abx * bcz - abz * bcx);
+  const lengths = Math.hypot(abx, abz) * Math.hypot(bcx, bcz) * Math.hypot(acx, acz);
+  return lengths > 1e-9 ? (2 * cross) / lengths : 0;
+}
+
+/**
+ * Binary min-heap keyed by priority (for cheapestRoute)
+ */
+class MinHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(value, priority) {
+    const items = this.items;
+    items.push({ value, priority });
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (items[parent].priority <= items[i].priority) break;
+      [items[parent], items[i]] = [items[i], items[parent]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < items.length && items[left].priority < items[smallest].priority) smallest = left;
+        if (right < items.length && items[right].priority < items[smallest].priority) smallest = right;
+        if (smallest === i) break;
+        [items[smallest], items[i]] = [items[i], items[smallest]];
+        i = smallest;
+      }
+    }
+    return top.value;
+  }
+}
@@ -1,10 +1,21 @@
 import * as THREE from 'three';
+import { DriverMistakes } from './DriverMistakes.js';
+import { KartAvoidance } from './KartAvoidance.js';
+import { DriftPlanner } from './DriftPlanner.js';
 
 /**
  * WaypointAI - AI controller that uses direction field navigation
  *
  * Uses waypoints to generate a direction field (slope field),
- * then navigates by following the field directions
+ * then navigates by following the field directions. When the track has a
+ * racing line (Track.getRacingLine) it aims along that instead and brakes
+ * to the line's speed profile for its kart, drift-boosting through its
+ * corners (see DriftPlanner). Optional seeded
+ * mistakes (see DriverMistakes) come from `mistakeRate` and `random`.
+ * Rubber-banding comes in through the race context (see RaceContext),
+ * and so do the other karts, which it steers around (see KartAvoidance).
+ * Getting nowhere while trying to drive on (against a wall or pinned on a
+ * rock) makes it back out for `reverseDuration` seconds.
  */
 
 export class WaypointAI {
@@ -18,54 +29,153 @@ export class WaypointAI {
     this.steeringStrength = options.steeringStrength ?? 0.8;
     this.maxSpeed = options.maxSpeed ?? 1.0;
     this.minSpeed = options.minSpeed ?? 0.3;
+    this.useRacingLine = options.useRacingLine ?? true;
+    this.lookAheadTime = options.lookAheadTime ?? 0.4; // Seconds of travel to aim ahead on the racing line
+    this.brakeStrength = options.brakeStrength ?? 0.5; // Brake input when over the line's target speed
+    this.stuckSpeedThreshold = options.stuckSpeedThreshold ?? 0.6; // Average speed below which it is getting nowhere
+    this.stuckTimeThreshold = options.stuckTimeThreshold ?? 0.8;
+    this.reverseDuration = options.reverseDuration ?? 0.9;
+    this.mistakes = new DriverMistakes({
+      rate: options.mistakeRate ?? 0,
+      duration: options.mistakeDuration,
+      random: options.random
+    });
+    this.avoidance = new KartAvoidance(options.avoidance); // `{ enabled: false }` to drive through karts
+    this.drift = new DriftPlanner({ random: options.random, ...options.drift }); // `{ usage: 0 }` to never drift
 
     this.tickCount = 0;
     this.currentTarget = null;
+    this.lineIndex = -1; // Nearest racing line point (search hint)
+    this.lineDistance = 0; // Kart's distance along the racing line
+    this.stuckTimer = 0;
+    this.stuckAnchor = null; // Where the kart was when it last made progress
+    this.reverseTimer = 0; // Seconds left backing out (0 = driving)
     this.enabled = true;
   }
 
   /**
    * Build input values for the kart controller
+   * @param {Object} [context] - { track, delta, race }: the track (for its
+   *   racing line), seconds since the last tick (for mistakes) and the
+   *   kart's RaceContext (for rubber-banding)
    */
-  getInputs() {
-    if (!this.enabled || !this.directionField) {
+  getInputs({ track = null, delta = 0, race = null } = {}) {
+    const line = this.useRacingLine ? track?.getRacingLine?.() ?? null : null;
+    if (!this.enabled || (!this.directionField && !line)) {
       return { throttle: 0, brake: 0, steer: 0 };
     }
 
+    if (line) {
+      this.followLine(line);
+    }
+
     this.tickCount++;
-    if (this.tickCount % this.updateInterval === 0) {
-      this.updateTarget();
+    if (this.tickCount % this.updateInterval === 0 || !this.currentTarget) {
+      this.updateTarget(line);
     }
 
+    // Around the kart ahead, or across to block the player
+    const { target, speedLimit } = this.avoidance.apply(this.kart, this.currentTarget, track, race);
+
     let steering = 0;
-    if (this.currentTarget) {
-      steering = this.calculateSteering();
+    if (target) {
+      steering = this.calculateSteering(target);
     }
 
-    const throttle = this.calculateThrottle(steering);
+    const speedFactor = race?.speedFactor ?? 1;
+    const limits = this.drift.speedLimits(this.kart.controller);
+    const lineSpeed = line
+      ? this.drift.boostedSpeed(line.speedAt(this.lineDistance, limits), this.kart, track) * speedFactor
+      : null;
+    const targetSpeed = speedLimit === null ? lineSpeed : Math.min(lineSpeed ?? Infinity, speedLimit);
+    const throttle = this.calculateThrottle(steering, speedFactor, targetSpeed);
+    const brake = targetSpeed !== null && this.kart.speed > targetSpeed + 2 ? this.brakeStrength : 0;
+
+    if (this.updateStuck(throttle, delta)) {
+      // Backing out: no drifts or mistakes, and braking goes into reverse
+      this.drift.reset();
+      return { throttle: 0, brake: 0.8, steer: steering, speedMultiplier: 1 };
+    }
 
-    return {
+    const inputs = this.drift.apply({
       throttle,
-      brake: 0,
-      steer: steering
-    };
+      brake,
+      steer: steering,
+      speedMultiplier: Math.max(1, speedFactor) // Catch-up headroom above top speed
+    }, this.kart, line, this.lineDistance, delta, track);
+    return this.mistakes.apply(inputs, delta);
+  }
+
+  /**
+   * Track where the kart is along the racing line
+   */
+  followLine(line) {
+    let projection = line.project(this.kart.pos, this.lineIndex);
+    if (projection.offset > this.targetDistance) {
+      // Far from where we were (reset, knocked off): search the whole lap
+      projection = line.project(this.kart.pos);
+    }
+    this.lineIndex = projection.index;
+    this.lineDistance = projection.distance;
+  }
+
+  /**
+   * Watch for getting nowhere with the throttle on, going into reverse
+   * when it lasts; rolling back from a reverse doesn't count
+   * @param {number} throttle - Throttle wanted this tick
+   * @param {number} delta - Seconds since the last tick
+   * @returns {boolean} Whether to back out this tick
+   */
+  updateStuck(throttle, delta) {
+    if (this.reverseTimer > 0) {
+      this.reverseTimer -= delta;
+      if (this.reverseTimer <= 0) this.stuckAnchor = null;
+      return true;
+    }
+
+    const kart = this.kart;
+    const progress = this.stuckSpeedThreshold * this.stuckTimeThreshold;
+    if (!this.stuckAnchor || this.stuckAnchor.distanceTo(kart.pos) > progress) {
+      this.stuckAnchor = kart.pos.clone();
+      this.stuckTimer = 0;
+    } else if (throttle > 0 && kart.speed >= 0) {
+      this.stuckTimer += delta;
+      if (this.stuckTimer > this.stuckTimeThreshold) {
+        this.reverseTimer = this.reverseDuration;
+        this.stuckTimer = 0;
+      }
+    } else {
+      this.stuckTimer = 0;
+    }
+    return false;
   }
 
-  updateTarget() {
-    const position = this.kart.mesh.position;
+  updateTarget(line = null) {
+    const position = this.kart.pos;
+    if (line) {
+      // Further ahead at speed, so corners are set up early
+      const lookAhead = Math.max(this.targetDistance, Math.abs(this.kart.speed) * this.lookAheadTime);
+      this.currentTarget = line.pointAt(this.lineDistance + lookAhead);
+      return;
+    }
     this.currentTarget = this.directionField.getTargetAhead(position, this.targetDistance);
   }
 
-  calculateSteering() {
-    const kartPos = this.kart.mesh.position;
+  calculateSteering(target = this.currentTarget) {
+    // Use the simulated transform (not the interpolated mesh) so steering is tick-deterministic
+    const kartPos = this.kart.pos;
     const targetVector = new THREE.Vector3()
-      .subVectors(this.currentTarget, kartPos)
+      .subVectors(target, kartPos)
+      .setY(0)
       .normalize();
 
-    const forward = new THREE.Vector3(0, 0, 1);
-    forward.applyQuaternion(this.kart.mesh.quaternion);
-    forward.y = 0;
-    forward.normalize();
+    // Direction of travel, which is wide of the nose while drifting
+    const heading = this.kart.heading + (this.kart.smoothedOutwardPush ?? 0);
+    const forward = new THREE.Vector3(
+      Math.sin(heading),
+      0,
+      Math.cos(heading)
+    );
 
     const cross = new THREE.Vector3().crossVectors(forward, targetVector);
     const turnDirection = Math.sign(cross.y);
@@ -78,10 +188,22 @@ export class WaypointAI {
     return -turnDirection * this.steeringStrength;
   }
 
-  calculateThrottle(steering = 0) {
+  /**
+   * @param {number} steering
+   * @param {number} [speedFactor=1] - Rubber band: below 1 eases off, above 1 catches up
+   * @param {number|null} [targetSpeed=null] - Racing line speed here (rubber band included),
+   *   or the speed of a kart we can't get past
+   */
+  calculateThrottle(steering = 0, speedFactor = 1, targetSpeed = null) {
+    // Over the line's speed, or far ahead and over the eased-off top speed: lift
+    const speedLimit = targetSpeed ?? (speedFactor < 1 ? this.kart.controller.maxSpeed * speedFactor : Infinity);
+    if (this.kart.speed > speedLimit) {
+      return 0;
+    }
+
     const baseThrottle = this.minSpeed + (this.maxSpeed - this.minSpeed);
     const steeringFactor = 1.0 - Math.abs(steering) * 0.3;
-    return baseThrottle * steeringFactor;
+    return baseThrottle * steeringFactor * Math.max(1, speedFactor);
   }
 
   setEnabled(enabled) {
@@ -96,6 +218,12 @@ export class WaypointAI {
   setDirectionField(directionField) {
     this.directionField = directionField;
     this.currentTarget = null;
+    this.lineIndex = -1;
+    this.stuckTimer = 0;
+    this.stuckAnchor = null;
+    this.reverseTimer = 0;
+    this.avoidance.reset();
+    this.drift.reset();
   }
 
   getTarget() {
@@ -0,0 +1,107 @@
+import { DIFFICULTIES } from '../ai/CpuDifficulty.js';
+
+/**
+ * RaceConfig - What the race setup screen chose
+ *
+ * {
+ *   mode: 'race' | 'timeTrial',
+ *   trackId: bundled track id or track library id,
+ *   laps, cpuCount, difficulty (key of DIFFICULTIES),
+ *   kartModel (key of KART_MODELS), kartColor (hex),
+ *   renderMode: 'prototype' | 'full',
+ *   seed: CPU seed (null = new one each race)
+ * }
+ *
+ * The last setup is remembered in localStorage. normalize() fills in
+ * defaults and clamps anything out of range, so old or hand-edited saves
+ * still give a playable race.
+ */
+
+export { DIFFICULTIES };
+
+export const KART_MODELS = {
+  ferrari: { label: 'Ferrari' },
+  audi: { label: 'Audi' }
+};
+
+export const KART_COLORS = [0xff5555, 0x3a86ff, 0xff006e, 0x06ffa5, 0xffbe0b, 0x8338ec, 0xfb5607, 0xf5f5f5];
+
+export const MAX_LAPS = 9;
+export const MAX_CPUS = 7;
+
+export const DEFAULT_RACE_CONFIG = Object.freeze({
+  mode: 'race',
+  trackId: null, // First bundled track
+  laps: 3,
+  cpuCount: MAX_CPUS,
+  difficulty: '100cc',
+  kartModel: 'ferrari',
+  kartColor: 0xff5555,
+  renderMode: 'prototype',
+  seed: null
+});
+
+const STORAGE_KEY = 'raceConfig';
+
+export class RaceConfig {
+  /**
+   * Complete and clamp a config
+   * @param {Object} config - Partial config
+   * @returns {Object}
+   */
+  static normalize(config = {}) {
+    const merged = { ...DEFAULT_RACE_CONFIG, ...config };
+    return {
+      ...merged,
+      mode: merged.mode === 'timeTrial' ? 'timeTrial' : 'race',
+      trackId: typeof merged.trackId === 'string' ? merged.trackId : null,
+      laps: clampInt(merged.laps, 1, MAX_LAPS, DEFAULT_RACE_CONFIG.laps),
+      cpuCount: clampInt(merged.cpuCount, 0, MAX_CPUS, DEFAULT_RACE_CONFIG.cpuCount),
+      difficulty: merged.difficulty in DIFFICULTIES ? merged.difficulty : DEFAULT_RACE_CONFIG.difficulty,
+      kartModel: merged.kartModel in KART_MODELS ? merged.kartModel : DEFAULT_RACE_CONFIG.kartModel,
+      kartColor: Number.isInteger(merged.kartColor) && merged.kartColor >= 0 && merged.kartColor <= 0xffffff
+        ? merged.kartColor
+        : DEFAULT_RACE_CONFIG.kartColor,
+      renderMode: merged.renderMode === 'full' ? 'full' : 'prototype',
+      seed: Number.isInteger(merged.seed) ? merged.seed >>> 0 : null
+    };
+  }
+
+  /**
+   * Last saved setup (defaults if there is none)
+   * @param {Storage|null} [storage]
+   */
+  static load(storage = getLocalStorage()) {
+    try {
+      return RaceConfig.normalize(JSON.parse(storage?.getItem(STORAGE_KEY) || '{}'));
+    } catch {
+      return RaceConfig.normalize();
+    }
+  }
+
+  /**
+   * Remember a setup for next time
+   * @param {Object} config
+   * @param {Storage|null} [storage]
+   */
+  static save(config, storage = getLocalStorage()) {
+    try {
+      storage?.setItem(STORAGE_KEY, JSON.stringify(RaceConfig.normalize(config)));
+    } catch (error) {
+      console.warn('Could not save race setup:', error);
+    }
+  }
+}
+
+function clampInt(value, min, max, fallback) {
+  const n = Math.round(Number(value));
+  return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : fallback;
+}
+
+function getLocalStorage() {
+  try {
+    return typeof localStorage !== 'undefined' ? localStorage : null;
+  } catch {
+    return null; // Blocked (privacy mode, sandboxed iframe)
+  }
+}
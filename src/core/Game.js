@@ -1,5 +1,12 @@
 import * as THREE from 'three';
 import { eventBus } from '../utils/EventBus.js';
+import { RaceManager } from './RaceManager.js';
+import { RaceStandings } from './RaceStandings.js';
+import { KartCollisions } from '../physics/KartCollisions.js';
+import { WallCollisions } from '../physics/WallCollisions.js';
+import { TileEffects } from '../physics/TileEffects.js';
+import { ItemSystem } from '../items/ItemSystem.js';
+import { RaceContext } from '../ai/RaceContext.js';
 
 /**
  * Game - Core game loop and collision handling
@@ -7,7 +14,12 @@ import { eventBus } from '../utils/EventBus.js';
  * Manages:
  * - Game state and entities
  * - Collision detection
- * - Physics updates
+ * - Tile effects (boost pads, ramps, slick and hazard tiles)
+ * - Physics updates (fixed timestep, decoupled from render rate)
+ * - Race phases and results (via RaceManager)
+ * - Live positions (via RaceStandings)
+ * - What CPU drivers know about the race, and rubber-banding (via RaceContext)
+ * - Item boxes and power-ups (via ItemSystem)
  * - Game loop
  */
 
@@ -15,7 +27,15 @@ export class Game {
   constructor(scene, options = {}) {
     this.scene = scene;
     this.clock = new THREE.Clock();
-    this._frameCount = 0;
+
+    // Fixed-step simulation: physics always advances in `fixedTimeStep` ticks,
+    // render frames interpolate between the last two ticks
+    this.fixedTimeStep = options.fixedTimeStep ?? 1 / 60;
+    this.maxSubSteps = options.maxSubSteps ?? 8; // Cap ticks per frame (avoids spiral of death)
+    this.maxFrameDelta = options.maxFrameDelta ?? 0.25; // Clamp long hitches (tab switch, GC)
+    this.accumulator = 0;
+    this.simTime = 0; // Seconds of simulated time since start()
+    this.tick = 0; // Number of fixed ticks simulated
 
     // Game entities
     this.player = null;
@@ -27,12 +47,39 @@ export class Game {
     // Game state
     this.isRunning = false;
     this.updateCallbacks = [];
-    this.winCondition = options.winCondition ?? { lapsToWin: 3, enabled: true };
-    this.winner = null;
+    this.tickCallbacks = [];
+    this.winner = null; // First kart across the line
+
+    // Race state machine (grid -> countdown -> racing -> cooldown -> finished).
+    // Pass `race: false` for free driving with no phases or finish.
+    this.race = options.race === false
+      ? null
+      : new RaceManager(this, { laps: options.laps ?? 3, ...options.race });
+
+    // Live positions by distance along the lap
+    this.standings = new RaceStandings(this, options.standings);
+
+    // Positions and rubber-banding handed to AI drivers. Pass
+    // `rubberBand: { enabled: false }` to race without it.
+    this.raceContext = new RaceContext(options.rubberBand);
 
     // Collision settings
     this.wallSlideSpeedPenalty = options.wallSlideSpeedPenalty ?? 0.7;
     this.wallStopSpeedPenalty = options.wallStopSpeedPenalty ?? 0.5;
+    this.wallStopImpact = options.wallStopImpact ?? 0.9; // Impact (0-1) counted as a head-on 'stop'
+    this.wallDeflection = options.wallDeflection ?? 0.35; // How far glancing hits turn the kart along the wall
+    this.wallScrapeImpact = options.wallScrapeImpact ?? 0.1; // Impact (0-1) below which staying on a wall is free
+    this.wallCollisions = new WallCollisions(options.wallCollisions);
+    this._wallContacts = new Set(); // Kart ids currently touching a wall
+    this.kartCollisions = options.kartCollisions === false
+      ? null
+      : new KartCollisions(options.kartCollisions);
+    this.tileEffects = new TileEffects(options.tileEffects);
+
+    // Item boxes and power-ups. Pass `items: false` to turn them off.
+    this.items = options.items === false
+      ? null
+      : new ItemSystem({ scene, ...options.items });
   }
 
   /**
@@ -48,6 +95,7 @@ export class Game {
    */
   setTrack(track) {
     this.track = track;
+    this.standings.invalidate();
   }
 
   /**
@@ -87,13 +135,37 @@ export class Game {
     this.updateCallbacks.push(callback);
   }
 
+  /**
+   * Register a callback to run after each fixed simulation tick
+   * @param {Function} callback - (dt, simTime)
+   */
+  onTick(callback) {
+    this.tickCallbacks.push(callback);
+  }
+
+  /**
+   * Remove a tick callback
+   */
+  offTick(callback) {
+    const index = this.tickCallbacks.indexOf(callback);
+    if (index !== -1) this.tickCallbacks.splice(index, 1);
+  }
+
   /**
    * Start the game loop
    */
   start() {
     this.isRunning = true;
     this.winner = null;
+    this.accumulator = 0;
+    this.simTime = 0;
+    this.tick = 0;
     this.clock.start();
+    this.kartCollisions?.reset();
+    this._wallContacts.clear();
+    this.tileEffects.reset();
+    this.items?.reset();
+    this.race?.start();
   }
 
   /**
@@ -108,138 +180,330 @@ export class Game {
    */
   update() {
     if (!this.isRunning) return;
-    if (this.winner) return;
 
-    const delta = this.clock.getDelta();
+    this.advance(this.clock.getDelta());
+  }
+
+  /**
+   * Advance the simulation by a frame's worth of real time.
+   * Runs as many fixed ticks as fit in the accumulator, then interpolates
+   * kart meshes between the previous and current tick for rendering.
+   * @param {number} frameDelta - Real seconds since the last frame
+   */
+  advance(frameDelta) {
+    const delta = Math.min(frameDelta, this.maxFrameDelta);
+    this.accumulator += delta;
+
+    let steps = 0;
+    while (this.accumulator >= this.fixedTimeStep && steps < this.maxSubSteps) {
+      this.step(this.fixedTimeStep);
+      this.accumulator -= this.fixedTimeStep;
+      steps++;
+
+      // A tick may have stopped the game
+      if (!this.isRunning) break;
+    }
+
+    // Still behind after the sub-step cap: drop the backlog rather than
+    // trying to catch up on the next frame
+    if (steps >= this.maxSubSteps) {
+      this.accumulator = Math.min(this.accumulator, this.fixedTimeStep);
+    }
 
+    // Interpolate render transforms between the last two ticks
+    const alpha = this.accumulator / this.fixedTimeStep;
+    for (const kart of this.karts) {
+      kart.updateVisuals(alpha);
+    }
+    this.items?.updateVisuals(this.karts);
+
+    // Only the player drives the camera
+    if (this.player && this.camera) {
+      this.camera.update(delta, this.player);
+    }
+
+    // Call custom update callbacks
+    for (const callback of this.updateCallbacks) {
+      callback(delta);
+    }
+  }
+
+  /**
+   * Run a single fixed simulation tick
+   * @param {number} dt - Tick length in seconds (normally fixedTimeStep)
+   */
+  step(dt) {
     if (this.karts.length === 0) {
       return;
     }
 
-      // Cache player input once per frame
-      const playerInputs = (this.player && this.inputManager)
-        ? this.inputManager.getState()
-        : null;
+    // Race phases advance first so "GO" releases the karts on this tick
+    this.race?.update(dt);
+    const inputsLocked = this.race?.inputsLocked ?? false;
+    const lapsCount = !this.race || this.race.isLive;
 
-      for (const kart of this.karts) {
-        let inputs = {};
+    // Cache player input once per tick
+    const playerInputs = (this.player && this.inputManager)
+      ? this.inputManager.getState()
+      : null;
 
-        if (kart.isPlayer) {
+    // Standings from the last tick are what the AI reacts to
+    if (lapsCount) {
+      this.raceContext.update(this);
+    }
+
+    for (const kart of this.karts) {
+      // Remember where the kart was for interpolation and collision rollback
+      kart.savePreviousTransform();
+      const prevPos = kart.prevPos;
+
+      let inputs = {};
+
+      if (inputsLocked) {
+        // On the grid / counting down: nobody moves
+        inputs = { throttle: 0, brake: 0, steer: 0, drift: false };
+      } else if (kart.isPlayer && !kart.aiDriver) {
         if (!playerInputs) continue;
         inputs = { ...playerInputs };
       } else if (kart.aiDriver) {
+        // CPU karts, and the player on autopilot after finishing
         inputs = kart.aiDriver.getInputs({
           kart,
           track: this.track,
-          delta
+          delta: dt,
+          race: lapsCount ? this.raceContext.forKart(kart) : null
         });
       } else {
         // No control source for this kart
         continue;
       }
 
-      // Apply surface speed multiplier
+      // Apply surface speed multiplier, grip and forced drift
+      // (on top of any catch-up speed the driver asked for)
       if (this.track) {
-        inputs.speedMultiplier = this.track.getSpeedMultiplier(kart.pos);
-      }
-
-      if (!kart._prevPosCache) {
-        kart._prevPosCache = new THREE.Vector3();
+        const surface = this.tileEffects.getSurface(kart, this.track);
+        Object.assign(inputs, surface, {
+          speedMultiplier: (inputs.speedMultiplier ?? 1) * surface.speedMultiplier
+        });
       }
-      kart._prevPosCache.copy(kart.pos);
-      const prevPos = kart._prevPosCache;
 
       // Update physics
-      kart.step(delta, inputs);
+      kart.step(dt, inputs);
 
       // Handle collisions
       this.handleCollisions(kart, prevPos);
 
-      // Update checkpoint system (throttle for non-player karts)
-      if (this.track && this.track.checkpointSystem) {
-        if (kart.isPlayer || this._frameCount % 3 === 0) {
-          const result = this.track.checkpointSystem.update(kart.id, kart.pos);
-          if (result?.type === 'lap') {
-            this._checkWin(kart.id, result.lapNumber);
-          }
-        }
+      // Boost pads, ramps and hazards the kart just drove onto
+      // then settle onto the ground (slopes, bridges, edges)
+      if (this.track) {
+        this.tileEffects.apply(kart, this.track);
+        kart.followGround(this.track.getGroundPose(kart.pos, kart.heading));
+      }
+
+      // Use held items (CPU karts decide on their own)
+      if (!inputsLocked) {
+        this.items?.handleInputs(kart, inputs, this);
       }
 
-      // Only the player drives the camera
-      if (kart.isPlayer && this.camera) {
-        this.camera.update(delta, kart);
+      // Update checkpoint system
+      if (lapsCount && this.track && this.track.checkpointSystem) {
+        const result = this.track.checkpointSystem.update(kart.id, kart.pos, this.simTime + dt);
+        if (result?.type === 'lap') {
+          this.race?.onLapCompleted(kart.id, result.lapNumber, this.simTime + dt);
+        }
       }
     }
 
-    this._frameCount = (this._frameCount + 1) >>> 0;
+    // Knocked-over objects
+    this.track?.update?.(dt);
 
-    // Call custom update callbacks
-    for (const callback of this.updateCallbacks) {
-      callback(delta);
+    // Kart-vs-kart bumping once everyone has moved
+    this.kartCollisions?.resolve(this.karts, this.track, this.simTime + dt);
+
+    // Shells, bananas and shields
+    this.items?.update(dt, this);
+
+    if (lapsCount) {
+      this.standings.update(this.tick);
+    }
+
+    this.simTime += dt;
+    this.tick = (this.tick + 1) >>> 0;
+
+    for (const callback of this.tickCallbacks) {
+      callback(dt, this.simTime);
     }
   }
 
   /**
    * Handle wall collisions and sliding
+   * The kart's footprint circle is swept from its previous position, so
+   * fast karts can't skip through thin walls. Speed loss and the wall-hit
+   * event depend on how head-on the contact was, and only apply when the
+   * kart first touches the wall. While it stays in contact, only the part
+   * of its speed along the wall survives, so driving into a wall doesn't
+   * keep the kart's speed (scraping along it is free).
    */
   handleCollisions(kart, prevPos) {
     if (!this.track) return;
 
-    // Check for wall collision
-    if (this.track.isOutOfBounds(kart.pos)) {
-      // Hit a wall - try sliding along it
-      const slidePos = this.tryWallSlide(prevPos, kart.pos);
+    const radius = kart.collisionRadius ?? 1.5;
+    const result = this.wallCollisions.sweep(this.track, prevPos, kart.pos, radius);
+    const wasTouching = this._wallContacts.has(kart.id);
 
-      if (slidePos) {
-        // Successfully found a slide position
-        kart.pos.copy(slidePos);
-        kart.mesh.position.copy(slidePos);
-        // Reduce speed when hitting wall
-        kart.speed *= this.wallSlideSpeedPenalty;
-        kart.controller.speed *= this.wallSlideSpeedPenalty;
+    if (!result.hit) {
+      this._wallContacts.delete(kart.id);
+    } else {
+      kart.pos.copy(result.position);
+      this._wallContacts.add(kart.id);
 
-        eventBus.emit('wall-hit', {
-          kartId: kart.id,
-          type: 'slide',
-          speed: kart.speed
-        });
+      if (!wasTouching) {
+        this._applyWallHit(kart, prevPos, result.normal);
       } else {
-        // Can't slide, just stop
-        kart.pos.copy(prevPos);
-        kart.speed *= this.wallStopSpeedPenalty;
-        kart.controller.speed *= this.wallStopSpeedPenalty;
-        kart.mesh.position.copy(prevPos);
-
-        eventBus.emit('wall-hit', {
-          kartId: kart.id,
-          type: 'stop',
-          speed: kart.speed
-        });
+        this._applyWallContact(kart, result.normal);
       }
     }
+
+    this.handleObjectCollisions(kart, prevPos);
   }
 
   /**
-   * Try to slide along a wall
-   * @param {THREE.Vector3} prevPos - Previous valid position
-   * @param {THREE.Vector3} newPos - New position (colliding)
-   * @returns {THREE.Vector3|null} Slide position or null if can't slide
+   * Speed loss, deflection and event for a fresh wall contact
+   * @param {Kart} kart
+   * @param {THREE.Vector3} prevPos - Position before this tick's move
+   * @param {THREE.Vector3} normal - Wall normal (pointing away from the wall)
    */
-  tryWallSlide(prevPos, newPos) {
-    // Try sliding along X axis only
-    const slideX = new THREE.Vector3(newPos.x, prevPos.y, prevPos.z);
-    if (!this.track.isOutOfBounds(slideX)) {
-      return slideX;
+  _applyWallHit(kart, prevPos, normal) {
+    // Direction of travel (backwards when reversing)
+    const travel = new THREE.Vector3(kart.pos.x - prevPos.x, 0, kart.pos.z - prevPos.z);
+    const forward = new THREE.Vector3(Math.sin(kart.heading), 0, Math.cos(kart.heading));
+    const direction = kart.speed < 0 ? forward.clone().negate() : forward;
+
+    // 0 = grazing, 1 = straight into the wall
+    const impact = THREE.MathUtils.clamp(-direction.dot(normal), 0, 1);
+    const impactAngle = Math.asin(impact); // Radians between travel and the wall surface
+
+    // Grazes keep their speed, ~30 degrees costs the slide penalty,
+    // head-on costs the stop penalty
+    const penalty = impact <= 0.5
+      ? THREE.MathUtils.lerp(1, this.wallSlideSpeedPenalty, impact / 0.5)
+      : THREE.MathUtils.lerp(this.wallSlideSpeedPenalty, this.wallStopSpeedPenalty, (impact - 0.5) / 0.5);
+    kart.speed *= penalty;
+    kart.controller.speed = kart.speed;
+
+    const type = impact >= this.wallStopImpact ? 'stop' : 'slide';
+
+    // Glancing hits turn the kart partly toward the wall
+    if (type === 'slide' && travel.lengthSq() > 1e-8) {
+      const tangent = forward.clone().addScaledVector(normal, -forward.dot(normal));
+      if (tangent.lengthSq() > 1e-6) {
+        const target = Math.atan2(tangent.x, tangent.z);
+        const delta = Math.atan2(Math.sin(target - kart.heading), Math.cos(target - kart.heading));
+        kart.heading += delta * this.wallDeflection;
+      }
     }
 
-    // Try sliding along Z axis only
-    const slideZ = new THREE.Vector3(prevPos.x, prevPos.y, newPos.z);
-    if (!this.track.isOutOfBounds(slideZ)) {
-      return slideZ;
-    }
+    eventBus.emit('wall-hit', {
+      kartId: kart.id,
+      type,
+      speed: kart.speed,
+      normal: normal.clone(),
+      impactAngle
+    });
+  }
 
-    // Can't slide in either direction
-    return null;
+  /**
+   * Keep a kart that is still on the wall to its speed along it
+   * @param {Kart} kart
+   * @param {THREE.Vector3} normal - Wall normal (pointing away from the wall)
+   */
+  _applyWallContact(kart, normal) {
+    const sign = kart.speed < 0 ? -1 : 1;
+    const direction = new THREE.Vector3(Math.sin(kart.heading) * sign, 0, Math.cos(kart.heading) * sign);
+    const impact = THREE.MathUtils.clamp(-direction.dot(normal), 0, 1);
+    if (impact <= this.wallScrapeImpact) return;
+
+    kart.speed *= Math.sqrt(1 - impact * impact);
+    kart.controller.speed = kart.speed;
+  }
+
+  /**
+   * Collide a kart with placed track objects (trees, cones, ...)
+   * Solid objects push the kart out along the contact normal (sliding
+   * around them); knock-over objects get sent flying; item boxes hand out
+   * an item.
+   */
+  handleObjectCollisions(kart, prevPos) {
+    if (!this.track.getObjectsNear) return;
+
+    const kartRadius = kart.collisionRadius ?? 1.5;
+    const nearby = this.track.getObjectsNear(kart.pos, kartRadius);
+
+    for (const object of nearby) {
+      const behavior = object.collisionBehavior;
+      if (behavior === 'none' || !object.checkCollision(kart.pos, kartRadius)) continue;
+
+      if (behavior === 'item') {
+        this.items?.collectBox(kart, object, this);
+        continue;
+      }
+
+      // Contact normal from the object to the kart
+      const normal = new THREE.Vector3(kart.pos.x - object.position.x, 0, kart.pos.z - object.position.z);
+      if (normal.lengthSq() < 1e-6) {
+        normal.set(prevPos.x - object.position.x, 0, prevPos.z - object.position.z);
+      }
+      normal.normalize();
+
+      // How head-on the hit was (0 = grazing, 1 = straight in)
+      const forward = new THREE.Vector3(Math.sin(kart.heading), 0, Math.cos(kart.heading));
+      const impact = Math.max(0, -forward.dot(normal));
+
+      if (behavior === 'knockover') {
+        const direction = normal.clone().negate();
+        this.track.knockOverObject(object, direction, Math.max(6, Math.abs(kart.speed) * 0.8));
+        kart.speed *= 1 - 0.15 * impact;
+        kart.controller.speed = kart.speed;
+
+        eventBus.emit('object-hit', {
+          kartId: kart.id,
+          objectId: object.id,
+          objectType: object.type,
+          type: 'knockover',
+          speed: kart.speed
+        });
+        continue;
+      }
+
+      // Solid: push out to the object's surface and slide around it
+      const reach = object.getCollisionRadius() + kartRadius;
+      const slidePos = new THREE.Vector3(
+        object.position.x + normal.x * reach,
+        kart.pos.y,
+        object.position.z + normal.z * reach
+      );
+
+      let type = 'slide';
+      if (!this.track.isBlocked(slidePos, kartRadius)) {
+        kart.pos.copy(slidePos);
+        // Grazing hits barely slow the kart, head-on hits hurt like a wall
+        const penalty = THREE.MathUtils.lerp(1, this.wallSlideSpeedPenalty, impact);
+        kart.speed *= penalty;
+      } else {
+        type = 'stop';
+        kart.pos.copy(prevPos);
+        kart.speed *= this.wallStopSpeedPenalty;
+      }
+      kart.controller.speed = kart.speed;
+
+      eventBus.emit('object-hit', {
+        kartId: kart.id,
+        objectId: object.id,
+        objectType: object.type,
+        type,
+        speed: kart.speed
+      });
+    }
   }
 
   /**
@@ -259,18 +523,26 @@ export class Game {
   }
 
   /**
-   * Reset player to start position
+   * Put the player back at the last checkpoint they passed, facing the
+   * next one (the start before the first). Lap and checkpoint progress
+   * are kept.
    */
   resetPlayer() {
     if (!this.player || !this.track) return;
 
-    const startTransform = this.track.getStartTransform();
-    this.player.reset(startTransform.position, startTransform.heading);
-
-    // Reset checkpoint progress
-    if (this.track.checkpointSystem) {
-      this.track.checkpointSystem.resetKart(this.player.id);
+    const transform = this.track.getStartTransform();
+    const checkpoints = this.track.checkpointSystem;
+    const last = checkpoints?.getLastCheckpointFor(this.player.id) ?? null;
+    if (last) {
+      transform.position.set(last.position.x, last.baseHeight + this.track.rideHeight, last.position.z);
+      const next = checkpoints.getNextCheckpointFor(this.player.id);
+      if (next && next !== last) {
+        transform.heading = Math.atan2(next.position.x - last.position.x, next.position.z - last.position.z);
+      }
     }
+    this.player.reset(transform.position, transform.heading);
+
+    eventBus.emit('kart-reset', { kartId: this.player.id });
 
     if (this.camera) {
       this.camera.reset(this.player);
@@ -282,20 +554,10 @@ export class Game {
    */
   destroy() {
     this.stop();
+    this.items?.destroy();
     this.updateCallbacks = [];
+    this.tickCallbacks = [];
     this.karts = [];
     this.player = null;
   }
-
-  _checkWin(kartId, lapNumber) {
-    if (!this.winCondition?.enabled) return;
-    if (this.winner) return;
-
-    const lapsToWin = this.winCondition.lapsToWin ?? 3;
-    if (lapNumber >= lapsToWin) {
-      this.winner = kartId;
-      this.isRunning = false;
-      eventBus.emit('race-won', { kartId });
-    }
-  }
 }
@@ -0,0 +1,332 @@
+/**
+ * InputBindings - Named actions mapped to keys and gamepad buttons
+ *
+ * Every action can have several keyboard keys and gamepad buttons. Bindings
+ * live in named profiles (one per player) that are saved to localStorage.
+ *
+ * Action types:
+ * - drive: held every tick (read by InputManager.getState())
+ * - press: fired once per press as an 'input-action' event
+ *
+ * Usage:
+ *   const bindings = new InputBindings();
+ *   bindings.addKey('drift', 'e');
+ *   bindings.createProfile('Alex');
+ */
+
+/** Standard Gamepad API button indices */
+export const GamepadButton = {
+  A: 0,
+  B: 1,
+  X: 2,
+  Y: 3,
+  LB: 4,
+  RB: 5,
+  LT: 6,
+  RT: 7,
+  BACK: 8,
+  START: 9,
+  LS: 10,
+  RS: 11,
+  DPAD_UP: 12,
+  DPAD_DOWN: 13,
+  DPAD_LEFT: 14,
+  DPAD_RIGHT: 15
+};
+
+const BUTTON_NAMES = ['A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start', 'LS', 'RS', 'D-pad ↑', 'D-pad ↓', 'D-pad ←', 'D-pad →', 'Home'];
+
+const KEY_NAMES = {
+  ' ': 'Space',
+  arrowup: '↑',
+  arrowdown: '↓',
+  arrowleft: '←',
+  arrowright: '→',
+  shift: 'Shift',
+  control: 'Ctrl',
+  alt: 'Alt',
+  enter: 'Enter',
+  tab: 'Tab',
+  escape: 'Esc'
+};
+
+/**
+ * Every rebindable action, in settings-screen order
+ */
+export const InputActions = {
+  throttle: { label: 'Throttle', type: 'drive' },
+  brake: { label: 'Brake / Reverse', type: 'drive' },
+  steerLeft: { label: 'Steer Left', type: 'drive' },
+  steerRight: { label: 'Steer Right', type: 'drive' },
+  drift: { label: 'Drift', type: 'drive' },
+  useItem: { label: 'Use Item', type: 'drive' },
+  reset: { label: 'Reset Kart', type: 'press' },
+  camera: { label: 'Toggle Camera', type: 'press' },
+  debugVectors: { label: 'Debug Vectors', type: 'press' },
+  checkpoints: { label: 'Show Checkpoints', type: 'press' },
+  directionField: { label: 'Direction Field', type: 'press' },
+  aiTarget: { label: 'AI Target', type: 'press' },
+  aiSteering: { label: 'AI Steering', type: 'press' },
+  cpuDebug: { label: 'CPU Debug', type: 'press' }
+};
+
+/**
+ * Default layout: { action: { keys: [...], buttons: [...] } }
+ */
+export const DEFAULT_BINDINGS = {
+  throttle: { keys: ['w', 'arrowup'], buttons: [GamepadButton.RT, GamepadButton.A] },
+  brake: { keys: ['s', 'arrowdown'], buttons: [GamepadButton.LT, GamepadButton.B] },
+  steerLeft: { keys: ['a', 'arrowleft'], buttons: [GamepadButton.DPAD_LEFT] },
+  steerRight: { keys: ['d', 'arrowright'], buttons: [GamepadButton.DPAD_RIGHT] },
+  drift: { keys: [' ', 'shift'], buttons: [GamepadButton.RB, GamepadButton.X] },
+  useItem: { keys: ['e'], buttons: [GamepadButton.LB] },
+  reset: { keys: ['r'], buttons: [GamepadButton.BACK] },
+  camera: { keys: ['c'], buttons: [GamepadButton.Y] },
+  debugVectors: { keys: ['v'], buttons: [] },
+  checkpoints: { keys: ['h'], buttons: [] },
+  directionField: { keys: ['f'], buttons: [] },
+  aiTarget: { keys: ['t'], buttons: [] },
+  aiSteering: { keys: ['g'], buttons: [] },
+  cpuDebug: { keys: ['b'], buttons: [] }
+};
+
+const DEFAULT_PROFILE = 'Default';
+
+export class InputBindings {
+  constructor(options = {}) {
+    this.storageKey = options.storageKey ?? 'inputProfiles';
+    this.storage = options.storage !== undefined ? options.storage : getLocalStorage();
+
+    this.profiles = {}; // name -> bindings
+    this.activeProfile = DEFAULT_PROFILE;
+
+    this.load();
+  }
+
+  /**
+   * Bindings of the active profile
+   */
+  get bindings() {
+    return this.profiles[this.activeProfile];
+  }
+
+  /**
+   * Keys bound to an action (lowercase KeyboardEvent.key values)
+   * @param {string} action
+   * @returns {Array<string>}
+   */
+  getKeys(action) {
+    return this.bindings[action]?.keys ?? [];
+  }
+
+  /**
+   * Gamepad buttons bound to an action (standard mapping indices)
+   * @param {string} action
+   * @returns {Array<number>}
+   */
+  getButtons(action) {
+    return this.bindings[action]?.buttons ?? [];
+  }
+
+  /**
+   * Actions bound to a key
+   * @param {string} key - Lowercase KeyboardEvent.key
+   * @returns {Array<string>}
+   */
+  getActionsForKey(key) {
+    return Object.keys(this.bindings).filter(action => this.bindings[action].keys.includes(key));
+  }
+
+  /**
+   * Bind a key to an action. The key is taken off any other action.
+   * @param {string} action
+   * @param {string} key
+   * @returns {Array<string>} Actions the key was removed from
+   */
+  addKey(action, key) {
+    return this._add(action, 'keys', key.toLowerCase());
+  }
+
+  /**
+   * Bind a gamepad button to an action. The button is taken off any other action.
+   * @param {string} action
+   * @param {number} button
+   * @returns {Array<string>} Actions the button was removed from
+   */
+  addButton(action, button) {
+    return this._add(action, 'buttons', button);
+  }
+
+  removeKey(action, key) {
+    this._remove(action, 'keys', key);
+  }
+
+  removeButton(action, button) {
+    this._remove(action, 'buttons', button);
+  }
+
+  /**
+   * Put the active profile back to the default layout
+   */
+  resetToDefaults() {
+    this.profiles[this.activeProfile] = cloneBindings(DEFAULT_BINDINGS);
+    this.save();
+  }
+
+  /**
+   * @returns {Array<string>} Profile names
+   */
+  listProfiles() {
+    return Object.keys(this.profiles);
+  }
+
+  /**
+   * Create a profile (copy of the active one) and switch to it
+   * @param {string} name
+   * @returns {boolean} False if the name is empty or taken
+   */
+  createProfile(name) {
+    const trimmed = name?.trim();
+    if (!trimmed || this.profiles[trimmed]) return false;
+
+    this.profiles[trimmed] = cloneBindings(this.bindings);
+    this.activeProfile = trimmed;
+    this.save();
+    return true;
+  }
+
+  /**
+   * Delete a profile (the last one can't be deleted)
+   * @param {string} name
+   * @returns {boolean}
+   */
+  deleteProfile(name) {
+    if (!this.profiles[name] || this.listProfiles().length <= 1) return false;
+
+    delete this.profiles[name];
+    if (this.activeProfile === name) {
+      this.activeProfile = this.listProfiles()[0];
+    }
+    this.save();
+    return true;
+  }
+
+  /**
+   * Switch the active profile
+   * @param {string} name
+   * @returns {boolean}
+   */
+  setActiveProfile(name) {
+    if (!this.profiles[name]) return false;
+    this.activeProfile = name;
+    this.save();
+    return true;
+  }
+
+  /**
+   * Read profiles from storage (falls back to the defaults)
+   */
+  load() {
+    let saved = null;
+    try {
+      saved = JSON.parse(this.storage?.getItem(this.storageKey) || 'null');
+    } catch (error) {
+      console.warn('Could not read input profiles:', error);
+    }
+
+    this.profiles = {};
+    for (const [name, bindings] of Object.entries(saved?.profiles ?? {})) {
+      this.profiles[name] = mergeWithDefaults(bindings);
+    }
+    if (Object.keys(this.profiles).length === 0) {
+      this.profiles[DEFAULT_PROFILE] = cloneBindings(DEFAULT_BINDINGS);
+    }
+
+    this.activeProfile = this.profiles[saved?.active] ? saved.active : this.listProfiles()[0];
+  }
+
+  /**
+   * Write profiles to storage
+   */
+  save() {
+    try {
+      this.storage?.setItem(this.storageKey, JSON.stringify({
+        active: this.activeProfile,
+        profiles: this.profiles
+      }));
+    } catch (error) {
+      console.warn('Could not save input profiles:', error);
+    }
+  }
+
+  _add(action, field, value) {
+    if (!InputActions[action]) return [];
+
+    const removedFrom = [];
+    for (const [other, binding] of Object.entries(this.bindings)) {
+      if (other !== action && binding[field].includes(value)) {
+        binding[field] = binding[field].filter(v => v !== value);
+        removedFrom.push(other);
+      }
+    }
+
+    const list = this.bindings[action][field];
+    if (!list.includes(value)) list.push(value);
+
+    this.save();
+    return removedFrom;
+  }
+
+  _remove(action, field, value) {
+    const binding = this.bindings[action];
+    if (!binding) return;
+    binding[field] = binding[field].filter(v => v !== value);
+    this.save();
+  }
+}
+
+/**
+ * Display name for a key ('arrowup' -> '↑', ' ' -> 'Space')
+ */
+export function formatKey(key) {
+  return KEY_NAMES[key] ?? (key.length === 1 ? key.toUpperCase() : key[0].toUpperCase() + key.slice(1));
+}
+
+/**
+ * Display name for a gamepad button index
+ */
+export function formatButton(button) {
+  return BUTTON_NAMES[button] ?? `Button ${button}`;
+}
+
+function cloneBindings(bindings) {
+  const copy = {};
+  for (const [action, binding] of Object.entries(bindings)) {
+    copy[action] = { keys: [...binding.keys], buttons: [...binding.buttons] };
+  }
+  return copy;
+}
+
+/**
+ * Saved profiles may predate newer actions: fill those in from the defaults
+ */
+function mergeWithDefaults(saved) {
+  const merged = cloneBindings(DEFAULT_BINDINGS);
+  for (const action of Object.keys(merged)) {
+    const binding = saved?.[action];
+    if (!binding) continue;
+    merged[action] = {
+      keys: Array.isArray(binding.keys) ? binding.keys.filter(k => typeof k === 'string') : merged[action].keys,
+      buttons: Array.isArray(binding.buttons) ? binding.buttons.filter(Number.isInteger) : merged[action].buttons
+    };
+  }
+  return merged;
+}
+
+function getLocalStorage() {
+  try {
+    return typeof localStorage !== 'undefined' ? localStorage : null;
+  } catch {
+    return null; // Blocked (privacy mode, sandboxed iframe)
+  }
+}
@@ -1,36 +1,79 @@
+import { eventBus } from '../utils/EventBus.js';
+import { InputBindings, InputActions } from './InputBindings.js';
+
 /**
  * InputManager - Unified input handling for keyboard, touch, and gamepad
  *
  * Provides normalized input values (-1 to 1 for steering, 0 to 1 for throttle/brake)
+ *
+ * Keys and gamepad buttons come from InputBindings (rebindable, saved per
+ * profile). Keyboard and touch are digital; the gamepad (standard mapping)
+ * is analog:
+ * - Left stick: steer (radial deadzone + response curve)
+ * - Trigger bindings (LT/RT) give analog throttle / brake
+ *
+ * The last device the player touched wins, so resting a thumb on the stick
+ * doesn't fight the keyboard and vice versa.
+ *
+ * Events:
+ * - gamepad-connected { index, id }
+ * - gamepad-disconnected { index, id }
+ * - input-action { action, device } (press actions: reset, camera, debug toggles)
  */
 
 export class InputManager {
-  constructor() {
+  constructor(options = {}) {
+    this.bindings = options.bindings ?? new InputBindings();
+
+    // Gamepad tuning
+    this.stickDeadzone = options.stickDeadzone ?? 0.15; // Radial, fraction of full tilt
+    this.steerCurve = options.steerCurve ?? 1.6; // >1 = finer control near the centre
+    this.triggerDeadzone = options.triggerDeadzone ?? 0.05;
+    this.activityThreshold = options.activityThreshold ?? 0.3; // Analog change that makes the gamepad active
+
     // Raw input state
     this.keys = {};
-    this.touch = { up: false, down: false, left: false, right: false, drift: false };
-    this.gamepad = null;
+    this.touch = { up: false, down: false, left: false, right: false, drift: false, item: false };
+    this.gamepad = null; // Latest snapshot of the active pad { throttle, brake, steer, drift, useItem, buttons }
+    this.gamepadIndex = null;
+    this.activeDevice = 'keyboard'; // 'keyboard' | 'touch' | 'gamepad'
+
+    this._gamepadAnchor = null; // Pad snapshot when another device took over
+    this._prevButtons = [];
+    this._listeners = [];
 
     // Normalized output
     this.state = {
       throttle: 0,  // 0 to 1
       brake: 0,     // 0 to 1
-      steer: 0      // -1 to 1 (left to right)
+      steer: 0,     // -1 to 1 (left to right)
+      drift: false,
+      useItem: false
     };
 
     this._setupKeyboard();
     this._setupTouch();
+    this._setupGamepad();
   }
 
   /**
    * Setup keyboard event listeners
    */
   _setupKeyboard() {
-    window.addEventListener('keydown', (e) => {
-      this.keys[e.key.toLowerCase()] = true;
+    this._listen(window, 'keydown', (e) => {
+      const key = e.key.toLowerCase();
+      this.keys[key] = true;
+      this._setActiveDevice('keyboard');
+
+      if (e.repeat) return;
+      for (const action of this.bindings.getActionsForKey(key)) {
+        if (InputActions[action].type === 'press') {
+          eventBus.emit('input-action', { action, device: 'keyboard' });
+        }
+      }
     });
 
-    window.addEventListener('keyup', (e) => {
+    this._listen(window, 'keyup', (e) => {
       this.keys[e.key.toLowerCase()] = false;
     });
   }
@@ -50,58 +93,66 @@ export class InputManager {
         }
       };
 
-      btn.addEventListener('pointerdown', (e) => {
+      this._listen(btn, 'pointerdown', (e) => {
         e.preventDefault();
         setAction(true);
+        this._setActiveDevice('touch');
       });
 
-      btn.addEventListener('pointerup', (e) => {
+      this._listen(btn, 'pointerup', (e) => {
         e.preventDefault();
         setAction(false);
       });
 
-      btn.addEventListener('pointerleave', () => setAction(false));
+      this._listen(btn, 'pointerleave', () => setAction(false));
+    });
+  }
+
+  /**
+   * Track gamepads being plugged in and out
+   */
+  _setupGamepad() {
+    this._listen(window, 'gamepadconnected', (e) => {
+      if (this.gamepadIndex === null) {
+        this.gamepadIndex = e.gamepad.index;
+        this._prevButtons = [];
+      }
+      console.log(`Gamepad connected: ${e.gamepad.id}`);
+      eventBus.emit('gamepad-connected', { index: e.gamepad.index, id: e.gamepad.id });
+    });
+
+    this._listen(window, 'gamepaddisconnected', (e) => {
+      if (e.gamepad.index === this.gamepadIndex) {
+        this.gamepadIndex = null;
+        this.gamepad = null;
+        this._gamepadAnchor = null;
+        this._prevButtons = [];
+        if (this.activeDevice === 'gamepad') {
+          this.activeDevice = 'keyboard';
+        }
+      }
+      console.log(`Gamepad disconnected: ${e.gamepad.id}`);
+      eventBus.emit('gamepad-disconnected', { index: e.gamepad.index, id: e.gamepad.id });
     });
   }
 
   /**
    * Update input state and return normalized values
-   * @returns {Object} { throttle, brake, steer, drift }
+   * @returns {Object} { throttle, brake, steer, drift, useItem }
    */
   getState() {
-    // Check throttle (W, Up arrow, or touch up)
-    const throttlePressed =
-      this.keys['w'] ||
-      this.keys['arrowup'] ||
-      this.touch.up;
-
-    // Check brake (S, Down arrow, or touch down)
-    const brakePressed =
-      this.keys['s'] ||
-      this.keys['arrowdown'] ||
-      this.touch.down;
-
-    // Check steering
-    const leftPressed =
-      this.keys['a'] ||
-      this.keys['arrowleft'] ||
-      this.touch.left;
-
-    const rightPressed =
-      this.keys['d'] ||
-      this.keys['arrowright'] ||
-      this.touch.right;
-
-    // Check drift (Space or Shift)
-    const driftPressed =
-      this.keys[' '] ||
-      this.keys['shift'] ||
-      this.touch.drift;
+    const throttlePressed = this._isActionKeyDown('throttle') || this.touch.up;
+    const brakePressed = this._isActionKeyDown('brake') || this.touch.down;
+    const leftPressed = this._isActionKeyDown('steerLeft') || this.touch.left;
+    const rightPressed = this._isActionKeyDown('steerRight') || this.touch.right;
+    const driftPressed = this._isActionKeyDown('drift') || this.touch.drift;
+    const itemPressed = this._isActionKeyDown('useItem') || this.touch.item;
 
     // Normalize inputs
     this.state.throttle = throttlePressed ? 1.0 : 0.0;
     this.state.brake = brakePressed ? 1.0 : 0.0;
-    this.state.drift = driftPressed;
+    this.state.drift = Boolean(driftPressed);
+    this.state.useItem = Boolean(itemPressed);
 
     // Steering: -1 (left) to 1 (right)
     if (leftPressed && !rightPressed) {
@@ -112,8 +163,16 @@ export class InputManager {
       this.state.steer = 0.0;
     }
 
-    // TODO: Add gamepad support
-    // this._updateGamepad();
+    this._updateGamepad();
+
+    // Gamepad drives only while it's the active device
+    if (this.activeDevice === 'gamepad' && this.gamepad) {
+      this.state.throttle = this.gamepad.throttle;
+      this.state.brake = this.gamepad.brake;
+      this.state.steer = this.gamepad.steer;
+      this.state.drift = this.gamepad.drift;
+      this.state.useItem = this.gamepad.useItem;
+    }
 
     return { ...this.state };
   }
@@ -127,40 +186,161 @@ export class InputManager {
     return this.keys[key.toLowerCase()] || false;
   }
 
+  /**
+   * Whether a gamepad is connected
+   * @returns {boolean}
+   */
+  hasGamepad() {
+    return this.gamepadIndex !== null;
+  }
+
   /**
    * Reset all input state
    */
   reset() {
     this.keys = {};
-    this.touch = { up: false, down: false, left: false, right: false };
-    this.state = { throttle: 0, brake: 0, steer: 0 };
+    this.touch = { up: false, down: false, left: false, right: false, drift: false, item: false };
+    this.state = { throttle: 0, brake: 0, steer: 0, drift: false, useItem: false };
+    this._gamepadAnchor = this.gamepad;
   }
 
   /**
-   * Future: Gamepad support
+   * Remove all DOM listeners
+   */
+  destroy() {
+    for (const { target, type, handler } of this._listeners) {
+      target.removeEventListener(type, handler);
+    }
+    this._listeners = [];
+  }
+
+  /**
+   * Poll the active gamepad, fire button actions and detect activity
    */
   _updateGamepad() {
+    const gp = this._pollGamepad();
+    if (!gp) {
+      this.gamepad = null;
+      return;
+    }
+
+    const buttons = gp.buttons.map(button => Boolean(button?.pressed));
+
+    // Strongest bound button (triggers are analog, the rest 0 or 1)
+    const actionValue = (action) => this.bindings.getButtons(action).reduce((max, index) => {
+      const button = gp.buttons[index];
+      if (!button) return max;
+      return Math.max(max, this._applyTriggerDeadzone(button.value ?? (button.pressed ? 1 : 0)));
+    }, 0);
+    const actionDown = (action) => this.bindings.getButtons(action).some(index => buttons[index]);
+
+    // Left stick with a radial deadzone (bound buttons, e.g. the D-pad, as a fallback)
+    let steer = this._applyStickCurve(gp.axes[0] ?? 0, gp.axes[1] ?? 0);
+    if (steer === 0) {
+      steer = actionValue('steerRight') - actionValue('steerLeft');
+    }
+
+    const snapshot = {
+      throttle: actionValue('throttle'),
+      brake: actionValue('brake'),
+      steer,
+      drift: actionDown('drift'),
+      useItem: actionDown('useItem'),
+      buttons
+    };
+
+    // Edge-triggered press actions
+    for (const [action, { type }] of Object.entries(InputActions)) {
+      if (type !== 'press') continue;
+      const justPressed = this.bindings.getButtons(action).some(index => buttons[index] && !this._prevButtons[index]);
+      if (justPressed) {
+        eventBus.emit('input-action', { action, device: 'gamepad' });
+      }
+    }
+
+    if (this.activeDevice !== 'gamepad' && this._isGamepadActive(snapshot)) {
+      this._setActiveDevice('gamepad');
+    }
+
+    this._prevButtons = snapshot.buttons;
+    this.gamepad = snapshot;
+  }
+
+  /**
+   * Get the tracked gamepad, picking up pads that were connected
+   * before the page loaded (no gamepadconnected event for those)
+   */
+  _pollGamepad() {
     const gamepads = navigator.getGamepads ? navigator.getGamepads() : [];
 
+    if (this.gamepadIndex !== null) {
+      const gp = gamepads[this.gamepadIndex];
+      if (gp && gp.connected) return gp;
+    }
+
     for (const gp of gamepads) {
       if (gp && gp.connected) {
-        // Left stick for steering
-        const stickX = gp.axes[0]; // -1 to 1
-        if (Math.abs(stickX) > 0.1) {
-          this.state.steer = stickX;
-        }
+        this.gamepadIndex = gp.index;
+        this._prevButtons = [];
+        return gp;
+      }
+    }
 
-        // Triggers for throttle/brake
-        // RT (right trigger) = throttle
-        // LT (left trigger) = brake
-        const rt = gp.buttons[7] ? gp.buttons[7].value : 0;
-        const lt = gp.buttons[6] ? gp.buttons[6].value : 0;
+    this.gamepadIndex = null;
+    return null;
+  }
 
-        this.state.throttle = Math.max(this.state.throttle, rt);
-        this.state.brake = Math.max(this.state.brake, lt);
+  /**
+   * Has the pad moved enough since another device took over?
+   */
+  _isGamepadActive(snapshot) {
+    const anchor = this._gamepadAnchor;
+    if (!anchor) {
+      // First sighting: any real input counts
+      return snapshot.throttle > 0 || snapshot.brake > 0 || snapshot.steer !== 0 || snapshot.buttons.some(Boolean);
+    }
 
-        break; // Use first connected gamepad
-      }
+    if (snapshot.buttons.some((down, i) => down && !anchor.buttons[i])) return true;
+    return (
+      Math.abs(snapshot.steer - anchor.steer) > this.activityThreshold ||
+      Math.abs(snapshot.throttle - anchor.throttle) > this.activityThreshold ||
+      Math.abs(snapshot.brake - anchor.brake) > this.activityThreshold
+    );
+  }
+
+  _isActionKeyDown(action) {
+    return this.bindings.getKeys(action).some(key => this.keys[key]);
+  }
+
+  _setActiveDevice(device) {
+    if (device === this.activeDevice) return;
+    if (this.activeDevice === 'gamepad') {
+      // Remember where the pad was so resting fingers don't steal focus back
+      this._gamepadAnchor = this.gamepad;
     }
+    this.activeDevice = device;
+  }
+
+  /**
+   * Radial deadzone, rescaled to 0-1 and shaped by the response curve
+   * @returns {number} Steering from the stick's X axis (-1 to 1)
+   */
+  _applyStickCurve(x, y) {
+    const magnitude = Math.hypot(x, y);
+    if (magnitude <= this.stickDeadzone) return 0;
+
+    const scaled = Math.min(1, (magnitude - this.stickDeadzone) / (1 - this.stickDeadzone));
+    const curved = Math.pow(scaled, this.steerCurve);
+    return (x / magnitude) * curved;
+  }
+
+  _applyTriggerDeadzone(value) {
+    if (value <= this.triggerDeadzone) return 0;
+    return Math.min(1, (value - this.triggerDeadzone) / (1 - this.triggerDeadzone));
+  }
+
+  _listen(target, type, handler) {
+    target.addEventListener(type, handler);
+    this._listeners.push({ target, type, handler });
   }
 }
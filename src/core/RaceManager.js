@@ -0,0 +1,244 @@
+import { eventBus } from '../utils/EventBus.js';
+import { CpuDriver } from '../entities/CpuDriver.js';
+
+/**
+ * Race phases, in order
+ */
+export const RacePhase = {
+  GRID: 'grid',           // Karts on the grid, inputs locked
+  COUNTDOWN: 'countdown', // 3-2-1, inputs still locked
+  RACING: 'racing',       // Nobody has finished yet
+  COOLDOWN: 'cooldown',   // Leader finished, waiting for the rest
+  FINISHED: 'finished'    // Results are final
+};
+
+/**
+ * RaceManager - Race state machine and finishing order
+ *
+ * Driven by Game once per simulation tick. Handles:
+ * - Grid and 3-2-1 countdown with inputs locked
+ * - Race start (lap timers start on "GO")
+ * - Finishing order, with a cool-down while the others finish
+ * - Autopilot for the player after crossing the line
+ * - Results: position, total time, best lap and gap for every kart
+ *
+ * Events:
+ * - race-phase-changed { phase, previousPhase, time }
+ * - race-countdown { count } (3, 2, 1, then 0 for "GO")
+ * - kart-finished { kartId, position, totalTime }
+ * - race-won { kartId } (first finisher)
+ * - race-finished { results }
+ */
+
+export class RaceManager {
+  constructor(game, options = {}) {
+    this.game = game;
+    this.laps = options.laps ?? 3;
+    this.gridDuration = options.gridDuration ?? 1.0; // Seconds on the grid before the countdown
+    this.countdownFrom = options.countdownFrom ?? 3; // Countdown length in seconds
+    this.cooldownTimeout = options.cooldownTimeout ?? 30; // Seconds after the winner before DNFs
+    this.playerAutopilot = options.playerAutopilot ?? true; // Let the CPU drive the player after finishing
+
+    this.phase = null;
+    this.phaseTime = 0; // Seconds spent in the current phase
+    this.raceStartTime = 0; // Sim time of "GO"
+    this.lastCount = null;
+    this.finishOrder = []; // [{ kartId, totalTime }]
+    this.results = null;
+  }
+
+  /**
+   * Put every kart on the grid and start the pre-race sequence
+   */
+  start() {
+    this.finishOrder = [];
+    this.results = null;
+    this.lastCount = null;
+    this._setPhase(RacePhase.GRID);
+  }
+
+  /**
+   * Whether kart controls are locked (before the start)
+   */
+  get inputsLocked() {
+    return this.phase === RacePhase.GRID || this.phase === RacePhase.COUNTDOWN;
+  }
+
+  /**
+   * Whether the race clock is running (laps count)
+   */
+  get isLive() {
+    return this.phase === RacePhase.RACING || this.phase === RacePhase.COOLDOWN;
+  }
+
+  /**
+   * Advance phase timers (call once per simulation tick, before karts move)
+   * @param {number} dt - Tick length in seconds
+   */
+  update(dt) {
+    if (!this.phase) return;
+    this.phaseTime += dt;
+
+    switch (this.phase) {
+      case RacePhase.GRID:
+        if (this.phaseTime >= this.gridDuration) {
+          this._setPhase(RacePhase.COUNTDOWN);
+        }
+        break;
+
+      case RacePhase.COUNTDOWN: {
+        const count = Math.max(0, Math.ceil(this.countdownFrom - this.phaseTime));
+        if (count !== this.lastCount) {
+          this.lastCount = count;
+          eventBus.emit('race-countdown', { count });
+        }
+        if (count === 0) {
+          this._startRace();
+        }
+        break;
+      }
+
+      case RacePhase.COOLDOWN:
+        if (this.phaseTime >= this.cooldownTimeout) {
+          this.finish();
+        }
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Record a completed lap (called by Game)
+   * @param {string} kartId
+   * @param {number} lapNumber - Laps completed so far
+   * @param {number} time - Sim time the lap was completed
+   */
+  onLapCompleted(kartId, lapNumber, time) {
+    if (!this.isLive) return;
+    if (lapNumber < this.laps) return;
+    if (this.isFinished(kartId)) return;
+
+    const totalTime = time - this.raceStartTime;
+    this.finishOrder.push({ kartId, totalTime });
+    const position = this.finishOrder.length;
+
+    eventBus.emit('kart-finished', { kartId, position, totalTime });
+
+    if (position === 1) {
+      this.game.winner = kartId;
+      eventBus.emit('race-won', { kartId });
+      this._setPhase(RacePhase.COOLDOWN);
+    }
+
+    const kart = this.game.karts.find(k => k.id === kartId);
+    if (kart?.isPlayer && this.playerAutopilot && !kart.aiDriver) {
+      kart.aiDriver = new CpuDriver({ debugPath: false });
+    }
+
+    if (this.finishOrder.length >= this.game.karts.length) {
+      this.finish();
+    }
+  }
+
+  /**
+   * Has this kart crossed the line on its final lap?
+   */
+  isFinished(kartId) {
+    return this.finishOrder.some(entry => entry.kartId === kartId);
+  }
+
+  /**
+   * End the race now; karts still running are marked DNF
+   * @returns {Array<Object>} Final results
+   */
+  finish() {
+    if (this.phase === RacePhase.FINISHED) return this.results;
+
+    this._setPhase(RacePhase.FINISHED);
+    this.results = this.getResults();
+    eventBus.emit('race-finished', { results: this.results });
+    return this.results;
+  }
+
+  /**
+   * Build the results table for every kart in the game
+   * Finishers in finishing order, then the rest by race distance.
+   * @returns {Array<{position, kartId, isPlayer, finished, dnf, totalTime, bestLap, laps, gap}>}
+   */
+  getResults() {
+    const cpSystem = this.game.track?.checkpointSystem;
+    const leaderTime = this.finishOrder[0]?.totalTime ?? null;
+
+    const finishers = this.finishOrder.map(entry => entry.kartId);
+    const others = this.game.karts
+      .map(kart => kart.id)
+      .filter(id => !finishers.includes(id))
+      .sort((a, b) => this._progressOf(b) - this._progressOf(a));
+
+    const raceOver = this.phase === RacePhase.FINISHED;
+
+    return [...finishers, ...others].map((kartId, index) => {
+      const kart = this.game.karts.find(k => k.id === kartId);
+      const entry = this.finishOrder.find(e => e.kartId === kartId);
+      const lapTimes = cpSystem?.getLapTimes(kartId);
+      const finished = Boolean(entry);
+
+      return {
+        position: index + 1,
+        kartId,
+        isPlayer: kart?.isPlayer ?? false,
+        finished,
+        dnf: !finished && raceOver,
+        totalTime: entry?.totalTime ?? null,
+        bestLap: lapTimes?.bestLapTime ?? null,
+        laps: Math.min(lapTimes?.currentLap ?? 0, this.laps),
+        gap: finished && leaderTime !== null ? entry.totalTime - leaderTime : null
+      };
+    });
+  }
+
+  /**
+   * Seconds since "GO" (0 before the start)
+   */
+  getRaceTime() {
+    return this.isLive || this.phase === RacePhase.FINISHED
+      ? Math.max(0, this.game.simTime - this.raceStartTime)
+      : 0;
+  }
+
+  _startRace() {
+    this.raceStartTime = this.game.simTime;
+
+    // Lap timers start on "GO", not when the karts were placed
+    const cpSystem = this.game.track?.checkpointSystem;
+    if (cpSystem) {
+      for (const kart of this.game.karts) {
+        cpSystem.resetKart(kart.id, this.raceStartTime);
+      }
+    }
+
+    this._setPhase(RacePhase.RACING);
+  }
+
+  _progressOf(kartId) {
+    if (this.game.standings) {
+      return this.game.standings.getRaceDistance(kartId);
+    }
+    const progress = this.game.track?.checkpointSystem?.getProgress(kartId);
+    if (!progress) return 0;
+    return progress.lap * 1000 + progress.checkpoint;
+  }
+
+  _setPhase(phase) {
+    const previousPhase = this.phase;
+    this.phase = phase;
+    this.phaseTime = 0;
+    eventBus.emit('race-phase-changed', {
+      phase,
+      previousPhase,
+      time: this.game.simTime
+    });
+  }
+}
@@ -0,0 +1,193 @@
+import * as THREE from 'three';
+import { Game } from './Game.js';
+import { RacePhase } from './RaceManager.js';
+import { Track } from '../track/Track.js';
+import { TrackFile } from '../track/TrackFile.js';
+import { Kart } from '../entities/Kart.js';
+import { CpuDriver } from '../entities/CpuDriver.js';
+import { WaypointAI } from '../ai/WaypointAI.js';
+import { CpuDifficulty } from '../ai/CpuDifficulty.js';
+import { eventBus } from '../utils/EventBus.js';
+import { createRandom, streamSeed } from '../utils/Random.js';
+import { RaceRecorder } from '../replay/RaceRecorder.js';
+
+/** Round seconds to milliseconds for readable output */
+function roundTime(seconds) {
+  return Math.round(seconds * 1000) / 1000;
+}
+
+/**
+ * RaceSimulator - Runs a complete CPU race headless
+ *
+ * Builds Track, Karts and Game with a null scene (no meshes, canvases or
+ * WebGL) and steps the fixed-timestep simulation as fast as possible.
+ * Works in Node, so races can be used for regression tests, AI tuning
+ * and batch-checking tracks.
+ *
+ * Usage:
+ *   const sim = new RaceSimulator(trackData, { laps: 3, cpuCount: 4 });
+ *   const results = sim.run();
+ */
+
+export class RaceSimulator {
+  /**
+   * @param {Object} trackData - Saved track object in any TrackFile version
+   * @param {Object} options
+   * @param {number} [options.laps=3] - Laps each kart must complete
+   * @param {number} [options.cpuCount=4] - Number of CPU karts
+   * @param {string} [options.driver='auto'] - 'auto' | 'cpu' | 'waypoint'
+   * @param {string|null} [options.difficulty=null] - CPU tier (CpuDifficulty); null = default stats, no mistakes
+   * @param {number} [options.seed=1] - Seed for the tier's skill spread and mistakes, and item rolls
+   * @param {number} [options.maxTime=600] - Simulated seconds before giving up
+   * @param {number} [options.fixedTimeStep=1/60] - Simulation tick length
+   * @param {Array<Object>} [options.karts] - Per-kart overrides (stats and driver options)
+   * @param {boolean} [options.record=false] - Record the race (see `replay` after run())
+   */
+  constructor(trackData, options = {}) {
+    this.trackData = TrackFile.load(trackData);
+    this.laps = options.laps ?? 3;
+    this.cpuCount = options.cpuCount ?? 4;
+    this.driver = options.driver ?? 'auto';
+    this.difficulty = options.difficulty ?? null;
+    this.seed = options.seed ?? 1;
+    this.maxTime = options.maxTime ?? 600;
+    this.fixedTimeStep = options.fixedTimeStep ?? 1 / 60;
+    this.kartOptions = options.karts ?? [];
+    this.record = options.record ?? false;
+    this.replay = null; // Set by run() when recording
+
+    this.game = null;
+    this.track = null;
+    this.karts = [];
+  }
+
+  /**
+   * Build the race (called by run(), exposed for callers that want to step manually)
+   */
+  setup() {
+    this.track = Track.fromData(null, this.trackData);
+
+    this.game = new Game(null, {
+      fixedTimeStep: this.fixedTimeStep,
+      laps: this.laps,
+      // Item rolls, CPU hold times and spin-outs replay with the seed
+      items: { random: createRandom(streamSeed(this.seed, 'items')) },
+      // No grid wait or countdown; race until everyone finishes or maxTime
+      race: { gridDuration: 0, countdownFrom: 0, cooldownTimeout: Infinity }
+    });
+    this.game.setTrack(this.track);
+
+    const start = this.track.getStartTransform();
+    const directionField = this.track.getDirectionField();
+    this.track.getRacingLine(); // Solved before the clock starts
+    const spacing = this.track.tileSize;
+
+    const bots = this.difficulty
+      ? CpuDifficulty.createBots(this.difficulty, this.cpuCount, this.seed)
+      : [];
+
+    this.karts = [];
+    for (let i = 0; i < this.cpuCount; i++) {
+      const bot = bots[i] ?? { kart: {}, waypoint: {}, cpu: {} };
+      const overrides = { ...bot.kart, ...this.kartOptions[i] };
+      const kart = new Kart(null, {
+        id: overrides.id ?? `cpu-${i + 1}`,
+        isPlayer: false,
+        maxSpeed: overrides.maxSpeed,
+        acceleration: overrides.acceleration,
+        turnSpeed: overrides.turnSpeed
+      });
+
+      // Two-wide grid behind the start line
+      const lateral = (i % 2 === 0 ? -1 : 1) * spacing * 0.5;
+      const back = Math.floor(i / 2) * spacing * 1.5;
+      const offset = new THREE.Vector3(lateral, 0, -back)
+        .applyAxisAngle(new THREE.Vector3(0, 1, 0), start.heading);
+      kart.reset(start.position.clone().add(offset), start.heading);
+
+      kart.aiDriver = this._createDriver(kart, directionField, bot, overrides.driver);
+      this.game.addKart(kart);
+      this.karts.push(kart);
+    }
+  }
+
+  /**
+   * Run the race to completion (or until maxTime)
+   * @returns {Object} Race results
+   */
+  run() {
+    this.setup();
+
+    const race = this.game.race;
+    const recorder = this.record ? new RaceRecorder(this.game, { trackData: this.trackData }) : null;
+
+    // RaceManager only keeps best laps; collect every lap for the report
+    const lapTimes = new Map(this.karts.map(kart => [kart.id, []]));
+    const onLap = ({ kartId, lapTime }) => {
+      const laps = lapTimes.get(kartId);
+      if (laps && laps.length < this.laps) laps.push(lapTime);
+    };
+
+    eventBus.on('lap-completed', onLap);
+    recorder?.start();
+    try {
+      this.game.start();
+      while (race.phase !== RacePhase.FINISHED && this.game.simTime < this.maxTime) {
+        this.game.step(this.fixedTimeStep);
+      }
+      this.game.stop();
+    } finally {
+      eventBus.off('lap-completed', onLap);
+      recorder?.stop();
+    }
+    this.replay = recorder?.getReplay() ?? null;
+
+    // Out of time: whoever is still running is a DNF
+    const results = race.finish();
+    return this._buildResults(results, lapTimes);
+  }
+
+  /**
+   * Clean up (karts and track have no meshes, this just drops references)
+   */
+  destroy() {
+    this.game?.destroy();
+    this.track?.destroy();
+    this.game = null;
+    this.track = null;
+    this.karts = [];
+  }
+
+  _createDriver(kart, directionField, bot, driverOptions = {}) {
+    const useWaypoints = this.driver === 'waypoint' || (this.driver === 'auto' && directionField);
+    if (useWaypoints && directionField) {
+      return new WaypointAI(kart, directionField, { ...bot.waypoint, ...driverOptions });
+    }
+    return new CpuDriver({ debugPath: false, ...bot.cpu, ...driverOptions });
+  }
+
+  _buildResults(results, lapTimes) {
+    const karts = results.map(result => ({
+      position: result.position,
+      id: result.kartId,
+      finished: result.finished,
+      dnf: result.dnf,
+      totalTime: result.totalTime !== null ? roundTime(result.totalTime) : null,
+      gap: result.gap !== null ? roundTime(result.gap) : null,
+      bestLap: result.bestLap !== null ? roundTime(result.bestLap) : null,
+      lapsCompleted: result.laps,
+      lapTimes: lapTimes.get(result.kartId).map(roundTime)
+    }));
+
+    return {
+      track: this.trackData.name ?? 'Track',
+      laps: this.laps,
+      difficulty: this.difficulty,
+      seed: this.seed,
+      simTime: roundTime(this.game.simTime),
+      ticks: this.game.tick,
+      completed: karts.every(kart => kart.finished),
+      karts
+    };
+  }
+}
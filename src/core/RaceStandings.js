@@ -0,0 +1,230 @@
+import * as THREE from 'three';
+import { eventBus } from '../utils/EventBus.js';
+
+/**
+ * RaceStandings - Live race positions from continuous race distance
+ *
+ * CheckpointSystem only knows lap + next checkpoint index, so karts between
+ * the same two checkpoints tie. Here each kart gets a race distance:
+ *
+ *   lap * lapLength + distance to the last checkpoint + progress toward the next
+ *
+ * Checkpoint distances are measured around the lap starting from the finish
+ * line (the last checkpoint). Progress inside a segment comes from the
+ * DirectionField path when the track has one, otherwise from projecting the
+ * kart onto the straight line between the two checkpoints.
+ *
+ * Karts that have finished (RaceManager) always rank ahead, in finish order.
+ *
+ * Events:
+ * - position-changed { kartId, position, previousPosition, total }
+ */
+
+export class RaceStandings {
+  constructor(game, options = {}) {
+    this.game = game;
+    this.updateInterval = options.updateInterval ?? 3; // Ticks between recalculations
+
+    this.standings = []; // Sorted [{ kartId, position, lap, nextCheckpoint, distance, finished }]
+    this.positions = new Map(); // kartId -> position
+
+    // Lap geometry, built lazily from the track's checkpoints
+    this._checkpoints = null;
+    this._cumulative = []; // Distance from the finish line to checkpoint i
+    this.lapLength = 0;
+    this._pathT = null; // Checkpoint parameters on the DirectionField path
+    this._pathReversed = false;
+  }
+
+  /**
+   * Recalculate standings (call once per simulation tick)
+   * @param {number} tick - Current simulation tick (used for throttling)
+   */
+  update(tick = 0) {
+    if (this.updateInterval > 1 && tick % this.updateInterval !== 0) return;
+    this.refresh();
+  }
+
+  /**
+   * Recalculate standings now and emit position changes
+   * @returns {Array<Object>} Sorted standings
+   */
+  refresh() {
+    this._ensureGeometry();
+
+    const race = this.game.race;
+    const finishOrder = race ? race.finishOrder.map(entry => entry.kartId) : [];
+
+    const entries = this.game.karts.map(kart => {
+      const progress = this.game.track?.checkpointSystem?.getProgress(kart.id);
+      const finishIndex = finishOrder.indexOf(kart.id);
+      return {
+        kartId: kart.id,
+        position: 0,
+        lap: progress?.lap ?? 0,
+        nextCheckpoint: progress?.checkpoint ?? 0,
+        distance: this._raceDistance(kart, progress),
+        finished: finishIndex !== -1,
+        finishIndex
+      };
+    });
+
+    entries.sort((a, b) => {
+      if (a.finished !== b.finished) return a.finished ? -1 : 1;
+      if (a.finished) return a.finishIndex - b.finishIndex;
+      return b.distance - a.distance;
+    });
+
+    const total = entries.length;
+    entries.forEach((entry, index) => {
+      entry.position = index + 1;
+      delete entry.finishIndex;
+
+      const previousPosition = this.positions.get(entry.kartId) ?? null;
+      if (previousPosition !== entry.position) {
+        this.positions.set(entry.kartId, entry.position);
+        eventBus.emit('position-changed', {
+          kartId: entry.kartId,
+          position: entry.position,
+          previousPosition,
+          total
+        });
+      }
+    });
+
+    this.standings = entries;
+    return entries;
+  }
+
+  /**
+   * Current standings, leader first
+   * @returns {Array<{kartId, position, lap, nextCheckpoint, distance, finished}>}
+   */
+  getStandings() {
+    return this.standings;
+  }
+
+  /**
+   * Current position of a kart (1 = leader), or null if unknown
+   */
+  getPosition(kartId) {
+    return this.positions.get(kartId) ?? null;
+  }
+
+  /**
+   * Continuous race distance of a kart (from the last refresh)
+   */
+  getRaceDistance(kartId) {
+    return this.standings.find(entry => entry.kartId === kartId)?.distance ?? 0;
+  }
+
+  /**
+   * Forget cached lap geometry (call after checkpoints change)
+   */
+  invalidate() {
+    this._checkpoints = null;
+  }
+
+  /**
+   * Distance from the start of the race to the kart
+   */
+  _raceDistance(kart, progress) {
+    const checkpoints = this._checkpoints;
+    if (!progress || !checkpoints || checkpoints.length === 0) return 0;
+
+    const count = checkpoints.length;
+    const nextIndex = Math.min(progress.checkpoint, count - 1);
+    const prevIndex = nextIndex === 0 ? count - 1 : nextIndex - 1;
+    const prevDistance = nextIndex === 0 ? 0 : this._cumulative[prevIndex];
+    const segmentLength = this._cumulative[nextIndex] - prevDistance;
+
+    const fraction = this._segmentFraction(kart.pos, prevIndex, nextIndex);
+    return progress.lap * this.lapLength + prevDistance + fraction * segmentLength;
+  }
+
+  /**
+   * How far (0-1) the kart is from checkpoint prevIndex to nextIndex.
+   * Slightly negative when behind the previous checkpoint (e.g. on the grid).
+   */
+  _segmentFraction(position, prevIndex, nextIndex) {
+    const path = this.game.track?.getDirectionField?.()?.path;
+    if (path && this._pathT) {
+      const t = this._pathParam(this.game.track.getDirectionField(), position);
+      const start = this._pathT[prevIndex];
+      const span = wrap01(this._pathT[nextIndex] - start) || 1;
+      let along = wrap01(t - start);
+      // Just behind the previous checkpoint wraps to ~1; treat as behind
+      if (along > span && along > 0.5 + span / 2) along -= 1;
+      return THREE.MathUtils.clamp(along / span, -1, 1);
+    }
+
+    const from = this._checkpoints[prevIndex];
+    const to = this._checkpoints[nextIndex];
+    const segX = to.x - from.x;
+    const segZ = to.z - from.z;
+    const lengthSq = segX * segX + segZ * segZ;
+    if (lengthSq < 1e-6) return 0;
+
+    const t = ((position.x - from.x) * segX + (position.z - from.z) * segZ) / lengthSq;
+    return THREE.MathUtils.clamp(t, -1, 1);
+  }
+
+  /**
+   * Kart's parameter on the path, oriented in checkpoint order
+   */
+  _pathParam(directionField, position) {
+    const t = directionField.findNearestPointOnPath(new THREE.Vector3(position.x, 0, position.z));
+    return this._pathReversed ? 1 - t : t;
+  }
+
+  /**
+   * Build cumulative checkpoint distances (and path parameters) once
+   */
+  _ensureGeometry() {
+    const cpSystem = this.game.track?.checkpointSystem;
+    const checkpoints = cpSystem?.checkpoints ?? [];
+    if (this._checkpoints && this._checkpoints.length === checkpoints.length) return;
+
+    this._checkpoints = checkpoints.map(cp => new THREE.Vector3(cp.position.x, 0, cp.position.z));
+    this._cumulative = [];
+    this.lapLength = 0;
+    this._pathT = null;
+    if (this._checkpoints.length === 0) return;
+
+    // Anchor at the finish line (last checkpoint), so checkpoint 0 is the first segment
+    const count = this._checkpoints.length;
+    let total = 0;
+    for (let i = 0; i < count; i++) {
+      const prev = this._checkpoints[i === 0 ? count - 1 : i - 1];
+      total += count > 1 ? prev.distanceTo(this._checkpoints[i]) : 0;
+      this._cumulative.push(total);
+    }
+    this.lapLength = total;
+
+    const directionField = this.game.track?.getDirectionField?.();
+    if (directionField?.path && count > 1) {
+      const raw = this._checkpoints.map(cp => directionField.findNearestPointOnPath(cp));
+
+      // Path may run against checkpoint order: forward steps should be short.
+      // With two checkpoints both ways round add up to one lap, so look at
+      // which way the path leaves checkpoint 0 instead
+      if (count === 2) {
+        const tangent = directionField.path.getTangent(raw[0]);
+        const toNext = this._checkpoints[1].clone().sub(this._checkpoints[0]);
+        this._pathReversed = tangent.x * toNext.x + tangent.z * toNext.z < 0;
+      } else {
+        let forward = 0;
+        for (let i = 0; i < count; i++) {
+          forward += wrap01(raw[(i + 1) % count] - raw[i]);
+        }
+        this._pathReversed = forward > count / 2;
+      }
+      this._pathT = this._pathReversed ? raw.map(t => 1 - t) : raw;
+    }
+  }
+}
+
+/** Wrap a path parameter difference into [0, 1) */
+function wrap01(value) {
+  return ((value % 1) + 1) % 1;
+}
@@ -1,16 +1,25 @@
 import { TileRegistry } from '../track/TileRegistry.js';
 import { ObjectRegistry, getCategories } from '../objects/ObjectRegistry.js';
 import { eventBus } from '../utils/EventBus.js';
-import { MapEditor } from './MapEditor.js';
+import { TrackFile } from '../track/TrackFile.js';
+import { Track } from '../track/Track.js';
+import { TrackLibrary } from '../track/TrackLibrary.js';
+import { TrackLibraryScreen } from '../ui/TrackLibraryScreen.js';
 
 /**
  * EditorUI - Manages editor interface and user interactions
  */
 
 export class EditorUI {
-  constructor(mapEditor) {
+  /**
+   * @param {MapEditor} mapEditor
+   * @param {Object} options
+   * @param {TrackLibrary} [options.library] - Where Save / Track Library go (default: browser IndexedDB)
+   */
+  constructor(mapEditor, options = {}) {
     this.editor = mapEditor;
     this.editor.ui = this; // Set bidirectional reference
+    this.library = options.library ?? new TrackLibrary();
 
     // UI Elements
     this.editorPanel = document.getElementById('editor-ui');
@@ -20,6 +29,8 @@ export class EditorUI {
     this.rotationDisplay = document.getElementById('rotation-display');
     this.scaleDisplay = document.getElementById('scale-display');
     this.trackNameInput = document.getElementById('track-name');
+    this.trackAuthorInput = document.getElementById('track-author');
+    this.trackTagsInput = document.getElementById('track-tags');
 
     // Mode elements
     this.modeTilesBtn = document.getElementById('mode-tiles-btn');
@@ -47,6 +58,7 @@ export class EditorUI {
     // Checkpoint buttons
     this.toggleFinishLineBtn = document.getElementById('toggle-finish-line-btn');
     this.clearCheckpointsBtn = document.getElementById('clear-checkpoints-btn');
+    this.racingLineBtn = document.getElementById('racing-line-btn');
     this.checkpointItemsDiv = document.getElementById('checkpoint-items');
 
     // Waypoint buttons
@@ -72,11 +84,19 @@ export class EditorUI {
     // Checkpoint state
     this.nextIsFinishLine = false;
 
+    // Track library browser (Load)
+    this.libraryScreen = new TrackLibraryScreen(this.library, document.getElementById('track-library'), {
+      title: 'Track Library',
+      onSelect: (entry) => this.loadLibraryEntry(entry),
+      onChange: (action, entry) => this.handleLibraryChange(action, entry)
+    });
+
     // Initialize
     this.setupTilePalette();
     this.setupObjectPalette();
     this.setupEventListeners();
     this.setupEditorEvents();
+    this.refreshTrackInfo();
   }
 
   /**
@@ -341,6 +361,10 @@ export class EditorUI {
       }
     });
 
+    this.racingLineBtn.addEventListener('click', () => {
+      this.toggleRacingLine();
+    });
+
     // Waypoint controls
     this.clearWaypointsBtn.addEventListener('click', () => {
       if (confirm('Clear all waypoints?')) {
@@ -414,14 +438,20 @@ export class EditorUI {
     });
 
     // Save
-    this.saveBtn.addEventListener('click', () => {
+    this.saveBtn.addEventListener('click', async () => {
       this.editor.trackName = this.trackNameInput.value;
-      if (this.editor.saveToLocalStorage()) {
+      try {
+        await this.editor.saveToLibrary(this.library, {
+          author: this.trackAuthorInput.value.trim(),
+          tags: this.trackTagsInput.value
+        });
         alert(`Track "${this.editor.trackName}" saved!`);
+      } catch (error) {
+        alert(`Could not save track: ${error.message}`);
       }
     });
 
-    // Load from LocalStorage
+    // Load from the track library
     this.loadBtn.addEventListener('click', () => {
       this.showLoadDialog();
     });
@@ -452,7 +482,8 @@ export class EditorUI {
 
       // Save current track to session storage before testing
       const trackData = this.editor.serializeTrack();
-      sessionStorage.setItem('editorState', JSON.stringify(trackData));
+      sessionStorage.setItem('editorState', TrackFile.serialize(trackData));
+      sessionStorage.setItem('editorLibraryId', this.editor.libraryId ?? '');
 
       eventBus.emit('editor-test-track', {
         trackData: trackData
@@ -473,6 +504,8 @@ export class EditorUI {
     window.addEventListener('keydown', (e) => {
       // Only handle if editor is visible
       if (this.editorPanel.classList.contains('hidden')) return;
+      // Leave typing in the name / author / tags fields alone
+      if (e.target instanceof HTMLInputElement && e.target.type === 'text') return;
 
       // R - Rotate
       if (e.key.toLowerCase() === 'r') {
@@ -480,6 +513,13 @@ export class EditorUI {
         this.editor.rotateTile();
       }
 
+      // PageUp/PageDown - Raise/lower the hovered cells (tile mode)
+      if ((e.key === 'PageUp' || e.key === 'PageDown') && this.editor.editorMode === 'tiles') {
+        e.preventDefault();
+        const { x, z } = this.editor.currentGridCell;
+        this.editor.adjustHeight(x, z, e.key === 'PageUp' ? 1 : -1);
+      }
+
       // Ctrl+Z - Undo
       if (e.ctrlKey && e.key === 'z' && !e.shiftKey) {
         e.preventDefault();
@@ -501,12 +541,19 @@ export class EditorUI {
     // Grid hover
     eventBus.on('editor-grid-hover', (data) => {
       if (data.gridX >= 0) {
-        this.gridCoordsSpan.textContent = `(${data.gridX}, ${data.gridZ})`;
+        const level = data.level ? ` L${data.level}` : '';
+        this.gridCoordsSpan.textContent = `(${data.gridX}, ${data.gridZ})${level}`;
       } else {
         this.gridCoordsSpan.textContent = `(${data.worldX}, ${data.worldZ})`;
       }
     });
 
+    // Cell raised/lowered
+    eventBus.on('editor-height-changed', (data) => {
+      const level = data.level ? ` L${data.level}` : '';
+      this.gridCoordsSpan.textContent = `(${data.gridX}, ${data.gridZ})${level}`;
+    });
+
     // Rotation changed
     eventBus.on('editor-rotation-changed', (data) => {
       this.rotationDisplay.textContent = `${data.rotation}°`;
@@ -554,35 +601,55 @@ export class EditorUI {
   }
 
   /**
-   * Show load dialog with saved tracks
+   * Show the track library (load, rename, duplicate, delete)
    */
   showLoadDialog() {
-    const tracks = MapEditor.getSavedTracks();
+    this.libraryScreen.show();
+  }
 
-    if (tracks.length === 0) {
-      alert('No saved tracks found.');
-      return;
+  /**
+   * Load a track picked in the library
+   * @param {Object} entry - Library summary
+   */
+  async loadLibraryEntry(entry) {
+    if (!await this.editor.loadFromLibrary(this.library, entry.id)) {
+      throw new Error('it is no longer in the library');
     }
+    this.updateTrackName(entry.name);
+    this.showTrackInfo(entry);
+  }
 
-    let message = 'Select a track to load:\n\n';
-    tracks.forEach((track, index) => {
-      message += `${index + 1}. ${track}\n`;
-    });
-
-    const input = prompt(message + '\nEnter track number:');
-    const trackIndex = parseInt(input) - 1;
+  /**
+   * Keep the fields in step when the track being edited changes in the library
+   */
+  handleLibraryChange(action, entry) {
+    if (entry.id !== this.editor.libraryId) return;
+
+    if (action === 'rename') {
+      this.editor.trackName = entry.name;
+      this.updateTrackName(entry.name);
+    } else if (action === 'delete') {
+      this.editor.libraryId = null; // Saving again creates a new entry
+    }
+  }
 
-    if (trackIndex >= 0 && trackIndex < tracks.length) {
-      const trackName = tracks[trackIndex];
-      if (this.editor.loadFromLocalStorage(trackName)) {
-        this.trackNameInput.value = trackName;
-        alert(`Track "${trackName}" loaded!`);
-      } else {
-        alert('Failed to load track.');
-      }
+  /**
+   * Fill author and tags from the library entry being edited (if any)
+   */
+  async refreshTrackInfo() {
+    const entry = this.editor.libraryId ? await this.library.get(this.editor.libraryId).catch(() => null) : null;
+    if (entry) {
+      this.showTrackInfo(entry);
+    } else {
+      this.editor.libraryId = null;
     }
   }
 
+  showTrackInfo(entry) {
+    this.trackAuthorInput.value = entry.author ?? '';
+    this.trackTagsInput.value = (entry.tags ?? []).join(', ');
+  }
+
   /**
    * Update track name display
    */
@@ -753,6 +820,36 @@ export class EditorUI {
     });
   }
 
+  /**
+   * Show or hide the AI racing line for the track as it is now
+   * (red = slow, green = fast). Edits don't update it; toggle again.
+   */
+  toggleRacingLine() {
+    if (this.racingLineMesh) {
+      this.editor.scene.remove(this.racingLineMesh);
+      this.racingLineMesh.geometry.dispose();
+      this.racingLineMesh.material.dispose();
+      this.racingLineMesh = null;
+      this.racingLineBtn.textContent = '🏁 Show Racing Line';
+      return;
+    }
+
+    let line;
+    try {
+      line = Track.fromData(null, this.editor.serializeTrack()).getRacingLine();
+    } catch (error) {
+      alert(`Cannot solve the racing line: ${error.message}`);
+      return;
+    }
+    if (!line) {
+      alert('Need at least 2 checkpoints connected by road to solve a racing line');
+      return;
+    }
+
+    this.racingLineMesh = line.visualize(this.editor.scene);
+    this.racingLineBtn.textContent = `🏁 Hide Racing Line (~${line.estimateLapTime().toFixed(1)}s lap)`;
+  }
+
   /**
    * Update rotation display
    */
@@ -789,17 +886,15 @@ export class EditorUI {
     const reader = new FileReader();
     reader.onload = (e) => {
       try {
-        const trackData = JSON.parse(e.target.result);
-
-        // Validate track data
-        if (!trackData.layout || !Array.isArray(trackData.layout)) {
-          alert('Invalid track file: missing layout data.');
-          return;
-        }
+        // Upgrade old formats and validate (throws TrackFormatError with every problem)
+        const trackData = TrackFile.parse(e.target.result);
 
-        // Load the track
+        // Load the track (saving adds it to the library as a new entry)
         this.editor.loadTrack(trackData);
+        this.editor.libraryId = null;
         this.updateTrackName(trackData.name || 'Imported Track');
+        this.trackAuthorInput.value = '';
+        this.trackTagsInput.value = '';
 
         // Update checkpoint list if in checkpoint mode
         if (this.editor.editorMode === 'checkpoints') {
@@ -1,6 +1,7 @@
 import * as THREE from 'three';
-import { TileRegistry, getTile } from '../track/TileRegistry.js';
+import { TileRegistry, getTile, parseCell, makeCell } from '../track/TileRegistry.js';
 import { Track } from '../track/Track.js';
+import { TrackFile } from '../track/TrackFile.js';
 import { eventBus } from '../utils/EventBus.js';
 import { Object3D } from '../entities/Object3D.js';
 import { getObject } from '../objects/ObjectRegistry.js';
@@ -38,6 +39,7 @@ export class MapEditor {
     this.isPainting = false; // Track if mouse is held down
     this.lastPaintedCell = { x: -1, z: -1 }; // Prevent painting same cell repeatedly
     this.trackName = 'My Track';
+    this.libraryId = null; // Track library entry being edited (null = not saved yet)
     this.skyboxId = 'default'; // Default skybox
     this.brushSize = 1; // Brush radius (1 = single tile, 2 = 3x3, 3 = 5x5, etc.)
     this.autoTileEnabled = true; // Auto-tiling feature
@@ -65,8 +67,10 @@ export class MapEditor {
     this.objectPreviewMesh = null; // Preview of object being placed
     this.selectedObjectMesh = null; // Currently selected object for editing
 
-    // Grid data (2D array)
+    // Grid data (2D arrays: tile IDs and cell levels)
     this.grid = [];
+    this.heights = [];
+    this.maxLevel = options.maxLevel ?? 6; // Highest cell level the editor allows
     this.initGrid();
 
     // Undo/redo stacks
@@ -101,6 +105,7 @@ export class MapEditor {
       }
       this.grid.push(rowData);
     }
+    this.heights = this.grid.map(row => row.map(() => 0)); // Flat
   }
 
   /**
@@ -225,8 +230,10 @@ export class MapEditor {
           const worldX = (gridX - this.gridWidth / 2) * this.tileSize + this.tileSize / 2;
           const worldZ = (gridZ - this.gridHeight / 2) * this.tileSize + this.tileSize / 2;
 
+          const level = this.heights[gridZ][gridX];
           this.highlightMesh.position.x = worldX;
           this.highlightMesh.position.z = worldZ;
+          this.highlightMesh.position.y = level * (this.track?.levelHeight ?? 2) + 0.25;
           this.highlightMesh.visible = true;
 
           // Paint if mouse is held down and moved to new cell
@@ -240,7 +247,8 @@ export class MapEditor {
             gridX,
             gridZ,
             worldX,
-            worldZ
+            worldZ,
+            level
           });
         } else {
           this.highlightMesh.visible = false;
@@ -301,14 +309,20 @@ export class MapEditor {
 
   /**
    * Place a tile at grid position
+   * @param {number} gridX
+   * @param {number} gridZ
+   * @param {string} tileType - Tile ID
+   * @param {boolean} [skipUndoPush=false]
+   * @param {number} [rotation=this.currentRotation] - Degrees clockwise
    */
-  placeTile(gridX, gridZ, tileType, skipUndoPush = false) {
+  placeTile(gridX, gridZ, tileType, skipUndoPush = false, rotation = this.currentRotation) {
     // Save current state for undo (unless we're in a paint stroke)
     if (!skipUndoPush) {
       this.pushUndo();
     }
 
     // Apply brush size
+    const changed = [];
     const radius = this.brushSize - 1;
     for (let dz = -radius; dz <= radius; dz++) {
       for (let dx = -radius; dx <= radius; dx++) {
@@ -318,7 +332,8 @@ export class MapEditor {
         // Check bounds
         if (targetX >= 0 && targetX < this.gridWidth && targetZ >= 0 && targetZ < this.gridHeight) {
           // Update grid
-          this.grid[targetZ][targetX] = tileType;
+          this.grid[targetZ][targetX] = makeCell(tileType, rotation);
+          changed.push({ row: targetZ, col: targetX });
 
           // Apply auto-tiling if enabled
           if (this.autoTileEnabled) {
@@ -328,35 +343,69 @@ export class MapEditor {
       }
     }
 
-    // Re-render grid
-    this.renderGrid();
+    // Redraw just the chunks that changed
+    this.track.refreshCells(changed);
 
-    eventBus.emit('editor-tile-placed', { gridX, gridZ, tileType });
+    eventBus.emit('editor-tile-placed', { gridX, gridZ, tileType, rotation });
+  }
+
+  /**
+   * Raise or lower cells (by brush) in the height layer
+   * @param {number} gridX
+   * @param {number} gridZ
+   * @param {number} delta - Levels to add (negative lowers)
+   */
+  adjustHeight(gridX, gridZ, delta) {
+    if (gridX < 0 || gridZ < 0) return;
+    this.pushUndo();
+
+    const changed = [];
+    const radius = this.brushSize - 1;
+    for (let dz = -radius; dz <= radius; dz++) {
+      for (let dx = -radius; dx <= radius; dx++) {
+        const targetX = gridX + dx;
+        const targetZ = gridZ + dz;
+        if (targetX >= 0 && targetX < this.gridWidth && targetZ >= 0 && targetZ < this.gridHeight) {
+          const level = this.heights[targetZ][targetX] + delta;
+          this.heights[targetZ][targetX] = Math.max(0, Math.min(level, this.maxLevel));
+          changed.push({ row: targetZ, col: targetX });
+        }
+      }
+    }
+
+    this.track.refreshCells(changed);
+
+    const level = this.heights[gridZ][gridX];
+    this.highlightMesh.position.y = level * this.track.levelHeight + 0.25;
+    eventBus.emit('editor-height-changed', { gridX, gridZ, level });
   }
 
   /**
    * Remove tile at grid position
    */
   removeTile(gridX, gridZ) {
-    this.placeTile(gridX, gridZ, 'grass'); // Reset to grass
+    this.placeTile(gridX, gridZ, 'grass', false, 0); // Reset to grass
   }
 
   /**
    * Auto-tile: Automatically place transition tiles based on neighbors
+   * Neighbors are compared by tile ID; transition IDs already encode their
+   * orientation, so they are stored unrotated.
    */
   autoTile(gridX, gridZ) {
-    const currentTile = this.grid[gridZ][gridX];
+    const idAt = (z, x) => parseCell(this.grid[z][x]).id;
+    const currentTile = idAt(gridZ, gridX);
 
     // Get neighbors (top, right, bottom, left)
     const neighbors = {
-      top: gridZ > 0 ? this.grid[gridZ - 1][gridX] : null,
-      right: gridX < this.gridWidth - 1 ? this.grid[gridZ][gridX + 1] : null,
-      bottom: gridZ < this.gridHeight - 1 ? this.grid[gridZ + 1][gridX] : null,
-      left: gridX > 0 ? this.grid[gridZ][gridX - 1] : null,
-      topLeft: (gridZ > 0 && gridX > 0) ? this.grid[gridZ - 1][gridX - 1] : null,
-      topRight: (gridZ > 0 && gridX < this.gridWidth - 1) ? this.grid[gridZ - 1][gridX + 1] : null,
-      bottomLeft: (gridZ < this.gridHeight - 1 && gridX > 0) ? this.grid[gridZ + 1][gridX - 1] : null,
-      bottomRight: (gridZ < this.gridHeight - 1 && gridX < this.gridWidth - 1) ? this.grid[gridZ + 1][gridX + 1] : null
+      top: gridZ > 0 ? idAt(gridZ - 1, gridX) : null,
+      right: gridX < this.gridWidth - 1 ? idAt(gridZ, gridX + 1) : null,
+      bottom: gridZ < this.gridHeight - 1 ? idAt(gridZ + 1, gridX) : null,
+      left: gridX > 0 ? idAt(gridZ, gridX - 1) : null,
+      topLeft: (gridZ > 0 && gridX > 0) ? idAt(gridZ - 1, gridX - 1) : null,
+      topRight: (gridZ > 0 && gridX < this.gridWidth - 1) ? idAt(gridZ - 1, gridX + 1) : null,
+      bottomLeft: (gridZ < this.gridHeight - 1 && gridX > 0) ? idAt(gridZ + 1, gridX - 1) : null,
+      bottomRight: (gridZ < this.gridHeight - 1 && gridX < this.gridWidth - 1) ? idAt(gridZ + 1, gridX + 1) : null
     };
 
     // Define tile categories
@@ -450,6 +499,7 @@ export class MapEditor {
     this.track = new Track(this.scene, {
       tileSize: this.tileSize,
       trackData: this.grid,
+      heightData: this.heights,
       skyboxId: this.skyboxId
     });
   }
@@ -489,10 +539,10 @@ export class MapEditor {
     if (this.undoStack.length === 0) return;
 
     // Push current state to redo
-    this.redoStack.push(this.cloneGrid());
+    this.redoStack.push(this.snapshot());
 
     // Restore previous state
-    this.grid = this.undoStack.pop();
+    this.restoreSnapshot(this.undoStack.pop());
     this.renderGrid();
 
     eventBus.emit('editor-undo');
@@ -508,7 +558,7 @@ export class MapEditor {
     this.pushUndo();
 
     // Restore redo state
-    this.grid = this.redoStack.pop();
+    this.restoreSnapshot(this.redoStack.pop());
     this.renderGrid();
 
     eventBus.emit('editor-redo');
@@ -518,7 +568,7 @@ export class MapEditor {
    * Push current grid state to undo stack
    */
   pushUndo() {
-    this.undoStack.push(this.cloneGrid());
+    this.undoStack.push(this.snapshot());
 
     // Limit stack size
     if (this.undoStack.length > this.maxUndoStack) {
@@ -536,6 +586,25 @@ export class MapEditor {
     return this.grid.map(row => [...row]);
   }
 
+  /**
+   * Clone the tile grid and height layer (undo/redo entry)
+   */
+  snapshot() {
+    return { grid: this.cloneGrid(), heights: this.heights.map(row => [...row]) };
+  }
+
+  restoreSnapshot(state) {
+    this.grid = state.grid;
+    this.heights = state.heights;
+  }
+
+  /**
+   * Is every cell at level 0?
+   */
+  isFlat() {
+    return this.heights.every(row => row.every(level => level === 0));
+  }
+
   /**
    * Set editor mode
    */
@@ -630,6 +699,16 @@ export class MapEditor {
     this.checkpointStartPoint = null;
   }
 
+  /**
+   * Height of the highest drivable surface at a point (bridge decks win)
+   */
+  getTopSurfaceHeight(position) {
+    const cell = this.track?.worldToGrid(position);
+    if (!cell) return 0;
+    const surfaces = this.track.getSurfaceHeights(cell.row, cell.col, position.x, position.z);
+    return surfaces.length > 0 ? Math.max(...surfaces) : 0;
+  }
+
   /**
    * Add checkpoint from line drawing
    */
@@ -645,7 +724,7 @@ export class MapEditor {
 
     const checkpoint = {
       id: this.checkpoints.length,
-      position: { x: center.x, y: 2, z: center.z },
+      position: { x: center.x, y: 2 + this.getTopSurfaceHeight(center), z: center.z },
       rotation: { x: 0, y: rotation, z: 0 },
       width: width,
       height: 10,
@@ -743,59 +822,56 @@ export class MapEditor {
   }
 
   /**
-   * Serialize track to JSON
+   * Serialize track to JSON (current TrackFile format)
    */
   serializeTrack() {
-    return {
+    return TrackFile.withVersion({
       name: this.trackName,
       width: this.gridWidth,
       height: this.gridHeight,
       tileSize: this.tileSize,
       layout: this.cloneGrid(),
+      ...(this.isFlat() ? {} : { heights: this.heights.map(row => [...row]) }),
       checkpoints: this.checkpoints,
       objects: this.objects, // Changed from 'decorations' to 'objects'
       skybox: this.skyboxId || 'default', // Skybox ID
       waypoints: this.waypoints.map(wp => wp.toJSON()) // Waypoints for AI
-    };
+    });
   }
 
   /**
    * Load track from JSON
+   * Old formats are upgraded; invalid data throws a TrackFormatError
+   * before anything in the editor changes.
    */
-  loadTrack(trackData) {
+  loadTrack(data) {
+    const trackData = TrackFile.load(data);
     this.trackName = trackData.name;
     this.gridWidth = trackData.width;
     this.gridHeight = trackData.height;
-    if (trackData.tileSize) {
-      this.tileSize = trackData.tileSize;
-    }
+    this.tileSize = trackData.tileSize;
     this.grid = trackData.layout.map(row => [...row]);
-    this.skyboxId = trackData.skybox || 'default'; // Load skybox ID
+    this.heights = trackData.heights
+      ? trackData.heights.map(row => [...row])
+      : this.grid.map(row => row.map(() => 0));
+    this.skyboxId = trackData.skybox;
 
-    // Load checkpoints if present
-    if (trackData.checkpoints) {
-      this.checkpoints = trackData.checkpoints.map(cp => ({...cp}));
-      this.renderAllCheckpoints();
-    }
+    this.checkpoints = trackData.checkpoints.map(cp => ({...cp}));
+    this.renderAllCheckpoints();
 
-    // Load objects if present
-    if (trackData.objects) {
-      this.objects = trackData.objects.map(obj => ({...obj}));
-      this.renderAllObjects();
-    }
+    this.objects = trackData.objects.map(obj => ({...obj}));
+    this.renderAllObjects();
 
-    // Load waypoints if present
-    if (trackData.waypoints) {
-      this.clearWaypoints(); // Clear existing
-      trackData.waypoints.forEach(wpData => {
-        const waypoint = new Waypoint(this.scene, {
-          id: wpData.id,
-          position: new THREE.Vector3(wpData.position.x, wpData.position.y, wpData.position.z)
-        });
-        this.waypoints.push(waypoint);
+    // Waypoints
+    this.clearWaypoints(); // Clear existing
+    trackData.waypoints.forEach(wpData => {
+      const waypoint = new Waypoint(this.scene, {
+        id: wpData.id,
+        position: new THREE.Vector3(wpData.position.x, wpData.position.y, wpData.position.z)
       });
-      this.nextWaypointId = this.waypoints.length;
-    }
+      this.waypoints.push(waypoint);
+    });
+    this.nextWaypointId = this.waypoints.length;
 
     // Rebuild visuals (also re-renders track)
     this.setupGridVisuals(); // rebuild helpers in case tileSize changed
@@ -806,8 +882,7 @@ export class MapEditor {
    * Export track as JSON file
    */
   exportTrack() {
-    const trackData = this.serializeTrack();
-    const json = JSON.stringify(trackData, null, 2);
+    const json = TrackFile.serialize(this.serializeTrack(), 2);
     const blob = new Blob([json], { type: 'application/json' });
     const url = URL.createObjectURL(blob);
 
@@ -822,45 +897,33 @@ export class MapEditor {
   }
 
   /**
-   * Save track to LocalStorage
+   * Save track to the track library (updates the entry being edited, or adds one)
+   * @param {TrackLibrary} library
+   * @param {Object} [metadata] - { author, tags }
+   * @returns {Promise<Object>} Library entry summary
    */
-  saveToLocalStorage() {
-    const trackData = this.serializeTrack();
-    const key = `track_${this.trackName}`;
-    localStorage.setItem(key, JSON.stringify(trackData));
-
-    // Update track list
-    let trackList = JSON.parse(localStorage.getItem('trackList') || '[]');
-    if (!trackList.includes(this.trackName)) {
-      trackList.push(this.trackName);
-      localStorage.setItem('trackList', JSON.stringify(trackList));
-    }
+  async saveToLibrary(library, metadata = {}) {
+    const entry = await library.save(this.serializeTrack(), { ...metadata, id: this.libraryId });
+    this.libraryId = entry.id;
 
-    eventBus.emit('editor-track-saved', { trackName: this.trackName });
-    return true;
+    eventBus.emit('editor-track-saved', { trackName: this.trackName, id: entry.id });
+    return entry;
   }
 
   /**
-   * Load track from LocalStorage
+   * Load a track from the track library
+   * @param {TrackLibrary} library
+   * @param {string} id
+   * @returns {Promise<boolean>} False if there is no such entry
+   * @throws {TrackFormatError} If the saved track is corrupt or invalid
    */
-  loadFromLocalStorage(trackName) {
-    const key = `track_${trackName}`;
-    const json = localStorage.getItem(key);
-
-    if (json) {
-      const trackData = JSON.parse(json);
-      this.loadTrack(trackData);
-      return true;
-    }
-
-    return false;
-  }
+  async loadFromLibrary(library, id) {
+    const trackData = await library.loadTrack(id);
+    if (!trackData) return false;
 
-  /**
-   * Get list of saved tracks
-   */
-  static getSavedTracks() {
-    return JSON.parse(localStorage.getItem('trackList') || '[]');
+    this.loadTrack(trackData);
+    this.libraryId = id;
+    return true;
   }
 
   /**
@@ -871,7 +934,7 @@ export class MapEditor {
 
     for (let row = 0; row < this.gridHeight; row++) {
       for (let col = 0; col < this.gridWidth; col++) {
-        if (this.grid[row][col] === 'start_finish') {
+        if (parseCell(this.grid[row][col]).id === 'start_finish') {
           hasStartFinish = true;
           break;
         }
@@ -49,8 +49,9 @@ export class Camera {
    * Update chase camera
    */
   updateChase(delta, kart) {
-    const kartPos = kart.pos;
-    const kartHeading = kart.heading;
+    // Follow the interpolated render transform so the camera stays smooth between physics ticks
+    const kartPos = kart.renderPos ?? kart.pos;
+    const kartHeading = kart.renderHeading ?? kart.heading;
 
     // Calculate target position (behind and above kart)
     const behindOffset = new THREE.Vector3(
@@ -3,7 +3,10 @@ import * as THREE from 'three';
 /**
  * Checkpoint - Collision plane for lap validation
  *
- * Creates a vertical plane that detects when karts pass through
+ * Creates a vertical plane that detects when karts pass through.
+ * On elevated tracks the plane stands on `baseHeight`, so a checkpoint on
+ * a bridge deck ignores karts on the road underneath (and vice versa).
+ * With a null scene only the collision volume is built (headless).
  */
 
 export class Checkpoint {
@@ -14,6 +17,7 @@ export class Checkpoint {
     this.rotation = options.rotation ?? 0; // Rotation in radians
     this.width = options.width ?? 20; // Width of checkpoint plane
     this.height = options.height ?? 10; // Height of checkpoint plane
+    this.baseHeight = options.baseHeight ?? 0; // Ground height the plane stands on
     this.isFinishLine = options.isFinishLine ?? false;
 
     // Visual style
@@ -25,9 +29,12 @@ export class Checkpoint {
     // Collision tracking
     this.kartsInside = new Set();
 
-    // Create visual mesh
-    this.mesh = this._createMesh();
-    this.scene.add(this.mesh);
+    // Create visual mesh (skipped when headless)
+    this.mesh = null;
+    if (this.scene) {
+      this.mesh = this._createMesh();
+      this.scene.add(this.mesh);
+    }
 
     // Create collision plane
     this.collisionPlane = this._createCollisionPlane();
@@ -53,7 +60,7 @@ export class Checkpoint {
 
     const mesh = new THREE.Mesh(geometry, material);
     mesh.position.copy(this.position);
-    mesh.position.y += this.height / 2; // Raise to ground level
+    mesh.position.y = this.baseHeight + this.height / 2; // Stand on the ground
     // Negate rotation to correct for coordinate system when rendering
     mesh.rotation.y = -this.rotation;
     mesh.renderOrder = 1; // Render after opaque objects
@@ -79,7 +86,7 @@ export class Checkpoint {
     // Create bounding box for collision detection
     const box = new THREE.Box3();
     box.setFromCenterAndSize(
-      new THREE.Vector3(this.position.x, this.height / 2, this.position.z),
+      new THREE.Vector3(this.position.x, this.baseHeight + this.height / 2, this.position.z),
       new THREE.Vector3(this.width, this.height, 0.5) // Thin depth for plane
     );
     return box;
@@ -102,10 +109,11 @@ export class Checkpoint {
     const rotatedZ = localPos.x * sinTheta + localPos.z * cosTheta;
 
     // Check if within checkpoint bounds
+    const heightAboveBase = kartPos.y - this.baseHeight;
     const isInside =
       Math.abs(rotatedX) < this.width / 2 &&
-      kartPos.y < this.height &&
-      kartPos.y > 0 &&
+      heightAboveBase < this.height &&
+      heightAboveBase > 0 &&
       Math.abs(rotatedZ) < 2; // Thin depth tolerance
 
     // Detect entry (wasn't inside before, is now)
@@ -123,8 +131,9 @@ export class Checkpoint {
    * Set visibility
    */
   setVisible(visible) {
-    this.mesh.visible = visible;
     this.debugVisible = visible; // Track debug visibility state
+    if (!this.mesh) return;
+    this.mesh.visible = visible;
 
     // When making visible (debug mode), apply the correct opacity based on highlight state
     if (visible) {
@@ -148,7 +157,7 @@ export class Checkpoint {
     this.isHighlighted = highlighted; // Always track state
 
     // Apply visual changes if in debug mode (visible)
-    if (this.debugVisible) {
+    if (this.debugVisible && this.mesh) {
       if (highlighted) {
         this.mesh.material.opacity = 0.7;
         this.mesh.material.emissive = new THREE.Color(this.color);
@@ -184,6 +193,7 @@ export class Checkpoint {
    * Clean up resources
    */
   destroy() {
+    if (!this.mesh) return;
     this.scene.remove(this.mesh);
     this.mesh.geometry.dispose();
     this.mesh.material.dispose();
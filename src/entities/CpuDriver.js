@@ -1,11 +1,18 @@
 import * as THREE from 'three';
 import { getTile } from '../track/TileRegistry.js';
+import { DriverMistakes } from '../ai/DriverMistakes.js';
+import { KartAvoidance } from '../ai/KartAvoidance.js';
+import { DriftPlanner } from '../ai/DriftPlanner.js';
 
 /**
  * CpuDriver - lightweight AI to follow checkpoints and run laps
  *
  * Generates throttle/steer/brake inputs that aim for the next checkpoint.
  * Keeps things simple and readable so we can expand the behaviour later.
+ * Follows the track's racing line (Track.getRacingLine) and its speed
+ * profile when there is one, otherwise a BFS path through the checkpoints.
+ * Steers around karts ahead and blocks the player (see KartAvoidance),
+ * and drift-boosts through the racing line's corners (see DriftPlanner).
  */
 export class CpuDriver {
   constructor(options = {}) {
@@ -14,9 +21,17 @@ export class CpuDriver {
     this.lookAhead = options.lookAhead ?? 6; // meters past checkpoint center
     this.brakeAggression = options.brakeAggression ?? 0.4;
     this.maxThrottle = options.maxThrottle ?? 1.0;
-    this.driftEnabled = options.driftEnabled ?? false; // Disable heavy drifting by default
-
-    // Precomputed waypoint path (tile centers) that visits checkpoints in order
+    this.useRacingLine = options.useRacingLine ?? true;
+    this.mistakes = new DriverMistakes({
+      rate: options.mistakeRate ?? 0, // Per minute, rolled from options.random
+      duration: options.mistakeDuration,
+      random: options.random
+    });
+    this.avoidance = new KartAvoidance(options.avoidance); // `{ enabled: false }` to drive through karts
+    this.drift = new DriftPlanner({ random: options.random, ...options.drift }); // `{ usage: 0 }` to never drift
+
+    // Precomputed waypoint path (racing line, or tile centers) that visits checkpoints in order
+    this.racingLine = null;
     this.waypoints = [];
     this.lastCheckpointCount = 0;
     this.segmentLengths = [];
@@ -28,6 +43,7 @@ export class CpuDriver {
     this.stuckTimeThreshold = options.stuckTimeThreshold ?? 0.8;
     this.reverseDuration = options.reverseDuration ?? 0.9;
     this.stuckTimer = 0;
+    this.stuckAnchor = null; // Where the kart was when it last made progress
     this.reversing = false;
     this.reverseTimer = 0;
     this.debugPath = options.debugPath ?? true;
@@ -38,20 +54,38 @@ export class CpuDriver {
 
   /**
    * Build a full lap path that goes through all checkpoints in order.
-   * Uses a simple grid BFS between consecutive checkpoints to avoid walls/barriers.
+   * Uses the track's racing line if it has one, else a simple grid BFS
+   * between consecutive checkpoints to avoid walls/barriers.
    */
   _ensurePath(track) {
     const checkpoints = track?.checkpointSystem?.checkpoints ?? [];
     if (!track || checkpoints.length === 0) {
+      this.racingLine = null;
       this.waypoints = [];
       this.segmentLengths = [];
       this.totalPathLength = 0;
       return;
     }
 
-    if (this.waypoints.length > 0 && this.lastCheckpointCount === checkpoints.length) {
+    const line = this.useRacingLine ? track.getRacingLine?.() ?? null : null;
+    if (line) {
+      if (this.racingLine !== line) {
+        // Same points and distances as the line, closed back onto its start
+        this.racingLine = line;
+        this.waypoints = [...line.points.map(point => point.clone()), line.points[0].clone()];
+        this._recomputeSegmentLengths();
+        this.pathCursor = 0;
+        if (this.debugPath) {
+          this._updateDebugPath(track, this.waypoints);
+        }
+      }
+      return;
+    }
+
+    if (this.racingLine === null && this.waypoints.length > 0 && this.lastCheckpointCount === checkpoints.length) {
       return; // already built
     }
+    this.racingLine = null;
 
     this.lastCheckpointCount = checkpoints.length;
     this.waypoints = [];
@@ -102,12 +136,15 @@ export class CpuDriver {
 
   /**
    * Build inputs for the current frame
+   * @param {Object} context - { kart, track, delta, race }; `race` is the
+   *   kart's RaceContext, whose speedFactor rubber-bands the target speed
    */
-  getInputs({ kart, track, delta }) {
+  getInputs({ kart, track, delta, race = null }) {
     this._ensurePath(track);
 
     const pathTarget = this._updatePathCursor(kart.pos);
-    const target = pathTarget?.target ?? null;
+    // Around the kart ahead, or across to block the player
+    const { target, speedLimit } = this.avoidance.apply(kart, pathTarget?.target ?? null, track, race);
     const currentWp = pathTarget?.projection ?? null;
     const lateralError = pathTarget?.lateralError ?? 0;
 
@@ -127,8 +164,9 @@ export class CpuDriver {
     const distance = toTarget.length();
     const desiredHeading = Math.atan2(toTarget.x, toTarget.y);
 
-    // Normalize angle difference to [-PI, PI]
-    let angleDiff = desiredHeading - kart.heading;
+    // Normalize angle difference to [-PI, PI], from the direction of travel
+    // (wide of the nose while drifting)
+    let angleDiff = desiredHeading - (kart.heading + (kart.smoothedOutwardPush ?? 0));
     angleDiff = Math.atan2(Math.sin(angleDiff), Math.cos(angleDiff));
 
     // Steering: proportional to angle difference (invert to match input scheme), slightly damped to avoid oscillation
@@ -140,11 +178,21 @@ export class CpuDriver {
       0,
       1
     );
-    const baseMax = kart.controller.maxSpeed * this.targetSpeedFactor;
+    const speedFactor = race?.speedFactor ?? 1;
+    const baseMax = kart.controller.maxSpeed * this.targetSpeedFactor * speedFactor;
     const lateralFactor = lateralError > this.lateralSlowdownThreshold
       ? THREE.MathUtils.clamp(1 - (lateralError - this.lateralSlowdownThreshold) * 0.05, 0.8, 1)
       : 1;
-    const targetSpeed = baseMax * (1 - 0.55 * cornerFactor) * lateralFactor;
+    // The racing line knows its corners; otherwise slow for the angle to the target
+    const pathSpeed = this.racingLine
+      ? this.drift.boostedSpeed(
+        this.racingLine.speedAt(this._wrapDistance(this.pathCursor), this.drift.speedLimits(kart.controller)),
+        kart,
+        track
+      ) * this.targetSpeedFactor * speedFactor * lateralFactor
+      : baseMax * (1 - 0.55 * cornerFactor) * lateralFactor;
+    // Boxed in behind a kart: no faster than it
+    const targetSpeed = Math.min(pathSpeed, speedLimit ?? Infinity);
 
     // Throttle/brake logic
     const shouldBrake =
@@ -156,9 +204,15 @@ export class CpuDriver {
     let throttle = shouldBrake ? 0 : this.maxThrottle * throttleScale;
     let brake = shouldBrake ? this.brakeAggression : 0;
 
-    // Detect and handle stuck cases (likely after a wall bump)
+    // Detect and handle stuck cases (likely after a wall bump): wanting to
+    // drive on but getting nowhere, whatever the speedometer says (pinned
+    // on a rock). Still rolling back from a reverse doesn't count
     if (!this.reversing) {
-      if (kart.speed < this.stuckSpeedThreshold && throttle > 0.2) {
+      const progress = this.stuckSpeedThreshold * this.stuckTimeThreshold;
+      if (!this.stuckAnchor || this.stuckAnchor.distanceTo(kart.pos) > progress) {
+        this.stuckAnchor = kart.pos.clone();
+        this.stuckTimer = 0;
+      } else if (targetSpeed > this.stuckSpeedThreshold && kart.speed >= 0) {
         this.stuckTimer += delta;
         if (this.stuckTimer > this.stuckTimeThreshold) {
           this.reversing = true;
@@ -172,6 +226,7 @@ export class CpuDriver {
       this.reverseTimer -= delta;
       if (this.reverseTimer <= 0) {
         this.reversing = false;
+        this.stuckAnchor = null;
       }
     }
 
@@ -180,10 +235,15 @@ export class CpuDriver {
       brake = Math.max(brake, 0.8); // use brake to go into reverse
     }
 
-    // Avoid aggressive drifting; only allow in extreme turns if enabled
-    const drift = this.driftEnabled && Math.abs(angleDiff) > 1.0 && kart.speed > baseMax * 0.6;
-
-    return { throttle, brake, steer, drift };
+    // Catching up may go past the kart's normal top speed
+    const inputs = { throttle, brake, steer, drift: false, speedMultiplier: Math.max(1, speedFactor) };
+    // No drifts or mistakes while backing out of a wall
+    if (this.reversing) {
+      this.drift.reset();
+      return inputs;
+    }
+    this.drift.apply(inputs, kart, this.racingLine, this._wrapDistance(this.pathCursor), delta, track);
+    return this.mistakes.apply(inputs, delta);
   }
 
   /**
@@ -474,26 +534,32 @@ export class CpuDriver {
   }
 
   /**
-   * Advance the path cursor forward, never backward, handling lap wrap.
+   * Advance the path cursor forward, handling lap wrap. Small moves back
+   * (reversing out of a wall) keep the cursor; a kart knocked back further
+   * than the target lead takes it back with it.
    */
   _advanceCursor(current, projected) {
     if (this.totalPathLength <= 0) return current;
 
+    const half = this.totalPathLength / 2;
     const currNorm = this._wrapDistance(current);
     const projNorm = this._wrapDistance(projected);
 
-    // Compute forward delta along the loop
+    // Shorter way round the loop: under half a lap ahead counts as forward,
+    // anything else is behind
     let delta = projNorm - currNorm;
-    if (delta < 0) {
+    if (delta < -half) {
       delta += this.totalPathLength;
+    } else if (delta >= half) {
+      delta -= this.totalPathLength;
     }
 
     // Only move forward if projection is meaningfully ahead
-    if (delta > 0.1) {
+    if (delta > 0.1 || delta < -this.targetLeadDistance) {
       return current + delta;
     }
 
-    return current; // do not move backward
+    return current;
   }
 
   setDebugVisible(track, visible) {
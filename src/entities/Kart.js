@@ -1,13 +1,16 @@
 import * as THREE from 'three';
-import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 import { ArcadeController } from '../physics/ArcadeController.js';
 import { eventBus } from '../utils/EventBus.js';
+import { KartView } from './KartView.js';
 
 /**
  * Kart - Vehicle entity with arcade-style controls
  *
  * Currently supports player control only.
  * TODO: Add proper bot AI system later
+ *
+ * Pass a null scene to run the kart headless (no meshes); all visuals
+ * live in KartView.
  */
 
 export class Kart {
@@ -25,187 +28,154 @@ export class Kart {
     this.heading = 0; // radians
     this.speed = 0;
 
-    // Arcade controller (simple Mario Kart style)
+    // Transform at the previous fixed tick (for render interpolation)
+    this.prevPos = this.pos.clone();
+    this.prevHeading = this.heading;
+
+    // Interpolated transform used for rendering and the chase camera
+    this.renderPos = this.pos.clone();
+    this.renderHeading = this.heading;
+
+    // Arcade controller (simple Mario Kart style); unset stats use arcade defaults
     this.controller = new ArcadeController({
-        maxSpeed: options.maxSpeed
-      // Using arcade defaults
+      maxSpeed: options.maxSpeed,
+      acceleration: options.acceleration,
+      turnSpeed: options.turnSpeed
     });
 
-    // Visual mesh
-    if (this.renderMode === 'full') {
-      // Start with procedural mesh so we have a visible kart and collider, then swap to glTF when ready
-      this.mesh = this._buildFormulaGroup('full');
-      this.mesh.position.y += this._getBotYOffset();
-      this.scene.add(this.mesh);
-      this._useGltfModel();
-    } else {
-      this.mesh = this._buildFormulaGroup(this.renderMode);
-      this.mesh.position.y += this._getBotYOffset();
-      this.scene.add(this.mesh);
-    }
+    // Visual layer (absent when running headless)
+    this.view = scene
+      ? new KartView(this, scene, {
+        renderMode: this.renderMode,
+        modelVariant: this.modelVariant,
+        ghostOpacity: options.ghostOpacity
+      })
+      : null;
 
-    // Collision box
-    this.box = new THREE.Box3();
+    // Kart-vs-kart collision (circle on the ground plane)
+    this.collisionRadius = options.collisionRadius ?? 1.8;
+    this.mass = options.mass ?? 1.0; // Heavier karts push lighter ones around
+    this.maxDropHeight = options.maxDropHeight ?? 0.4; // Ground falling away further than this per tick = airborne
 
     // State flags
     this.isDrifting = false;
     this.boostActive = false;
     this._wasDrifting = false;
     this.driftAngle = 0;
+    this.isSpinningOut = false;
+    this.spinAngle = 0; // Extra visual yaw while spinning out
+    this.isAirborne = false; // Off a jump ramp or an edge
+    this.groundPitch = 0; // Slope under the kart (radians, nose up > 0)
+    this.groundRoll = 0; // Sideways slope (radians, left side up > 0)
 
     // Visual smoothing
     this.visualDriftAngle = 0; // Smoothed version for rendering
     this.visualLean = 0; // Smoothed lean angle
+    this.visualPitch = 0; // Smoothed ground pitch
+    this.visualRoll = 0; // Smoothed ground roll
     this.visualSpeed = 0; // Smoothed speed for debug vector length
+    this.steerInput = 0; // Last steering input (front wheel animation)
+  }
 
-    // Debug vectors
-    this.debugVectors = this._createDebugVectors();
-    this._loadingModel = false;
+  /** Visual mesh, or null when headless */
+  get mesh() {
+    return this.view?.mesh ?? null;
   }
 
-  /**
-   * Create debug visualization arrows
-   */
-  _createDebugVectors() {
-    const vectors = {
-      heading: new THREE.ArrowHelper(
-        new THREE.Vector3(0, 0, 1),
-        new THREE.Vector3(0, 0.5, 0),
-        5,
-        0x00ff00,
-        1,
-        0.5
-      ),
-      velocity: new THREE.ArrowHelper(
-        new THREE.Vector3(0, 0, 1),
-        new THREE.Vector3(0, 0.5, 0),
-        5,
-        0xff0000,
-        1,
-        0.5
-      )
-    };
-
-    vectors.heading.visible = false; // Hidden by default
-    vectors.velocity.visible = false;
-
-    this.scene.add(vectors.heading);
-    this.scene.add(vectors.velocity);
-
-    return vectors;
+  /** Debug arrows, or null when headless */
+  get debugVectors() {
+    return this.view?.debugVectors ?? null;
+  }
+
+  /** Wheel meshes for steering animation */
+  get wheels() {
+    return this.view?.wheels ?? [];
   }
 
   /**
    * Toggle debug vectors visibility
    */
   toggleDebugVectors(show) {
-    this.debugVectors.heading.visible = show;
-    this.debugVectors.velocity.visible = show;
+    this.view?.toggleDebugVectors(show);
+  }
+
+  /**
+   * Give the kart a boost
+   */
+  giveBoost() {
+    this.controller.giveBoost();
+    eventBus.emit('boost-activated', { kartId: this.id });
   }
 
   /**
-   * Create the kart 3D mesh (formula-inspired), optionally for prototype/full.
+   * Spin the kart out (loses control briefly)
+   * @param {number} [duration] - Seconds without control (controller default if omitted)
+   * @param {number} [direction=1] - Spin direction (1 or -1)
    */
-  _buildFormulaGroup(renderMode = 'prototype') {
-    const group = new THREE.Group();
-    const sf = renderMode === 'full' ? 1.5 : 1.0;
-
-    // Chassis base (slightly larger)
-    const baseGeom = new THREE.BoxGeometry(2.6 * sf, 0.65 * sf, 4.8 * sf);
-    const baseMat = this._createBodyMaterial(renderMode);
-    const base = new THREE.Mesh(baseGeom, baseMat);
-    base.position.y = 0.45;
-    base.castShadow = true;
-    base.receiveShadow = true;
-    group.add(base);
-    this.bodyMesh = base;
-
-    // Nose cone
-    const noseGeom = new THREE.CylinderGeometry(0.4 * sf, 0.75 * sf, 1.8 * sf, 16);
-    const noseMat = this._createBodyMaterial(renderMode);
-    const nose = new THREE.Mesh(noseGeom, noseMat);
-    nose.rotation.x = Math.PI / 2;
-    nose.position.set(0, 0.6, 2.3);
-    nose.castShadow = true;
-    group.add(nose);
-
-    // Cockpit/halo
-    const cockpitGeom = new THREE.CylinderGeometry(0.4 * sf, 0.6 * sf, 1.4 * sf, 12);
-    const cockpitMat = new THREE.MeshStandardMaterial({ color: 0x1b1f2a, metalness: 0.45, roughness: 0.35 });
-    const cockpit = new THREE.Mesh(cockpitGeom, cockpitMat);
-    cockpit.rotation.x = Math.PI / 2;
-    cockpit.position.set(0, 1.05, -0.2);
-    cockpit.castShadow = true;
-    group.add(cockpit);
-    this.coneMesh = cockpit;
-
-    // Front wing
-    const fwGeom = new THREE.BoxGeometry(3.8 * sf, 0.18 * sf, 1.0 * sf);
-    const fwMat = this._createBodyMaterial(renderMode);
-    const frontWing = new THREE.Mesh(fwGeom, fwMat);
-    frontWing.position.set(0, 0.25, 3.0);
-    frontWing.castShadow = true;
-    group.add(frontWing);
-
-    // Rear wing
-    const rwGeom = new THREE.BoxGeometry(3.0 * sf, 0.3 * sf, 0.7 * sf);
-    const rwMat = this._createBodyMaterial(renderMode);
-    const rearWing = new THREE.Mesh(rwGeom, rwMat);
-    rearWing.position.set(0, 0.95, -2.5);
-    rearWing.castShadow = true;
-    group.add(rearWing);
-
-    // Side pods
-    const podGeom = new THREE.BoxGeometry(0.7 * sf, 0.5 * sf, 2.0 * sf);
-    const podMat = this._createBodyMaterial(renderMode);
-    const leftPod = new THREE.Mesh(podGeom, podMat);
-    leftPod.position.set(-1.5, 0.55, -0.5);
-    leftPod.castShadow = true;
-    group.add(leftPod);
-    const rightPod = leftPod.clone();
-    rightPod.position.x = 1.5;
-    group.add(rightPod);
-
-    // Engine cover
-    const coverGeom = new THREE.BoxGeometry(1.4 * sf, 0.8 * sf, 2.2 * sf);
-    const cover = new THREE.Mesh(coverGeom, this._createBodyMaterial(renderMode));
-    cover.position.set(0, 0.9, -1.2);
-    cover.castShadow = true;
-    group.add(cover);
-
-    // Wheels
-    const wheelGeom = new THREE.CylinderGeometry(0.8 * sf, 0.8 * sf, 0.8 * sf, 20);
-    const wheelMat = this._createWheelMaterial(renderMode);
-
-    const wheelPositions = [
-      [-1.5, 0.35,  1.9],  // Front left
-      [ 1.5, 0.35,  1.9],  // Front right
-      [-1.5, 0.35, -1.9],  // Rear left
-      [ 1.5, 0.35, -1.9],  // Rear right
-    ];
-
-    this.wheels = [];
-
-    for (const [x, y, z] of wheelPositions) {
-      const wheel = new THREE.Mesh(wheelGeom, wheelMat);
-      wheel.rotation.z = Math.PI / 2;
-      wheel.position.set(x, y, z);
-      wheel.castShadow = true;
-      group.add(wheel);
-      this.wheels.push(wheel);
+  spinOut(duration, direction = 1) {
+    this.controller.spinOut(duration, direction);
+    this.isSpinningOut = true;
+    this.isDrifting = false;
+    this.driftCharge = 0;
+    eventBus.emit('kart-spin-out', { kartId: this.id });
+  }
+
+  /**
+   * Launch the kart off a ramp
+   * @param {number} verticalSpeed - Upward speed at take-off
+   */
+  launch(verticalSpeed) {
+    if (!this.controller.launch(verticalSpeed)) return;
+    this.isAirborne = true;
+    this.isDrifting = false;
+    this.driftCharge = 0;
+    eventBus.emit('kart-jump', { kartId: this.id, verticalSpeed });
+  }
+
+  /**
+   * Follow the ground after a move: stick to it, or drop when it falls
+   * away too fast (edges, steep downhill at speed)
+   * @param {Object} pose - { height, pitch, roll } from Track.getGroundPose
+   */
+  followGround(pose) {
+    const groundY = pose.height + this.controller.rideHeight;
+    this.controller.groundHeight = groundY;
+
+    if (!this.isAirborne) {
+      if (this.pos.y - groundY > this.maxDropHeight && this.controller.fall()) {
+        this.isAirborne = true;
+        this.isDrifting = false;
+        this.driftCharge = 0;
+      } else {
+        this.pos.y = groundY;
+      }
     }
 
-    group.position.copy(this.pos);
-    group.position.y += this._getBotYOffset();
-    return group;
+    this.groundPitch = this.isAirborne
+      ? Math.atan2(this.controller.verticalSpeed, Math.max(Math.abs(this.speed), 1)) * 0.5
+      : pose.pitch;
+    this.groundRoll = this.isAirborne ? 0 : pose.roll;
   }
 
   /**
-   * Give the kart a boost
+   * Current world-space velocity on the ground plane
+   * @param {THREE.Vector3} [target] - Optional vector to write into
+   * @returns {THREE.Vector3}
    */
-  giveBoost() {
-    this.controller.giveBoost();
-    eventBus.emit('boost-activated', { kartId: this.id });
+  getVelocity(target = new THREE.Vector3()) {
+    const moveHeading = this.heading + (this.smoothedOutwardPush || 0);
+    return target
+      .set(Math.sin(moveHeading) * this.speed, 0, Math.cos(moveHeading) * this.speed)
+      .add(this.controller.knockback);
+  }
+
+  /**
+   * Apply a velocity change (bumps, hits)
+   * @param {THREE.Vector3} deltaVelocity - World-space velocity change
+   */
+  applyImpulse(deltaVelocity) {
+    this.controller.applyImpulse(deltaVelocity, this.heading);
+    this.speed = this.controller.speed;
   }
 
   /**
@@ -231,6 +201,13 @@ export class Kart {
     this.driftCharge = result.driftCharge || 0;
     this.driftAngle = result.driftAngle || 0;
     this.smoothedOutwardPush = result.smoothedOutwardPush || 0;
+    this.isSpinningOut = result.spinningOut;
+    this.spinAngle = result.spinAngle;
+    this.isAirborne = result.airborne;
+
+    if (result.landed) {
+      eventBus.emit('kart-landed', { kartId: this.id, speed: this.speed });
+    }
 
     // Visual feedback for drifting
     if (this.isDrifting && !this._wasDrifting) {
@@ -240,11 +217,9 @@ export class Kart {
     }
     this._wasDrifting = this.isDrifting;
 
-    // Animate front wheels based on steering
-    if (this.wheels && this.wheels.length >= 2 && inputs.steer !== undefined) {
-      const wheelAngle = -(inputs.steer * 0.4); // Visual steering angle
-      this.wheels[0].rotation.y = wheelAngle; // Front left
-      this.wheels[1].rotation.y = wheelAngle; // Front right
+    // Remember steering for front wheel animation
+    if (inputs.steer !== undefined) {
+      this.steerInput = inputs.steer;
     }
 
     // Smooth visual drift angle, lean, and speed
@@ -264,58 +239,33 @@ export class Kart {
       this.speed,
       4.0 * delta // Slower lerp for speed (smoother vector length change)
     );
+    this.visualPitch = THREE.MathUtils.lerp(this.visualPitch, this.groundPitch, lerpSpeed * 1.5 * delta);
+    this.visualRoll = THREE.MathUtils.lerp(this.visualRoll, this.groundRoll, lerpSpeed * 1.5 * delta);
+  }
 
-    // Update visual mesh
-    this.mesh.position.copy(this.pos);
-    this.mesh.position.y += this._getBotYOffset();
-
-    // Apply drift angle for visual effect
-    // When drifting right (+), kart angles LEFT (inward)
-    // When drifting left (-), kart angles RIGHT (inward)
-    const visualHeading = this.heading - this.visualDriftAngle; // Use smoothed angle
-    this.mesh.rotation.y = visualHeading;
-
-    // Lean kart while drifting (lean OUTWARD from turn)
-    // When drifting right (+), lean right (+Z)
-    // When drifting left (-), lean left (-Z)
-    this.mesh.rotation.z = this.visualLean; // Use smoothed lean
-
-    // Update debug vectors
-    this._updateDebugVectors();
-
-    // Update collision box
-    this.box.setFromObject(this.mesh);
+  /**
+   * Snapshot the current transform before a simulation tick
+   */
+  savePreviousTransform() {
+    this.prevPos.copy(this.pos);
+    this.prevHeading = this.heading;
   }
 
   /**
-   * Update debug visualization vectors
+   * Interpolate the render transform between ticks and sync the view
+   * @param {number} alpha - Blend factor between previous (0) and current (1) tick
    */
-  _updateDebugVectors() {
-    if (!this.debugVectors.heading.visible) return;
-
-    // Heading vector (where kart is pointing)
-    const headingDir = new THREE.Vector3(
-      Math.sin(this.heading),
-      0,
-      Math.cos(this.heading)
-    );
-    this.debugVectors.heading.position.copy(this.pos);
-    this.debugVectors.heading.setDirection(headingDir);
-    this.debugVectors.heading.setLength(5, 1, 0.5);
+  updateVisuals(alpha = 1) {
+    const t = THREE.MathUtils.clamp(alpha, 0, 1);
+    this.renderPos.lerpVectors(this.prevPos, this.pos, t);
 
-    // Velocity vector (where kart is actually moving)
-    // Use smoothedOutwardPush from controller for accurate representation
-    const moveHeading = this.heading + (this.smoothedOutwardPush || 0);
+    // Interpolate heading along the shortest arc
+    let headingDelta = this.heading - this.prevHeading;
+    headingDelta = Math.atan2(Math.sin(headingDelta), Math.cos(headingDelta));
+    this.renderHeading = this.prevHeading + headingDelta * t;
 
-    const velocityDir = new THREE.Vector3(
-      Math.sin(moveHeading),
-      0,
-      Math.cos(moveHeading)
-    );
-    this.debugVectors.velocity.position.copy(this.pos);
-    this.debugVectors.velocity.setDirection(velocityDir);
-    // Use visualSpeed for smoother arrow length transitions
-    this.debugVectors.velocity.setLength(this.visualSpeed * 0.2, 1, 0.5);
+    // Sync meshes (no-op when headless)
+    this.view?.update();
   }
 
   /**
@@ -324,6 +274,10 @@ export class Kart {
   reset(position, heading) {
     this.pos.copy(position);
     this.heading = heading;
+    this.prevPos.copy(position);
+    this.prevHeading = heading;
+    this.renderPos.copy(position);
+    this.renderHeading = heading;
     this.controller.reset();
     this.speed = 0;
     this.isDrifting = false;
@@ -331,28 +285,25 @@ export class Kart {
     this._wasDrifting = false;
     this.driftCharge = 0;
     this.driftAngle = 0;
+    this.isSpinningOut = false;
+    this.spinAngle = 0;
+    this.isAirborne = false;
+    this.groundPitch = 0;
+    this.groundRoll = 0;
     this.visualDriftAngle = 0;
     this.visualLean = 0;
+    this.visualPitch = 0;
+    this.visualRoll = 0;
     this.visualSpeed = 0;
 
-    if (this.mesh) {
-      this.mesh.position.copy(this.pos);
-      this.mesh.position.y += this._getBotYOffset();
-      this.mesh.rotation.y = this.heading;
-    }
+    this.view?.snap();
   }
 
   /**
    * Remove kart from scene
    */
   destroy() {
-    this.scene.remove(this.mesh);
-  }
-
-  _getBotYOffset() {
-    if (this.isPlayer) return 0;
-    // Lift CPU karts in both modes; higher in full mode to clear GLTF geometry
-    return this.renderMode === 'full' ? 1.2 : 0.6;
+    this.view?.destroy();
   }
 
   /**
@@ -360,168 +311,8 @@ export class Kart {
    */
   setRenderMode(mode) {
     if (mode !== 'prototype' && mode !== 'full') return;
-    if (this.renderMode === mode) return;
     this.renderMode = mode;
-    if (mode === 'full') {
-      if (this.mesh) this.scene.remove(this.mesh);
-      this.mesh = this._buildFormulaGroup('full');
-      this.scene.add(this.mesh);
-      this._useGltfModel();
-    } else {
-      // Switch back to procedural
-      if (this.mesh) this.scene.remove(this.mesh);
-      this.mesh = this._buildFormulaGroup(mode);
-      this.scene.add(this.mesh);
-    }
-  }
-
-  _createBodyMaterial(mode) {
-    if (mode === 'full') {
-      const tex = this._makeStripeTexture(this.color);
-      return new THREE.MeshStandardMaterial({
-        color: this.color,
-        map: tex,
-        metalness: 0.35,
-        roughness: 0.45
-      });
-    }
-    return new THREE.MeshStandardMaterial({
-      color: this.color,
-      metalness: 0.2,
-      roughness: 0.7
-    });
-  }
-
-  _createWheelMaterial(mode) {
-    if (mode === 'full') {
-      const tex = this._makeNoiseTexture('#111111', '#222222');
-      return new THREE.MeshStandardMaterial({ map: tex, roughness: 0.9, metalness: 0.1 });
-    }
-    return new THREE.MeshStandardMaterial({ color: 0x111111 });
-  }
-
-  _makeStripeTexture(hexColor) {
-    const canvas = document.createElement('canvas');
-    canvas.width = 128;
-    canvas.height = 128;
-    const ctx = canvas.getContext('2d');
-    const base = '#' + new THREE.Color(hexColor).getHexString();
-    ctx.fillStyle = base;
-    ctx.fillRect(0, 0, 128, 128);
-    ctx.fillStyle = 'rgba(255,255,255,0.25)';
-    for (let x = -16; x < 144; x += 24) {
-      ctx.fillRect(x, 0, 12, 128);
-    }
-    const texture = new THREE.CanvasTexture(canvas);
-    texture.wrapS = texture.wrapT = THREE.RepeatWrapping;
-    texture.repeat.set(1, 1);
-    return texture;
-  }
-
-  _makeNoiseTexture(colorA, colorB) {
-    const canvas = document.createElement('canvas');
-    canvas.width = 64;
-    canvas.height = 64;
-    const ctx = canvas.getContext('2d');
-    ctx.fillStyle = colorA;
-    ctx.fillRect(0, 0, 64, 64);
-    ctx.fillStyle = colorB;
-    for (let i = 0; i < 300; i++) {
-      ctx.fillRect(Math.random() * 64, Math.random() * 64, 1, 1);
-    }
-    const texture = new THREE.CanvasTexture(canvas);
-    texture.wrapS = texture.wrapT = THREE.RepeatWrapping;
-    texture.repeat.set(2, 2);
-    return texture;
-  }
-
-  /**
-   * Load external glTF formula car (from assets) and use it as the mesh.
-   */
-  _useGltfModel() {
-    if (this._loadingModel) return;
-    this._loadingModel = true;
-    const loader = this.modelVariant === 'audi' ? Kart._loadAudiModel : Kart._loadFerrariModel;
-    loader().then((model) => {
-      const cloned = model.clone(true);
-      this._fitAndAssignModel(cloned);
-      this._loadingModel = false;
-    }).catch((err) => {
-      console.error('Failed to load glTF car, falling back to procedural', err);
-      this._loadingModel = false;
-      // keep existing mesh (procedural) as fallback
-    });
-  }
-
-  _fitAndAssignModel(model) {
-    // Center and scale to roughly the same footprint as our procedural car
-    const box = new THREE.Box3().setFromObject(model);
-    const size = new THREE.Vector3();
-    box.getSize(size);
-    const targetLen = 9.75; // large presence for glTF models (full mode)
-    const maxDim = Math.max(size.x, size.z);
-    const scale = maxDim > 0.0001 ? targetLen / maxDim : 1;
-    model.scale.setScalar(scale);
-
-    // Recenter
-    box.setFromObject(model);
-    const center = new THREE.Vector3();
-    box.getCenter(center);
-    model.position.sub(center); // center at origin
-
-    // Raise so the lowest point sits just above local y=0 to avoid clipping into the track
-    box.setFromObject(model);
-    const minY = box.min.y;
-    model.position.y -= minY;
-    model.position.y += 0.05; // small clearance above the ground plane
-
-    // Apply current pose
-    model.position.add(this.pos);
-    model.position.y += this._getBotYOffset();
-    model.rotation.y = this.heading;
-    // We won't drive wheel rotations for external models; just ensure shadows
-    this.wheels = [];
-    model.traverse((child) => {
-      if (child.isMesh) {
-        child.castShadow = true;
-        child.receiveShadow = true;
-      }
-    });
-
-    const oldMesh = this.mesh;
-    this.mesh = model;
-    this.scene.add(this.mesh);
-    if (oldMesh) {
-      this.scene.remove(oldMesh);
-    }
-  }
-
-  static _loadFerrariModel() {
-    if (Kart._gltfFerrari) return Kart._gltfFerrari;
-    const loader = new GLTFLoader();
-    Kart._gltfFerrari = new Promise((resolve, reject) => {
-      loader.load(
-        'assets/2019_f1_ferrari_sf90/scene.gltf',
-        (gltf) => resolve(gltf.scene),
-        undefined,
-        reject
-      );
-    });
-    return Kart._gltfFerrari;
-  }
-
-  static _loadAudiModel() {
-    if (Kart._gltfAudi) return Kart._gltfAudi;
-    const loader = new GLTFLoader();
-    Kart._gltfAudi = new Promise((resolve, reject) => {
-      loader.load(
-        'assets/audi_f1_2026_livery_textured/scene.gltf',
-        (gltf) => resolve(gltf.scene),
-        undefined,
-        reject
-      );
-    });
-    return Kart._gltfAudi;
+    this.view?.setRenderMode(mode);
   }
 }
 
@@ -0,0 +1,459 @@
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+
+/**
+ * KartView - Visual representation of a Kart
+ *
+ * Owns everything the renderer needs (meshes, materials, glTF models,
+ * debug arrows). The Kart itself is pure simulation and only creates a
+ * view when it is given a scene, so karts can run headless.
+ */
+
+export class KartView {
+  constructor(kart, scene, options = {}) {
+    this.kart = kart;
+    this.scene = scene;
+    this.renderMode = options.renderMode ?? 'prototype';
+    this.modelVariant = options.modelVariant || 'ferrari'; // ferrari | audi
+    this.wheels = [];
+    this._loadingModel = false;
+    this.ghostOpacity = options.ghostOpacity ?? null; // Translucent, shadowless look (replay ghosts)
+
+    // Visual mesh
+    // In full mode start with the procedural mesh so the kart is visible right away, then swap to glTF when ready
+    this.mesh = this._buildFormulaGroup(this.renderMode);
+    this.mesh.position.y += this._getBotYOffset();
+    this._applyGhostLook();
+    this.scene.add(this.mesh);
+    if (this.renderMode === 'full') {
+      this._useGltfModel();
+    }
+
+    // Debug vectors
+    this.debugVectors = this._createDebugVectors();
+  }
+
+  /**
+   * Sync meshes with the kart's interpolated render transform
+   */
+  update() {
+    const kart = this.kart;
+
+    // Animate front wheels based on steering
+    if (this.wheels && this.wheels.length >= 2) {
+      const wheelAngle = -(kart.steerInput * 0.4); // Visual steering angle
+      this.wheels[0].rotation.y = wheelAngle; // Front left
+      this.wheels[1].rotation.y = wheelAngle; // Front right
+    }
+
+    // Update visual mesh
+    this.mesh.position.copy(kart.renderPos);
+    this.mesh.position.y += this._getBotYOffset();
+
+    // Apply drift angle for visual effect
+    // When drifting right (+), kart angles LEFT (inward)
+    // When drifting left (-), kart angles RIGHT (inward)
+    // Spin-out adds its own yaw on top
+    const visualHeading = kart.renderHeading - kart.visualDriftAngle + kart.spinAngle; // Use smoothed angle
+
+    // Lean kart while drifting (lean OUTWARD from turn)
+    // When drifting right (+), lean right (+Z)
+    // When drifting left (-), lean left (-Z)
+    // Pitch and roll follow the slope under the kart (yaw first, so they
+    // stay relative to the kart's own axes)
+    this.mesh.rotation.set(-kart.visualPitch, visualHeading, kart.visualLean + kart.visualRoll, 'YXZ');
+
+    // Update debug vectors
+    this._updateDebugVectors();
+  }
+
+  /**
+   * Snap meshes to the kart's current transform (after a reset)
+   */
+  snap() {
+    this.mesh.position.copy(this.kart.pos);
+    this.mesh.position.y += this._getBotYOffset();
+    this.mesh.rotation.set(0, this.kart.heading, 0, 'YXZ');
+  }
+
+  /**
+   * Create debug visualization arrows
+   */
+  _createDebugVectors() {
+    const vectors = {
+      heading: new THREE.ArrowHelper(
+        new THREE.Vector3(0, 0, 1),
+        new THREE.Vector3(0, 0.5, 0),
+        5,
+        0x00ff00,
+        1,
+        0.5
+      ),
+      velocity: new THREE.ArrowHelper(
+        new THREE.Vector3(0, 0, 1),
+        new THREE.Vector3(0, 0.5, 0),
+        5,
+        0xff0000,
+        1,
+        0.5
+      )
+    };
+
+    vectors.heading.visible = false; // Hidden by default
+    vectors.velocity.visible = false;
+
+    this.scene.add(vectors.heading);
+    this.scene.add(vectors.velocity);
+
+    return vectors;
+  }
+
+  /**
+   * Toggle debug vectors visibility
+   */
+  toggleDebugVectors(show) {
+    this.debugVectors.heading.visible = show;
+    this.debugVectors.velocity.visible = show;
+  }
+
+  /**
+   * Update debug visualization vectors
+   */
+  _updateDebugVectors() {
+    if (!this.debugVectors.heading.visible) return;
+    const kart = this.kart;
+
+    // Heading vector (where kart is pointing)
+    const headingDir = new THREE.Vector3(
+      Math.sin(kart.heading),
+      0,
+      Math.cos(kart.heading)
+    );
+    this.debugVectors.heading.position.copy(kart.renderPos);
+    this.debugVectors.heading.setDirection(headingDir);
+    this.debugVectors.heading.setLength(5, 1, 0.5);
+
+    // Velocity vector (where kart is actually moving)
+    // Use smoothedOutwardPush from controller for accurate representation
+    const moveHeading = kart.heading + (kart.smoothedOutwardPush || 0);
+
+    const velocityDir = new THREE.Vector3(
+      Math.sin(moveHeading),
+      0,
+      Math.cos(moveHeading)
+    );
+    this.debugVectors.velocity.position.copy(kart.renderPos);
+    this.debugVectors.velocity.setDirection(velocityDir);
+    // Use visualSpeed for smoother arrow length transitions
+    this.debugVectors.velocity.setLength(kart.visualSpeed * 0.2, 1, 0.5);
+  }
+
+  /**
+   * Create the kart 3D mesh (formula-inspired), optionally for prototype/full.
+   */
+  _buildFormulaGroup(renderMode = 'prototype') {
+    const group = new THREE.Group();
+    const sf = renderMode === 'full' ? 1.5 : 1.0;
+
+    // Chassis base (slightly larger)
+    const baseGeom = new THREE.BoxGeometry(2.6 * sf, 0.65 * sf, 4.8 * sf);
+    const baseMat = this._createBodyMaterial(renderMode);
+    const base = new THREE.Mesh(baseGeom, baseMat);
+    base.position.y = 0.45;
+    base.castShadow = true;
+    base.receiveShadow = true;
+    group.add(base);
+    this.bodyMesh = base;
+
+    // Nose cone
+    const noseGeom = new THREE.CylinderGeometry(0.4 * sf, 0.75 * sf, 1.8 * sf, 16);
+    const noseMat = this._createBodyMaterial(renderMode);
+    const nose = new THREE.Mesh(noseGeom, noseMat);
+    nose.rotation.x = Math.PI / 2;
+    nose.position.set(0, 0.6, 2.3);
+    nose.castShadow = true;
+    group.add(nose);
+
+    // Cockpit/halo
+    const cockpitGeom = new THREE.CylinderGeometry(0.4 * sf, 0.6 * sf, 1.4 * sf, 12);
+    const cockpitMat = new THREE.MeshStandardMaterial({ color: 0x1b1f2a, metalness: 0.45, roughness: 0.35 });
+    const cockpit = new THREE.Mesh(cockpitGeom, cockpitMat);
+    cockpit.rotation.x = Math.PI / 2;
+    cockpit.position.set(0, 1.05, -0.2);
+    cockpit.castShadow = true;
+    group.add(cockpit);
+    this.coneMesh = cockpit;
+
+    // Front wing
+    const fwGeom = new THREE.BoxGeometry(3.8 * sf, 0.18 * sf, 1.0 * sf);
+    const fwMat = this._createBodyMaterial(renderMode);
+    const frontWing = new THREE.Mesh(fwGeom, fwMat);
+    frontWing.position.set(0, 0.25, 3.0);
+    frontWing.castShadow = true;
+    group.add(frontWing);
+
+    // Rear wing
+    const rwGeom = new THREE.BoxGeometry(3.0 * sf, 0.3 * sf, 0.7 * sf);
+    const rwMat = this._createBodyMaterial(renderMode);
+    const rearWing = new THREE.Mesh(rwGeom, rwMat);
+    rearWing.position.set(0, 0.95, -2.5);
+    rearWing.castShadow = true;
+    group.add(rearWing);
+
+    // Side pods
+    const podGeom = new THREE.BoxGeometry(0.7 * sf, 0.5 * sf, 2.0 * sf);
+    const podMat = this._createBodyMaterial(renderMode);
+    const leftPod = new THREE.Mesh(podGeom, podMat);
+    leftPod.position.set(-1.5, 0.55, -0.5);
+    leftPod.castShadow = true;
+    group.add(leftPod);
+    const rightPod = leftPod.clone();
+    rightPod.position.x = 1.5;
+    group.add(rightPod);
+
+    // Engine cover
+    const coverGeom = new THREE.BoxGeometry(1.4 * sf, 0.8 * sf, 2.2 * sf);
+    const cover = new THREE.Mesh(coverGeom, this._createBodyMaterial(renderMode));
+    cover.position.set(0, 0.9, -1.2);
+    cover.castShadow = true;
+    group.add(cover);
+
+    // Wheels
+    const wheelGeom = new THREE.CylinderGeometry(0.8 * sf, 0.8 * sf, 0.8 * sf, 20);
+    const wheelMat = this._createWheelMaterial(renderMode);
+
+    const wheelPositions = [
+      [-1.5, 0.35,  1.9],  // Front left
+      [ 1.5, 0.35,  1.9],  // Front right
+      [-1.5, 0.35, -1.9],  // Rear left
+      [ 1.5, 0.35, -1.9],  // Rear right
+    ];
+
+    this.wheels = [];
+
+    for (const [x, y, z] of wheelPositions) {
+      const wheel = new THREE.Mesh(wheelGeom, wheelMat);
+      wheel.rotation.z = Math.PI / 2;
+      wheel.position.set(x, y, z);
+      wheel.castShadow = true;
+      group.add(wheel);
+      this.wheels.push(wheel);
+    }
+
+    group.position.copy(this.kart.pos);
+    group.position.y += this._getBotYOffset();
+    return group;
+  }
+
+  _getBotYOffset() {
+    if (this.kart.isPlayer) return 0;
+    // Lift CPU karts in both modes; higher in full mode to clear GLTF geometry
+    return this.renderMode === 'full' ? 1.2 : 0.6;
+  }
+
+  /**
+   * Switch visual mode (prototype/full)
+   */
+  setRenderMode(mode) {
+    if (mode !== 'prototype' && mode !== 'full') return;
+    if (this.renderMode === mode) return;
+    this.renderMode = mode;
+    if (this.mesh) this.scene.remove(this.mesh);
+    this.mesh = this._buildFormulaGroup(mode);
+    this._applyGhostLook();
+    this.scene.add(this.mesh);
+    if (mode === 'full') {
+      this._useGltfModel();
+    }
+  }
+
+  /**
+   * Make the kart translucent (ghost replays), or solid again with null
+   * @param {number|null} opacity
+   */
+  setGhost(opacity) {
+    this.ghostOpacity = opacity;
+    this._applyGhostLook();
+  }
+
+  _applyGhostLook() {
+    if (this.ghostOpacity === null || !this.mesh) return;
+
+    this.mesh.traverse((child) => {
+      if (!child.isMesh) return;
+      child.castShadow = false;
+      child.receiveShadow = false;
+
+      // Clone so shared (cached glTF) materials stay solid on other karts
+      const materials = Array.isArray(child.material) ? child.material : [child.material];
+      const ghostMaterials = materials.map((material) => {
+        const ghost = material.userData.isGhost ? material : material.clone();
+        ghost.transparent = true;
+        ghost.opacity = this.ghostOpacity;
+        ghost.depthWrite = false;
+        ghost.userData.isGhost = true;
+        return ghost;
+      });
+      child.material = Array.isArray(child.material) ? ghostMaterials : ghostMaterials[0];
+    });
+  }
+
+  /**
+   * Remove meshes from the scene
+   */
+  destroy() {
+    this.scene.remove(this.mesh);
+    this.scene.remove(this.debugVectors.heading);
+    this.scene.remove(this.debugVectors.velocity);
+  }
+
+  _createBodyMaterial(mode) {
+    if (mode === 'full') {
+      const tex = this._makeStripeTexture(this.kart.color);
+      return new THREE.MeshStandardMaterial({
+        color: this.kart.color,
+        map: tex,
+        metalness: 0.35,
+        roughness: 0.45
+      });
+    }
+    return new THREE.MeshStandardMaterial({
+      color: this.kart.color,
+      metalness: 0.2,
+      roughness: 0.7
+    });
+  }
+
+  _createWheelMaterial(mode) {
+    if (mode === 'full') {
+      const tex = this._makeNoiseTexture('#111111', '#222222');
+      return new THREE.MeshStandardMaterial({ map: tex, roughness: 0.9, metalness: 0.1 });
+    }
+    return new THREE.MeshStandardMaterial({ color: 0x111111 });
+  }
+
+  _makeStripeTexture(hexColor) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 128;
+    canvas.height = 128;
+    const ctx = canvas.getContext('2d');
+    const base = '#' + new THREE.Color(hexColor).getHexString();
+    ctx.fillStyle = base;
+    ctx.fillRect(0, 0, 128, 128);
+    ctx.fillStyle = 'rgba(255,255,255,0.25)';
+    for (let x = -16; x < 144; x += 24) {
+      ctx.fillRect(x, 0, 12, 128);
+    }
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.wrapS = texture.wrapT = THREE.RepeatWrapping;
+    texture.repeat.set(1, 1);
+    return texture;
+  }
+
+  _makeNoiseTexture(colorA, colorB) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 64;
+    canvas.height = 64;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = colorA;
+    ctx.fillRect(0, 0, 64, 64);
+    ctx.fillStyle = colorB;
+    for (let i = 0; i < 300; i++) {
+      ctx.fillRect(Math.random() * 64, Math.random() * 64, 1, 1);
+    }
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.wrapS = texture.wrapT = THREE.RepeatWrapping;
+    texture.repeat.set(2, 2);
+    return texture;
+  }
+
+  /**
+   * Load external glTF formula car (from assets) and use it as the mesh.
+   */
+  _useGltfModel() {
+    if (this._loadingModel) return;
+    this._loadingModel = true;
+    const loader = this.modelVariant === 'audi' ? KartView._loadAudiModel : KartView._loadFerrariModel;
+    loader().then((model) => {
+      const cloned = model.clone(true);
+      this._fitAndAssignModel(cloned);
+      this._loadingModel = false;
+    }).catch((err) => {
+      console.error('Failed to load glTF car, falling back to procedural', err);
+      this._loadingModel = false;
+      // keep existing mesh (procedural) as fallback
+    });
+  }
+
+  _fitAndAssignModel(model) {
+    // Center and scale to roughly the same footprint as our procedural car
+    const box = new THREE.Box3().setFromObject(model);
+    const size = new THREE.Vector3();
+    box.getSize(size);
+    const targetLen = 9.75; // large presence for glTF models (full mode)
+    const maxDim = Math.max(size.x, size.z);
+    const scale = maxDim > 0.0001 ? targetLen / maxDim : 1;
+    model.scale.setScalar(scale);
+
+    // Recenter
+    box.setFromObject(model);
+    const center = new THREE.Vector3();
+    box.getCenter(center);
+    model.position.sub(center); // center at origin
+
+    // Raise so the lowest point sits just above local y=0 to avoid clipping into the track
+    box.setFromObject(model);
+    const minY = box.min.y;
+    model.position.y -= minY;
+    model.position.y += 0.05; // small clearance above the ground plane
+
+    // Apply current pose
+    model.position.add(this.kart.pos);
+    model.position.y += this._getBotYOffset();
+    model.rotation.y = this.kart.heading;
+    // We won't drive wheel rotations for external models; just ensure shadows
+    this.wheels = [];
+    model.traverse((child) => {
+      if (child.isMesh) {
+        child.castShadow = true;
+        child.receiveShadow = true;
+      }
+    });
+
+    const oldMesh = this.mesh;
+    this.mesh = model;
+    this._applyGhostLook();
+    this.scene.add(this.mesh);
+    if (oldMesh) {
+      this.scene.remove(oldMesh);
+    }
+  }
+
+  static _loadFerrariModel() {
+    if (KartView._gltfFerrari) return KartView._gltfFerrari;
+    const loader = new GLTFLoader();
+    KartView._gltfFerrari = new Promise((resolve, reject) => {
+      loader.load(
+        'assets/2019_f1_ferrari_sf90/scene.gltf',
+        (gltf) => resolve(gltf.scene),
+        undefined,
+        reject
+      );
+    });
+    return KartView._gltfFerrari;
+  }
+
+  static _loadAudiModel() {
+    if (KartView._gltfAudi) return KartView._gltfAudi;
+    const loader = new GLTFLoader();
+    KartView._gltfAudi = new Promise((resolve, reject) => {
+      loader.load(
+        'assets/audi_f1_2026_livery_textured/scene.gltf',
+        (gltf) => resolve(gltf.scene),
+        undefined,
+        reject
+      );
+    });
+    return KartView._gltfAudi;
+  }
+}
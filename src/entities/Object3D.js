@@ -1,5 +1,5 @@
 import * as THREE from 'three';
-import { getObject } from '../objects/ObjectRegistry.js';
+import { getObject, getCollisionBehavior } from '../objects/ObjectRegistry.js';
 import { RenderConfig } from '../config/RenderConfig.js';
 import { TextureManager } from '../core/TextureManager.js';
 
@@ -10,7 +10,8 @@ import { TextureManager } from '../core/TextureManager.js';
  * - Prototype mode: Simple colored geometry
  * - Full mode: Textured models (GLTF/GLB)
  * - Configurable position, rotation, scale
- * - Collision detection support
+ * - Collision detection support (solid / knock-over / item box / pass-through)
+ * - Headless (null scene): no mesh is built, collision still works
  */
 
 export class Object3D {
@@ -23,6 +24,16 @@ export class Object3D {
     this.scale = options.scale ?? { x: 1, y: 1, z: 1 };
     this.isLoaded = false;
 
+    // Knock-over state (cones etc.)
+    this.isKnockedOver = false;
+    this.knockVelocity = new THREE.Vector3();
+    this.knockTilt = 0; // 0 = upright, 1 = lying flat
+    this.knockAxis = new THREE.Vector3(1, 0, 0);
+
+    // Collected state (item boxes)
+    this.isCollected = false;
+    this.respawnTimer = 0;
+
     this.definition = getObject(this.type);
     if (!this.definition) {
       console.error(`Unknown object type: ${this.type}`);
@@ -34,7 +45,9 @@ export class Object3D {
     }
 
     this.mesh = null;
-    this._createMesh();
+    if (this.scene) {
+      this._createMesh();
+    }
   }
 
   async _createMesh() {
@@ -172,39 +185,114 @@ export class Object3D {
     this.isLoaded = true;
   }
 
-  checkCollision(point) {
-    if (!this.definition.collisionRadius) {
+  /**
+   * How karts interact with this object ('solid' | 'knockover' | 'item' | 'none').
+   * Knocked-over and collected objects no longer collide.
+   */
+  get collisionBehavior() {
+    if (!this.definition || this.isKnockedOver || this.isCollected) return 'none';
+    return getCollisionBehavior(this.definition);
+  }
+
+  /**
+   * Collision radius scaled by how this object was placed.
+   * Registry radii are for defaultScale.
+   */
+  getCollisionRadius() {
+    const def = this.definition;
+    if (!def?.collisionRadius) return 0;
+
+    const base = def.defaultScale ?? { x: 1, z: 1 };
+    const baseSize = (base.x + base.z) / 2 || 1;
+    const size = (this.scale.x + this.scale.z) / 2;
+    return def.collisionRadius * (size / baseSize);
+  }
+
+  checkCollision(point, radius = 0) {
+    const objectRadius = this.getCollisionRadius();
+    if (!objectRadius) {
+      return false;
+    }
+
+    const dx = point.x - this.position.x;
+    const dz = point.z - this.position.z;
+    const reach = objectRadius + radius;
+    return dx * dx + dz * dz < reach * reach;
+  }
+
+  /**
+   * Knock the object over and send it sliding
+   * @param {THREE.Vector3} direction - Push direction (ground plane)
+   * @param {number} speed - Initial slide speed
+   */
+  knockOver(direction, speed) {
+    if (this.isKnockedOver) return;
+    this.isKnockedOver = true;
+    this.knockVelocity.set(direction.x, 0, direction.z).normalize().multiplyScalar(speed);
+    // Tip over away from the hit: rotate around the axis perpendicular to the push
+    this.knockAxis.set(direction.z, 0, -direction.x).normalize();
+  }
+
+  /**
+   * Hide a collected item box until it respawns
+   * @param {number} respawnTime - Seconds until it comes back
+   */
+  collect(respawnTime) {
+    this.isCollected = true;
+    this.respawnTimer = respawnTime;
+    if (this.mesh) this.mesh.visible = false;
+  }
+
+  /**
+   * Animate a knocked-over object (slide, tip over, settle) or count
+   * down a collected one's respawn
+   * @param {number} delta - Time step
+   * @returns {boolean} True while still moving (or waiting to respawn)
+   */
+  update(delta) {
+    if (this.isCollected) {
+      this.respawnTimer -= delta;
+      if (this.respawnTimer > 0) return true;
+      this.isCollected = false;
+      if (this.mesh) this.mesh.visible = true;
       return false;
     }
 
-    const distance = point.distanceTo(new THREE.Vector3(
-      this.position.x,
-      point.y,
-      this.position.z
-    ));
+    if (!this.isKnockedOver) return false;
+
+    this.position.x += this.knockVelocity.x * delta;
+    this.position.z += this.knockVelocity.z * delta;
+    this.knockVelocity.multiplyScalar(Math.max(0, 1 - 3.0 * delta));
+    this.knockTilt = Math.min(1, this.knockTilt + 4.0 * delta);
+
+    if (this.mesh) {
+      this.mesh.position.set(this.position.x, this.position.y, this.position.z);
+      this.mesh.rotation.set(this.rotation.x, this.rotation.y, this.rotation.z);
+      this.mesh.rotateOnWorldAxis(this.knockAxis, this.knockTilt * Math.PI / 2);
+    }
 
-    return distance < this.definition.collisionRadius;
+    return this.knockTilt < 1 || this.knockVelocity.lengthSq() > 0.01;
   }
 
   setPosition(x, y, z) {
     this.position.x = x;
     this.position.y = y;
     this.position.z = z;
-    this.mesh.position.set(x, y, z);
+    if (this.mesh) this.mesh.position.set(x, y, z);
   }
 
   setRotation(x, y, z) {
     this.rotation.x = x;
     this.rotation.y = y;
     this.rotation.z = z;
-    this.mesh.rotation.set(x, y, z);
+    if (this.mesh) this.mesh.rotation.set(x, y, z);
   }
 
   setScale(x, y, z) {
     this.scale.x = x;
     this.scale.y = y;
     this.scale.z = z;
-    this.mesh.scale.set(x, y, z);
+    if (this.mesh) this.mesh.scale.set(x, y, z);
   }
 
   serialize() {
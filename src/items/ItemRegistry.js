@@ -0,0 +1,67 @@
+/**
+ * ItemRegistry - Defines all power-ups handed out by item boxes
+ *
+ * Each item has:
+ * - id: unique identifier
+ * - name: display name
+ * - icon: HUD symbol
+ * - weights: roll weight { front, back } for the race leader and the last
+ *   kart; positions in between blend linearly, so trailing karts get the
+ *   stronger items
+ *
+ * Behaviour lives in ItemSystem (keyed by id).
+ */
+
+export const ItemRegistry = {
+  MUSHROOM: {
+    id: 'mushroom',
+    name: 'Mushroom',
+    icon: '🍄',
+    weights: { front: 10, back: 40 }
+  },
+
+  BANANA: {
+    id: 'banana',
+    name: 'Banana',
+    icon: '🍌',
+    weights: { front: 45, back: 10 }
+  },
+
+  SHELL: {
+    id: 'shell',
+    name: 'Homing Shell',
+    icon: '🟢',
+    weights: { front: 10, back: 35 }
+  },
+
+  SHIELD: {
+    id: 'shield',
+    name: 'Shield',
+    icon: '🛡️',
+    weights: { front: 35, back: 15 }
+  }
+};
+
+export function getItem(id) {
+  return Object.values(ItemRegistry).find(item => item.id === id) || null;
+}
+
+/**
+ * Pick an item for a kart, weighted by how far back it is
+ * @param {number} placeFraction - 0 for the leader, 1 for last place
+ * @param {Function} [random=Math.random] - Source of randomness (0-1)
+ * @returns {Object} Item definition
+ */
+export function rollItem(placeFraction, random = Math.random) {
+  const t = Math.min(Math.max(placeFraction, 0), 1);
+  const items = Object.values(ItemRegistry);
+  const weights = items.map(({ weights }) => weights.front + (weights.back - weights.front) * t);
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+
+  let roll = random() * total;
+  for (let i = 0; i < items.length; i++) {
+    roll -= weights[i];
+    if (roll < 0) return items[i];
+  }
+  return items[items.length - 1];
+}
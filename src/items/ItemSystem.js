@@ -0,0 +1,306 @@
+import * as THREE from 'three';
+import { eventBus } from '../utils/EventBus.js';
+import { rollItem } from './ItemRegistry.js';
+import { ItemView } from './ItemView.js';
+
+/**
+ * ItemSystem - Item boxes, item slots and the items on the track
+ *
+ * Driven by Game once per simulation tick. Handles:
+ * - Item boxes: driving through one fills an empty slot (rolled by race
+ *   position) and hides the box until it respawns
+ * - Using the held item on the rising edge of the `useItem` input; CPU
+ *   karts use theirs after holding it for a moment
+ * - Mushroom: instant boost
+ * - Banana: dropped behind the kart, spins out whoever hits it
+ * - Shell: fired ahead, follows the track's DirectionField, spins out the
+ *   first kart it hits, breaks on walls
+ * - Shield: blocks the next banana or shell hit until it runs out
+ *
+ * Events:
+ * - item-picked { kartId, item }
+ * - item-used { kartId, item }
+ * - item-hit { kartId, item, ownerId, blocked }
+ * - shield-ended { kartId, reason } ('blocked' | 'expired')
+ */
+
+export class ItemSystem {
+  /**
+   * @param {Object} options
+   * @param {THREE.Scene|null} [options.scene=null] - Scene for banana/shell/shield meshes (null = headless)
+   * @param {Function} [options.random=Math.random] - Source of randomness (0-1)
+   */
+  constructor(options = {}) {
+    this.random = options.random ?? Math.random;
+    this.boxRespawnTime = options.boxRespawnTime ?? 3.0;
+    this.spinOutDuration = options.spinOutDuration ?? 1.2;
+    this.bananaRadius = options.bananaRadius ?? 0.8;
+    this.bananaArmTime = options.bananaArmTime ?? 0.5; // Seconds before the dropper can hit its own banana
+    this.shellSpeed = options.shellSpeed ?? 60;
+    this.shellRadius = options.shellRadius ?? 0.6;
+    this.shellLifetime = options.shellLifetime ?? 5.0;
+    this.shellTurnRate = options.shellTurnRate ?? 6.0; // How hard shells steer toward the track direction
+    this.shieldDuration = options.shieldDuration ?? 8.0;
+    this.cpuHoldTime = options.cpuHoldTime ?? { min: 1.0, max: 4.0 }; // Seconds CPUs keep an item
+    this.layerGap = options.layerGap ?? 2.0; // Items don't hit karts on another level (bridges)
+
+    this.slots = new Map(); // kartId -> item id
+    this.shields = new Map(); // kartId -> seconds left
+    this.bananas = []; // { id, position, ownerId, age }
+    this.shells = []; // { id, position, heading, ownerId, age }
+
+    this._useHeld = new Map(); // kartId -> useItem input last tick (edge detection)
+    this._cpuUseAt = new Map(); // kartId -> sim time the CPU will use its item
+    this._nextId = 1;
+
+    this.view = options.scene ? new ItemView(options.scene) : null;
+  }
+
+  /**
+   * Clear slots, shields and everything on the track (new race)
+   */
+  reset() {
+    this.slots.clear();
+    this.shields.clear();
+    this.bananas = [];
+    this.shells = [];
+    this._useHeld.clear();
+    this._cpuUseAt.clear();
+    this.view?.clear();
+  }
+
+  /**
+   * Item a kart is holding
+   * @returns {string|null} Item id
+   */
+  getItem(kartId) {
+    return this.slots.get(kartId) ?? null;
+  }
+
+  /**
+   * Seconds of shield a kart has left (0 = none)
+   */
+  getShieldTime(kartId) {
+    return this.shields.get(kartId) ?? 0;
+  }
+
+  /**
+   * A kart drove into an item box
+   * @param {Kart} kart
+   * @param {Object3D} box
+   * @param {Game} game
+   */
+  collectBox(kart, box, game) {
+    game.track?.collectObject(box, this.boxRespawnTime);
+    if (this.slots.has(kart.id)) return;
+
+    const item = rollItem(this._placeFraction(kart, game), this.random);
+    this.slots.set(kart.id, item.id);
+
+    if (!kart.isPlayer) {
+      const { min, max } = this.cpuHoldTime;
+      this._cpuUseAt.set(kart.id, game.simTime + min + this.random() * (max - min));
+    }
+
+    eventBus.emit('item-picked', { kartId: kart.id, item: item.id });
+  }
+
+  /**
+   * Feed a kart's inputs for this tick (uses the item on a fresh press)
+   * @param {Kart} kart
+   * @param {Object} inputs - Tick inputs ({ useItem })
+   * @param {Game} game
+   */
+  handleInputs(kart, inputs, game) {
+    const pressed = Boolean(inputs.useItem);
+    const wasPressed = this._useHeld.get(kart.id) ?? false;
+    this._useHeld.set(kart.id, pressed);
+
+    const cpuReady = !kart.isPlayer && game.simTime >= (this._cpuUseAt.get(kart.id) ?? Infinity);
+    if ((pressed && !wasPressed) || cpuReady) {
+      this.useItem(kart, game);
+    }
+  }
+
+  /**
+   * Use whatever the kart is holding
+   * @returns {boolean} False if the slot was empty
+   */
+  useItem(kart, game) {
+    const itemId = this.slots.get(kart.id);
+    if (!itemId) return false;
+
+    this.slots.delete(kart.id);
+    this._cpuUseAt.delete(kart.id);
+
+    const forward = new THREE.Vector3(Math.sin(kart.heading), 0, Math.cos(kart.heading));
+    const reach = (kart.collisionRadius ?? 1.5) + 1.5;
+
+    switch (itemId) {
+      case 'mushroom':
+        kart.giveBoost();
+        break;
+
+      case 'banana':
+        this.bananas.push({
+          id: this._nextId++,
+          position: kart.pos.clone().addScaledVector(forward, -reach),
+          ownerId: kart.id,
+          age: 0
+        });
+        break;
+
+      case 'shell':
+        this.shells.push({
+          id: this._nextId++,
+          position: kart.pos.clone().addScaledVector(forward, reach),
+          heading: kart.heading,
+          ownerId: kart.id,
+          age: 0
+        });
+        break;
+
+      case 'shield':
+        this.shields.set(kart.id, this.shieldDuration);
+        break;
+
+      default:
+        console.warn(`Unknown item: ${itemId}`);
+        return false;
+    }
+
+    eventBus.emit('item-used', { kartId: kart.id, item: itemId });
+    return true;
+  }
+
+  /**
+   * Advance shields, shells and bananas one tick
+   * @param {number} dt
+   * @param {Game} game
+   */
+  update(dt, game) {
+    for (const [kartId, time] of this.shields) {
+      if (time - dt > 0) {
+        this.shields.set(kartId, time - dt);
+      } else {
+        this.shields.delete(kartId);
+        eventBus.emit('shield-ended', { kartId, reason: 'expired' });
+      }
+    }
+
+    for (const banana of this.bananas) {
+      banana.age += dt;
+    }
+
+    this.shells = this.shells.filter(shell => this._updateShell(shell, dt, game));
+    this.bananas = this.bananas.filter(banana => !this._checkBananaHit(banana, game.karts));
+  }
+
+  /**
+   * Sync meshes with the current state (call every render frame)
+   * @param {Array<Kart>} karts
+   */
+  updateVisuals(karts) {
+    this.view?.update(this, karts);
+  }
+
+  destroy() {
+    this.reset();
+    this.view?.destroy();
+  }
+
+  /**
+   * Move a shell along the track and resolve what it hits
+   * @returns {boolean} True while the shell is still flying
+   */
+  _updateShell(shell, dt, game) {
+    shell.age += dt;
+    if (shell.age > this.shellLifetime) return false;
+
+    // Steer toward the track direction (straight on if the track has none)
+    const field = game.track?.getDirectionField?.();
+    const direction = field?.getDirectionAt(shell.position);
+    if (direction && direction.lengthSq() > 1e-6) {
+      const target = Math.atan2(direction.x, direction.y);
+      const delta = Math.atan2(Math.sin(target - shell.heading), Math.cos(target - shell.heading));
+      shell.heading += delta * Math.min(1, this.shellTurnRate * dt);
+    }
+
+    shell.position.x += Math.sin(shell.heading) * this.shellSpeed * dt;
+    shell.position.z += Math.cos(shell.heading) * this.shellSpeed * dt;
+
+    if (game.track?.isBlocked(shell.position, this.shellRadius)) return false;
+    if (game.track) {
+      // Ride along slopes and bridge decks at kart height
+      shell.position.y = game.track.getGroundHeight(shell.position) + game.track.rideHeight;
+    }
+
+    for (const kart of game.karts) {
+      // The shell spawns ahead of its owner; it can come back around later
+      if (kart.id === shell.ownerId && shell.age < 1.0) continue;
+      if (this._touches(kart, shell.position, this.shellRadius)) {
+        this._hitKart(kart, 'shell', shell.ownerId);
+        return false;
+      }
+    }
+
+    // Shells and bananas take each other out
+    const banana = this.bananas.find(b => b.position.distanceTo(shell.position) < this.bananaRadius + this.shellRadius);
+    if (banana) {
+      this.bananas = this.bananas.filter(b => b !== banana);
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * @returns {boolean} True if a kart ran over the banana
+   */
+  _checkBananaHit(banana, karts) {
+    for (const kart of karts) {
+      if (kart.id === banana.ownerId && banana.age < this.bananaArmTime) continue;
+      if (this._touches(kart, banana.position, this.bananaRadius)) {
+        this._hitKart(kart, 'banana', banana.ownerId);
+        return true;
+      }
+    }
+    return false;
+  }
+
+  _touches(kart, position, radius) {
+    if (Math.abs(kart.pos.y - position.y) > this.layerGap) return false;
+
+    const reach = (kart.collisionRadius ?? 1.5) + radius;
+    const dx = kart.pos.x - position.x;
+    const dz = kart.pos.z - position.z;
+    return dx * dx + dz * dz < reach * reach;
+  }
+
+  /**
+   * Spin a kart out, unless its shield takes the hit
+   */
+  _hitKart(kart, itemId, ownerId) {
+    const blocked = this.shields.has(kart.id);
+    if (blocked) {
+      this.shields.delete(kart.id);
+    } else {
+      kart.spinOut(this.spinOutDuration, this.random() < 0.5 ? -1 : 1);
+    }
+
+    eventBus.emit('item-hit', { kartId: kart.id, item: itemId, ownerId, blocked });
+    if (blocked) {
+      eventBus.emit('shield-ended', { kartId: kart.id, reason: 'blocked' });
+    }
+  }
+
+  /**
+   * 0 for the leader, 1 for last place (0.5 with no standings)
+   */
+  _placeFraction(kart, game) {
+    const position = game.standings?.getPosition(kart.id) ?? null;
+    const count = game.karts.length;
+    if (position === null || count < 2) return 0.5;
+    return (position - 1) / (count - 1);
+  }
+}
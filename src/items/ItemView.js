@@ -0,0 +1,87 @@
+import * as THREE from 'three';
+
+/**
+ * ItemView - Meshes for items out on the track
+ *
+ * Bananas, shells and shield bubbles around karts. Only created by
+ * ItemSystem when it has a scene, so items can run headless.
+ */
+
+export class ItemView {
+  constructor(scene) {
+    this.scene = scene;
+    this.meshes = new Map(); // 'banana:id' | 'shell:id' | 'shield:kartId' -> mesh
+
+    this.bananaGeometry = new THREE.ConeGeometry(0.5, 1.0, 8);
+    this.bananaMaterial = new THREE.MeshStandardMaterial({ color: 0xFFE135 });
+    this.shellGeometry = new THREE.SphereGeometry(0.6, 12, 8);
+    this.shellMaterial = new THREE.MeshStandardMaterial({ color: 0x22AA44 });
+    this.shieldGeometry = new THREE.SphereGeometry(2.2, 16, 12);
+    this.shieldMaterial = new THREE.MeshBasicMaterial({
+      color: 0x66CCFF,
+      transparent: true,
+      opacity: 0.25,
+      depthWrite: false
+    });
+  }
+
+  /**
+   * Sync meshes with the item system (add new, move live, drop gone)
+   * @param {ItemSystem} items
+   * @param {Array<Kart>} karts
+   */
+  update(items, karts) {
+    const live = new Set();
+
+    for (const banana of items.bananas) {
+      const mesh = this._getMesh(`banana:${banana.id}`, this.bananaGeometry, this.bananaMaterial, live);
+      mesh.position.set(banana.position.x, banana.position.y + 0.5, banana.position.z);
+    }
+
+    for (const shell of items.shells) {
+      const mesh = this._getMesh(`shell:${shell.id}`, this.shellGeometry, this.shellMaterial, live);
+      mesh.position.set(shell.position.x, shell.position.y + 0.6, shell.position.z);
+    }
+
+    for (const kart of karts) {
+      if (!items.shields.has(kart.id)) continue;
+      const mesh = this._getMesh(`shield:${kart.id}`, this.shieldGeometry, this.shieldMaterial, live);
+      mesh.position.set(kart.renderPos.x, kart.renderPos.y + 0.8, kart.renderPos.z);
+    }
+
+    for (const [key, mesh] of this.meshes) {
+      if (live.has(key)) continue;
+      this.scene.remove(mesh);
+      this.meshes.delete(key);
+    }
+  }
+
+  clear() {
+    for (const mesh of this.meshes.values()) {
+      this.scene.remove(mesh);
+    }
+    this.meshes.clear();
+  }
+
+  destroy() {
+    this.clear();
+    this.bananaGeometry.dispose();
+    this.bananaMaterial.dispose();
+    this.shellGeometry.dispose();
+    this.shellMaterial.dispose();
+    this.shieldGeometry.dispose();
+    this.shieldMaterial.dispose();
+  }
+
+  _getMesh(key, geometry, material, live) {
+    live.add(key);
+    let mesh = this.meshes.get(key);
+    if (!mesh) {
+      mesh = new THREE.Mesh(geometry, material);
+      mesh.castShadow = material !== this.shieldMaterial;
+      this.scene.add(mesh);
+      this.meshes.set(key, mesh);
+    }
+    return mesh;
+  }
+}
@@ -10,7 +10,12 @@
  * - prototypeGeometry: THREE geometry type for prototype mode
  * - prototypeColor: color for prototype mode
  * - defaultScale: default scale {x, y, z}
- * - collisionRadius: radius for collision detection (optional)
+ * - collisionRadius: radius for collision detection at defaultScale (optional)
+ * - collisionBehavior: how karts interact with it
+ *     'solid'     - blocks karts, they slide around it
+ *     'knockover' - karts knock it away (cones)
+ *     'item'      - karts drive through and pick up an item; it respawns (item boxes)
+ *     'none'      - pass-through decoration
  *
  * In full render mode:
  * - If model path exists and file is found, GLTF model will be loaded
@@ -30,7 +35,8 @@ export const ObjectRegistry = {
     prototypeGeometry: 'cone',
     prototypeColor: 0x228B22,
     defaultScale: { x: 2, y: 4, z: 2 },
-    collisionRadius: 1.5
+    collisionRadius: 1.5,
+    collisionBehavior: 'solid'
   },
 
   TREE_OAK: {
@@ -42,7 +48,8 @@ export const ObjectRegistry = {
     prototypeGeometry: 'sphere',
     prototypeColor: 0x2D5016,
     defaultScale: { x: 3, y: 4, z: 3 },
-    collisionRadius: 2
+    collisionRadius: 2,
+    collisionBehavior: 'solid'
   },
 
   BUSH: {
@@ -54,7 +61,8 @@ export const ObjectRegistry = {
     prototypeGeometry: 'sphere',
     prototypeColor: 0x3CB371,
     defaultScale: { x: 1.5, y: 1, z: 1.5 },
-    collisionRadius: 0.75
+    collisionRadius: 0.75,
+    collisionBehavior: 'none'
   },
 
   ROCK: {
@@ -66,7 +74,8 @@ export const ObjectRegistry = {
     prototypeGeometry: 'dodecahedron',
     prototypeColor: 0x808080,
     defaultScale: { x: 1, y: 0.8, z: 1 },
-    collisionRadius: 0.8
+    collisionRadius: 0.8,
+    collisionBehavior: 'solid'
   },
 
   SIGN_ARROW_LEFT: {
@@ -78,7 +87,8 @@ export const ObjectRegistry = {
     prototypeGeometry: 'box',
     prototypeColor: 0xFFFF00,
     defaultScale: { x: 0.3, y: 2, z: 1.5 },
-    collisionRadius: 0.5
+    collisionRadius: 0.5,
+    collisionBehavior: 'solid'
   },
 
   SIGN_ARROW_RIGHT: {
@@ -90,7 +100,8 @@ export const ObjectRegistry = {
     prototypeGeometry: 'box',
     prototypeColor: 0xFFFF00,
     defaultScale: { x: 0.3, y: 2, z: 1.5 },
-    collisionRadius: 0.5
+    collisionRadius: 0.5,
+    collisionBehavior: 'solid'
   },
 
   SIGN_WARNING: {
@@ -102,7 +113,8 @@ export const ObjectRegistry = {
     prototypeGeometry: 'box',
     prototypeColor: 0xFF6600,
     defaultScale: { x: 0.3, y: 2, z: 1.5 },
-    collisionRadius: 0.5
+    collisionRadius: 0.5,
+    collisionBehavior: 'solid'
   },
 
   FENCE_POST: {
@@ -114,7 +126,8 @@ export const ObjectRegistry = {
     prototypeGeometry: 'box',
     prototypeColor: 0x8B4513,
     defaultScale: { x: 0.2, y: 1.5, z: 0.2 },
-    collisionRadius: 0.3
+    collisionRadius: 0.3,
+    collisionBehavior: 'solid'
   },
 
   CONE_TRAFFIC: {
@@ -126,7 +139,8 @@ export const ObjectRegistry = {
     prototypeGeometry: 'cone',
     prototypeColor: 0xFF4500,
     defaultScale: { x: 0.5, y: 1, z: 0.5 },
-    collisionRadius: 0.4
+    collisionRadius: 0.4,
+    collisionBehavior: 'knockover'
   },
 
   BARREL: {
@@ -138,7 +152,8 @@ export const ObjectRegistry = {
     prototypeGeometry: 'cylinder',
     prototypeColor: 0x8B0000,
     defaultScale: { x: 0.6, y: 1.2, z: 0.6 },
-    collisionRadius: 0.5
+    collisionRadius: 0.5,
+    collisionBehavior: 'knockover'
   },
 
   LAMP_POST: {
@@ -150,7 +165,8 @@ export const ObjectRegistry = {
     prototypeGeometry: 'cylinder',
     prototypeColor: 0x404040,
     defaultScale: { x: 0.3, y: 4, z: 0.3 },
-    collisionRadius: 0.4
+    collisionRadius: 0.4,
+    collisionBehavior: 'solid'
   },
 
   BANNER: {
@@ -162,7 +178,21 @@ export const ObjectRegistry = {
     prototypeGeometry: 'box',
     prototypeColor: 0xFF1493,
     defaultScale: { x: 3, y: 1.5, z: 0.1 },
-    collisionRadius: 0.2
+    collisionRadius: 0.2,
+    collisionBehavior: 'none'
+  },
+
+  ITEM_BOX: {
+    id: 'item_box',
+    name: 'Item Box',
+    category: 'items',
+    model: null,
+    texture: null,
+    prototypeGeometry: 'box',
+    prototypeColor: 0xFFD700,
+    defaultScale: { x: 1.5, y: 1.5, z: 1.5 },
+    collisionRadius: 1.2,
+    collisionBehavior: 'item'
   }
 };
 
@@ -171,6 +201,14 @@ export function getObject(id) {
   return ObjectRegistry[key] || null;
 }
 
+/**
+ * How karts interact with an object definition ('solid' | 'knockover' | 'item' | 'none')
+ */
+export function getCollisionBehavior(definition) {
+  if (!definition?.collisionRadius) return 'none';
+  return definition.collisionBehavior ?? 'solid';
+}
+
 export function getObjectsByCategory(category) {
   return Object.values(ObjectRegistry).filter(obj => obj.category === category);
 }
@@ -7,6 +7,12 @@ import * as THREE from 'three';
  * - No physics slip/slide (unless drifting)
  * - Drift is a deliberate mechanic (hold brake + steer)
  * - Speed is a simple scalar value
+ * - Bumps: forward impulse changes speed, sideways impulse becomes a
+ *   short decaying knockback; big hits cause a spin-out
+ * - Jumps: launch() sends the kart on a ballistic arc; no throttle or
+ *   drifting in the air, steering is reduced
+ * - Slick surfaces: `grip` input cuts turning, `forceDrift` starts a drift
+ *   that builds no boost charge
  */
 
 export class ArcadeController {
@@ -34,12 +40,33 @@ export class ArcadeController {
     this.driftSpeedBonus = options.driftSpeedBonus ?? 1.02; // Slight speed bonus (encourage drifting)
     this.driftCharge = 0; // Build up for boost
     this.driftChargeRate = options.driftChargeRate ?? 1.0;
+    this.driftBoostCharge = options.driftBoostCharge ?? 1.0; // Charge needed for a boost on release
     this.smoothedOutwardPush = 0; // Smoothed outward push for movement
 
     // Boost
     this.boostTimer = 0;
     this.boostSpeed = options.boostSpeed ?? 50; // Increased from 45
     this.boostDuration = options.boostDuration ?? 2.0; // Increased from 1.5
+
+    // Knockback from bumps (world-space velocity that decays away)
+    this.knockback = new THREE.Vector3();
+    this.knockbackDecay = options.knockbackDecay ?? 6.0; // Per second
+
+    // Spin-out (controls lost, kart spins while sliding to a stop)
+    this.spinOutDuration = options.spinOutDuration ?? 0.9;
+    this.spinOutFriction = options.spinOutFriction ?? 2.5; // Speed decay rate while spinning
+    this.spinTimer = 0;
+    this.spinTotal = 0;
+    this.spinDirection = 1;
+    this.spinAngle = 0; // Visual yaw offset while spinning
+
+    // Jumps (ballistic arc above ride height)
+    this.rideHeight = options.rideHeight ?? 0.5; // Kart origin height on flat ground
+    this.groundHeight = this.rideHeight; // Kart origin height where it would land (set by Kart.followGround)
+    this.gravity = options.gravity ?? 40;
+    this.airSteer = options.airSteer ?? 0.3; // Fraction of steering available in the air
+    this.verticalSpeed = 0;
+    this.isAirborne = false;
   }
 
   /**
@@ -49,20 +76,87 @@ export class ArcadeController {
     this.boostTimer = this.boostDuration;
   }
 
+  /**
+   * Make the kart spin out (drops drift charge and boost)
+   * @param {number} duration - Seconds without control
+   * @param {number} direction - 1 or -1 (spin direction)
+   */
+  spinOut(duration = this.spinOutDuration, direction = 1) {
+    this.spinTimer = duration;
+    this.spinTotal = duration;
+    this.spinDirection = direction >= 0 ? 1 : -1;
+    this.isDrifting = false;
+    this.driftDirection = 0;
+    this.driftCharge = 0;
+    this.driftAngle = 0;
+    this.boostTimer = 0;
+  }
+
+  /**
+   * Launch the kart into the air (ramps)
+   * @param {number} verticalSpeed - Upward speed at take-off
+   * @returns {boolean} False if already airborne
+   */
+  launch(verticalSpeed) {
+    if (this.isAirborne) return false;
+    this.isAirborne = true;
+    this.verticalSpeed = verticalSpeed;
+    this.isDrifting = false;
+    this.driftDirection = 0;
+    this.driftCharge = 0;
+    return true;
+  }
+
+  /**
+   * Drop off an edge (no upward speed)
+   * @returns {boolean} False if already airborne
+   */
+  fall() {
+    return this.launch(0);
+  }
+
+  /**
+   * Is the kart currently spinning out?
+   */
+  isSpinningOut() {
+    return this.spinTimer > 0;
+  }
+
+  /**
+   * Apply a velocity change (e.g. from a bump)
+   * The part along the heading changes speed, the rest becomes knockback.
+   * @param {THREE.Vector3} deltaVelocity - World-space velocity change
+   * @param {number} heading - Current heading in radians
+   */
+  applyImpulse(deltaVelocity, heading) {
+    const forwardX = Math.sin(heading);
+    const forwardZ = Math.cos(heading);
+    const along = deltaVelocity.x * forwardX + deltaVelocity.z * forwardZ;
+
+    this.speed += along;
+    this.knockback.x += deltaVelocity.x - forwardX * along;
+    this.knockback.z += deltaVelocity.z - forwardZ * along;
+  }
+
   /**
    * Update arcade controls
    * @param {number} delta - Time step
    * @param {THREE.Vector3} position - Current position (will be modified)
    * @param {number} heading - Current heading in radians (will be modified)
-   * @param {Object} inputs - { throttle, brake, steer, drift, speedMultiplier }
+   * @param {Object} inputs - { throttle, brake, steer, drift, speedMultiplier, grip, forceDrift }
    * @returns {Object} Updated state
    */
   update(delta, position, heading, inputs) {
-    const throttle = inputs.throttle ?? 0; // 0 to 1
-    const brake = inputs.brake ?? 0; // 0 to 1
-    const steer = inputs.steer ?? 0; // -1 to 1
-    const drift = inputs.drift ?? false; // boolean
+    // No control while spinning out
+    const spinning = this.spinTimer > 0;
+    const throttle = spinning ? 0 : (inputs.throttle ?? 0); // 0 to 1
+    const brake = spinning ? 0 : (inputs.brake ?? 0); // 0 to 1
+    const steer = spinning ? 0 : (inputs.steer ?? 0); // -1 to 1
+    const drift = spinning ? false : (inputs.drift ?? false); // boolean
     const speedMultiplier = inputs.speedMultiplier ?? 1.0; // Surface speed multiplier
+    const grip = inputs.grip ?? 1.0; // Surface grip (1 = normal, lower = slippery)
+    const forceDrift = Boolean(inputs.forceDrift) && !spinning && !this.isAirborne;
+    const airborne = this.isAirborne;
 
     // --- Speed Control ---
     let targetSpeed = this.maxSpeed * speedMultiplier; // Apply surface speed multiplier
@@ -77,7 +171,12 @@ export class ArcadeController {
     }
 
     // Accelerate or brake
-    if (throttle > 0) {
+    if (airborne) {
+      // Keep momentum in the air
+    } else if (spinning) {
+      // Slide to a stop
+      this.speed = THREE.MathUtils.lerp(this.speed, 0, Math.min(1, this.spinOutFriction * delta));
+    } else if (throttle > 0) {
       this.speed += this.acceleration * throttle * delta;
     } else if (brake > 0) {
       this.speed -= this.brakeForce * brake * delta;
@@ -98,19 +197,19 @@ export class ArcadeController {
 
     // --- Drift Mechanics ---
     const isMoving = Math.abs(this.speed) > 2;
-    const wantsToDrift = drift && isMoving && Math.abs(steer) > 0.3;
+    const wantsToDrift = !airborne && isMoving && ((drift && Math.abs(steer) > 0.3) || forceDrift);
 
     if (wantsToDrift && !this.isDrifting) {
-      // Start drifting
+      // Start drifting (forced drifts go the way the kart is steering, or right)
       this.isDrifting = true;
-      this.driftDirection = Math.sign(steer);
+      this.driftDirection = Math.sign(steer) || 1;
       this.driftCharge = 0;
       this.driftAngle = 0; // Visual drift angle
     } else if (!wantsToDrift && this.isDrifting) {
       // End drift, release boost if charged
       this.isDrifting = false;
 
-      if (this.driftCharge >= 1.0) {
+      if (this.driftCharge >= this.driftBoostCharge) {
         // Give mini boost
         this.giveBoost();
       }
@@ -121,8 +220,10 @@ export class ArcadeController {
     }
 
     if (this.isDrifting) {
-      // Build drift charge
-      this.driftCharge += this.driftChargeRate * delta;
+      // Build drift charge (not while a slick surface is doing the drifting)
+      if (!forceDrift) {
+        this.driftCharge += this.driftChargeRate * delta;
+      }
 
       // Slight speed bonus during drift (reward skilled drifting)
       const driftTargetSpeed = this.maxSpeed * this.driftSpeedBonus;
@@ -149,9 +250,10 @@ export class ArcadeController {
       );
 
       // PENALTY: Turn SLOWER while drifting (wider arc)
-      const finalTurnRate = this.isDrifting
+      let finalTurnRate = this.isDrifting
         ? turnRate * this.driftTurnPenalty
         : turnRate;
+      finalTurnRate *= airborne ? this.airSteer : grip;
 
       // Apply turning (negative because of coordinate system)
       heading -= steer * finalTurnRate * delta;
@@ -161,7 +263,8 @@ export class ArcadeController {
     const moveDistance = this.speed * delta;
 
     // Smooth outward push transition
-    const targetPush = this.isDrifting ? (this.driftDirection * this.driftOutwardPush) : 0;
+    // Less grip = wider slide
+    const targetPush = this.isDrifting ? (this.driftDirection * this.driftOutwardPush * (2 - grip)) : 0;
     this.smoothedOutwardPush = THREE.MathUtils.lerp(
       this.smoothedOutwardPush,
       targetPush,
@@ -179,6 +282,38 @@ export class ArcadeController {
     position.x += forwardX * moveDistance;
     position.z += forwardZ * moveDistance;
 
+    // Knockback from bumps
+    if (this.knockback.lengthSq() > 1e-6) {
+      position.x += this.knockback.x * delta;
+      position.z += this.knockback.z * delta;
+      this.knockback.multiplyScalar(Math.max(0, 1 - this.knockbackDecay * delta));
+    } else {
+      this.knockback.set(0, 0, 0);
+    }
+
+    // --- Jumps ---
+    let landed = false;
+    if (airborne) {
+      position.y += this.verticalSpeed * delta;
+      this.verticalSpeed -= this.gravity * delta;
+      if (position.y <= this.groundHeight && this.verticalSpeed < 0) {
+        position.y = this.groundHeight;
+        this.verticalSpeed = 0;
+        this.isAirborne = false;
+        landed = true;
+      }
+    }
+
+    // --- Spin-out ---
+    if (spinning) {
+      this.spinTimer = Math.max(0, this.spinTimer - delta);
+      // One full turn, easing out as the kart stops
+      const t = 1 - this.spinTimer / this.spinTotal;
+      this.spinAngle = this.spinDirection * Math.PI * 2 * (1 - (1 - t) * (1 - t));
+    } else {
+      this.spinAngle = 0;
+    }
+
     // --- Return state ---
     return {
       position,
@@ -188,7 +323,11 @@ export class ArcadeController {
       boostActive: this.boostTimer > 0,
       driftCharge: this.driftCharge,
       driftAngle: this.driftAngle || 0,
-      smoothedOutwardPush: this.smoothedOutwardPush
+      smoothedOutwardPush: this.smoothedOutwardPush,
+      spinningOut: this.spinTimer > 0,
+      spinAngle: this.spinAngle,
+      airborne: this.isAirborne,
+      landed
     };
   }
 
@@ -202,6 +341,12 @@ export class ArcadeController {
     this.driftCharge = 0;
     this.boostTimer = 0;
     this.smoothedOutwardPush = 0;
+    this.knockback.set(0, 0, 0);
+    this.spinTimer = 0;
+    this.spinAngle = 0;
+    this.verticalSpeed = 0;
+    this.isAirborne = false;
+    this.groundHeight = this.rideHeight;
   }
 
   /**
@@ -0,0 +1,146 @@
+import * as THREE from 'three';
+import { eventBus } from '../utils/EventBus.js';
+
+/**
+ * KartCollisions - Kart-vs-kart bumping
+ *
+ * Karts are circles on the ground plane (Kart.collisionRadius). For each
+ * overlapping pair on the same layer (a kart on a bridge deck passes over
+ * the one underneath):
+ * - Overlap is pushed apart, split by mass (lighter kart moves more)
+ * - An impulse along the contact normal exchanges momentum by mass
+ * - A hard enough hit spins out the kart that took the bigger jolt
+ *
+ * Events:
+ * - kart-collision { kartA, kartB, relativeSpeed, impulse, point, spinOut }
+ */
+
+export class KartCollisions {
+  constructor(options = {}) {
+    this.restitution = options.restitution ?? 0.4; // 0 = dead stop, 1 = perfectly bouncy
+    this.spinOutSpeed = options.spinOutSpeed ?? 22; // Velocity change (m/s) that causes a spin-out
+    this.spinOutDuration = options.spinOutDuration ?? 0.9;
+    this.eventCooldown = options.eventCooldown ?? 0.25; // Seconds between events for the same pair
+    this.layerGap = options.layerGap ?? 2.0; // Height difference at which karts pass over each other
+
+    this._lastEvent = new Map(); // "idA|idB" -> sim time
+    this._normal = new THREE.Vector3();
+    this._velA = new THREE.Vector3();
+    this._velB = new THREE.Vector3();
+    this._impulse = new THREE.Vector3();
+  }
+
+  /**
+   * Resolve all kart-vs-kart contacts for this tick
+   * @param {Array<Kart>} karts
+   * @param {Track|null} track - Used to avoid pushing karts into walls
+   * @param {number} time - Simulation time (for event throttling)
+   */
+  resolve(karts, track = null, time = 0) {
+    for (let i = 0; i < karts.length; i++) {
+      for (let j = i + 1; j < karts.length; j++) {
+        this._resolvePair(karts[i], karts[j], track, time);
+      }
+    }
+  }
+
+  _resolvePair(a, b, track, time) {
+    if (Math.abs(b.pos.y - a.pos.y) >= this.layerGap) return;
+
+    const dx = b.pos.x - a.pos.x;
+    const dz = b.pos.z - a.pos.z;
+    const minDist = a.collisionRadius + b.collisionRadius;
+    const distSq = dx * dx + dz * dz;
+    if (distSq >= minDist * minDist) return;
+
+    // Contact normal from A to B (pick one if exactly on top of each other)
+    const dist = Math.sqrt(distSq);
+    const normal = dist > 1e-4
+      ? this._normal.set(dx / dist, 0, dz / dist)
+      : this._normal.set(Math.sin(a.heading + Math.PI / 2), 0, Math.cos(a.heading + Math.PI / 2));
+
+    const invMassA = 1 / Math.max(a.mass, 0.01);
+    const invMassB = 1 / Math.max(b.mass, 0.01);
+    const invMassSum = invMassA + invMassB;
+
+    // --- Push apart ---
+    const penetration = minDist - dist;
+    this._separate(a, b, normal, penetration * (invMassA / invMassSum), penetration * (invMassB / invMassSum), track);
+
+    // --- Momentum exchange ---
+    const velA = a.getVelocity(this._velA);
+    const velB = b.getVelocity(this._velB);
+    const approachSpeed = velA.sub(velB).dot(normal); // > 0 when closing
+    if (approachSpeed <= 0) return;
+
+    const impulseMag = (1 + this.restitution) * approachSpeed / invMassSum;
+    const impulse = this._impulse.copy(normal).multiplyScalar(impulseMag);
+
+    const deltaA = impulse.clone().multiplyScalar(-invMassA);
+    const deltaB = impulse.clone().multiplyScalar(invMassB);
+    a.applyImpulse(deltaA);
+    b.applyImpulse(deltaB);
+
+    // --- Spin-out on big hits (the kart that took the bigger jolt) ---
+    const spinOut = [];
+    const joltA = deltaA.length();
+    const joltB = deltaB.length();
+    const victim = joltA >= joltB ? a : b;
+    if (Math.max(joltA, joltB) >= this.spinOutSpeed && !victim.isSpinningOut) {
+      // Spin in the direction the victim is being shoved
+      const push = victim === a ? -1 : 1;
+      const cross = Math.sin(victim.heading) * normal.z - Math.cos(victim.heading) * normal.x;
+      victim.spinOut(this.spinOutDuration, Math.sign(cross * push) || 1);
+      spinOut.push(victim.id);
+    }
+
+    // --- Event (throttled per pair so scraping doesn't spam) ---
+    const key = a.id < b.id ? `${a.id}|${b.id}` : `${b.id}|${a.id}`;
+    const last = this._lastEvent.get(key);
+    if (spinOut.length === 0 && last !== undefined && time - last < this.eventCooldown) return;
+    this._lastEvent.set(key, time);
+
+    eventBus.emit('kart-collision', {
+      kartA: a.id,
+      kartB: b.id,
+      relativeSpeed: approachSpeed,
+      impulse: impulseMag,
+      point: new THREE.Vector3(
+        a.pos.x + normal.x * a.collisionRadius,
+        a.pos.y,
+        a.pos.z + normal.z * a.collisionRadius
+      ),
+      spinOut
+    });
+  }
+
+  /**
+   * Move karts apart along the normal without pushing either into a wall.
+   * If one side is blocked, the other kart takes the whole correction.
+   */
+  _separate(a, b, normal, pushA, pushB, track) {
+    const targetA = a.pos.clone().addScaledVector(normal, -pushA);
+    const targetB = b.pos.clone().addScaledVector(normal, pushB);
+    const blockedA = track ? track.isBlocked(targetA, a.collisionRadius) : false;
+    const blockedB = track ? track.isBlocked(targetB, b.collisionRadius) : false;
+
+    if (!blockedA && !blockedB) {
+      a.pos.copy(targetA);
+      b.pos.copy(targetB);
+    } else if (blockedA && !blockedB) {
+      const fullB = b.pos.clone().addScaledVector(normal, pushA + pushB);
+      b.pos.copy(track.isBlocked(fullB, b.collisionRadius) ? targetB : fullB);
+    } else if (!blockedA && blockedB) {
+      const fullA = a.pos.clone().addScaledVector(normal, -(pushA + pushB));
+      a.pos.copy(track.isBlocked(fullA, a.collisionRadius) ? targetA : fullA);
+    }
+    // Both blocked: leave them, the next tick will try again
+  }
+
+  /**
+   * Forget per-pair event timers (call on race restart)
+   */
+  reset() {
+    this._lastEvent.clear();
+  }
+}
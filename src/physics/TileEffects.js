@@ -0,0 +1,161 @@
+import * as THREE from 'three';
+import { eventBus } from '../utils/EventBus.js';
+
+/**
+ * TileEffects - Active tile effects (see `effect` in TileRegistry)
+ *
+ * Two kinds:
+ * - Surface effects ('slick') change how the kart drives while it's on
+ *   the tile: getSurface() feeds them into the kart's inputs
+ * - Trigger effects ('boost', 'jump', 'bump', 'damage') fire once when a
+ *   grounded kart drives onto the tile: apply() runs them after the move
+ *
+ * Airborne karts ignore the ground under them; the tile they land on
+ * counts as freshly entered.
+ *
+ * Emits 'tile-effect' { kartId, tileId, effect } for every trigger.
+ */
+
+const NO_EFFECT_SURFACE = { grip: 1.0, forceDrift: false };
+
+export class TileEffects {
+  /**
+   * @param {Object} options
+   * @param {number} [options.minBoostSpeed=5] - Slower karts roll over boost pads
+   * @param {number} [options.minJumpSpeed=10] - Slower karts roll over ramps
+   */
+  constructor(options = {}) {
+    this.minBoostSpeed = options.minBoostSpeed ?? 5;
+    this.minJumpSpeed = options.minJumpSpeed ?? 10;
+    this._cells = new Map(); // kartId -> 'row,col' the kart was on after its last move
+  }
+
+  /**
+   * Forget which tiles karts were on (new race)
+   */
+  reset() {
+    this._cells.clear();
+  }
+
+  /**
+   * Surface inputs for the tile under a kart
+   * @param {Kart} kart
+   * @param {Track} track
+   * @returns {Object} { speedMultiplier, grip, forceDrift }
+   */
+  getSurface(kart, track) {
+    if (kart.isAirborne) {
+      return { speedMultiplier: 1.0, ...NO_EFFECT_SURFACE };
+    }
+
+    const tile = track.getTileAtPosition(kart.pos);
+    const effect = tile?.effect;
+    const surface = { speedMultiplier: track.getSpeedMultiplier(kart.pos), ...NO_EFFECT_SURFACE };
+    if (effect?.type === 'slick') {
+      surface.grip = effect.grip ?? 0.3;
+      surface.forceDrift = effect.forceDrift ?? false;
+    }
+    return surface;
+  }
+
+  /**
+   * Fire the trigger effect of a tile the kart just drove onto
+   * @param {Kart} kart
+   * @param {Track} track
+   */
+  apply(kart, track) {
+    if (kart.isAirborne) {
+      this._cells.delete(kart.id);
+      return;
+    }
+
+    const cell = track.worldToGrid(kart.pos);
+    const key = cell ? `${cell.row},${cell.col}` : null;
+    if (this._cells.get(kart.id) === key) return;
+    this._cells.set(kart.id, key);
+
+    const tile = track.getTileAtPosition(kart.pos);
+    const effect = tile?.effect;
+    if (!effect || effect.type === 'slick') return;
+
+    let triggered = false;
+    switch (effect.type) {
+      case 'boost':
+        triggered = this._boost(kart, track, effect, track.getRotation(cell.row, cell.col));
+        break;
+      case 'jump':
+        triggered = this._jump(kart, effect);
+        break;
+      case 'bump':
+        triggered = this._bump(kart, effect);
+        break;
+      case 'damage':
+        triggered = this._damage(kart, effect);
+        break;
+      default:
+        console.warn(`Unknown tile effect: ${effect.type}`);
+    }
+
+    if (triggered) {
+      eventBus.emit('tile-effect', { kartId: kart.id, tileId: tile.id, effect: effect.type });
+    }
+  }
+
+  /**
+   * Boost if the kart is heading the way the pad points (its `direction`
+   * turned by the cell rotation, or the track flow when it has none)
+   */
+  _boost(kart, track, effect, rotation = 0) {
+    if (kart.speed < this.minBoostSpeed) return false;
+
+    let direction = effect.direction ?? null;
+    if (direction !== null) {
+      direction -= THREE.MathUtils.degToRad(rotation); // Clockwise from above = decreasing heading
+    } else {
+      const flow = track.getDirectionField?.()?.getDirectionAt(kart.pos);
+      if (flow && flow.lengthSq() > 1e-6) {
+        direction = Math.atan2(flow.x, flow.y);
+      }
+    }
+
+    if (direction !== null) {
+      const offset = Math.atan2(Math.sin(kart.heading - direction), Math.cos(kart.heading - direction));
+      if (Math.abs(offset) > (effect.arc ?? Math.PI / 3)) return false;
+    }
+
+    kart.giveBoost();
+    return true;
+  }
+
+  /**
+   * Launch harder the faster the kart hits the ramp
+   */
+  _jump(kart, effect) {
+    if (kart.speed < this.minJumpSpeed) return false;
+
+    const speedRatio = THREE.MathUtils.clamp(kart.speed / kart.controller.maxSpeed, 0.5, 1.2);
+    kart.launch((effect.launchSpeed ?? 14) * speedRatio);
+    return kart.isAirborne;
+  }
+
+  /**
+   * Bounce the kart back the way it came
+   */
+  _bump(kart, effect) {
+    const velocity = kart.getVelocity();
+    if (velocity.lengthSq() < 1e-6) return false;
+
+    const strength = effect.strength ?? 30;
+    kart.applyImpulse(velocity.normalize().multiplyScalar(-strength));
+    return true;
+  }
+
+  _damage(kart, effect) {
+    if (kart.isSpinningOut) return false;
+
+    kart.speed *= 1 - (effect.speedLoss ?? 0.5);
+    kart.controller.speed = kart.speed;
+    kart.spinOut(effect.spinOut ?? 1.0, kart.steerInput < 0 ? -1 : 1);
+    return true;
+  }
+}
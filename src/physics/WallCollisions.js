@@ -0,0 +1,154 @@
+import * as THREE from 'three';
+
+/**
+ * WallCollisions - Swept circle vs wall-tile collision
+ *
+ * The kart is a circle (Kart.collisionRadius) on the ground plane. Wall
+ * tiles (collision: false, or outside the grid) are axis-aligned squares.
+ *
+ * The move from the previous position is split into sub-steps no longer
+ * than half the radius, so a fast kart can't tunnel through a one-tile
+ * wall. After each sub-step the circle is pushed out of any overlapping
+ * tile along the true contact normal, and the remaining movement loses
+ * its component into the wall, so the kart slides along it.
+ *
+ * On tracks with elevation, walls depend on the layer: the ground under
+ * the start position is the reference, and cells that are a cliff or a
+ * drop from it block too (see Track.isWallCell).
+ */
+
+export class WallCollisions {
+  constructor(options = {}) {
+    this.maxSubStepFraction = options.maxSubStepFraction ?? 0.5; // Sub-step length as a fraction of the radius
+    this.maxSubSteps = options.maxSubSteps ?? 16;
+    this.iterations = options.iterations ?? 3; // Push-out passes per sub-step (corners)
+  }
+
+  /**
+   * Sweep a circle from `from` to `to`, stopping and sliding at walls
+   * @param {Track} track
+   * @param {THREE.Vector3} from - Start position (assumed clear)
+   * @param {THREE.Vector3} to - Desired end position
+   * @param {number} radius - Circle radius
+   * @returns {{position: THREE.Vector3, hit: boolean, normal: THREE.Vector3|null}}
+   */
+  sweep(track, from, to, radius) {
+    const position = from.clone();
+    const remaining = new THREE.Vector3(to.x - from.x, 0, to.z - from.z);
+    const distance = remaining.length();
+
+    const maxStep = Math.max(radius * this.maxSubStepFraction, 0.05);
+    const steps = Math.min(this.maxSubSteps, Math.max(1, Math.ceil(distance / maxStep)));
+    const stepMove = remaining.clone().divideScalar(steps);
+    const ground = track.getGroundHeight?.(from);
+
+    let hitNormal = null;
+
+    for (let i = 0; i < steps; i++) {
+      position.x += stepMove.x;
+      position.z += stepMove.z;
+
+      const normal = this.resolveOverlap(track, position, radius, ground);
+      if (normal) {
+        hitNormal = hitNormal ? hitNormal.add(normal).normalize() : normal.clone();
+
+        // Drop the part of the remaining movement that goes into the wall
+        const into = stepMove.dot(normal);
+        if (into < 0) {
+          stepMove.addScaledVector(normal, -into);
+        }
+      }
+    }
+
+    position.y = to.y;
+    return { position, hit: hitNormal !== null, normal: hitNormal };
+  }
+
+  /**
+   * Push a circle out of any wall tiles it overlaps (modifies position)
+   * @param {Track} track
+   * @param {THREE.Vector3} position
+   * @param {number} radius
+   * @param {number} [ground] - Ground height the circle moves on (elevated tracks)
+   * @returns {THREE.Vector3|null} Combined contact normal, or null if clear
+   */
+  resolveOverlap(track, position, radius, ground) {
+    let combined = null;
+
+    for (let pass = 0; pass < this.iterations; pass++) {
+      const contact = this._deepestContact(track, position, radius, ground);
+      if (!contact) break;
+
+      position.x += contact.normal.x * contact.depth;
+      position.z += contact.normal.z * contact.depth;
+      combined = combined ? combined.add(contact.normal).normalize() : contact.normal.clone();
+    }
+
+    return combined;
+  }
+
+  /**
+   * Does a circle at this position overlap any wall tile?
+   */
+  overlaps(track, position, radius) {
+    return this._deepestContact(track, position, radius, track.getGroundHeight?.(position)) !== null;
+  }
+
+  _deepestContact(track, position, radius, ground) {
+    const size = track.tileSize;
+    const halfW = (track.width * size) / 2;
+    const halfH = (track.height * size) / 2;
+
+    const minCol = Math.floor((position.x - radius + halfW) / size);
+    const maxCol = Math.floor((position.x + radius + halfW) / size);
+    const minRow = Math.floor((position.z - radius + halfH) / size);
+    const maxRow = Math.floor((position.z + radius + halfH) / size);
+
+    let best = null;
+
+    for (let row = minRow; row <= maxRow; row++) {
+      for (let col = minCol; col <= maxCol; col++) {
+        const minX = col * size - halfW;
+        const minZ = row * size - halfH;
+        const maxX = minX + size;
+        const maxZ = minZ + size;
+
+        // Closest point on the tile to the circle centre
+        const closestX = THREE.MathUtils.clamp(position.x, minX, maxX);
+        const closestZ = THREE.MathUtils.clamp(position.z, minZ, maxZ);
+        if (!track.isWallCell(row, col, closestX, closestZ, ground)) continue;
+
+        let dx = position.x - closestX;
+        let dz = position.z - closestZ;
+        const distSq = dx * dx + dz * dz;
+
+        let depth;
+        if (distSq > 1e-8) {
+          const dist = Math.sqrt(distSq);
+          if (dist >= radius) continue;
+          depth = radius - dist;
+          dx /= dist;
+          dz /= dist;
+        } else {
+          // Centre inside the tile: leave through the nearest edge
+          const exits = [
+            { d: position.x - minX, x: -1, z: 0 },
+            { d: maxX - position.x, x: 1, z: 0 },
+            { d: position.z - minZ, x: 0, z: -1 },
+            { d: maxZ - position.z, x: 0, z: 1 }
+          ];
+          const exit = exits.reduce((a, b) => (b.d < a.d ? b : a));
+          depth = exit.d + radius;
+          dx = exit.x;
+          dz = exit.z;
+        }
+
+        if (!best || depth > best.depth) {
+          best = { depth, normal: new THREE.Vector3(dx, 0, dz) };
+        }
+      }
+    }
+
+    return best;
+  }
+}
@@ -0,0 +1,82 @@
+import * as THREE from 'three';
+import { Kart } from '../entities/Kart.js';
+
+/**
+ * GhostPlayer - Replays a recorded lap as a translucent kart
+ *
+ * The ghost kart is never added to Game.karts, so it has no physics,
+ * collisions or checkpoints. Call update() every render frame with the
+ * lap time the ghost should be shown at.
+ */
+
+export class GhostPlayer {
+  /**
+   * @param {THREE.Scene} scene
+   * @param {Object|null} ghost - Ghost from GhostRecorder / GhostStore
+   * @param {Object} options
+   * @param {number} [options.opacity=0.35]
+   * @param {number} [options.color=0xffffff]
+   * @param {string} [options.renderMode='prototype']
+   */
+  constructor(scene, ghost = null, options = {}) {
+    this.ghost = null;
+    this.kart = new Kart(scene, {
+      id: 'ghost',
+      isPlayer: false,
+      color: options.color ?? 0xffffff,
+      renderMode: options.renderMode ?? 'prototype',
+      modelVariant: options.modelVariant ?? 'ferrari',
+      ghostOpacity: options.opacity ?? 0.35
+    });
+
+    this.setGhost(ghost);
+  }
+
+  /**
+   * Replace the replayed lap (null hides the ghost)
+   */
+  setGhost(ghost) {
+    this.ghost = ghost?.frames?.length ? ghost : null;
+    this.update(this.ghost ? 0 : null);
+  }
+
+  /**
+   * Show the ghost where it was at this point of its lap
+   * @param {number|null} lapTime - Seconds into the lap, null to hide
+   */
+  update(lapTime) {
+    const ghost = this.ghost;
+    const visible = ghost !== null && lapTime !== null && lapTime <= ghost.lapTime;
+    this._setVisible(visible);
+    if (!visible) return;
+
+    const frames = ghost.frames;
+    const position = Math.max(0, lapTime * ghost.tickRate);
+    const index = Math.min(Math.floor(position), frames.length - 1);
+    const next = frames[Math.min(index + 1, frames.length - 1)];
+    const current = frames[index];
+    const t = position - index;
+
+    const kart = this.kart;
+    kart.pos.set(
+      THREE.MathUtils.lerp(current[0], next[0], t),
+      THREE.MathUtils.lerp(current[1], next[1], t),
+      THREE.MathUtils.lerp(current[2], next[2], t)
+    );
+    const headingDelta = Math.atan2(Math.sin(next[3] - current[3]), Math.cos(next[3] - current[3]));
+    kart.heading = current[3] + headingDelta * t;
+    kart.visualDriftAngle = THREE.MathUtils.lerp(current[4], next[4], t);
+
+    kart.savePreviousTransform();
+    kart.updateVisuals(1);
+  }
+
+  destroy() {
+    this.kart.destroy();
+    this.ghost = null;
+  }
+
+  _setVisible(visible) {
+    if (this.kart.mesh) this.kart.mesh.visible = visible;
+  }
+}
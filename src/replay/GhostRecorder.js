@@ -0,0 +1,151 @@
+import { eventBus } from '../utils/EventBus.js';
+import { RacePhase } from '../core/RaceManager.js';
+
+/** Ghost file identifier (checked on import) */
+export const GHOST_FORMAT = 'minikart-ghost';
+export const GHOST_VERSION = 1;
+
+/**
+ * GhostRecorder - Records a kart's transform every tick, one lap at a time
+ *
+ * Frame i is the kart's transform i ticks after the lap started, so a
+ * ghost can be replayed against any lap clock. Transforms (not inputs)
+ * are stored so ghosts survive physics tweaks.
+ *
+ * Frames: [x, y, z, heading, visualDriftAngle]
+ *
+ * Events:
+ * - ghost-lap-recorded { kartId, lapNumber, lapTime, ghost }
+ */
+
+export class GhostRecorder {
+  /**
+   * @param {Game} game
+   * @param {Kart} kart - Kart to record
+   * @param {Object} options
+   * @param {string} [options.trackName='Track'] - Stored with each ghost
+   * @param {number} [options.maxLapTime=600] - Stop recording a lap after this many seconds
+   */
+  constructor(game, kart, options = {}) {
+    this.game = game;
+    this.kart = kart;
+    this.trackName = options.trackName ?? 'Track';
+    this.maxLapTime = options.maxLapTime ?? 600;
+
+    this.frames = null; // Current lap, null when not recording
+    this._skipTick = false;
+    this._dropped = false; // Lap thrown away mid-race; record again from the next one
+
+    this._onTick = () => this._recordTick();
+    this._onPhase = ({ phase }) => {
+      if (phase === RacePhase.RACING) this._startLap();
+      if (phase === RacePhase.FINISHED) {
+        this.frames = null;
+        this._dropped = false;
+      }
+    };
+    this._onLap = (data) => this._completeLap(data);
+    // A reset jumps the kart back along the lap: that lap is no ghost
+    this._onReset = ({ kartId }) => {
+      if (kartId === this.kart.id && this.frames) {
+        this.frames = null;
+        this._dropped = true;
+      }
+    };
+  }
+
+  /**
+   * Start listening (recording begins when the race goes live)
+   */
+  start() {
+    this.game.onTick(this._onTick);
+    eventBus.on('race-phase-changed', this._onPhase);
+    eventBus.on('lap-completed', this._onLap);
+    eventBus.on('kart-reset', this._onReset);
+
+    // Free driving (no race phases): laps count right away
+    if (!this.game.race || this.game.race.isLive) {
+      this._startLap();
+    }
+  }
+
+  stop() {
+    this.game.offTick(this._onTick);
+    eventBus.off('race-phase-changed', this._onPhase);
+    eventBus.off('lap-completed', this._onLap);
+    eventBus.off('kart-reset', this._onReset);
+    this.frames = null;
+  }
+
+  _startLap() {
+    this.frames = [this._snapshot()];
+    this._skipTick = false;
+    this._dropped = false;
+  }
+
+  _recordTick() {
+    if (!this.frames) return;
+
+    // The lap-completed handler already stored this tick
+    if (this._skipTick) {
+      this._skipTick = false;
+      return;
+    }
+
+    if (this.frames.length * this.game.fixedTimeStep > this.maxLapTime) {
+      this.frames = null;
+      return;
+    }
+    this.frames.push(this._snapshot());
+  }
+
+  /**
+   * Lap-completed fires mid-tick, after the kart moved: that transform
+   * ends this lap and starts the next
+   */
+  _completeLap({ kartId, lapNumber, lapTime }) {
+    if (kartId !== this.kart.id) return;
+    if (!this.frames) {
+      if (this._dropped) {
+        this._startLap();
+        this._skipTick = true;
+      }
+      return;
+    }
+
+    const crossing = this._snapshot();
+    this.frames.push(crossing);
+
+    const ghost = {
+      format: GHOST_FORMAT,
+      version: GHOST_VERSION,
+      track: this.trackName,
+      kartId,
+      lapTime,
+      tickRate: Math.round(1 / this.game.fixedTimeStep),
+      recordedAt: new Date().toISOString(),
+      frames: this.frames
+    };
+
+    this.frames = [crossing];
+    this._skipTick = true;
+
+    eventBus.emit('ghost-lap-recorded', { kartId, lapNumber, lapTime, ghost });
+  }
+
+  _snapshot() {
+    const kart = this.kart;
+    return [
+      round(kart.pos.x, 3),
+      round(kart.pos.y, 3),
+      round(kart.pos.z, 3),
+      round(kart.heading, 4),
+      round(kart.visualDriftAngle ?? 0, 3)
+    ];
+  }
+}
+
+function round(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
@@ -0,0 +1,116 @@
+import { GHOST_FORMAT, GHOST_VERSION } from './GhostRecorder.js';
+
+/**
+ * GhostStore - Best-lap ghosts in localStorage, one per track name
+ *
+ * Also turns ghosts into files (export) and validates files coming back
+ * in (import), so ghosts can be shared between players.
+ */
+
+export class GhostStore {
+  constructor(options = {}) {
+    this.prefix = options.prefix ?? 'ghost:';
+    this.storage = options.storage !== undefined ? options.storage : getLocalStorage();
+  }
+
+  /**
+   * Best ghost saved for a track, or null
+   * @param {string} trackName
+   */
+  load(trackName) {
+    try {
+      const json = this.storage?.getItem(this.prefix + trackName);
+      return json ? GhostStore.parse(json) : null;
+    } catch (error) {
+      console.warn(`Ignoring stored ghost for "${trackName}":`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Save a ghost if it beats the stored one for its track
+   * @param {Object} ghost
+   * @returns {boolean} True if saved (new best)
+   */
+  submit(ghost) {
+    const best = this.load(ghost.track);
+    if (best && best.lapTime <= ghost.lapTime) return false;
+    return this.save(ghost);
+  }
+
+  /**
+   * Save a ghost for its track, replacing whatever was there
+   * @param {Object} ghost
+   * @returns {boolean} False if storage is unavailable or full
+   */
+  save(ghost) {
+    try {
+      this.storage?.setItem(this.prefix + ghost.track, GhostStore.serialize(ghost));
+      return Boolean(this.storage);
+    } catch (error) {
+      console.warn('Could not save ghost:', error);
+      return false;
+    }
+  }
+
+  remove(trackName) {
+    this.storage?.removeItem(this.prefix + trackName);
+  }
+
+  /**
+   * Download a ghost as a .ghost.json file (browser only)
+   * @param {Object} ghost
+   */
+  download(ghost) {
+    const blob = new Blob([GhostStore.serialize(ghost)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${ghost.track.replace(/[^a-z0-9_-]+/gi, '_')}-${ghost.lapTime.toFixed(2)}s.ghost.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Ghost to JSON text
+   */
+  static serialize(ghost) {
+    return JSON.stringify(ghost);
+  }
+
+  /**
+   * Parse and validate ghost JSON (stored or imported)
+   * @param {string} text
+   * @returns {Object} Ghost
+   * @throws {Error} If the text is not a valid ghost
+   */
+  static parse(text) {
+    const ghost = JSON.parse(text);
+
+    if (ghost?.format !== GHOST_FORMAT) {
+      throw new Error('Not a ghost file');
+    }
+    if (ghost.version > GHOST_VERSION) {
+      throw new Error(`Ghost version ${ghost.version} is newer than this game supports`);
+    }
+    if (typeof ghost.track !== 'string' || !Number.isFinite(ghost.lapTime) || !(ghost.tickRate > 0)) {
+      throw new Error('Ghost is missing track, lap time or tick rate');
+    }
+    if (!Array.isArray(ghost.frames) || ghost.frames.length < 2 ||
+        !ghost.frames.every(frame => Array.isArray(frame) && frame.length >= 4 && frame.every(Number.isFinite))) {
+      throw new Error('Ghost frames are malformed');
+    }
+
+    // Older frames may lack the drift angle
+    ghost.frames = ghost.frames.map(frame => (frame.length >= 5 ? frame : [...frame, 0]));
+    return ghost;
+  }
+}
+
+function getLocalStorage() {
+  try {
+    return typeof localStorage !== 'undefined' ? localStorage : null;
+  } catch {
+    return null; // Blocked (privacy mode, sandboxed iframe)
+  }
+}
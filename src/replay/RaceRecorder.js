@@ -0,0 +1,211 @@
+import { eventBus } from '../utils/EventBus.js';
+import { RacePhase } from '../core/RaceManager.js';
+
+/** Replay file identifier (checked on import) */
+export const REPLAY_FORMAT = 'minikart-replay';
+export const REPLAY_VERSION = 1;
+
+/**
+ * Per-kart values stored every tick, quantized to integers (value * scale)
+ * so the file codec can delta-encode them
+ */
+export const REPLAY_CHANNELS = [
+  { name: 'x', scale: 100, read: kart => kart.pos.x },
+  { name: 'y', scale: 100, read: kart => kart.pos.y },
+  { name: 'z', scale: 100, read: kart => kart.pos.z },
+  { name: 'heading', scale: 1000, read: kart => kart.heading },
+  { name: 'speed', scale: 100, read: kart => kart.speed },
+  { name: 'driftAngle', scale: 1000, read: kart => kart.visualDriftAngle },
+  { name: 'lean', scale: 1000, read: kart => kart.visualLean },
+  { name: 'pitch', scale: 1000, read: kart => kart.visualPitch ?? 0 },
+  { name: 'roll', scale: 1000, read: kart => kart.visualRoll ?? 0 },
+  { name: 'spin', scale: 1000, read: kart => kart.spinAngle },
+  { name: 'steer', scale: 100, read: kart => kart.steerInput },
+  { name: 'driftCharge', scale: 100, read: kart => kart.driftCharge ?? 0 },
+  { name: 'flags', scale: 1, read: kart => encodeFlags(kart) }
+];
+
+/** Bits of the 'flags' channel */
+export const ReplayFlags = {
+  DRIFTING: 1,
+  BOOST: 2,
+  SPINNING: 4
+};
+
+/**
+ * Gameplay events kept in the replay (editor and input events are not)
+ */
+export const REPLAY_EVENTS = [
+  'race-phase-changed',
+  'race-countdown',
+  'checkpoint-reached',
+  'lap-completed',
+  'position-changed',
+  'kart-finished',
+  'race-won',
+  'race-finished',
+  'boost-activated',
+  'drift-start',
+  'drift-end',
+  'wall-hit',
+  'object-hit',
+  'kart-collision',
+  'kart-spin-out',
+  'kart-reset',
+  'kart-jump',
+  'kart-landed',
+  'tile-effect',
+  'item-picked',
+  'item-used',
+  'item-hit',
+  'shield-ended'
+];
+
+/**
+ * RaceRecorder - Records every kart and gameplay event of a race, each tick
+ *
+ * Frame 0 is the grid when start() is called, frame i the state after the
+ * i-th tick. Events are tagged with the frame they happened in. Recording
+ * ends by itself when the race finishes (or after maxDuration seconds).
+ *
+ * Call start() after the game's own eventBus listeners are set up and
+ * before game.start(), so the grid and countdown are in the recording.
+ */
+
+export class RaceRecorder {
+  /**
+   * @param {Game} game
+   * @param {Object} options
+   * @param {Object} [options.trackData=null] - Track the race runs on (stored so replays are self-contained)
+   * @param {number} [options.maxDuration=900] - Stop recording after this many seconds
+   */
+  constructor(game, options = {}) {
+    this.game = game;
+    this.trackData = options.trackData ?? null;
+    this.maxDuration = options.maxDuration ?? 900;
+
+    this.karts = [];
+    this.channels = []; // [kartIndex][channelIndex] -> quantized values per frame
+    this.events = []; // [frame, name, data]
+    this.frameCount = 0;
+    this.recordedAt = null;
+    this.isRecording = false;
+    this._contacts = new Map(); // 'kartId:objectId' -> last frame an object-hit was seen
+
+    this._onTick = () => this._recordTick();
+    this._eventHandlers = REPLAY_EVENTS.map(name => [name, (data) => this._recordEvent(name, data)]);
+  }
+
+  /**
+   * Snapshot the grid and record until the race finishes
+   */
+  start() {
+    this.karts = [...this.game.karts];
+    this.channels = this.karts.map(() => REPLAY_CHANNELS.map(() => []));
+    this.events = [];
+    this.frameCount = 0;
+    this._contacts.clear();
+    this.recordedAt = new Date().toISOString();
+    this.isRecording = true;
+
+    this._snapshot();
+    this.game.onTick(this._onTick);
+    for (const [name, handler] of this._eventHandlers) {
+      eventBus.on(name, handler);
+    }
+  }
+
+  /**
+   * Stop recording (what was recorded so far stays available)
+   */
+  stop() {
+    if (!this.isRecording) return;
+    this.isRecording = false;
+    this.game.offTick(this._onTick);
+    for (const [name, handler] of this._eventHandlers) {
+      eventBus.off(name, handler);
+    }
+  }
+
+  /**
+   * The recording as a replay (see ReplayPlayer / ReplayFile)
+   * @returns {Object|null} Null if nothing was recorded
+   */
+  getReplay() {
+    if (this.frameCount < 2) return null;
+
+    const trackData = this.trackData;
+    return {
+      format: REPLAY_FORMAT,
+      version: REPLAY_VERSION,
+      track: trackData?.name ?? 'Track',
+      trackData,
+      laps: this.game.race?.laps ?? null,
+      tickRate: Math.round(1 / this.game.fixedTimeStep),
+      recordedAt: this.recordedAt,
+      frameCount: this.frameCount,
+      karts: this.karts.map(kart => ({
+        id: kart.id,
+        isPlayer: kart.isPlayer,
+        color: kart.color,
+        modelVariant: kart.modelVariant
+      })),
+      channels: REPLAY_CHANNELS.map(({ name, scale }) => ({ name, scale })),
+      frames: this.channels,
+      events: this.events
+    };
+  }
+
+  _recordTick() {
+    this._snapshot();
+
+    const overTime = this.frameCount * this.game.fixedTimeStep > this.maxDuration;
+    if (this.game.race?.phase === RacePhase.FINISHED || overTime) {
+      this.stop();
+    }
+  }
+
+  _snapshot() {
+    for (let k = 0; k < this.karts.length; k++) {
+      const kart = this.karts[k];
+      const channels = this.channels[k];
+      for (let c = 0; c < REPLAY_CHANNELS.length; c++) {
+        const { scale, read } = REPLAY_CHANNELS[c];
+        channels[c].push(Math.round((read(kart) || 0) * scale));
+      }
+    }
+    this.frameCount++;
+  }
+
+  /**
+   * Events fire mid-tick: they belong to the frame this tick will record
+   */
+  _recordEvent(name, data) {
+    // Scraping along a solid object fires object-hit every tick; keep the first
+    if (name === 'object-hit') {
+      const key = `${data.kartId}:${data.objectId}`;
+      const lastFrame = this._contacts.get(key);
+      this._contacts.set(key, this.frameCount);
+      if (lastFrame !== undefined && lastFrame >= this.frameCount - 1) return;
+    }
+
+    this.events.push([this.frameCount, name, toPlainData(data)]);
+  }
+}
+
+function encodeFlags(kart) {
+  return (kart.isDrifting ? ReplayFlags.DRIFTING : 0) |
+    (kart.boostActive ? ReplayFlags.BOOST : 0) |
+    (kart.isSpinningOut ? ReplayFlags.SPINNING : 0);
+}
+
+/**
+ * Detach event data from live objects (vectors become { x, y, z }) and
+ * trim numbers to 3 decimals
+ */
+function toPlainData(data) {
+  if (data === undefined) return null;
+  return JSON.parse(JSON.stringify(data, (key, value) =>
+    (typeof value === 'number' && !Number.isInteger(value) ? Math.round(value * 1000) / 1000 : value)
+  ));
+}
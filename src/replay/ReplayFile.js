@@ -0,0 +1,153 @@
+import { REPLAY_FORMAT, REPLAY_VERSION, REPLAY_CHANNELS } from './RaceRecorder.js';
+import { TrackFile } from '../track/TrackFile.js';
+import { ByteWriter, ByteReader, toBase64, fromBase64 } from '../utils/ByteCodec.js';
+
+/**
+ * ReplayFile - Compact text files for race replays
+ *
+ * Frames are stored column by column (one kart channel at a time) as
+ * deltas between ticks, zigzag + varint packed, with runs of unchanged
+ * values collapsed, then base64'd into a JSON envelope: about 2-3 KB per
+ * second of racing with 8 karts, plus the track (compact TrackFile
+ * encoding) and events.
+ *
+ * Run encoding, per channel: a non-zero delta is written as is; a zero
+ * delta is written as 0 followed by how many more zeros come after it.
+ */
+
+export class ReplayFile {
+  /**
+   * Replay to file text
+   * @param {Object} replay - From RaceRecorder.getReplay()
+   * @returns {string}
+   */
+  static serialize(replay) {
+    const { frames, ...header } = replay;
+    const writer = new ByteWriter();
+
+    for (const kartChannels of frames) {
+      for (const values of kartChannels) {
+        writeChannel(writer, values);
+      }
+    }
+
+    const trackData = header.trackData && TrackFile.encode(header.trackData);
+    return JSON.stringify({ ...header, trackData, data: toBase64(writer.finish()) });
+  }
+
+  /**
+   * Parse and validate replay file text
+   * Channels are matched by name, so files from older versions load with
+   * missing channels zeroed.
+   * @param {string} text
+   * @returns {Object} Replay
+   * @throws {Error} If the text is not a valid replay
+   */
+  static parse(text) {
+    const { data, ...replay } = JSON.parse(text) ?? {};
+
+    if (replay?.format !== REPLAY_FORMAT) {
+      throw new Error('Not a replay file');
+    }
+    if (replay.version > REPLAY_VERSION) {
+      throw new Error(`Replay version ${replay.version} is newer than this game supports`);
+    }
+    if (!(replay.tickRate > 0) || !(replay.frameCount >= 2) || !Array.isArray(replay.karts) ||
+        !Array.isArray(replay.channels) || typeof data !== 'string') {
+      throw new Error('Replay is missing its header or data');
+    }
+    if (!replay.trackData) {
+      throw new Error('Replay does not include its track');
+    }
+    try {
+      replay.trackData = TrackFile.load(replay.trackData);
+    } catch (error) {
+      throw new Error(`Replay track is invalid: ${error.message}`);
+    }
+
+    let reader, fileFrames;
+    try {
+      reader = new ByteReader(fromBase64(data));
+      fileFrames = replay.karts.map(() =>
+        replay.channels.map(() => readChannel(reader, replay.frameCount))
+      );
+    } catch (error) {
+      throw new Error(`Replay data is corrupt (${error.message})`);
+    }
+    if (!reader.done) {
+      throw new Error('Replay data is corrupt');
+    }
+
+    // Map file channels onto this version's channels
+    replay.frames = fileFrames.map(kartChannels => REPLAY_CHANNELS.map(({ name, scale }) => {
+      const index = replay.channels.findIndex(channel => channel.name === name);
+      if (index === -1) return new Array(replay.frameCount).fill(0);
+      const fileScale = replay.channels[index].scale;
+      const values = kartChannels[index];
+      return fileScale === scale ? values : values.map(v => Math.round(v / fileScale * scale));
+    }));
+    replay.channels = REPLAY_CHANNELS.map(({ name, scale }) => ({ name, scale }));
+    replay.events = Array.isArray(replay.events) ? replay.events : [];
+    return replay;
+  }
+
+  /**
+   * Download a replay as a .replay.json file (browser only)
+   * @param {Object} replay
+   */
+  static download(replay) {
+    const blob = new Blob([ReplayFile.serialize(replay)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const stamp = (replay.recordedAt ?? '').slice(0, 19).replace(/[T:]/g, '-');
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${replay.track.replace(/[^a-z0-9_-]+/gi, '_')}-${stamp || 'race'}.replay.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+}
+
+function writeChannel(writer, values) {
+  let previous = 0;
+  for (let i = 0; i < values.length; i++) {
+    const delta = values[i] - previous;
+    previous = values[i];
+    writer.varint(zigzag(delta));
+
+    if (delta === 0) {
+      let run = 0;
+      while (i + 1 < values.length && values[i + 1] === previous) {
+        run++;
+        i++;
+      }
+      writer.varint(run);
+    }
+  }
+}
+
+function readChannel(reader, count) {
+  const values = new Array(count);
+  let value = 0;
+  let i = 0;
+  while (i < count) {
+    if (reader.done) throw new Error('Data is truncated');
+    const delta = unzigzag(reader.varint());
+    value += delta;
+    values[i++] = value;
+
+    if (delta === 0) {
+      const run = reader.varint();
+      if (i + run > count) throw new Error('Run runs past the end of the channel');
+      for (let r = 0; r < run; r++) values[i++] = value;
+    }
+  }
+  return values;
+}
+
+function zigzag(n) {
+  return n >= 0 ? n * 2 : -n * 2 - 1;
+}
+
+function unzigzag(n) {
+  return n % 2 === 0 ? n / 2 : -(n + 1) / 2;
+}
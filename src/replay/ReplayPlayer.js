@@ -0,0 +1,172 @@
+import { Kart } from '../entities/Kart.js';
+import { REPLAY_CHANNELS, ReplayFlags } from './RaceRecorder.js';
+
+const CHANNEL = Object.fromEntries(REPLAY_CHANNELS.map(({ name }, index) => [name, index]));
+
+/**
+ * ReplayPlayer - Plays a recorded race back on display-only karts
+ *
+ * The karts have no physics or game: their transforms and visual state are
+ * interpolated between recorded frames. Supports pause, scrubbing and
+ * playback speed (slow motion). Recorded events are handed to `onEvent`
+ * as playback passes them (not when seeking).
+ */
+
+export class ReplayPlayer {
+  /**
+   * @param {THREE.Scene} scene
+   * @param {Object} replay - From RaceRecorder.getReplay() or ReplayFile.parse()
+   * @param {Object} options
+   * @param {string} [options.renderMode='prototype']
+   * @param {Function} [options.onEvent] - (name, data, time) for each recorded event played
+   */
+  constructor(scene, replay, options = {}) {
+    this.replay = replay;
+    this.onEvent = options.onEvent ?? null;
+
+    this.tickRate = replay.tickRate;
+    this.duration = (replay.frameCount - 1) / replay.tickRate;
+    this.time = 0;
+    this.speed = 1;
+    this.isPlaying = true;
+    this._eventIndex = 0; // Next event to fire
+
+    this.karts = replay.karts.map(meta => new Kart(scene, {
+      id: meta.id,
+      isPlayer: meta.isPlayer,
+      color: meta.color,
+      renderMode: options.renderMode ?? 'prototype',
+      modelVariant: meta.modelVariant
+    }));
+
+    this._apply();
+  }
+
+  play() {
+    if (this.time >= this.duration) this.seek(0);
+    this.isPlaying = true;
+  }
+
+  pause() {
+    this.isPlaying = false;
+  }
+
+  togglePause() {
+    if (this.isPlaying) this.pause();
+    else this.play();
+  }
+
+  /**
+   * Playback rate (0.25 = quarter-speed slow motion)
+   */
+  setSpeed(speed) {
+    this.speed = Math.max(0, speed);
+  }
+
+  /**
+   * Jump to a time without firing the events in between
+   * @param {number} time - Seconds from the start of the recording
+   */
+  seek(time) {
+    this.time = Math.min(Math.max(time, 0), this.duration);
+    const frame = this._frameAt(this.time);
+    this._eventIndex = this.replay.events.findIndex(([eventFrame]) => eventFrame > frame);
+    if (this._eventIndex === -1) this._eventIndex = this.replay.events.length;
+    this._apply();
+  }
+
+  /**
+   * Move playback on by a frame's worth of real time
+   * @param {number} delta - Real seconds since the last frame
+   */
+  advance(delta) {
+    if (this.isPlaying) {
+      this.time = Math.min(this.time + delta * this.speed, this.duration);
+      this._fireEvents();
+      if (this.time >= this.duration) this.isPlaying = false;
+    }
+    this._apply();
+  }
+
+  /**
+   * Recorded state of a kart at the current time (HUD)
+   * @param {number} index - Kart index in replay.karts
+   */
+  getKartState(index) {
+    const channels = this.replay.frames[index];
+    const frame = this._frameAt(this.time);
+    const value = (name) => channels[CHANNEL[name]][frame] / REPLAY_CHANNELS[CHANNEL[name]].scale;
+    const flags = value('flags');
+
+    return {
+      id: this.replay.karts[index].id,
+      speed: value('speed'),
+      driftCharge: value('driftCharge'),
+      isDrifting: Boolean(flags & ReplayFlags.DRIFTING),
+      boostActive: Boolean(flags & ReplayFlags.BOOST),
+      isSpinningOut: Boolean(flags & ReplayFlags.SPINNING)
+    };
+  }
+
+  destroy() {
+    for (const kart of this.karts) {
+      kart.destroy();
+    }
+    this.karts = [];
+  }
+
+  _frameAt(time) {
+    return Math.min(Math.floor(time * this.tickRate), this.replay.frameCount - 1);
+  }
+
+  /**
+   * Fire events up to (and including) the current frame
+   */
+  _fireEvents() {
+    const events = this.replay.events;
+    const frame = this._frameAt(this.time);
+    while (this._eventIndex < events.length && events[this._eventIndex][0] <= frame) {
+      const [eventFrame, name, data] = events[this._eventIndex++];
+      this.onEvent?.(name, data, eventFrame / this.tickRate);
+    }
+  }
+
+  /**
+   * Put every kart between the two frames around the current time
+   */
+  _apply() {
+    const position = this.time * this.tickRate;
+    const index = Math.min(Math.floor(position), this.replay.frameCount - 1);
+    const next = Math.min(index + 1, this.replay.frameCount - 1);
+    const alpha = position - index;
+
+    for (let k = 0; k < this.karts.length; k++) {
+      const kart = this.karts[k];
+      const channels = this.replay.frames[k];
+      const read = (name, frame) => channels[CHANNEL[name]][frame] / REPLAY_CHANNELS[CHANNEL[name]].scale;
+      const blend = (name) => read(name, index) + (read(name, next) - read(name, index)) * alpha;
+
+      kart.prevPos.set(read('x', index), read('y', index), read('z', index));
+      kart.prevHeading = read('heading', index);
+      kart.pos.set(read('x', next), read('y', next), read('z', next));
+      kart.heading = read('heading', next);
+
+      kart.speed = blend('speed');
+      kart.visualSpeed = kart.speed;
+      kart.visualDriftAngle = blend('driftAngle');
+      kart.visualLean = blend('lean');
+      kart.visualPitch = blend('pitch');
+      kart.visualRoll = blend('roll');
+      kart.spinAngle = blend('spin');
+      kart.steerInput = blend('steer');
+      kart.driftCharge = read('driftCharge', index);
+
+      const flags = read('flags', index);
+      kart.isDrifting = Boolean(flags & ReplayFlags.DRIFTING);
+      kart.boostActive = Boolean(flags & ReplayFlags.BOOST);
+      kart.isSpinningOut = Boolean(flags & ReplayFlags.SPINNING);
+
+      kart.updateVisuals(alpha);
+    }
+  }
+}
@@ -9,6 +9,9 @@ import { eventBus } from '../utils/EventBus.js';
  * - Lap counting
  * - No shortcut prevention
  * - Per-kart progress tracking
+ *
+ * Lap timing uses the caller-supplied simulation time (seconds) so results
+ * don't depend on frame rate; falls back to wall-clock time when omitted.
  */
 
 export class CheckpointSystem {
@@ -49,15 +52,24 @@ export class CheckpointSystem {
     console.log(`Loaded ${this.checkpoints.length} checkpoints`);
   }
 
+  /**
+   * Resolve a timestamp in seconds (simulation time if provided)
+   */
+  _now(time) {
+    return time ?? performance.now() / 1000;
+  }
+
   /**
    * Initialize kart tracking
+   * @param {string} kartId
+   * @param {number} [time] - Simulation time in seconds
    */
-  initKart(kartId) {
+  initKart(kartId, time) {
     this.kartStates.set(kartId, {
       currentLap: 0,
       nextCheckpointIndex: 0,
       checkpointsPassed: [],
-      lapStartTime: performance.now(),
+      lapStartTime: this._now(time),
       lastLapTime: null,
       bestLapTime: null
     });
@@ -69,11 +81,24 @@ export class CheckpointSystem {
   }
 
   /**
-   * Update checkpoint system (call each frame)
+   * Reset a kart's progress back to the start of lap 0
+   * @param {string} kartId
+   * @param {number} [time] - Simulation time in seconds
+   */
+  resetKart(kartId, time) {
+    this.initKart(kartId, time);
+    this.checkpoints.forEach(cp => cp.kartsInside.delete(kartId));
+  }
+
+  /**
+   * Update checkpoint system (call each simulation tick)
+   * @param {string} kartId
+   * @param {THREE.Vector3} kartPosition
+   * @param {number} [time] - Simulation time in seconds
    */
-  update(kartId, kartPosition) {
+  update(kartId, kartPosition, time) {
     if (!this.kartStates.has(kartId)) {
-      this.initKart(kartId);
+      this.initKart(kartId, time);
     }
 
     if (this.checkpoints.length === 0) {
@@ -102,7 +127,7 @@ export class CheckpointSystem {
 
       // If this was the last checkpoint (finish line), complete the lap immediately
       if (state.nextCheckpointIndex >= this.checkpoints.length) {
-        return this.completeLap(kartId);
+        return this.completeLap(kartId, time);
       } else {
         // Highlight next checkpoint
         this.checkpoints[state.nextCheckpointIndex].setHighlight(true);
@@ -115,9 +140,10 @@ export class CheckpointSystem {
   /**
    * Complete a lap
    */
-  completeLap(kartId) {
+  completeLap(kartId, time) {
     const state = this.kartStates.get(kartId);
-    const lapTime = (performance.now() - state.lapStartTime) / 1000; // Convert to seconds
+    const now = this._now(time);
+    const lapTime = now - state.lapStartTime;
 
     // Update best lap time
     if (!state.bestLapTime || lapTime < state.bestLapTime) {
@@ -130,7 +156,7 @@ export class CheckpointSystem {
     // Reset for next lap
     state.nextCheckpointIndex = 0;
     state.checkpointsPassed = [];
-    state.lapStartTime = performance.now();
+    state.lapStartTime = now;
 
     // Unhighlight all checkpoints, then highlight the first one
     this.checkpoints.forEach(cp => cp.setHighlight(false));
@@ -186,6 +212,18 @@ export class CheckpointSystem {
     };
   }
 
+  /**
+   * Get elapsed time on the kart's current lap
+   * @param {string} kartId
+   * @param {number} [time] - Simulation time in seconds
+   * @returns {number|null} Seconds, or null if the kart isn't tracked
+   */
+  getCurrentLapTime(kartId, time) {
+    const state = this.kartStates.get(kartId);
+    if (!state) return null;
+    return Math.max(0, this._now(time) - state.lapStartTime);
+  }
+
   /**
    * Show/hide all checkpoints
    */
@@ -210,6 +248,22 @@ export class CheckpointSystem {
     return this.checkpoints[index];
   }
 
+  /**
+   * Get the last checkpoint a kart passed (the finish line once it has
+   * completed a lap)
+   * @param {string} kartId
+   * @returns {Checkpoint|null} Null before it has passed any
+   */
+  getLastCheckpointFor(kartId) {
+    const state = this.kartStates.get(kartId);
+    if (!state || this.checkpoints.length === 0) return null;
+
+    if (state.nextCheckpointIndex > 0) {
+      return this.checkpoints[state.nextCheckpointIndex - 1];
+    }
+    return state.currentLap > 0 ? this.checkpoints[this.checkpoints.length - 1] : null;
+  }
+
   /**
    * Clear all checkpoints
    */
@@ -10,8 +10,28 @@
  * - collision: whether kart can drive on it
  * - texture: path to texture file (optional, for full mode)
  * - textureRepeat: texture repeat settings (optional)
+ * - speedMultiplier: top speed on this surface (optional, default 1)
+ * - effect: active effect on karts (optional, see TileEffects)
+ *     { type: 'boost', arc }              - boost when driven over within `arc` radians of
+ *                                           the pad direction (`direction`, or the track flow)
+ *     { type: 'jump', launchSpeed }       - launch the kart on a ballistic arc
+ *     { type: 'slick', grip, forceDrift } - cut turning grip, optionally force a drift
+ *     { type: 'bump', strength }          - bounce the kart back
+ *     { type: 'damage', spinOut, speedLoss } - spin the kart out
+ * - slope: side the tile rises toward, one level over its length
+ *     ('north' = -z, 'south' = +z, 'east' = +x, 'west' = -x; optional)
+ * - bridge: { deck } - deck `deck` levels above the cell, with a road
+ *     running underneath (optional)
+ * Levels come from the track's height layer (see Track).
+ *
+ * Layout cells are either a tile ID string or { id, rotation }, rotation
+ * in degrees clockwise seen from above (0, 90, 180, 270). Rotation turns
+ * the mesh and its texture, the slope side and a boost pad's direction.
  */
 
+/** Slope sides in clockwise order */
+const SIDES = ['north', 'east', 'south', 'west'];
+
 export const TileRegistry = {
   // Road tiles
   STRAIGHT: {
@@ -238,6 +258,152 @@ export const TileRegistry = {
     textureRepeat: { x: 1, y: 1 }
   },
 
+  // Effect tiles
+  BOOST_PAD: {
+    id: 'boost_pad',
+    name: 'Boost Pad',
+    type: 'road',
+    collision: true,
+    color: 0xFF9900,
+    roughness: 0.6,
+    metalness: 0.2,
+    effect: { type: 'boost', direction: null, arc: Math.PI / 3 },
+    texture: null,
+    textureRepeat: { x: 1, y: 1 }
+  },
+
+  RAMP: {
+    id: 'ramp',
+    name: 'Jump Ramp',
+    type: 'road',
+    collision: true,
+    color: 0x3399FF,
+    roughness: 0.8,
+    metalness: 0.1,
+    effect: { type: 'jump', launchSpeed: 14 },
+    texture: null,
+    textureRepeat: { x: 1, y: 1 }
+  },
+
+  OIL: {
+    id: 'oil',
+    name: 'Oil Slick',
+    type: 'road',
+    collision: true,
+    color: 0x1A1A2E,
+    roughness: 0.2,
+    metalness: 0.6,
+    speedMultiplier: 0.9,
+    effect: { type: 'slick', grip: 0.25, forceDrift: true },
+    texture: null,
+    textureRepeat: { x: 1, y: 1 }
+  },
+
+  ICE: {
+    id: 'ice',
+    name: 'Ice',
+    type: 'road',
+    collision: true,
+    color: 0xBFEFFF,
+    roughness: 0.1,
+    metalness: 0.3,
+    effect: { type: 'slick', grip: 0.4, forceDrift: true },
+    texture: null,
+    textureRepeat: { x: 1, y: 1 }
+  },
+
+  BUMPER: {
+    id: 'bumper',
+    name: 'Bumper',
+    type: 'road',
+    collision: true,
+    color: 0xFF33CC,
+    roughness: 0.5,
+    metalness: 0.2,
+    effect: { type: 'bump', strength: 30 },
+    texture: null,
+    textureRepeat: { x: 1, y: 1 }
+  },
+
+  SPIKES: {
+    id: 'spikes',
+    name: 'Spike Strip',
+    type: 'road',
+    collision: true,
+    color: 0x777777,
+    roughness: 0.4,
+    metalness: 0.8,
+    effect: { type: 'damage', spinOut: 1.0, speedLoss: 0.5 },
+    texture: null,
+    textureRepeat: { x: 1, y: 1 }
+  },
+
+  // Elevation tiles
+  SLOPE_N: {
+    id: 'slope_n',
+    name: 'Slope (Up North)',
+    type: 'road',
+    collision: true,
+    color: 0xBBBBBB,
+    roughness: 0.9,
+    metalness: 0.1,
+    slope: 'north',
+    texture: null,
+    textureRepeat: { x: 1, y: 1 }
+  },
+
+  SLOPE_E: {
+    id: 'slope_e',
+    name: 'Slope (Up East)',
+    type: 'road',
+    collision: true,
+    color: 0xBBBBBB,
+    roughness: 0.9,
+    metalness: 0.1,
+    slope: 'east',
+    texture: null,
+    textureRepeat: { x: 1, y: 1 }
+  },
+
+  SLOPE_S: {
+    id: 'slope_s',
+    name: 'Slope (Up South)',
+    type: 'road',
+    collision: true,
+    color: 0xBBBBBB,
+    roughness: 0.9,
+    metalness: 0.1,
+    slope: 'south',
+    texture: null,
+    textureRepeat: { x: 1, y: 1 }
+  },
+
+  SLOPE_W: {
+    id: 'slope_w',
+    name: 'Slope (Up West)',
+    type: 'road',
+    collision: true,
+    color: 0xBBBBBB,
+    roughness: 0.9,
+    metalness: 0.1,
+    slope: 'west',
+    texture: null,
+    textureRepeat: { x: 1, y: 1 }
+  },
+
+  BRIDGE: {
+    id: 'bridge',
+    name: 'Bridge',
+    type: 'road',
+    collision: true,
+    color: 0xAA8866,
+    roughness: 0.8,
+    metalness: 0.2,
+    bridge: { deck: 2 },
+    texture: null,
+    textureRepeat: { x: 1, y: 1 }
+  },
+
   // Obstacles
   WALL: {
     id: 'wall',
@@ -280,7 +446,15 @@ export const TileRegistry = {
   }
 };
 
+/**
+ * Tile definition for an ID or a layout cell
+ * @param {string|Object} id - Tile ID or { id, rotation } cell
+ * @returns {Object} Tile (EMPTY if unknown)
+ */
 export function getTile(id) {
+  if (id && typeof id === 'object') {
+    id = id.id;
+  }
   for (const key in TileRegistry) {
     if (TileRegistry[key].id === id) {
       return TileRegistry[key];
@@ -298,3 +472,43 @@ export function getTilesByType(type) {
   }
   return tiles;
 }
+
+/**
+ * Split a layout cell into tile ID and rotation
+ * @param {string|Object} cell - Tile ID or { id, rotation }
+ * @returns {{id: string, rotation: number}} Rotation normalized to 0/90/180/270
+ */
+export function parseCell(cell) {
+  if (cell && typeof cell === 'object') {
+    return { id: cell.id, rotation: normalizeRotation(cell.rotation ?? 0) };
+  }
+  return { id: cell, rotation: 0 };
+}
+
+/**
+ * Build a layout cell (plain ID when unrotated, so old tracks stay unchanged)
+ * @param {string} id
+ * @param {number} [rotation=0] - Degrees clockwise
+ * @returns {string|Object}
+ */
+export function makeCell(id, rotation = 0) {
+  const normalized = normalizeRotation(rotation);
+  return normalized === 0 ? id : { id, rotation: normalized };
+}
+
+/**
+ * Side a tile side faces after rotating the tile
+ * @param {string} side - 'north' | 'east' | 'south' | 'west'
+ * @param {number} rotation - Degrees clockwise
+ * @returns {string}
+ */
+export function rotateSide(side, rotation) {
+  const index = SIDES.indexOf(side);
+  if (index < 0) return side;
+  return SIDES[(index + normalizeRotation(rotation) / 90) % 4];
+}
+
+function normalizeRotation(rotation) {
+  const quarter = Math.round((Number(rotation) || 0) / 90);
+  return (((quarter % 4) + 4) % 4) * 90;
+}
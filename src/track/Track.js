@@ -1,26 +1,51 @@
 import * as THREE from 'three';
-import { getTile, TileRegistry } from './TileRegistry.js';
+import { getTile, parseCell, rotateSide } from './TileRegistry.js';
 import { CheckpointSystem } from './CheckpointSystem.js';
+import { TrackView } from './TrackView.js';
+import { TrackFile } from './TrackFile.js';
 import { Checkpoint } from '../entities/Checkpoint.js';
 import { Object3D } from '../entities/Object3D.js';
-import { TextureManager } from '../core/TextureManager.js';
 import { RenderConfig } from '../config/RenderConfig.js';
-import { SkyboxManager } from '../core/SkyboxManager.js';
 import { DirectionField } from '../ai/DirectionField.js';
+import { RacingLine } from '../ai/RacingLine.js';
+import { WallCollisions } from '../physics/WallCollisions.js';
+
+/** Shared wall query used by isBlocked() */
+const wallQuery = new WallCollisions();
 
 /**
  * Track - Grid-based track system
  *
- * Manages track layout, rendering, and collision
+ * Manages track layout and collision. Rendering lives in TrackView,
+ * which is only created when a scene is passed (null scene = headless).
+ *
+ * Elevation: an optional height layer gives every cell a level (integer,
+ * `levelHeight` world units each). Slope tiles rise one level across the
+ * tile toward their `slope` side (turned by the cell's rotation); bridge tiles carry a deck `bridge.deck`
+ * levels above the road that runs underneath. A kart's layer is picked
+ * from its current height, and cells whose surface is more than
+ * `maxStepHeight` above or below the kart's ground act as walls (cliffs,
+ * bridge edges, underpass sides).
  */
 
+/** Cell offsets for each slope direction (the side the tile rises toward) */
+const SLOPE_DIRECTIONS = {
+  north: { row: -1, col: 0 },
+  south: { row: 1, col: 0 },
+  east: { row: 0, col: 1 },
+  west: { row: 0, col: -1 }
+};
+
 export class Track {
   constructor(scene, options = {}) {
     this.scene = scene;
     this.tileSize = options.tileSize ?? 5; // Size of each grid tile (5x5 units)
-    this.trackData = options.trackData ?? []; // 2D array of tile IDs
+    this.trackData = options.trackData ?? []; // 2D array of cells (tile ID or { id, rotation })
+    this.heightData = options.heightData ?? null; // 2D array of cell levels (null = flat)
+    this.levelHeight = options.levelHeight ?? 2; // World units per level
+    this.maxStepHeight = options.maxStepHeight ?? 1.2; // Height difference karts can drive over
+    this.rideHeight = options.rideHeight ?? 0.5; // Kart origin above the ground
     this.checkpointsData = options.checkpointsData ?? []; // Array of checkpoint definitions
-    this.decorationsData = options.decorationsData ?? []; // Array of decoration definitions (legacy)
     this.objectsData = options.objectsData ?? []; // Array of 3D object definitions
     this.skyboxId = options.skyboxId ?? 'default'; // Skybox to use for this track
     this.waypointsData = options.waypointsData ?? []; // Waypoints for AI
@@ -34,30 +59,53 @@ export class Track {
     this.startHeading = Math.PI;
     this.startAssigned = false;
 
-    // Visual meshes
-    this.tileMeshes = [];
-    this.trackGroup = new THREE.Group();
-    this.scene.add(this.trackGroup);
-    this.materialCache = new Map();
+    // Visual layer (absent when running headless)
+    this.view = scene ? new TrackView(this, scene) : null;
+    this.view?.loadSkybox(); // Once per track (non-blocking); rebuilds keep it
 
     // Checkpoint system
     this.checkpointSystem = null;
 
     // 3D objects
     this.objects = [];
+    this._objectGrid = new Map(); // "row,col" -> colliding objects overlapping that tile
+    this._movingObjects = new Set(); // Knocked-over objects still animating, collected ones waiting to respawn
 
     // AI Direction field
     this.directionField = null;
     this._directionFieldArrows = [];
 
-    // Skybox
-    this.loadSkybox();
+    // AI racing line, solved on first use (see getRacingLine)
+    this.racingLine = null;
+    this._racingLineSolved = false;
 
     if (this.trackData.length > 0) {
       this.buildTrack();
     }
   }
 
+  /**
+   * Create a track from a saved track object (testTrack.js / editor export)
+   * @param {THREE.Scene|null} scene - Scene to render into, or null for headless
+   * @param {Object} trackFile - Track in any TrackFile version (upgraded and validated here)
+   * @param {Object} options - Extra Track options (e.g. renderMode)
+   * @returns {Track}
+   * @throws {TrackFormatError} If the track data is invalid
+   */
+  static fromData(scene, trackFile, options = {}) {
+    const data = TrackFile.load(trackFile);
+    return new Track(scene, {
+      tileSize: data.tileSize,
+      trackData: data.layout,
+      heightData: data.heights ?? null,
+      checkpointsData: data.checkpoints,
+      objectsData: data.objects,
+      skyboxId: data.skybox,
+      waypointsData: data.waypoints,
+      ...options
+    });
+  }
+
   /**
    * Load track from 2D array of tile IDs
    * @param {Array<Array<string>>} trackData - 2D array of tile IDs
@@ -84,46 +132,15 @@ export class Track {
    * Build track geometry from track data
    */
   buildTrack() {
-    this.clearTrack();
     this.clearObjects();
     this._clearDirectionFieldVisualization();
-    this.materialCache.clear();
-    this.startAssigned = false;
-    this._tileCache = new Map();
 
     this.height = this.trackData.length;
     this.width = this.trackData[0]?.length ?? 0;
 
-    // Apply skybox (non-blocking)
-    this.loadSkybox();
-
-    for (let row = 0; row < this.height; row++) {
-      for (let col = 0; col < this.width; col++) {
-        const tileId = this.trackData[row][col];
-        const tile = getTile(tileId);
-
-        const x = (col - this.width / 2) * this.tileSize + this.tileSize / 2;
-        const z = (row - this.height / 2) * this.tileSize + this.tileSize / 2;
-
-        const mesh = this._createTileMesh(tile, x, z);
-        if (mesh) {
-          this.trackGroup.add(mesh);
-          this.tileMeshes.push({
-            mesh,
-            tile,
-            row,
-            col,
-            bounds: new THREE.Box3().setFromObject(mesh)
-          });
-        }
-
-        if (tileId === 'start_finish' && !this.startAssigned) {
-          this.startPosition.set(x, 0.5, z);
-          this.startHeading = Math.PI;
-          this.startAssigned = true;
-        }
-      }
-    }
+    this.view?.build();
+    this._findStart();
+    this.invalidateRacingLine();
 
     if (this.checkpointsData && this.checkpointsData.length > 0) {
       this.loadCheckpoints();
@@ -140,6 +157,38 @@ export class Track {
     }
   }
 
+  /**
+   * Redraw cells whose tile or level was changed in place (editor);
+   * only the render chunks containing them are rebuilt
+   * @param {Array<{row: number, col: number}>} cells
+   */
+  refreshCells(cells) {
+    this.view?.rebuildCells(cells);
+    this._findStart();
+    this.invalidateRacingLine();
+  }
+
+  /**
+   * Start transform from the first start/finish tile
+   */
+  _findStart() {
+    this.startAssigned = false;
+
+    for (let row = 0; row < this.height && !this.startAssigned; row++) {
+      for (let col = 0; col < this.width; col++) {
+        const { id: tileId, rotation } = parseCell(this.trackData[row][col]);
+        if (tileId !== 'start_finish') continue;
+
+        const x = (col - this.width / 2) * this.tileSize + this.tileSize / 2;
+        const z = (row - this.height / 2) * this.tileSize + this.tileSize / 2;
+        this.startPosition.set(x, this.getLevel(row, col) * this.levelHeight + this.rideHeight, z);
+        this.startHeading = Math.PI - THREE.MathUtils.degToRad(rotation); // Unrotated start faces north
+        this.startAssigned = true;
+        break;
+      }
+    }
+  }
+
   /**
    * Load checkpoints from checkpoint data
    */
@@ -149,8 +198,8 @@ export class Track {
 
     // Add each checkpoint from data
     for (const cpData of this.checkpointsData) {
-      // Convert rotation object to y-axis rotation value
-      const rotation = typeof cpData.rotation === 'object' ? cpData.rotation.y : cpData.rotation;
+      // Checkpoints only turn around the vertical axis
+      const rotation = cpData.rotation.y;
 
       // Create position Vector3
       const position = new THREE.Vector3(
@@ -160,19 +209,21 @@ export class Track {
       );
 
       // Create checkpoint directly with all options
+      // (its layer is the ground at or just below its stored height)
       const id = this.checkpointSystem.checkpoints.length;
       const checkpoint = new Checkpoint(this.scene, {
         id,
         position,
         rotation,
-        width: cpData.width ?? 20,
-        height: cpData.height ?? 10,
-        isFinishLine: cpData.isFinishLine ?? false
+        baseHeight: this.getGroundHeight(position),
+        width: cpData.width,
+        height: cpData.height,
+        isFinishLine: cpData.isFinishLine
       });
 
       this.checkpointSystem.checkpoints.push(checkpoint);
 
-      console.log(`Checkpoint ${id} loaded: pos(${position.x.toFixed(1)}, ${position.y.toFixed(1)}, ${position.z.toFixed(1)}), rot: ${(rotation * 180 / Math.PI).toFixed(1)}°, width: ${cpData.width ?? 20}`);
+      console.log(`Checkpoint ${id} loaded: pos(${position.x.toFixed(1)}, ${position.y.toFixed(1)}, ${position.z.toFixed(1)}), rot: ${(rotation * 180 / Math.PI).toFixed(1)}°, width: ${cpData.width}`);
     }
 
     // Hide checkpoints by default (use H key to toggle)
@@ -212,6 +263,8 @@ export class Track {
 
       this.objects.push(object);
     }
+
+    this._buildObjectGrid();
   }
 
   /**
@@ -220,303 +273,148 @@ export class Track {
   clearObjects() {
     this.objects.forEach(obj => obj.destroy());
     this.objects = [];
+    this._objectGrid.clear();
+    this._movingObjects.clear();
   }
 
   /**
-   * Generate direction field from waypoints for AI navigation
+   * Bucket colliding objects by tile so collision checks only look nearby
    */
-  generateDirectionField() {
-    if (!this.waypointsData || this.waypointsData.length < 2) {
-      this.directionField = null;
-      return;
+  _buildObjectGrid() {
+    this._objectGrid.clear();
+
+    for (const object of this.objects) {
+      if (object.collisionBehavior === 'none') continue;
+
+      const radius = object.getCollisionRadius();
+      const minCol = Math.floor((object.position.x - radius + (this.width * this.tileSize) / 2) / this.tileSize);
+      const maxCol = Math.floor((object.position.x + radius + (this.width * this.tileSize) / 2) / this.tileSize);
+      const minRow = Math.floor((object.position.z - radius + (this.height * this.tileSize) / 2) / this.tileSize);
+      const maxRow = Math.floor((object.position.z + radius + (this.height * this.tileSize) / 2) / this.tileSize);
+
+      for (let row = minRow; row <= maxRow; row++) {
+        for (let col = minCol; col <= maxCol; col++) {
+          const key = `${row},${col}`;
+          if (!this._objectGrid.has(key)) this._objectGrid.set(key, []);
+          this._objectGrid.get(key).push(object);
+        }
+      }
     }
-
-    const waypoints = this.waypointsData.map(wpData => ({
-      id: wpData.id,
-      position: new THREE.Vector3(wpData.position.x, wpData.position.y, wpData.position.z),
-      toJSON: () => wpData
-    }));
-
-    this.directionField = new DirectionField({
-      gridWidth: this.width,
-      gridHeight: this.height,
-      tileSize: this.tileSize,
-      waypoints
-    });
   }
 
   /**
-   * Get direction field for AI (null if no waypoints)
+   * Get colliding objects whose tiles overlap a circle
+   * @param {THREE.Vector3} position - World position
+   * @param {number} radius - Search radius
+   * @returns {Array<Object3D>}
    */
-  getDirectionField() {
-    return this.directionField;
+  getObjectsNear(position, radius = 0) {
+    const minCol = Math.floor((position.x - radius + (this.width * this.tileSize) / 2) / this.tileSize);
+    const maxCol = Math.floor((position.x + radius + (this.width * this.tileSize) / 2) / this.tileSize);
+    const minRow = Math.floor((position.z - radius + (this.height * this.tileSize) / 2) / this.tileSize);
+    const maxRow = Math.floor((position.z + radius + (this.height * this.tileSize) / 2) / this.tileSize);
+
+    const found = new Set();
+    for (let row = minRow; row <= maxRow; row++) {
+      for (let col = minCol; col <= maxCol; col++) {
+        const bucket = this._objectGrid.get(`${row},${col}`);
+        if (bucket) bucket.forEach(obj => found.add(obj));
+      }
+    }
+    return Array.from(found);
   }
 
   /**
-   * Remove any debug direction field arrows
+   * Knock an object over and keep animating it until it settles
+   * @param {Object3D} object
+   * @param {THREE.Vector3} direction - Push direction
+   * @param {number} speed - Initial slide speed
    */
-  _clearDirectionFieldVisualization() {
-    if (!this._directionFieldArrows) return;
-    this._directionFieldArrows.forEach(arrow => this.scene.remove(arrow));
-    this._directionFieldArrows = [];
+  knockOverObject(object, direction, speed) {
+    object.knockOver(direction, speed);
+    this._movingObjects.add(object);
   }
 
   /**
-   * Load skybox for this track
+   * Take an item box off the track until it respawns
+   * @param {Object3D} object
+   * @param {number} respawnTime - Seconds until it comes back
    */
-  async loadSkybox() {
-    await SkyboxManager.loadSkybox(this.scene, this.skyboxId);
+  collectObject(object, respawnTime) {
+    object.collect(respawnTime);
+    this._movingObjects.add(object);
   }
 
   /**
-   * Create 3D mesh for a tile
+   * Per-tick track update (knocked-over and collected objects)
+   * @param {number} delta - Time step
    */
-  _createTileMesh(tile, x, z) {
-    const height = tile.height ?? 0.2;
-    const geometry = new THREE.BoxGeometry(this.tileSize * 1.01, height, this.tileSize * 1.01);
-
-    const material = this._getTileMaterial(tile);
-
-    const mesh = new THREE.Mesh(geometry, material);
-    mesh.position.set(x, height / 2, z);
-    mesh.receiveShadow = true;
-    mesh.castShadow = tile.type === 'obstacle';
-
-    // Store tile data on mesh for collision detection
-    mesh.userData.tile = tile;
-    mesh.userData.tileId = tile.id;
-
-    // Special visual effects (only in prototype mode or when no texture)
-    if (!tile.texture || RenderConfig.isPrototype()) {
-      if (tile.hasCheckeredPattern) {
-        this._addCheckeredPattern(mesh);
-      }
-      if (tile.hasStripes) {
-        this._addStripePattern(mesh);
+  update(delta) {
+    for (const object of this._movingObjects) {
+      if (!object.update(delta)) {
+        this._movingObjects.delete(object);
       }
     }
-
-    return mesh;
   }
 
   /**
-   * Create or reuse a material for a tile based on render mode
+   * Generate direction field from waypoints for AI navigation
    */
-  _getTileMaterial(tile) {
-    const key = `${RenderConfig.getMode()}-${tile.id}`;
-    if (this.materialCache.has(key)) {
-      return this.materialCache.get(key);
-    }
-
-    // Generate color based on tile type for prototype mode
-    let tileColor = tile.color;
-    if (RenderConfig.isPrototype()) {
-      tileColor = this._getProceduralColor(tile);
-    }
-
-    const materialOptions = {
-      color: tileColor,
-      roughness: tile.roughness,
-      metalness: tile.metalness
-    };
-
-    if (RenderConfig.isFull() && tile.texture) {
-      const texture = TextureManager.loadTexture(tile.texture, {
-        repeat: tile.textureRepeat,
-        wrapS: THREE.RepeatWrapping,
-        wrapT: THREE.RepeatWrapping
-      });
-      if (texture) {
-        materialOptions.map = texture;
-      }
+  generateDirectionField() {
+    if (!this.waypointsData || this.waypointsData.length < 2) {
+      this.directionField = null;
+      return;
     }
 
-    if (RenderConfig.isFull() && !materialOptions.map) {
-      materialOptions.map = this._createTileTexture(tile);
-    }
+    const waypoints = this.waypointsData.map(wpData => ({
+      id: wpData.id,
+      position: new THREE.Vector3(wpData.position.x, wpData.position.y, wpData.position.z),
+      toJSON: () => wpData
+    }));
 
-    const material = new THREE.MeshStandardMaterial(materialOptions);
-    this.materialCache.set(key, material);
-    return material;
-  }
-
-  /**
-   * Get procedural color for a tile in prototype mode
-   */
-  _getProceduralColor(tile) {
-    // Map tile types to distinct colors
-    if (tile.id === 'straight' || tile.id === 'corner') {
-      return 0x444444; // Dark gray for road
-    } else if (tile.id === 'start_finish') {
-      return 0x444444; // Same as road (pattern will differentiate)
-    } else if (tile.id === 'grass' || tile.id.startsWith('grass_')) {
-      return 0x228B22; // Forest green for grass
-    } else if (tile.id === 'dirt' || tile.id.startsWith('dirt_')) {
-      return 0x8B7355; // Brown for dirt
-    } else if (tile.id === 'wall') {
-      return 0xCCCCCC; // Light gray for walls
-    } else if (tile.id === 'barrier') {
-      return 0xFF4444; // Red for barriers
-    } else if (tile.id === 'empty') {
-      return 0x333333; // Dark gray for empty
-    }
-    // Default fallback
-    return 0x888888;
+    this.directionField = new DirectionField({
+      gridWidth: this.width,
+      gridHeight: this.height,
+      tileSize: this.tileSize,
+      waypoints
+    });
   }
 
   /**
-   * Generate simple procedural textures for tiles
+   * Get direction field for AI (null if no waypoints)
    */
-  _createTileTexture(tile) {
-    const canvas = document.createElement('canvas');
-    canvas.width = 128;
-    canvas.height = 128;
-    const ctx = canvas.getContext('2d');
-
-    // Convert hex color to CSS format
-    const hexToCSS = (hex) => {
-      return '#' + hex.toString(16).padStart(6, '0');
-    };
-
-    const fill = (color) => {
-      ctx.fillStyle = color;
-      ctx.fillRect(0, 0, canvas.width, canvas.height);
-    };
-
-    const addNoise = (alpha = 0.12) => {
-      const imgData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-      for (let i = 0; i < imgData.data.length; i += 4) {
-        const v = Math.floor(Math.random() * 255);
-        imgData.data[i] += v * alpha;
-        imgData.data[i + 1] += v * alpha;
-        imgData.data[i + 2] += v * alpha;
-      }
-      ctx.putImageData(imgData, 0, 0);
-    };
-
-    const addStripes = (colorA, colorB, width = 10) => {
-      for (let x = -width; x < canvas.width + width; x += width * 2) {
-        ctx.fillStyle = colorA;
-        ctx.fillRect(x, 0, width, canvas.height);
-        ctx.fillStyle = colorB;
-        ctx.fillRect(x + width, 0, width, canvas.height);
-      }
-    };
-
-    // Use tile's color property for consistent coloring
-    const tileColor = hexToCSS(tile.color);
-
-    if (tile.type === 'road' || tile.id === 'start_finish') {
-      fill(tileColor);
-      addNoise(0.18);
-      if (tile.id === 'start_finish') {
-        addStripes('#ffffff', '#000000', 6);
-      }
-    } else if (tile.id === 'grass' || tile.id.startsWith('grass_')) {
-      fill(tileColor);
-      addNoise(0.35);
-      ctx.strokeStyle = 'rgba(255,255,255,0.08)';
-      for (let i = 0; i < 60; i++) {
-        ctx.beginPath();
-        ctx.moveTo(Math.random() * canvas.width, Math.random() * canvas.height);
-        ctx.lineTo(Math.random() * canvas.width, Math.random() * canvas.height);
-        ctx.stroke();
-      }
-    } else if (tile.id === 'dirt' || tile.id.startsWith('dirt_')) {
-      fill(tileColor);
-      addNoise(0.3);
-      ctx.fillStyle = 'rgba(30,15,0,0.18)';
-      for (let i = 0; i < 90; i++) {
-        ctx.beginPath();
-        ctx.arc(Math.random() * canvas.width, Math.random() * canvas.height, 2 + Math.random() * 1.5, 0, Math.PI * 2);
-        ctx.fill();
-      }
-    } else if (tile.id === 'barrier') {
-      addStripes('#ff3b3b', '#ffffff', 10);
-    } else if (tile.id === 'wall') {
-      fill(tileColor);
-      addNoise(0.12);
-      ctx.strokeStyle = 'rgba(255,255,255,0.15)';
-      for (let y = 0; y < canvas.height; y += 16) {
-        ctx.beginPath();
-        ctx.moveTo(0, y);
-        ctx.lineTo(canvas.width, y);
-        ctx.stroke();
-      }
-    } else {
-      fill(tileColor);
-      addNoise(0.15);
-    }
-
-    const texture = new THREE.CanvasTexture(canvas);
-    texture.wrapS = texture.wrapT = THREE.RepeatWrapping;
-    texture.repeat.set(1, 1);
-    return texture;
+  getDirectionField() {
+    return this.directionField;
   }
 
   /**
-   * Add checkered pattern to start/finish line
+   * Racing line through the checkpoints for AI drivers (RacingLine).
+   * Solved the first time it is asked for after the track changes.
+   * @returns {RacingLine|null} Null without at least 2 reachable checkpoints
    */
-  _addCheckeredPattern(mesh) {
-    const canvas = document.createElement('canvas');
-    canvas.width = 128;
-    canvas.height = 128;
-    const ctx = canvas.getContext('2d');
-
-    // Draw checkered pattern
-    const squareSize = 16;
-    for (let i = 0; i < 8; i++) {
-      for (let j = 0; j < 8; j++) {
-        ctx.fillStyle = (i + j) % 2 === 0 ? '#FFFFFF' : '#000000';
-        ctx.fillRect(i * squareSize, j * squareSize, squareSize, squareSize);
-      }
+  getRacingLine() {
+    if (!this._racingLineSolved) {
+      this.racingLine = RacingLine.solve(this);
+      this._racingLineSolved = true;
     }
-
-    const texture = new THREE.CanvasTexture(canvas);
-    texture.wrapS = THREE.RepeatWrapping;
-    texture.wrapT = THREE.RepeatWrapping;
-    texture.repeat.set(2, 2);
-
-    mesh.material.map = texture;
-    mesh.material.needsUpdate = true;
+    return this.racingLine;
   }
 
   /**
-   * Add stripe pattern to barriers
+   * Drop the solved racing line (tiles or checkpoints changed)
    */
-  _addStripePattern(mesh) {
-    const canvas = document.createElement('canvas');
-    canvas.width = 128;
-    canvas.height = 128;
-    const ctx = canvas.getContext('2d');
-
-    // Draw diagonal stripes
-    ctx.fillStyle = '#FF4444';
-    ctx.fillRect(0, 0, 128, 128);
-    ctx.fillStyle = '#FFFFFF';
-    for (let i = -128; i < 256; i += 32) {
-      ctx.fillRect(i, 0, 16, 128);
-    }
-
-    const texture = new THREE.CanvasTexture(canvas);
-    mesh.material.map = texture;
-    mesh.material.needsUpdate = true;
+  invalidateRacingLine() {
+    this.racingLine = null;
+    this._racingLineSolved = false;
   }
 
   /**
-   * Clear all track meshes
+   * Remove any debug direction field arrows
    */
-  clearTrack() {
-    while (this.trackGroup.children.length > 0) {
-      const child = this.trackGroup.children[0];
-      this.trackGroup.remove(child);
-      if (child.geometry) child.geometry.dispose();
-      if (child.material) {
-        if (child.material.map) child.material.map.dispose();
-        child.material.dispose();
-      }
-    }
-    this.tileMeshes = [];
+  _clearDirectionFieldVisualization() {
+    if (!this._directionFieldArrows || !this.scene) return;
+    this._directionFieldArrows.forEach(arrow => this.scene.remove(arrow));
+    this._directionFieldArrows = [];
   }
 
   /**
@@ -557,6 +455,137 @@ export class Track {
     return !tile || !tile.collision;
   }
 
+  /**
+   * Rotation of a cell's tile (degrees clockwise, 0 outside the grid)
+   * @param {number} row
+   * @param {number} col
+   * @returns {number}
+   */
+  getRotation(row, col) {
+    if (row < 0 || row >= this.height || col < 0 || col >= this.width) return 0;
+    return parseCell(this.trackData[row][col]).rotation;
+  }
+
+  /**
+   * Level of a cell (0 outside the grid or on flat tracks)
+   * @param {number} row
+   * @param {number} col
+   * @returns {number}
+   */
+  getLevel(row, col) {
+    return this.heightData?.[row]?.[col] ?? 0;
+  }
+
+  /**
+   * Drivable surface heights of a cell at a point (world units)
+   * Flat cells have one, slopes interpolate toward their raised side,
+   * bridges have the road underneath and the deck. Walls have none.
+   * @param {number} row
+   * @param {number} col
+   * @param {number} x - World x inside (or at the edge of) the cell
+   * @param {number} z - World z
+   * @returns {Array<number>}
+   */
+  getSurfaceHeights(row, col, x, z) {
+    if (row < 0 || row >= this.height || col < 0 || col >= this.width) return [];
+    const tile = getTile(this.trackData[row][col]);
+    if (!tile || !tile.collision) return [];
+
+    const base = this.getLevel(row, col) * this.levelHeight;
+
+    const slope = tile.slope ? SLOPE_DIRECTIONS[rotateSide(tile.slope, this.getRotation(row, col))] : null;
+    if (slope) {
+      // 0 at the low edge, 1 at the raised edge
+      const center = this.gridToWorld(row, col);
+      const along = slope.col !== 0 ? (x - center.x) * slope.col : (z - center.z) * slope.row;
+      const t = THREE.MathUtils.clamp(along / this.tileSize + 0.5, 0, 1);
+      return [base + t * this.levelHeight];
+    }
+
+    if (tile.bridge) {
+      return [base, base + (tile.bridge.deck ?? 2) * this.levelHeight];
+    }
+
+    return [base];
+  }
+
+  /**
+   * Height of the ground a kart at this position stands on: the highest
+   * surface it could have stepped onto, or the lowest one if it is below
+   * them all
+   * @param {THREE.Vector3} position - Kart origin (y = ground + rideHeight)
+   * @returns {number} Ground height (world units)
+   */
+  getGroundHeight(position) {
+    const cell = this.worldToGrid(position);
+    if (!cell) return 0;
+
+    const surfaces = this.getSurfaceHeights(cell.row, cell.col, position.x, position.z);
+    if (surfaces.length === 0) return this.getLevel(cell.row, cell.col) * this.levelHeight;
+
+    return pickSurface(surfaces, position.y - this.rideHeight, this.maxStepHeight);
+  }
+
+  /**
+   * Ground under a kart with the slope it sits on
+   * @param {THREE.Vector3} position - Kart origin
+   * @param {number} heading - Kart heading (radians)
+   * @param {number} [reach=1.5] - Distance to the sample points (about half a kart)
+   * @returns {{height: number, pitch: number, roll: number}} Pitch > 0 = nose up,
+   *   roll > 0 = left side up
+   */
+  getGroundPose(position, heading, reach = 1.5) {
+    const height = this.getGroundHeight(position);
+    if (!this.heightData) return { height, pitch: 0, roll: 0 };
+
+    const forwardX = Math.sin(heading);
+    const forwardZ = Math.cos(heading);
+    const sample = (offsetForward, offsetLeft) => {
+      const x = position.x + forwardX * offsetForward + forwardZ * offsetLeft;
+      const z = position.z + forwardZ * offsetForward - forwardX * offsetLeft;
+      const cell = this.worldToGrid({ x, z });
+      const surfaces = cell ? this.getSurfaceHeights(cell.row, cell.col, x, z) : [];
+      if (surfaces.length === 0) return height; // Walls don't tilt the kart
+      return surfaces.reduce((best, s) => (Math.abs(s - height) < Math.abs(best - height) ? s : best));
+    };
+
+    const pitch = Math.atan2(sample(reach, 0) - sample(-reach, 0), reach * 2);
+    const roll = Math.atan2(sample(0, reach) - sample(0, -reach), reach * 2);
+    return { height, pitch, roll };
+  }
+
+  /**
+   * Check if a circle (kart footprint) overlaps any wall tile
+   * @param {THREE.Vector3} position - World position (circle centre)
+   * @param {number} radius - Circle radius (0 = point check)
+   * @returns {boolean}
+   */
+  isBlocked(position, radius = 0) {
+    if (radius <= 0) return this.isOutOfBounds(position);
+    return wallQuery.overlaps(this, position, radius);
+  }
+
+  /**
+   * Whether a grid cell blocks karts (wall tile, or outside the grid).
+   * Given a point and the kart's ground height, a cell whose surface there
+   * is more than a step away from that ground blocks too.
+   * @param {number} row
+   * @param {number} col
+   * @param {number} [x] - World point in the cell (closest to the kart)
+   * @param {number} [z]
+   * @param {number} [groundHeight] - Height of the ground the kart is on
+   * @returns {boolean}
+   */
+  isWallCell(row, col, x, z, groundHeight) {
+    if (row < 0 || row >= this.height || col < 0 || col >= this.width) return true;
+    const tile = getTile(this.trackData[row][col]);
+    if (!tile || !tile.collision) return true;
+    if (groundHeight === undefined || !this.heightData) return false;
+
+    return !this.getSurfaceHeights(row, col, x, z)
+      .some(surface => Math.abs(surface - groundHeight) <= this.maxStepHeight);
+  }
+
   /**
    * Get speed multiplier at position (for off-road slowdown)
    * @param {THREE.Vector3} position - World position
@@ -594,7 +623,7 @@ export class Track {
 
     const x = (col - this.width / 2) * this.tileSize + this.tileSize / 2;
     const z = (row - this.height / 2) * this.tileSize + this.tileSize / 2;
-    return new THREE.Vector3(x, 0.5, z);
+    return new THREE.Vector3(x, this.getLevel(row, col) * this.levelHeight + this.rideHeight, z);
   }
 
   /**
@@ -612,10 +641,10 @@ export class Track {
    * Destroy track and free resources
    */
   destroy() {
-    this.clearTrack();
+    this.view?.destroy();
+    this.view = null;
     this.clearObjects();
     this._clearDirectionFieldVisualization();
-    this.scene.remove(this.trackGroup);
 
     // Destroy checkpoint system
     if (this.checkpointSystem) {
@@ -624,3 +653,14 @@ export class Track {
     }
   }
 }
+
+/**
+ * Highest surface at most a step above `feet`, else the lowest one
+ */
+function pickSurface(surfaces, feet, maxStep) {
+  let best = null;
+  for (const surface of surfaces) {
+    if (surface <= feet + maxStep && (best === null || surface > best)) best = surface;
+  }
+  return best ?? Math.min(...surfaces);
+}
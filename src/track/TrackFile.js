@@ -0,0 +1,461 @@
+import { TileRegistry } from './TileRegistry.js';
+import { getObject } from '../objects/ObjectRegistry.js';
+import { ByteWriter, ByteReader, toBase64, fromBase64, canDeflate, deflate, inflate } from '../utils/ByteCodec.js';
+
+/**
+ * TrackFile - Versioned track format: migrations and validation
+ *
+ * Every track loader (file import, localStorage, editor test mode, the
+ * bundled tracks, replays) goes through TrackFile.load(), which upgrades
+ * old files step by step to TRACK_FORMAT_VERSION and then checks them
+ * against the schema below. Problems are collected per field and thrown
+ * together as a TrackFormatError.
+ *
+ * Format (version 2):
+ * {
+ *   formatVersion: 2,
+ *   name: string,
+ *   width, height: grid size in cells (must match layout),
+ *   tileSize: world units per cell,
+ *   layout: rows of cells, each a tile ID or { id, rotation } (0/90/180/270),
+ *           or the compact encoding below,
+ *   heights: optional rows of cell levels (integers >= 0), or compact,
+ *   checkpoints: [{ id, position: {x,y,z}, rotation: {x,y,z}, width, height, isFinishLine }],
+ *   objects: [{ id, type, position: {x,y,z}, rotation: {x,y,z}, scale: {x,y,z} }],
+ *   waypoints: [{ id, position: {x,y,z} }],
+ *   skybox: string
+ * }
+ *
+ * Compact encoding (written by encode(), used for storage, export and
+ * replays): the grid is read row by row as runs of equal cells.
+ *   layout:  { encoding: 'rle', palette: [cell, ...], data }
+ *   heights: { encoding: 'rle', data }
+ * `data` is base64 of varint pairs (value, run length - 1), where the value
+ * is a palette index for layout and the level itself for heights. load()
+ * expands it back to rows, so the rest of the game only sees the verbose
+ * form. pack() additionally deflates the whole file where the platform
+ * supports it.
+ */
+
+export const TRACK_FORMAT_VERSION = 2;
+
+const GRID_ENCODING = 'rle';
+const DEFLATE_PREFIX = 'deflate:';
+
+/**
+ * Upgrades from each version to the next; MIGRATIONS[n] turns version n
+ * into n + 1. Files without formatVersion are version 0.
+ */
+const MIGRATIONS = [
+  // 0 -> 1: first versioned format. Fills in defaults, renames the legacy
+  // `decorations` list to `objects` and stores checkpoint rotation as an
+  // Euler object (older exports used a bare y angle).
+  ({ decorations, ...data }) => ({
+    ...data,
+    name: data.name ?? 'Untitled Track',
+    width: data.width ?? data.layout?.[0]?.length,
+    height: data.height ?? data.layout?.length,
+    tileSize: data.tileSize ?? 5,
+    checkpoints: (data.checkpoints ?? []).map((cp, index) => ({
+      ...cp,
+      id: cp.id ?? index,
+      rotation: typeof cp.rotation === 'number'
+        ? { x: 0, y: cp.rotation, z: 0 }
+        : cp.rotation ?? { x: 0, y: 0, z: 0 },
+      width: cp.width ?? 20,
+      height: cp.height ?? 10,
+      isFinishLine: cp.isFinishLine ?? false
+    })),
+    objects: data.objects ?? decorations ?? [],
+    waypoints: data.waypoints ?? [],
+    skybox: data.skybox ?? 'default'
+  }),
+
+  // 1 -> 2: layout and heights may use the compact encoding; verbose
+  // version 1 grids are still valid as they are.
+  data => data
+];
+
+const TILE_IDS = new Set(Object.values(TileRegistry).map(tile => tile.id));
+
+/**
+ * Track data failed validation
+ * `errors` lists every problem as { path, message }.
+ */
+export class TrackFormatError extends Error {
+  constructor(errors) {
+    const shown = errors.slice(0, 5).map(({ path, message }) => `${path}: ${message}`);
+    if (errors.length > shown.length) shown.push(`...and ${errors.length - shown.length} more`);
+    super(`Invalid track:\n${shown.join('\n')}`);
+    this.name = 'TrackFormatError';
+    this.errors = errors;
+  }
+}
+
+export class TrackFile {
+  /**
+   * Parse, upgrade and validate track file text
+   * @param {string} text
+   * @returns {Object} Track data at TRACK_FORMAT_VERSION
+   * @throws {TrackFormatError}
+   */
+  static parse(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new TrackFormatError([{ path: '(file)', message: `not valid JSON (${error.message})` }]);
+    }
+    return TrackFile.load(data);
+  }
+
+  /**
+   * Upgrade and validate a track object (the input is not modified)
+   * @param {Object} data
+   * @returns {Object} Track data at TRACK_FORMAT_VERSION
+   * @throws {TrackFormatError}
+   */
+  static load(data) {
+    const track = TrackFile.decode(TrackFile.migrate(data));
+    const errors = TrackFile.validate(track);
+    if (errors.length > 0) {
+      throw new TrackFormatError(errors);
+    }
+    return track;
+  }
+
+  /**
+   * Run the migrations a track needs to reach the current version
+   * @param {Object} data
+   * @returns {Object} Upgraded copy
+   * @throws {TrackFormatError} If the data is not an object or is from a newer version
+   */
+  static migrate(data) {
+    if (!isObject(data)) {
+      throw new TrackFormatError([{ path: '(root)', message: 'must be an object' }]);
+    }
+
+    const version = data.formatVersion ?? 0;
+    if (!Number.isInteger(version) || version < 0) {
+      throw new TrackFormatError([{ path: 'formatVersion', message: `must be a whole number, got ${JSON.stringify(version)}` }]);
+    }
+    if (version > TRACK_FORMAT_VERSION) {
+      throw new TrackFormatError([{
+        path: 'formatVersion',
+        message: `version ${version} is newer than this game supports (${TRACK_FORMAT_VERSION})`
+      }]);
+    }
+
+    let track = data;
+    for (let v = version; v < TRACK_FORMAT_VERSION; v++) {
+      track = MIGRATIONS[v](track);
+    }
+    return { ...track, formatVersion: TRACK_FORMAT_VERSION };
+  }
+
+  /**
+   * Check a current-version track against the schema
+   * @param {Object} track
+   * @returns {Array<{path: string, message: string}>} Empty if valid
+   */
+  static validate(track) {
+    const errors = [];
+    const fail = (path, message) => errors.push({ path, message });
+
+    if (track.formatVersion !== TRACK_FORMAT_VERSION) {
+      fail('formatVersion', `must be ${TRACK_FORMAT_VERSION}`);
+    }
+    if (typeof track.name !== 'string' || track.name.trim() === '') {
+      fail('name', 'must be a non-empty string');
+    }
+    if (!(track.tileSize > 0)) {
+      fail('tileSize', 'must be a positive number');
+    }
+    if (typeof track.skybox !== 'string') {
+      fail('skybox', 'must be a string');
+    }
+
+    validateGrid(track, fail);
+    validateList(track.checkpoints, 'checkpoints', fail, validateCheckpoint);
+    validateList(track.objects, 'objects', fail, validateObject);
+    validateList(track.waypoints, 'waypoints', fail, (wp, path) => {
+      checkVector(wp.position, `${path}.position`, fail);
+    });
+
+    return errors;
+  }
+
+  /**
+   * Compact copy of a track: layout and heights run-length encoded
+   * (decode() gives back the same cells and levels)
+   * @param {Object} track - Verbose or already compact track data
+   * @returns {Object}
+   */
+  static encode(track) {
+    const encoded = { ...track, formatVersion: TRACK_FORMAT_VERSION };
+    if (Array.isArray(track.layout)) {
+      encoded.layout = encodeLayout(track.layout);
+    }
+    if (Array.isArray(track.heights)) {
+      encoded.heights = { encoding: GRID_ENCODING, data: encodeRuns(track.heights.flat()) };
+    }
+    return encoded;
+  }
+
+  /**
+   * Expand compact layout and heights back to rows (other data untouched)
+   * @param {Object} track - Current-version track data
+   * @returns {Object}
+   * @throws {TrackFormatError} If the encoded data is corrupt
+   */
+  static decode(track) {
+    const decoded = { ...track };
+    const errors = [];
+    const cellCount = track.width * track.height;
+
+    if (isEncoded(track.layout)) {
+      try {
+        decoded.layout = decodeLayout(track.layout, track.width, cellCount);
+      } catch (error) {
+        errors.push({ path: 'layout', message: `encoded data is corrupt (${error.message})` });
+      }
+    }
+    if (isEncoded(track.heights)) {
+      try {
+        decoded.heights = toRows(decodeRuns(track.heights.data, cellCount), track.width);
+      } catch (error) {
+        errors.push({ path: 'heights', message: `encoded data is corrupt (${error.message})` });
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new TrackFormatError(errors);
+    }
+    return decoded;
+  }
+
+  /**
+   * Compact track file text (export, session storage)
+   * @param {Object} track
+   * @param {number} [space] - JSON indentation
+   * @returns {string}
+   */
+  static serialize(track, space) {
+    return JSON.stringify(TrackFile.encode(track), null, space);
+  }
+
+  /**
+   * Smallest text form for storage: the compact JSON, deflated and
+   * base64'd where the platform can (falls back to serialize())
+   * @param {Object} track
+   * @returns {Promise<string>}
+   */
+  static async pack(track) {
+    const json = TrackFile.serialize(track);
+    if (!canDeflate()) return json;
+    const bytes = await deflate(new TextEncoder().encode(json));
+    return DEFLATE_PREFIX + toBase64(bytes);
+  }
+
+  /**
+   * Read text written by pack() (or any plain track JSON)
+   * @param {string} text
+   * @returns {Promise<Object>} Track data at TRACK_FORMAT_VERSION
+   * @throws {TrackFormatError}
+   */
+  static async unpack(text) {
+    if (!text.startsWith(DEFLATE_PREFIX)) {
+      return TrackFile.parse(text);
+    }
+    if (!canDeflate()) {
+      throw new TrackFormatError([{ path: '(file)', message: 'compressed, but this platform cannot inflate' }]);
+    }
+
+    let json;
+    try {
+      const bytes = await inflate(fromBase64(text.slice(DEFLATE_PREFIX.length)));
+      json = new TextDecoder().decode(bytes);
+    } catch (error) {
+      throw new TrackFormatError([{ path: '(file)', message: `compressed data is corrupt (${error.message})` }]);
+    }
+    return TrackFile.parse(json);
+  }
+
+  /**
+   * Stamp editor/serialized data with the current version
+   * @param {Object} data
+   * @returns {Object}
+   */
+  static withVersion(data) {
+    return { formatVersion: TRACK_FORMAT_VERSION, ...data };
+  }
+}
+
+function validateGrid(track, fail) {
+  const { layout, heights, width, height } = track;
+
+  if (!Number.isInteger(width) || width < 1) fail('width', 'must be a positive whole number');
+  if (!Number.isInteger(height) || height < 1) fail('height', 'must be a positive whole number');
+
+  if (!Array.isArray(layout) || layout.length === 0) {
+    fail('layout', 'must be a non-empty array of rows');
+    return;
+  }
+  if (layout.length !== height) {
+    fail('layout', `has ${layout.length} rows but height is ${height}`);
+  }
+
+  layout.forEach((row, r) => {
+    if (!Array.isArray(row)) {
+      fail(`layout[${r}]`, 'must be an array of cells');
+      return;
+    }
+    if (row.length !== width) {
+      fail(`layout[${r}]`, `has ${row.length} cells but width is ${width}`);
+    }
+    row.forEach((cell, c) => {
+      const id = isObject(cell) ? cell.id : cell;
+      if (!TILE_IDS.has(id)) {
+        fail(`layout[${r}][${c}]`, `unknown tile ${JSON.stringify(id)}`);
+      }
+      if (isObject(cell) && ![0, 90, 180, 270].includes(cell.rotation ?? 0)) {
+        fail(`layout[${r}][${c}].rotation`, 'must be 0, 90, 180 or 270');
+      }
+    });
+  });
+
+  if (heights === undefined || heights === null) return;
+  if (!Array.isArray(heights) || heights.length !== layout.length) {
+    fail('heights', `must have one row per layout row (${layout.length})`);
+    return;
+  }
+  heights.forEach((row, r) => {
+    if (!Array.isArray(row) || row.length !== layout[r]?.length) {
+      fail(`heights[${r}]`, 'must have one level per layout cell');
+      return;
+    }
+    row.forEach((level, c) => {
+      if (!Number.isInteger(level) || level < 0) {
+        fail(`heights[${r}][${c}]`, 'must be a whole number >= 0');
+      }
+    });
+  });
+}
+
+function encodeLayout(layout) {
+  const palette = [];
+  const indices = new Map(); // JSON of a cell -> palette index
+  const values = [];
+
+  for (const row of layout) {
+    for (const cell of row) {
+      const key = JSON.stringify(cell);
+      if (!indices.has(key)) {
+        indices.set(key, palette.length);
+        palette.push(cell);
+      }
+      values.push(indices.get(key));
+    }
+  }
+
+  return { encoding: GRID_ENCODING, palette, data: encodeRuns(values) };
+}
+
+function decodeLayout(layout, width, cellCount) {
+  if (!Array.isArray(layout.palette)) {
+    throw new Error('palette must be an array');
+  }
+  const cells = decodeRuns(layout.data, cellCount).map(index => {
+    if (index >= layout.palette.length) throw new Error(`palette index ${index} out of range`);
+    return layout.palette[index];
+  });
+  return toRows(cells, width);
+}
+
+/** Non-negative integers -> base64 of (value, run length - 1) varint pairs */
+function encodeRuns(values) {
+  const writer = new ByteWriter();
+  for (let i = 0; i < values.length;) {
+    let run = 1;
+    while (i + run < values.length && values[i + run] === values[i]) run++;
+    writer.varint(values[i]);
+    writer.varint(run - 1);
+    i += run;
+  }
+  return toBase64(writer.finish());
+}
+
+function decodeRuns(data, count) {
+  if (typeof data !== 'string') {
+    throw new Error('data must be a base64 string');
+  }
+  if (!Number.isInteger(count) || count < 1) {
+    throw new Error('width and height must be set to decode it');
+  }
+
+  const reader = new ByteReader(fromBase64(data));
+  const values = [];
+  while (!reader.done) {
+    const value = reader.varint();
+    const run = reader.varint() + 1;
+    if (values.length + run > count) throw new Error(`more than ${count} cells`);
+    for (let r = 0; r < run; r++) values.push(value);
+  }
+  if (values.length !== count) {
+    throw new Error(`${values.length} cells, expected ${count}`);
+  }
+  return values;
+}
+
+function toRows(values, width) {
+  const rows = [];
+  for (let i = 0; i < values.length; i += width) {
+    rows.push(values.slice(i, i + width));
+  }
+  return rows;
+}
+
+function isEncoded(grid) {
+  return isObject(grid) && grid.encoding === GRID_ENCODING;
+}
+
+function validateCheckpoint(cp, path, fail) {
+  checkVector(cp.position, `${path}.position`, fail);
+  checkVector(cp.rotation, `${path}.rotation`, fail);
+  if (!(cp.width > 0)) fail(`${path}.width`, 'must be a positive number');
+  if (!(cp.height > 0)) fail(`${path}.height`, 'must be a positive number');
+  if (typeof cp.isFinishLine !== 'boolean') fail(`${path}.isFinishLine`, 'must be true or false');
+}
+
+function validateObject(obj, path, fail) {
+  if (typeof obj.type !== 'string' || !getObject(obj.type)) {
+    fail(`${path}.type`, `unknown object type ${JSON.stringify(obj.type)}`);
+  }
+  checkVector(obj.position, `${path}.position`, fail);
+  if (obj.rotation !== undefined) checkVector(obj.rotation, `${path}.rotation`, fail);
+  if (obj.scale !== undefined) checkVector(obj.scale, `${path}.scale`, fail);
+}
+
+function validateList(list, path, fail, validateItem) {
+  if (!Array.isArray(list)) {
+    fail(path, 'must be an array');
+    return;
+  }
+  list.forEach((item, i) => {
+    if (!isObject(item)) {
+      fail(`${path}[${i}]`, 'must be an object');
+      return;
+    }
+    validateItem(item, `${path}[${i}]`, fail);
+  });
+}
+
+function checkVector(vector, path, fail) {
+  if (!isObject(vector) || !['x', 'y', 'z'].every(axis => Number.isFinite(vector[axis]))) {
+    fail(path, 'must be { x, y, z } with finite numbers');
+  }
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
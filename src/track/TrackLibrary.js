@@ -0,0 +1,340 @@
+import { TrackFile } from './TrackFile.js';
+import { TrackThumbnail } from './TrackThumbnail.js';
+
+/**
+ * TrackLibrary - Saved tracks in IndexedDB
+ *
+ * One record per track:
+ * {
+ *   id, name, author, tags: [string],
+ *   created, modified: ISO dates,
+ *   thumbnail: PNG data URL (TrackThumbnail) or null,
+ *   records: [{ lapTime, mode, date }] best lap first,
+ *   data: the track, TrackFile.pack()ed
+ * }
+ *
+ * list() and get() return summaries: the record without `data`, plus
+ * `bestLap`. loadTrack() unpacks the track itself.
+ *
+ * Tracks saved by older versions (`track_<name>` localStorage keys plus a
+ * `trackList` array) are moved in the first time the library opens; keys
+ * that fail to import are left where they are.
+ *
+ * Without IndexedDB (Node, blocked storage) the library is empty and
+ * writes reject.
+ */
+
+const DB_VERSION = 1;
+const LEGACY_LIST_KEY = 'trackList';
+const LEGACY_TRACK_PREFIX = 'track_';
+
+export class TrackLibrary {
+  /**
+   * @param {Object} options
+   * @param {string} [options.dbName='minikart']
+   * @param {string} [options.storeName='tracks']
+   * @param {number} [options.maxRecords=10] - Best laps kept per track
+   * @param {IDBFactory|null} [options.indexedDB] - Defaults to the browser's
+   * @param {Storage|null} [options.legacyStorage] - Where old saves live (localStorage)
+   */
+  constructor(options = {}) {
+    this.dbName = options.dbName ?? 'minikart';
+    this.storeName = options.storeName ?? 'tracks';
+    this.maxRecords = options.maxRecords ?? 10;
+    this.indexedDB = options.indexedDB !== undefined ? options.indexedDB : getIndexedDB();
+    this.legacyStorage = options.legacyStorage !== undefined ? options.legacyStorage : getLocalStorage();
+    this._db = null;
+    this._ready = null; // Promise of the open (and migrated) database
+  }
+
+  get available() {
+    return Boolean(this.indexedDB);
+  }
+
+  /**
+   * All tracks, most recently modified first
+   * @returns {Promise<Array<Object>>} Summaries (no track data)
+   */
+  async list() {
+    if (!this.available) return [];
+    await this._open();
+    const entries = await this._request('readonly', store => store.getAll());
+    return entries
+      .map(summarize)
+      .sort((a, b) => b.modified.localeCompare(a.modified));
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<Object|null>} Summary
+   */
+  async get(id) {
+    const entry = await this._get(id);
+    return entry ? summarize(entry) : null;
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<Object|null>} Track data (current TrackFile version)
+   * @throws {TrackFormatError} If the stored track is corrupt
+   */
+  async loadTrack(id) {
+    const entry = await this._get(id);
+    return entry ? TrackFile.unpack(entry.data) : null;
+  }
+
+  /**
+   * Save a track: updates `metadata.id` if it exists, otherwise adds a new entry
+   * @param {Object} trackData - Track in any TrackFile version
+   * @param {Object} metadata
+   * @param {string} [metadata.id]
+   * @param {string} [metadata.author]
+   * @param {Array<string>|string} [metadata.tags] - Array or comma-separated
+   * @returns {Promise<Object>} Summary of the saved entry
+   * @throws {TrackFormatError} If the track is invalid
+   */
+  async save(trackData, metadata = {}) {
+    const track = TrackFile.load(trackData);
+    const existing = metadata.id ? await this._get(metadata.id) : null;
+    const now = new Date().toISOString();
+
+    const entry = {
+      id: existing?.id ?? createId(),
+      name: track.name,
+      author: metadata.author ?? existing?.author ?? '',
+      tags: metadata.tags !== undefined ? normalizeTags(metadata.tags) : existing?.tags ?? [],
+      created: existing?.created ?? now,
+      modified: now,
+      thumbnail: TrackThumbnail.render(track),
+      records: existing?.records ?? [],
+      data: await TrackFile.pack(track)
+    };
+
+    await this._put(entry);
+    return summarize(entry);
+  }
+
+  /**
+   * Rename a track (the entry and the name inside its track data)
+   * @returns {Promise<Object|null>} Updated summary, or null if not found
+   */
+  async rename(id, name) {
+    const trimmed = String(name ?? '').trim();
+    if (!trimmed) throw new Error('Track name cannot be empty');
+
+    const entry = await this._get(id);
+    if (!entry) return null;
+
+    const track = await TrackFile.unpack(entry.data);
+    entry.name = trimmed;
+    entry.modified = new Date().toISOString();
+    entry.data = await TrackFile.pack({ ...track, name: trimmed });
+    await this._put(entry);
+    return summarize(entry);
+  }
+
+  /**
+   * Copy a track under a new name (records are not copied)
+   * @returns {Promise<Object|null>} Summary of the copy, or null if not found
+   */
+  async duplicate(id, name = null) {
+    const entry = await this._get(id);
+    if (!entry) return null;
+
+    const track = await TrackFile.unpack(entry.data);
+    const copyName = name ?? `${entry.name} (copy)`;
+    return this.save({ ...track, name: copyName }, { author: entry.author, tags: entry.tags });
+  }
+
+  /**
+   * @returns {Promise<void>}
+   */
+  async delete(id) {
+    if (!this.available) return;
+    await this._open();
+    await this._request('readwrite', store => store.delete(id));
+  }
+
+  /**
+   * Record a lap on a track
+   * @param {string} id
+   * @param {Object} record - { lapTime, mode }
+   * @returns {Promise<boolean>} True if it is the track's new best lap
+   */
+  async addRecord(id, record) {
+    if (!Number.isFinite(record.lapTime) || record.lapTime <= 0) return false;
+
+    const entry = await this._get(id);
+    if (!entry) return false;
+
+    const newRecord = { lapTime: record.lapTime, mode: record.mode ?? 'race', date: new Date().toISOString() };
+    entry.records = [...entry.records, newRecord]
+      .sort((a, b) => a.lapTime - b.lapTime)
+      .slice(0, this.maxRecords);
+    await this._put(entry);
+    return entry.records[0] === newRecord;
+  }
+
+  async _get(id) {
+    if (!this.available) return null;
+    await this._open();
+    return (await this._request('readonly', store => store.get(id))) ?? null;
+  }
+
+  async _put(entry) {
+    if (!this.available) throw new Error('Track library is unavailable (no IndexedDB)');
+    await this._open();
+    await this._request('readwrite', store => store.put(entry));
+  }
+
+  /**
+   * Run one request in its own transaction, resolving once it commits
+   */
+  _request(mode, makeRequest) {
+    return new Promise((resolve, reject) => {
+      const transaction = this._db.transaction(this.storeName, mode);
+      const request = makeRequest(transaction.objectStore(this.storeName));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error ?? request.error);
+      transaction.onabort = () => reject(transaction.error ?? new Error('Transaction aborted'));
+    });
+  }
+
+  /**
+   * Open (and migrate) the database once. A failed open isn't kept, so
+   * the next call tries again; another tab upgrading the database closes
+   * this connection, and the next call reopens it
+   */
+  _open() {
+    if (!this._ready) {
+      const ready = new Promise((resolve, reject) => {
+        let settled = false;
+        const fail = error => {
+          settled = true;
+          reject(error);
+        };
+        const request = this.indexedDB.open(this.dbName, DB_VERSION);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(this.storeName)) {
+            db.createObjectStore(this.storeName, { keyPath: 'id' });
+          }
+        };
+        request.onsuccess = () => {
+          // Opened after giving up on it (was blocked): let the next call reopen
+          if (settled) {
+            request.result.close();
+            return;
+          }
+          settled = true;
+          resolve(request.result);
+        };
+        request.onerror = () => fail(request.error);
+        request.onblocked = () => fail(new Error('Track library is open in an older tab'));
+      }).then(async db => {
+        db.onversionchange = () => {
+          db.close();
+          if (this._db === db) {
+            this._db = null;
+            this._ready = null;
+          }
+        };
+        this._db = db;
+        try {
+          await this._migrateLegacyTracks();
+        } catch (error) {
+          db.close();
+          this._db = null;
+          throw error;
+        }
+        return db;
+      }).catch(error => {
+        if (this._ready === ready) this._ready = null;
+        throw error;
+      });
+      this._ready = ready;
+    }
+    return this._ready;
+  }
+
+  /**
+   * Move localStorage saves from before the library into it
+   */
+  async _migrateLegacyTracks() {
+    const storage = this.legacyStorage;
+    let names;
+    try {
+      names = JSON.parse(storage?.getItem(LEGACY_LIST_KEY) ?? 'null');
+    } catch {
+      names = null;
+    }
+    if (!Array.isArray(names)) return;
+
+    const failed = [];
+    for (const name of names) {
+      const key = LEGACY_TRACK_PREFIX + name;
+      const text = storage.getItem(key);
+      if (!text) continue;
+
+      try {
+        const track = await TrackFile.unpack(text);
+        const now = new Date().toISOString();
+        const entry = {
+          id: createId(),
+          name: track.name,
+          author: '',
+          tags: [],
+          created: now,
+          modified: now,
+          thumbnail: TrackThumbnail.render(track),
+          records: [],
+          data: await TrackFile.pack(track)
+        };
+        await this._request('readwrite', store => store.put(entry));
+        storage.removeItem(key);
+      } catch (error) {
+        console.warn(`Could not move saved track "${name}" into the library:`, error.message);
+        failed.push(name);
+      }
+    }
+
+    if (failed.length > 0) {
+      storage.setItem(LEGACY_LIST_KEY, JSON.stringify(failed));
+    } else {
+      storage.removeItem(LEGACY_LIST_KEY);
+    }
+    console.log(`Moved ${names.length - failed.length} saved track(s) into the track library`);
+  }
+}
+
+function summarize({ data, ...entry }) {
+  return { ...entry, bestLap: entry.records[0]?.lapTime ?? null };
+}
+
+function normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags).split(',');
+  return [...new Set(list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+}
+
+function createId() {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+function getIndexedDB() {
+  try {
+    return typeof indexedDB !== 'undefined' ? indexedDB : null;
+  } catch {
+    return null; // Blocked (privacy mode, sandboxed iframe)
+  }
+}
+
+function getLocalStorage() {
+  try {
+    return typeof localStorage !== 'undefined' ? localStorage : null;
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,60 @@
+import { getTile, parseCell } from './TileRegistry.js';
+import { TrackView } from './TrackView.js';
+
+/**
+ * TrackThumbnail - Top-down preview image of a track
+ *
+ * Draws every cell in its prototype-mode color on a 2D canvas (raised
+ * cells lighter, the start/finish line in white) and returns it as a PNG
+ * data URL for the track library. Needs a DOM; returns null without one.
+ */
+
+export class TrackThumbnail {
+  /**
+   * @param {Object} trackData - Verbose track data (TrackFile.load output)
+   * @param {Object} options
+   * @param {number} [options.size=160] - Longest side in pixels
+   * @returns {string|null} PNG data URL
+   */
+  static render(trackData, options = {}) {
+    if (typeof document === 'undefined') return null;
+
+    const size = options.size ?? 160;
+    const { layout, heights } = trackData;
+    const rows = layout.length;
+    const cols = layout[0]?.length ?? 0;
+    if (rows === 0 || cols === 0) return null;
+
+    const cell = size / Math.max(rows, cols);
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(cols * cell));
+    canvas.height = Math.max(1, Math.round(rows * cell));
+    const ctx = canvas.getContext('2d');
+
+    for (let row = 0; row < rows; row++) {
+      for (let col = 0; col < cols; col++) {
+        const tile = getTile(parseCell(layout[row][col]).id);
+        if (!tile) continue;
+
+        const color = tile.id === 'start_finish' ? 0xFFFFFF : TrackView.getPrototypeColor(tile);
+        ctx.fillStyle = shade(color, heights?.[row]?.[col] ?? 0);
+        // Overlap by a pixel so fractional cells leave no seams
+        ctx.fillRect(col * cell, row * cell, cell + 1, cell + 1);
+      }
+    }
+
+    return canvas.toDataURL('image/png');
+  }
+}
+
+/**
+ * CSS color for a tile, lightened 15% per level (up to 60%)
+ */
+function shade(hex, level) {
+  const lift = Math.min(level * 0.15, 0.6);
+  const channel = shift => {
+    const value = (hex >> shift) & 0xFF;
+    return Math.round(value + (255 - value) * lift);
+  };
+  return `rgb(${channel(16)}, ${channel(8)}, ${channel(0)})`;
+}
@@ -0,0 +1,502 @@
+import * as THREE from 'three';
+import { mergeGeometries } from 'three/addons/utils/BufferGeometryUtils.js';
+import { getTile, rotateSide } from './TileRegistry.js';
+import { TextureManager } from '../core/TextureManager.js';
+import { RenderConfig } from '../config/RenderConfig.js';
+import { SkyboxManager } from '../core/SkyboxManager.js';
+
+/**
+ * TrackView - Visual representation of a Track
+ *
+ * Builds tile meshes, materials, procedural textures and the skybox.
+ * Track only creates a view when it has a scene; the simulation never
+ * reads anything from here.
+ *
+ * Tiles are batched: the grid is cut into square chunks, and each chunk
+ * merges the boxes of all its cells that share a material into one mesh.
+ * A chunk mesh has its own bounding sphere, so three.js frustum-culls
+ * whole chunks, and editing a cell only rebuilds the chunk it sits in.
+ */
+
+/** Unit box standing on y = 0 (scaled per cell) */
+const UNIT_BOX = new THREE.BoxGeometry(1, 1, 1).translate(0, 0.5, 0);
+
+/** Unit wedge standing on y = 0, rising from 0 (south) to 1 (north) */
+const UNIT_WEDGE = (() => {
+  const geometry = UNIT_BOX.clone();
+  const positions = geometry.attributes.position;
+  for (let i = 0; i < positions.count; i++) {
+    if (positions.getY(i) > 0.5 && positions.getZ(i) > 0) {
+      positions.setY(i, 0);
+    }
+  }
+  geometry.computeVertexNormals();
+  return geometry;
+})();
+
+/** Slope sides in clockwise order (quarter turns from north) */
+const SIDES = ['north', 'east', 'south', 'west'];
+
+export class TrackView {
+  /**
+   * @param {Track} track
+   * @param {THREE.Scene} scene
+   * @param {Object} [options]
+   * @param {number} [options.chunkSize=16] - Cells per chunk side
+   */
+  constructor(track, scene, options = {}) {
+    this.track = track;
+    this.scene = scene;
+    this.chunkSize = options.chunkSize ?? 16;
+
+    // Visual meshes
+    this.chunks = new Map(); // "chunkRow,chunkCol" -> THREE.Group of merged meshes
+    this.trackGroup = new THREE.Group();
+    this.scene.add(this.trackGroup);
+    this.materialCache = new Map();
+
+    this._matrix = new THREE.Matrix4();
+    this._rotation = new THREE.Quaternion();
+    this._up = new THREE.Vector3(0, 1, 0);
+  }
+
+  /**
+   * Rebuild all tile meshes from the track's grid
+   */
+  build() {
+    this.clear();
+
+    const rows = Math.ceil(this.track.height / this.chunkSize);
+    const cols = Math.ceil(this.track.width / this.chunkSize);
+    for (let chunkRow = 0; chunkRow < rows; chunkRow++) {
+      for (let chunkCol = 0; chunkCol < cols; chunkCol++) {
+        this._buildChunk(chunkRow, chunkCol);
+      }
+    }
+  }
+
+  /**
+   * Rebuild only the chunks containing these cells (editor edits)
+   * @param {Array<{row: number, col: number}>} cells
+   */
+  rebuildCells(cells) {
+    const keys = new Set();
+    for (const { row, col } of cells) {
+      if (row < 0 || row >= this.track.height || col < 0 || col >= this.track.width) continue;
+      keys.add(`${Math.floor(row / this.chunkSize)},${Math.floor(col / this.chunkSize)}`);
+    }
+
+    for (const key of keys) {
+      const [chunkRow, chunkCol] = key.split(',').map(Number);
+      this._disposeChunk(key);
+      this._buildChunk(chunkRow, chunkCol);
+    }
+  }
+
+  /**
+   * Number of meshes drawn for the tiles (before culling)
+   */
+  getMeshCount() {
+    let count = 0;
+    for (const group of this.chunks.values()) {
+      count += group.children.length;
+    }
+    return count;
+  }
+
+  /**
+   * Load skybox for the track
+   */
+  async loadSkybox() {
+    await SkyboxManager.loadSkybox(this.scene, this.track.skyboxId);
+  }
+
+  /**
+   * Merge every cell of a chunk into one mesh per tile material
+   */
+  _buildChunk(chunkRow, chunkCol) {
+    const parts = new Map(); // tile id -> { tile, geometries }
+    const rowEnd = Math.min((chunkRow + 1) * this.chunkSize, this.track.height);
+    const colEnd = Math.min((chunkCol + 1) * this.chunkSize, this.track.width);
+
+    for (let row = chunkRow * this.chunkSize; row < rowEnd; row++) {
+      for (let col = chunkCol * this.chunkSize; col < colEnd; col++) {
+        const tile = getTile(this.track.trackData[row][col]);
+        if (!parts.has(tile.id)) parts.set(tile.id, { tile, geometries: [] });
+        parts.get(tile.id).geometries.push(...this._createTileGeometries(tile, row, col));
+      }
+    }
+
+    const group = new THREE.Group();
+    for (const { tile, geometries } of parts.values()) {
+      const geometry = mergeGeometries(geometries);
+      geometries.forEach(part => part.dispose());
+      if (!geometry) continue;
+
+      const mesh = new THREE.Mesh(geometry, this._getTileMaterial(tile));
+      mesh.receiveShadow = true;
+      mesh.castShadow = tile.type === 'obstacle' || Boolean(tile.bridge);
+      mesh.userData.tileId = tile.id;
+      group.add(mesh);
+    }
+
+    this.trackGroup.add(group);
+    this.chunks.set(`${chunkRow},${chunkCol}`, group);
+  }
+
+  /**
+   * Geometry for one cell, in world space
+   * Raised cells are solid columns from the ground up; slopes add a wedge
+   * rising toward their (rotated) side and bridges a deck above the road.
+   * Rotation is clockwise seen from above, so texture and markings turn too.
+   * @param {Object} tile - Tile definition
+   * @param {number} row
+   * @param {number} col
+   * @returns {Array<THREE.BufferGeometry>}
+   */
+  _createTileGeometries(tile, row, col) {
+    const center = this.track.gridToWorld(row, col);
+    const base = this.track.getLevel(row, col) * this.track.levelHeight;
+    const rotation = this.track.getRotation(row, col);
+    const tileHeight = tile.height ?? 0.2;
+    const size = this.track.tileSize * 1.01;
+
+    const place = (unit, y, height, degrees) => {
+      this._rotation.setFromAxisAngle(this._up, -THREE.MathUtils.degToRad(degrees));
+      this._matrix.compose(
+        new THREE.Vector3(center.x, y, center.z),
+        this._rotation,
+        new THREE.Vector3(size, height, size)
+      );
+      return unit.clone().applyMatrix4(this._matrix);
+    };
+
+    const column = base + tileHeight;
+    const geometries = [place(UNIT_BOX, 0, column, rotation)];
+
+    if (tile.slope) {
+      const side = SIDES.indexOf(rotateSide(tile.slope, rotation));
+      geometries.push(place(UNIT_WEDGE, column, this.track.levelHeight, side * 90));
+    }
+
+    if (tile.bridge) {
+      // Top of the deck sits where the road top would on flat ground
+      const thickness = 0.4;
+      const deckTop = base + (tile.bridge.deck ?? 2) * this.track.levelHeight + tileHeight;
+      geometries.push(place(UNIT_BOX, deckTop - thickness, thickness, rotation));
+    }
+
+    return geometries;
+  }
+
+  /**
+   * Create or reuse a material for a tile based on render mode
+   */
+  _getTileMaterial(tile) {
+    const key = `${RenderConfig.getMode()}-${tile.id}`;
+    if (this.materialCache.has(key)) {
+      return this.materialCache.get(key);
+    }
+
+    // Generate color based on tile type for prototype mode
+    let tileColor = tile.color;
+    if (RenderConfig.isPrototype()) {
+      tileColor = TrackView.getPrototypeColor(tile);
+    }
+
+    const materialOptions = {
+      color: tileColor,
+      roughness: tile.roughness,
+      metalness: tile.metalness
+    };
+
+    if (RenderConfig.isFull() && tile.texture) {
+      const texture = TextureManager.loadTexture(tile.texture, {
+        repeat: tile.textureRepeat,
+        wrapS: THREE.RepeatWrapping,
+        wrapT: THREE.RepeatWrapping
+      });
+      if (texture) {
+        materialOptions.map = texture;
+      }
+    }
+
+    if (RenderConfig.isFull() && !materialOptions.map) {
+      materialOptions.map = this._createTileTexture(tile);
+    }
+
+    const material = new THREE.MeshStandardMaterial(materialOptions);
+
+    // Special visual effects (only in prototype mode or when no texture)
+    if (!tile.texture || RenderConfig.isPrototype()) {
+      if (tile.hasCheckeredPattern) {
+        this._addCheckeredPattern(material);
+      }
+      if (tile.hasStripes) {
+        this._addStripePattern(material);
+      }
+      if (tile.effect) {
+        this._addEffectMarking(material, tile);
+      }
+    }
+
+    this.materialCache.set(key, material);
+    return material;
+  }
+
+  /**
+   * Get procedural color for a tile in prototype mode
+   * (also used for track thumbnails)
+   */
+  static getPrototypeColor(tile) {
+    // Effect tiles keep their own color so they stand out
+    if (tile.effect) {
+      return tile.color;
+    }
+
+    // Map tile types to distinct colors
+    if (tile.id === 'straight' || tile.id === 'corner') {
+      return 0x444444; // Dark gray for road
+    } else if (tile.id === 'start_finish') {
+      return 0x444444; // Same as road (pattern will differentiate)
+    } else if (tile.slope || tile.bridge) {
+      return 0x5A5A5A; // Slightly lighter road so ramps and bridges read
+    } else if (tile.id === 'grass' || tile.id.startsWith('grass_')) {
+      return 0x228B22; // Forest green for grass
+    } else if (tile.id === 'dirt' || tile.id.startsWith('dirt_')) {
+      return 0x8B7355; // Brown for dirt
+    } else if (tile.id === 'wall') {
+      return 0xCCCCCC; // Light gray for walls
+    } else if (tile.id === 'barrier') {
+      return 0xFF4444; // Red for barriers
+    } else if (tile.id === 'empty') {
+      return 0x333333; // Dark gray for empty
+    }
+    // Default fallback
+    return 0x888888;
+  }
+
+  /**
+   * Generate simple procedural textures for tiles
+   */
+  _createTileTexture(tile) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 128;
+    canvas.height = 128;
+    const ctx = canvas.getContext('2d');
+
+    // Convert hex color to CSS format
+    const hexToCSS = (hex) => {
+      return '#' + hex.toString(16).padStart(6, '0');
+    };
+
+    const fill = (color) => {
+      ctx.fillStyle = color;
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+    };
+
+    const addNoise = (alpha = 0.12) => {
+      const imgData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+      for (let i = 0; i < imgData.data.length; i += 4) {
+        const v = Math.floor(Math.random() * 255);
+        imgData.data[i] += v * alpha;
+        imgData.data[i + 1] += v * alpha;
+        imgData.data[i + 2] += v * alpha;
+      }
+      ctx.putImageData(imgData, 0, 0);
+    };
+
+    const addStripes = (colorA, colorB, width = 10) => {
+      for (let x = -width; x < canvas.width + width; x += width * 2) {
+        ctx.fillStyle = colorA;
+        ctx.fillRect(x, 0, width, canvas.height);
+        ctx.fillStyle = colorB;
+        ctx.fillRect(x + width, 0, width, canvas.height);
+      }
+    };
+
+    // Use tile's color property for consistent coloring
+    const tileColor = hexToCSS(tile.color);
+
+    if (tile.type === 'road' || tile.id === 'start_finish') {
+      fill(tileColor);
+      addNoise(0.18);
+      if (tile.id === 'start_finish') {
+        addStripes('#ffffff', '#000000', 6);
+      }
+    } else if (tile.id === 'grass' || tile.id.startsWith('grass_')) {
+      fill(tileColor);
+      addNoise(0.35);
+      ctx.strokeStyle = 'rgba(255,255,255,0.08)';
+      for (let i = 0; i < 60; i++) {
+        ctx.beginPath();
+        ctx.moveTo(Math.random() * canvas.width, Math.random() * canvas.height);
+        ctx.lineTo(Math.random() * canvas.width, Math.random() * canvas.height);
+        ctx.stroke();
+      }
+    } else if (tile.id === 'dirt' || tile.id.startsWith('dirt_')) {
+      fill(tileColor);
+      addNoise(0.3);
+      ctx.fillStyle = 'rgba(30,15,0,0.18)';
+      for (let i = 0; i < 90; i++) {
+        ctx.beginPath();
+        ctx.arc(Math.random() * canvas.width, Math.random() * canvas.height, 2 + Math.random() * 1.5, 0, Math.PI * 2);
+        ctx.fill();
+      }
+    } else if (tile.id === 'barrier') {
+      addStripes('#ff3b3b', '#ffffff', 10);
+    } else if (tile.id === 'wall') {
+      fill(tileColor);
+      addNoise(0.12);
+      ctx.strokeStyle = 'rgba(255,255,255,0.15)';
+      for (let y = 0; y < canvas.height; y += 16) {
+        ctx.beginPath();
+        ctx.moveTo(0, y);
+        ctx.lineTo(canvas.width, y);
+        ctx.stroke();
+      }
+    } else {
+      fill(tileColor);
+      addNoise(0.15);
+    }
+
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.wrapS = texture.wrapT = THREE.RepeatWrapping;
+    texture.repeat.set(1, 1);
+    return texture;
+  }
+
+  /**
+   * Add checkered pattern to start/finish line
+   */
+  _addCheckeredPattern(material) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 128;
+    canvas.height = 128;
+    const ctx = canvas.getContext('2d');
+
+    // Draw checkered pattern
+    const squareSize = 16;
+    for (let i = 0; i < 8; i++) {
+      for (let j = 0; j < 8; j++) {
+        ctx.fillStyle = (i + j) % 2 === 0 ? '#FFFFFF' : '#000000';
+        ctx.fillRect(i * squareSize, j * squareSize, squareSize, squareSize);
+      }
+    }
+
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.wrapS = THREE.RepeatWrapping;
+    texture.wrapT = THREE.RepeatWrapping;
+    texture.repeat.set(2, 2);
+
+    material.map = texture;
+    material.needsUpdate = true;
+  }
+
+  /**
+   * Add stripe pattern to barriers
+   */
+  _addStripePattern(material) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 128;
+    canvas.height = 128;
+    const ctx = canvas.getContext('2d');
+
+    // Draw diagonal stripes
+    ctx.fillStyle = '#FF4444';
+    ctx.fillRect(0, 0, 128, 128);
+    ctx.fillStyle = '#FFFFFF';
+    for (let i = -128; i < 256; i += 32) {
+      ctx.fillRect(i, 0, 16, 128);
+    }
+
+    material.map = new THREE.CanvasTexture(canvas);
+    material.needsUpdate = true;
+  }
+
+  /**
+   * Mark effect tiles: chevrons on boost pads and ramps, studs on spikes,
+   * rings on bumpers
+   */
+  _addEffectMarking(material, tile) {
+    const type = tile.effect.type;
+    if (type === 'slick') return;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = 128;
+    canvas.height = 128;
+    const ctx = canvas.getContext('2d');
+
+    ctx.fillStyle = '#' + tile.color.toString(16).padStart(6, '0');
+    ctx.fillRect(0, 0, 128, 128);
+
+    if (type === 'boost' || type === 'jump') {
+      ctx.strokeStyle = type === 'boost' ? '#FFEE00' : '#FFFFFF';
+      ctx.lineWidth = 10;
+      for (let y = 28; y < 128; y += 40) {
+        ctx.beginPath();
+        ctx.moveTo(24, y + 16);
+        ctx.lineTo(64, y - 8);
+        ctx.lineTo(104, y + 16);
+        ctx.stroke();
+      }
+    } else if (type === 'damage') {
+      ctx.fillStyle = '#DDDDDD';
+      for (let y = 16; y < 128; y += 32) {
+        for (let x = 16; x < 128; x += 32) {
+          ctx.beginPath();
+          ctx.moveTo(x, y - 10);
+          ctx.lineTo(x + 9, y + 8);
+          ctx.lineTo(x - 9, y + 8);
+          ctx.fill();
+        }
+      }
+    } else if (type === 'bump') {
+      ctx.strokeStyle = '#FFFFFF';
+      ctx.lineWidth = 8;
+      for (const radius of [16, 36, 56]) {
+        ctx.beginPath();
+        ctx.arc(64, 64, radius, 0, Math.PI * 2);
+        ctx.stroke();
+      }
+    }
+
+    material.map = new THREE.CanvasTexture(canvas);
+    material.needsUpdate = true;
+  }
+
+  /**
+   * Clear all track meshes and materials
+   */
+  clear() {
+    for (const key of [...this.chunks.keys()]) {
+      this._disposeChunk(key);
+    }
+
+    for (const material of this.materialCache.values()) {
+      if (material.map) material.map.dispose();
+      material.dispose();
+    }
+    this.materialCache.clear();
+  }
+
+  /**
+   * Remove one chunk's meshes (materials are shared and stay cached)
+   */
+  _disposeChunk(key) {
+    const group = this.chunks.get(key);
+    if (!group) return;
+
+    this.trackGroup.remove(group);
+    group.children.forEach(mesh => mesh.geometry.dispose());
+    this.chunks.delete(key);
+  }
+
+  /**
+   * Remove all meshes from the scene
+   */
+  destroy() {
+    this.clear();
+    this.scene.remove(this.trackGroup);
+  }
+}
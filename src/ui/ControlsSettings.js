@@ -0,0 +1,231 @@
+import { InputActions, formatKey, formatButton } from '../core/InputBindings.js';
+
+/**
+ * ControlsSettings - Settings screen for rebinding keys and gamepad buttons
+ *
+ * Renders into a container element:
+ * - Profile picker (switch / new / delete / reset to defaults)
+ * - One row per action with its key and button bindings
+ *
+ * Click a binding to remove it. "+ Key" / "+ Button" waits for the next key
+ * or gamepad button press (Escape cancels). Every change is saved right away
+ * through InputBindings.
+ */
+
+export class ControlsSettings {
+  /**
+   * @param {InputBindings} bindings
+   * @param {HTMLElement} container
+   * @param {Object} options
+   * @param {Function} [options.onClose] - Called after the screen is hidden
+   */
+  constructor(bindings, container, options = {}) {
+    this.bindings = bindings;
+    this.container = container;
+    this.onClose = options.onClose ?? null;
+
+    this.capture = null; // { action, device }
+    this.message = '';
+    this._captureFrame = null;
+    this._prevButtons = [];
+
+    this._onKeyDown = (e) => this._handleCaptureKey(e);
+  }
+
+  show() {
+    this.container.classList.remove('hidden');
+    this.render();
+  }
+
+  hide() {
+    this._stopCapture();
+    this.container.classList.add('hidden');
+    this.onClose?.();
+  }
+
+  /**
+   * Rebuild the whole screen from the active profile
+   */
+  render() {
+    const profiles = this.bindings.listProfiles();
+    const container = this.container;
+    container.innerHTML = '';
+
+    const card = el('div', 'settings-card');
+    card.appendChild(el('h2', null, 'Controls'));
+
+    // --- Profiles ---
+    const profileRow = el('div', 'settings-profiles');
+    const select = el('select');
+    for (const name of profiles) {
+      const option = el('option', null, name);
+      option.value = name;
+      option.selected = name === this.bindings.activeProfile;
+      select.appendChild(option);
+    }
+    select.addEventListener('change', () => {
+      this.bindings.setActiveProfile(select.value);
+      this.render();
+    });
+    profileRow.append(el('label', null, 'Profile '), select);
+
+    profileRow.appendChild(button('New', () => {
+      const name = window.prompt('Profile name');
+      if (name === null) return;
+      if (!this.bindings.createProfile(name)) {
+        this.message = `Can't create profile "${name}"`;
+      }
+      this.render();
+    }));
+
+    const deleteBtn = button('Delete', () => {
+      if (window.confirm(`Delete profile "${this.bindings.activeProfile}"?`)) {
+        this.bindings.deleteProfile(this.bindings.activeProfile);
+        this.render();
+      }
+    });
+    deleteBtn.disabled = profiles.length <= 1;
+    profileRow.appendChild(deleteBtn);
+
+    profileRow.appendChild(button('Reset to defaults', () => {
+      this.bindings.resetToDefaults();
+      this.render();
+    }));
+    card.appendChild(profileRow);
+
+    // --- Bindings table ---
+    const table = el('table', 'settings-bindings');
+    table.innerHTML = '<tr><th>Action</th><th>Keyboard</th><th>Gamepad</th></tr>';
+
+    for (const [action, { label }] of Object.entries(InputActions)) {
+      const row = el('tr');
+      row.appendChild(el('td', null, label));
+      row.appendChild(this._bindingCell(action, 'keyboard'));
+      row.appendChild(this._bindingCell(action, 'gamepad'));
+      table.appendChild(row);
+    }
+    card.appendChild(table);
+
+    const status = el('p', 'settings-status', this._statusText());
+    card.appendChild(status);
+
+    card.appendChild(button('Done', () => this.hide(), 'primary'));
+    container.appendChild(card);
+  }
+
+  _bindingCell(action, device) {
+    const cell = el('td');
+    const values = device === 'keyboard' ? this.bindings.getKeys(action) : this.bindings.getButtons(action);
+
+    for (const value of values) {
+      const label = device === 'keyboard' ? formatKey(value) : formatButton(value);
+      cell.appendChild(button(label, () => {
+        if (device === 'keyboard') {
+          this.bindings.removeKey(action, value);
+        } else {
+          this.bindings.removeButton(action, value);
+        }
+        this.render();
+      }, 'binding'));
+    }
+
+    const waiting = this.capture?.action === action && this.capture?.device === device;
+    cell.appendChild(button(waiting ? '…' : (device === 'keyboard' ? '+ Key' : '+ Button'), () => {
+      this._startCapture(action, device);
+    }, waiting ? 'add waiting' : 'add'));
+
+    return cell;
+  }
+
+  _statusText() {
+    if (this.capture) {
+      const label = InputActions[this.capture.action].label;
+      return this.capture.device === 'keyboard'
+        ? `Press a key for "${label}" (Esc to cancel)`
+        : `Press a gamepad button for "${label}" (Esc to cancel)`;
+    }
+    return this.message || 'Click a binding to remove it.';
+  }
+
+  _startCapture(action, device) {
+    this._stopCapture();
+    this.capture = { action, device };
+    this.message = '';
+
+    window.addEventListener('keydown', this._onKeyDown, true);
+    if (device === 'gamepad') {
+      this._prevButtons = this._readButtons();
+      this._pollGamepad();
+    }
+    this.render();
+  }
+
+  _stopCapture() {
+    this.capture = null;
+    window.removeEventListener('keydown', this._onKeyDown, true);
+    if (this._captureFrame !== null) {
+      cancelAnimationFrame(this._captureFrame);
+      this._captureFrame = null;
+    }
+  }
+
+  _handleCaptureKey(e) {
+    if (!this.capture) return;
+    e.preventDefault();
+    e.stopPropagation();
+
+    const key = e.key.toLowerCase();
+    if (key === 'escape') {
+      this._stopCapture();
+      this.render();
+      return;
+    }
+    if (this.capture.device !== 'keyboard') return;
+
+    this._finishCapture(this.bindings.addKey(this.capture.action, key), formatKey(key));
+  }
+
+  /**
+   * Watch for a newly pressed gamepad button (there is no gamepad event for it)
+   */
+  _pollGamepad() {
+    const buttons = this._readButtons();
+    const pressed = buttons.findIndex((down, i) => down && !this._prevButtons[i]);
+    this._prevButtons = buttons;
+
+    if (pressed !== -1) {
+      this._finishCapture(this.bindings.addButton(this.capture.action, pressed), formatButton(pressed));
+      return;
+    }
+    this._captureFrame = requestAnimationFrame(() => this._pollGamepad());
+  }
+
+  _readButtons() {
+    const gamepads = navigator.getGamepads ? navigator.getGamepads() : [];
+    const gp = Array.from(gamepads).find(pad => pad && pad.connected);
+    return gp ? gp.buttons.map(b => Boolean(b?.pressed)) : [];
+  }
+
+  _finishCapture(removedFrom, label) {
+    const target = InputActions[this.capture.action].label;
+    this.message = removedFrom.length > 0
+      ? `${label} moved to "${target}" (was ${removedFrom.map(a => `"${InputActions[a].label}"`).join(', ')})`
+      : `${label} bound to "${target}"`;
+    this._stopCapture();
+    this.render();
+  }
+}
+
+function el(tag, className = null, text = null) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text !== null) node.textContent = text;
+  return node;
+}
+
+function button(text, onClick, className = null) {
+  const node = el('button', className, text);
+  node.type = 'button';
+  node.addEventListener('click', onClick);
+  return node;
+}
@@ -0,0 +1,174 @@
+import { DIFFICULTIES, KART_MODELS, KART_COLORS, MAX_LAPS, MAX_CPUS, RaceConfig } from '../config/RaceConfig.js';
+
+/**
+ * RaceSetupScreen - Choose track, laps, opponents, difficulty, kart and graphics
+ *
+ * Renders into a container element. The track itself is picked on the track
+ * select screen (onChooseTrack); everything else is edited here. Start hands
+ * the finished RaceConfig to onStart. Opponents and difficulty are hidden
+ * for time trials (always solo).
+ */
+
+export class RaceSetupScreen {
+  /**
+   * @param {HTMLElement} container
+   * @param {Object} options
+   * @param {Function} [options.onStart] - (config) when Start is pressed
+   * @param {Function} [options.onChooseTrack] - (config) when Change track is pressed
+   * @param {Function} [options.onClose] - Called after Back
+   */
+  constructor(container, options = {}) {
+    this.container = container;
+    this.onStart = options.onStart ?? null;
+    this.onChooseTrack = options.onChooseTrack ?? null;
+    this.onClose = options.onClose ?? null;
+
+    this.config = RaceConfig.normalize();
+    this.track = null; // { name, thumbnail }
+  }
+
+  /**
+   * @param {Object} config - RaceConfig to start from
+   * @param {Object} track - Selected track { name, thumbnail }
+   */
+  show(config, track) {
+    this.config = RaceConfig.normalize(config);
+    this.track = track;
+    this.container.classList.remove('hidden');
+    this.render();
+  }
+
+  hide() {
+    this.container.classList.add('hidden');
+  }
+
+  render() {
+    const config = this.config;
+    const isRace = config.mode === 'race';
+    const container = this.container;
+    container.innerHTML = '';
+
+    const card = el('div', 'settings-card setup-card');
+    card.appendChild(el('h2', null, isRace ? 'Race Setup' : 'Time Trial Setup'));
+
+    // --- Track ---
+    const trackRow = el('div', 'setup-track');
+    if (this.track?.thumbnail) {
+      const img = el('img', 'library-thumbnail');
+      img.src = this.track.thumbnail;
+      img.alt = this.track.name;
+      trackRow.appendChild(img);
+    }
+    const trackInfo = el('div');
+    trackInfo.appendChild(el('div', 'library-name', this.track?.name ?? 'No track'));
+    trackInfo.appendChild(button('Change track', () => {
+      this.hide();
+      this.onChooseTrack?.(this.config);
+    }));
+    trackRow.appendChild(trackInfo);
+    card.appendChild(trackRow);
+
+    // --- Options ---
+    const table = el('table', 'setup-options');
+    table.appendChild(row('Laps', select(
+      range(1, MAX_LAPS).map(n => [n, String(n)]),
+      config.laps,
+      value => this._set({ laps: Number(value) })
+    )));
+
+    if (isRace) {
+      table.appendChild(row('Opponents', select(
+        range(0, MAX_CPUS).map(n => [n, n === 0 ? 'None' : String(n)]),
+        config.cpuCount,
+        value => this._set({ cpuCount: Number(value) })
+      )));
+      table.appendChild(row('Difficulty', select(
+        Object.entries(DIFFICULTIES).map(([key, { label }]) => [key, label]),
+        config.difficulty,
+        value => this._set({ difficulty: value })
+      )));
+    }
+
+    table.appendChild(row('Kart', select(
+      Object.entries(KART_MODELS).map(([key, { label }]) => [key, label]),
+      config.kartModel,
+      value => this._set({ kartModel: value })
+    )));
+
+    const swatches = el('div', 'setup-colors');
+    for (const color of KART_COLORS) {
+      const swatch = button('', () => this._set({ kartColor: color }, true),
+        color === config.kartColor ? 'setup-color selected' : 'setup-color');
+      swatch.style.background = `#${color.toString(16).padStart(6, '0')}`;
+      swatch.title = swatch.style.background;
+      swatches.appendChild(swatch);
+    }
+    table.appendChild(row('Colour', swatches));
+
+    table.appendChild(row('Graphics', select(
+      [['prototype', 'Prototype (fast)'], ['full', 'Full (textured)']],
+      config.renderMode,
+      value => this._set({ renderMode: value })
+    )));
+    card.appendChild(table);
+
+    const actions = el('div', 'setup-actions');
+    actions.appendChild(button('Back', () => {
+      this.hide();
+      this.onClose?.();
+    }));
+    const startBtn = button(isRace ? 'Start Race' : 'Start Time Trial', () => {
+      this.hide();
+      this.onStart?.(this.config);
+    }, 'primary');
+    startBtn.disabled = !this.track;
+    actions.appendChild(startBtn);
+    card.appendChild(actions);
+
+    container.appendChild(card);
+  }
+
+  _set(changes, rerender = false) {
+    this.config = RaceConfig.normalize({ ...this.config, ...changes });
+    if (rerender) this.render();
+  }
+}
+
+function row(label, control) {
+  const tr = el('tr');
+  tr.appendChild(el('th', null, label));
+  const td = el('td');
+  td.appendChild(control);
+  tr.appendChild(td);
+  return tr;
+}
+
+function select(options, value, onChange) {
+  const node = el('select');
+  for (const [optionValue, label] of options) {
+    const option = el('option', null, label);
+    option.value = String(optionValue);
+    option.selected = String(optionValue) === String(value);
+    node.appendChild(option);
+  }
+  node.addEventListener('change', () => onChange(node.value));
+  return node;
+}
+
+function range(from, to) {
+  return Array.from({ length: to - from + 1 }, (_, i) => from + i);
+}
+
+function el(tag, className = null, text = null) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text !== null) node.textContent = text;
+  return node;
+}
+
+function button(text, onClick, className = null) {
+  const node = el('button', className, text);
+  node.type = 'button';
+  node.addEventListener('click', onClick);
+  return node;
+}
@@ -0,0 +1,228 @@
+/**
+ * ReplayControls - Playback bar for race replays
+ *
+ * Renders into a container element: play/pause, a scrub slider, playback
+ * speed, which kart the camera follows, free camera, save and exit.
+ *
+ * Keyboard (while shown):
+ * - Space: play / pause
+ * - ← / →: back / forward 5 seconds
+ * - [ / ]: slower / faster
+ * - Tab / Shift+Tab: next / previous kart
+ * - F: free camera
+ * - Escape: exit
+ */
+
+export const REPLAY_SPEEDS = [0.1, 0.25, 0.5, 1, 2, 4];
+
+export class ReplayControls {
+  /**
+   * @param {HTMLElement} container
+   * @param {Object} options
+   * @param {Function} [options.onCameraChange] - (kartIndex) when the followed kart changes
+   * @param {Function} [options.onFreeCamera] - (enabled) when free camera is toggled
+   * @param {Function} [options.onSave] - Save the replay to a file
+   * @param {Function} [options.onExit] - Leave the replay
+   */
+  constructor(container, options = {}) {
+    this.container = container;
+    this.onCameraChange = options.onCameraChange ?? null;
+    this.onFreeCamera = options.onFreeCamera ?? null;
+    this.onSave = options.onSave ?? null;
+    this.onExit = options.onExit ?? null;
+
+    this.player = null;
+    this.kartIndex = 0;
+    this.freeCamera = false;
+    this._scrubbing = false;
+
+    this._onKeyDown = (e) => this._handleKey(e);
+  }
+
+  /**
+   * Show the bar for a ReplayPlayer
+   * @param {ReplayPlayer} player
+   * @param {number} [kartIndex=0] - Kart the camera starts on
+   */
+  show(player, kartIndex = 0) {
+    this.player = player;
+    this.kartIndex = kartIndex;
+    this.freeCamera = false;
+    this.render();
+    this.container.classList.remove('hidden');
+    window.addEventListener('keydown', this._onKeyDown);
+  }
+
+  hide() {
+    window.removeEventListener('keydown', this._onKeyDown);
+    this.container.classList.add('hidden');
+    this.container.innerHTML = '';
+    this.player = null;
+  }
+
+  /**
+   * Rebuild the bar
+   */
+  render() {
+    const player = this.player;
+    const container = this.container;
+    container.innerHTML = '';
+
+    this.playBtn = button('', () => {
+      player.togglePause();
+      this.update();
+    });
+
+    this.slider = el('input');
+    this.slider.type = 'range';
+    this.slider.min = '0';
+    this.slider.max = String(player.duration);
+    this.slider.step = String(1 / player.tickRate);
+    this.slider.addEventListener('pointerdown', () => { this._scrubbing = true; });
+    this.slider.addEventListener('pointerup', () => { this._scrubbing = false; });
+    this.slider.addEventListener('input', () => {
+      player.seek(Number(this.slider.value));
+      this.update();
+    });
+
+    this.timeLabel = el('span', 'replay-time');
+
+    const speedSelect = el('select');
+    for (const speed of REPLAY_SPEEDS) {
+      const option = el('option', null, `${speed}×`);
+      option.value = String(speed);
+      option.selected = speed === player.speed;
+      speedSelect.appendChild(option);
+    }
+    speedSelect.addEventListener('change', () => {
+      player.setSpeed(Number(speedSelect.value));
+      speedSelect.blur(); // Keep [ ] and Space for the bar
+    });
+    this.speedSelect = speedSelect;
+
+    this.kartLabel = el('span', 'replay-kart');
+    const cameraGroup = el('span', 'replay-camera');
+    cameraGroup.append(
+      button('◀', () => this.cycleKart(-1)),
+      this.kartLabel,
+      button('▶', () => this.cycleKart(1))
+    );
+
+    this.freeCamBtn = button('Free Cam', () => this.toggleFreeCamera());
+
+    container.append(
+      this.playBtn,
+      this.slider,
+      this.timeLabel,
+      speedSelect,
+      cameraGroup,
+      this.freeCamBtn,
+      button('💾 Save', () => this.onSave?.()),
+      button('✕ Exit', () => this.onExit?.(), 'exit')
+    );
+
+    this.update();
+  }
+
+  /**
+   * Refresh the bar from the player (call every frame)
+   */
+  update() {
+    const player = this.player;
+    if (!player) return;
+
+    this.playBtn.textContent = player.isPlaying ? '⏸' : '▶';
+    if (!this._scrubbing) {
+      this.slider.value = String(player.time);
+    }
+    this.timeLabel.textContent = `${formatTime(player.time)} / ${formatTime(player.duration)}`;
+    this.speedSelect.value = String(player.speed);
+
+    const kart = player.replay.karts[this.kartIndex];
+    this.kartLabel.textContent = kart.isPlayer ? 'You' : kart.id;
+    this.freeCamBtn.classList.toggle('active', this.freeCamera);
+  }
+
+  /**
+   * Follow the next (1) or previous (-1) kart
+   */
+  cycleKart(direction) {
+    const count = this.player.karts.length;
+    this.kartIndex = (this.kartIndex + direction + count) % count;
+    if (this.freeCamera) this.toggleFreeCamera();
+    this.onCameraChange?.(this.kartIndex);
+    this.update();
+  }
+
+  toggleFreeCamera() {
+    this.freeCamera = !this.freeCamera;
+    this.onFreeCamera?.(this.freeCamera);
+    this.update();
+  }
+
+  _changeSpeed(direction) {
+    const index = REPLAY_SPEEDS.indexOf(this.player.speed);
+    const next = REPLAY_SPEEDS[Math.min(Math.max(index + direction, 0), REPLAY_SPEEDS.length - 1)];
+    this.player.setSpeed(next);
+    this.update();
+  }
+
+  _handleKey(e) {
+    if (!this.player) return;
+
+    switch (e.key) {
+      case ' ':
+        this.player.togglePause();
+        break;
+      case 'ArrowLeft':
+        this.player.seek(this.player.time - 5);
+        break;
+      case 'ArrowRight':
+        this.player.seek(this.player.time + 5);
+        break;
+      case '[':
+        this._changeSpeed(-1);
+        break;
+      case ']':
+        this._changeSpeed(1);
+        break;
+      case 'Tab':
+        this.cycleKart(e.shiftKey ? -1 : 1);
+        break;
+      case 'f':
+      case 'F':
+        this.toggleFreeCamera();
+        break;
+      case 'Escape':
+        this.onExit?.();
+        return;
+      default:
+        return;
+    }
+
+    e.preventDefault();
+    this.update();
+  }
+}
+
+function formatTime(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${(seconds - minutes * 60).toFixed(2).padStart(5, '0')}`;
+}
+
+function el(tag, className = null, text = null) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text !== null) node.textContent = text;
+  return node;
+}
+
+function button(text, onClick, className = null) {
+  const node = el('button', className, text);
+  node.type = 'button';
+  node.addEventListener('click', (e) => {
+    onClick(e);
+    node.blur(); // Space should toggle playback, not click the button again
+  });
+  return node;
+}
@@ -0,0 +1,177 @@
+import { TrackFile } from '../track/TrackFile.js';
+import { TrackThumbnail } from '../track/TrackThumbnail.js';
+
+/**
+ * TrackLibraryScreen - Browse the track library (editor load, game track select)
+ *
+ * Renders into a container element: one card per track with its thumbnail,
+ * name, author, tags, last change and best lap, and buttons to pick, rename,
+ * duplicate or delete it. Built-in tracks passed as `bundled` come first and
+ * can only be picked.
+ */
+
+export class TrackLibraryScreen {
+  /**
+   * @param {TrackLibrary} library
+   * @param {HTMLElement} container
+   * @param {Object} options
+   * @param {string} [options.title='Tracks']
+   * @param {string} [options.selectLabel='Load'] - Text of the pick button
+   * @param {Array<Object>} [options.bundled=[]] - Built-in tracks: { id, name, trackData }
+   * @param {Function} [options.onSelect] - (entry) when a track is picked; `entry.bundled` for built-ins
+   * @param {Function} [options.onChange] - (action, entry) after 'rename', 'duplicate' or 'delete'
+   * @param {Function} [options.onClose] - Called after the screen is hidden
+   */
+  constructor(library, container, options = {}) {
+    this.library = library;
+    this.container = container;
+    this.title = options.title ?? 'Tracks';
+    this.selectLabel = options.selectLabel ?? 'Load';
+    this.bundled = (options.bundled ?? []).map(track => ({ ...track, bundled: true, thumbnail: null }));
+    this.onSelect = options.onSelect ?? null;
+    this.onChange = options.onChange ?? null;
+    this.onClose = options.onClose ?? null;
+    this.message = '';
+  }
+
+  async show() {
+    this.container.classList.remove('hidden');
+    await this.render();
+  }
+
+  hide() {
+    this.container.classList.add('hidden');
+    this.onClose?.();
+  }
+
+  /**
+   * Rebuild the screen from the library
+   */
+  async render() {
+    let entries = [];
+    try {
+      entries = await this.library.list();
+    } catch (error) {
+      this.message = `Could not read the track library: ${error.message}`;
+    }
+
+    const container = this.container;
+    container.innerHTML = '';
+
+    const card = el('div', 'settings-card library-card');
+    card.appendChild(el('h2', null, this.title));
+
+    const grid = el('div', 'library-grid');
+    for (const entry of [...this.bundled, ...entries]) {
+      grid.appendChild(this._item(entry));
+    }
+    card.appendChild(grid);
+
+    if (this.bundled.length === 0 && entries.length === 0) {
+      card.appendChild(el('p', 'settings-status', this.library.available
+        ? 'No saved tracks yet. Build one in the Map Editor and press Save.'
+        : 'Saving tracks is not available in this browser.'));
+    }
+
+    card.appendChild(el('p', 'settings-status', this.message));
+    card.appendChild(button('Close', () => this.hide(), 'primary'));
+    container.appendChild(card);
+  }
+
+  _item(entry) {
+    const item = el('div', 'library-item');
+
+    const thumbnail = entry.bundled ? this._bundledThumbnail(entry) : entry.thumbnail;
+    if (thumbnail) {
+      const img = el('img', 'library-thumbnail');
+      img.src = thumbnail;
+      img.alt = entry.name;
+      item.appendChild(img);
+    } else {
+      item.appendChild(el('div', 'library-thumbnail'));
+    }
+
+    item.appendChild(el('div', 'library-name', entry.name));
+
+    const details = entry.bundled
+      ? ['Built-in']
+      : [entry.author || 'Unknown author', new Date(entry.modified).toLocaleDateString()];
+    item.appendChild(el('div', 'library-meta', details.join(' · ')));
+    if (entry.tags?.length) {
+      item.appendChild(el('div', 'library-tags', entry.tags.map(tag => `#${tag}`).join(' ')));
+    }
+    if (entry.bestLap) {
+      item.appendChild(el('div', 'library-meta', `Best lap ${entry.bestLap.toFixed(2)}s`));
+    }
+
+    const actions = el('div', 'library-actions');
+    actions.appendChild(button(this.selectLabel, () => this._select(entry), 'binding'));
+    if (!entry.bundled) {
+      actions.appendChild(button('Rename', () => this._rename(entry)));
+      actions.appendChild(button('Duplicate', () => this._run('duplicate', entry, () => this.library.duplicate(entry.id))));
+      actions.appendChild(button('Delete', () => {
+        if (window.confirm(`Delete "${entry.name}"? This cannot be undone.`)) {
+          this._run('delete', entry, async () => {
+            await this.library.delete(entry.id);
+            return entry;
+          });
+        }
+      }));
+    }
+    item.appendChild(actions);
+
+    return item;
+  }
+
+  async _select(entry) {
+    try {
+      await this.onSelect?.(entry);
+      this.message = '';
+      this.hide();
+    } catch (error) {
+      this.message = `Could not load "${entry.name}": ${error.message}`;
+      await this.render();
+    }
+  }
+
+  _rename(entry) {
+    const name = window.prompt('Track name', entry.name);
+    if (name === null || name.trim() === entry.name) return;
+    this._run('rename', entry, () => this.library.rename(entry.id, name));
+  }
+
+  /**
+   * Run a library change, report it and refresh
+   */
+  async _run(action, entry, change) {
+    try {
+      const result = await change();
+      this.message = '';
+      this.onChange?.(action, result ?? entry);
+    } catch (error) {
+      this.message = `Could not ${action} "${entry.name}": ${error.message}`;
+    }
+    await this.render();
+  }
+
+  _bundledThumbnail(entry) {
+    if (!entry.thumbnail) {
+      entry.thumbnail = TrackThumbnail.render(TrackFile.load(entry.trackData));
+    }
+    return entry.thumbnail;
+  }
+}
+
+function el(tag, className = null, text = null) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text !== null) node.textContent = text;
+  return node;
+}
+
+function button(text, onClick, className = null) {
+  const node = el('button', className, text);
+  node.type = 'button';
+  node.addEventListener('click', onClick);
+  return node;
+}
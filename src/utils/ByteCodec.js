@@ -0,0 +1,114 @@
+/**
+ * ByteCodec - Small binary helpers shared by the file formats
+ *
+ * Varint byte buffers and base64 (replays, compact track layouts) and
+ * deflate for storage. Deflate uses the platform CompressionStream, so it
+ * is async and may be missing; check canDeflate() first.
+ */
+
+/**
+ * Growable byte buffer with unsigned LEB128 varints
+ */
+export class ByteWriter {
+  constructor() {
+    this.bytes = new Uint8Array(1024);
+    this.length = 0;
+  }
+
+  varint(n) {
+    // Arithmetic instead of bit ops: values can pass 2^31
+    while (n >= 0x80) {
+      this._push((n % 0x80) | 0x80);
+      n = Math.floor(n / 0x80);
+    }
+    this._push(n);
+  }
+
+  finish() {
+    return this.bytes.subarray(0, this.length);
+  }
+
+  _push(byte) {
+    if (this.length === this.bytes.length) {
+      const grown = new Uint8Array(this.bytes.length * 2);
+      grown.set(this.bytes);
+      this.bytes = grown;
+    }
+    this.bytes[this.length++] = byte;
+  }
+}
+
+export class ByteReader {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.offset = 0;
+  }
+
+  get done() {
+    return this.offset >= this.bytes.length;
+  }
+
+  varint() {
+    let n = 0;
+    let factor = 1;
+    for (;;) {
+      if (this.done) throw new Error('Data is truncated');
+      const byte = this.bytes[this.offset++];
+      n += (byte & 0x7f) * factor;
+      if (byte < 0x80) return n;
+      factor *= 0x80;
+    }
+  }
+}
+
+export function toBase64(bytes) {
+  let binary = '';
+  const chunk = 0x8000; // Stay under the argument limit of fromCharCode
+  for (let i = 0; i < bytes.length; i += chunk) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + chunk));
+  }
+  return btoa(binary);
+}
+
+export function fromBase64(text) {
+  let binary;
+  try {
+    binary = atob(text);
+  } catch {
+    throw new Error('Data is not valid base64');
+  }
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Is deflate available on this platform?
+ */
+export function canDeflate() {
+  return typeof CompressionStream !== 'undefined' && typeof DecompressionStream !== 'undefined';
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {Promise<Uint8Array>}
+ */
+export function deflate(bytes) {
+  return pipe(bytes, new CompressionStream('deflate'));
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {Promise<Uint8Array>}
+ * @throws {Error} If the data is not valid deflate
+ */
+export function inflate(bytes) {
+  return pipe(bytes, new DecompressionStream('deflate'));
+}
+
+async function pipe(bytes, transform) {
+  const stream = new Blob([bytes]).stream().pipeThrough(transform);
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
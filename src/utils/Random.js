@@ -0,0 +1,48 @@
+/**
+ * Random - Seeded random numbers
+ *
+ * createRandom(seed) returns a function with the same contract as
+ * Math.random (0 <= n < 1), so it can be passed anywhere a `random` option
+ * is taken (ItemSystem, rollItem, CPU drivers). The same seed always gives
+ * the same sequence. streamSeed(seed, name) splits one race seed into
+ * separate streams, so what one consumer draws doesn't shift another.
+ */
+
+/**
+ * Seeded generator (mulberry32)
+ * @param {number} seed - Any number; only the low 32 bits are used
+ * @returns {Function} () => number in [0, 1)
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Seed for the stream `name` off a race seed (FNV-1a over the name, mixed
+ * with the seed)
+ * @param {number} seed - Race seed
+ * @param {string} name - Stream name ('items', 'grid', ...)
+ * @returns {number} 32-bit seed
+ */
+export function streamSeed(seed, name) {
+  let hash = 0x811C9DC5 ^ (seed >>> 0);
+  for (let i = 0; i < name.length; i++) {
+    hash = Math.imul(hash ^ name.charCodeAt(i), 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Fresh 32-bit seed (for races that should differ each time)
+ * @returns {number}
+ */
+export function randomSeed() {
+  return Math.floor(Math.random() * 4294967296);
+}